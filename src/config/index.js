@@ -29,6 +29,16 @@ const config = {
     maxFileSize: toInt(process.env.MAX_FILE_SIZE),
     allowedMimeTypes: ['application/pdf'],
     allowedExtensions: ['.pdf'],
+    // Uploads to screening file questions (extension -> MIME types); questions can narrow the list
+    screeningFileTypes: {
+      pdf: ['application/pdf'],
+      doc: ['application/msword'],
+      docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+      png: ['image/png'],
+      jpg: ['image/jpeg'],
+      jpeg: ['image/jpeg'],
+    },
+    maxScreeningFiles: toInt(process.env.MAX_SCREENING_FILES, 5),
   },
   
   // Security configuration
@@ -38,18 +48,104 @@ const config = {
     rateLimitMaxRequests: toInt(process.env.RATE_LIMIT_MAX_REQUESTS),
   },
   
-  // 📧 Mail configuration — Mailgun only
+  // 📧 Mail configuration (smtp | mailgun | file | console)
+  // Tenants can override the transport and sender (modules/emails/mailSettings.model)
   mail: {
-    driver: (process.env.MAIL_DRIVER).toLowerCase(),
+    driver: (process.env.MAIL_DRIVER || 'console').toLowerCase(),
     fromAddress: process.env.MAIL_FROM_ADDRESS,
     fromName: process.env.MAIL_FROM_NAME,
     companyName: process.env.COMPANY_NAME,
+    // "Delivered via ..." line in the default footer (empty to hide)
+    poweredBy: process.env.MAIL_POWERED_BY !== undefined ? process.env.MAIL_POWERED_BY : 'airec.io',
     frontendUrl: process.env.FRONTEND_URL,
     mailgun: {
       domain: process.env.MAILGUN_DOMAIN,
       secret: process.env.MAILGUN_SECRET,
       apiBase: process.env.MAILGUN_API_BASE,
     },
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: toInt(process.env.SMTP_PORT, 587),
+      // true = implicit TLS (port 465); otherwise STARTTLS is used when the server offers it
+      secure: process.env.SMTP_SECURE === 'true',
+      // Refuse to send (and authenticate) without STARTTLS
+      requireTLS: process.env.SMTP_REQUIRE_TLS === 'true',
+      username: process.env.SMTP_USER,
+      password: process.env.SMTP_PASS,
+      rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false',
+    },
+    // File sink: every email is written as an .eml file (tests, local development)
+    file: {
+      dir: process.env.MAIL_FILE_DIR || 'uploads/mail',
+    },
+    // Outbox worker (services/emailQueueService)
+    queue: {
+      enabled: process.env.EMAIL_QUEUE_ENABLED !== 'false',
+      pollIntervalMs: toInt(process.env.EMAIL_QUEUE_POLL_INTERVAL_MS, 15000),
+      batchSize: toInt(process.env.EMAIL_QUEUE_BATCH_SIZE, 20),
+      maxAttempts: toInt(process.env.EMAIL_QUEUE_MAX_ATTEMPTS, 6),
+      backoffBaseMs: toInt(process.env.EMAIL_QUEUE_BACKOFF_BASE_MS, 60000),
+      backoffMaxMs: toInt(process.env.EMAIL_QUEUE_BACKOFF_MAX_MS, 6 * 60 * 60 * 1000),
+      lockMs: toInt(process.env.EMAIL_QUEUE_LOCK_MS, 5 * 60 * 1000),
+      // Max emails delivered per tenant per minute
+      tenantRatePerMinute: toInt(process.env.EMAIL_TENANT_RATE_PER_MINUTE, 60),
+    },
+  },
+  
+  // Calendar sync configuration (google | caldav | none)
+  calendar: {
+    provider: (process.env.CALENDAR_PROVIDER || 'none').toLowerCase(),
+    google: {
+      calendarId: process.env.GOOGLE_CALENDAR_ID || 'primary',
+      clientId: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      refreshToken: process.env.GOOGLE_REFRESH_TOKEN,
+    },
+    caldav: {
+      url: process.env.CALDAV_URL,
+      username: process.env.CALDAV_USERNAME,
+      password: process.env.CALDAV_PASSWORD,
+    },
+  },
+  
+  // Public job search (mongo = MongoDB text index; other engines via JobSearchService.setEngine)
+  search: {
+    engine: (process.env.SEARCH_ENGINE || 'mongo').toLowerCase(),
+    autocompleteCacheMs: toInt(process.env.SEARCH_AUTOCOMPLETE_CACHE_MS, 60000),
+  },
+  
+  // Public job board feeds (Indeed XML, RSS/Atom, JSON-LD)
+  feeds: {
+    cacheSeconds: toInt(process.env.FEED_CACHE_SECONDS, 900),
+    maxJobs: toInt(process.env.FEED_MAX_JOBS, 1000),
+  },
+  
+  // Tenant resolution from the request host (middleware/tenantFromSubdomain)
+  tenancy: {
+    // How long host -> tenant lookups (including misses) are cached per instance
+    cacheSeconds: toInt(process.env.TENANT_CACHE_SECONDS, 60),
+    // Custom domains prove ownership with a TXT record at <prefix>.<domain>
+    domainVerificationPrefix: process.env.DOMAIN_VERIFICATION_PREFIX || '_recruitment-verification',
+    // Domain the platform's own subdomains live under; it cannot be registered as a custom domain
+    platformDomain: (process.env.PLATFORM_DOMAIN || '').toLowerCase(),
+  },
+  
+  // Public careers site API: how long rendered pages are cached and may be cached by clients
+  careers: {
+    cacheSeconds: toInt(process.env.CAREERS_CACHE_SECONDS, 300),
+  },
+  
+  // Scheduled publishing and automatic closing of jobs (services/jobLifecycleService)
+  jobLifecycle: {
+    enabled: process.env.JOB_LIFECYCLE_ENABLED !== 'false',
+    pollIntervalMs: toInt(process.env.JOB_LIFECYCLE_POLL_INTERVAL_MS, 60000),
+  },
+  
+  // Interview reminders: offsets before the event start, e.g. "24h,1h" or "30m"
+  reminders: {
+    enabled: process.env.REMINDERS_ENABLED !== 'false',
+    offsets: process.env.REMINDER_OFFSETS || '24h,1h',
+    pollIntervalMs: toInt(process.env.REMINDER_POLL_INTERVAL_MS, 60000),
   },
   
   // Admin seed configuration
@@ -2,6 +2,7 @@ require('dotenv').config();
 
 const jwt = require('jsonwebtoken');
 const { Admin, Candidate } = require('../modules/auth/auth.model');
+const SessionService = require('../modules/auth/session.service');
 
 const auth = async (req, res, next) => {
   try {
@@ -29,6 +30,14 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens issued for a session stop working once it is revoked
+    if (decoded.sid && !(await SessionService.isSessionActive(decoded.sid))) {
+      return res.status(401).json({ 
+        success: false,
+        message: 'Session has been revoked' 
+      });
+    }
     
     // Determine user type and fetch user
     let user;
@@ -76,6 +85,7 @@ const auth = async (req, res, next) => {
     req.user = user;
     req.userType = decoded.userType;
     req.userId = decoded.userId;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -147,6 +157,10 @@ const optionalAuth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.sid && !(await SessionService.isSessionActive(decoded.sid))) {
+      return next();
+    }
     
     let user;
     if (decoded.userType === 'admin') {
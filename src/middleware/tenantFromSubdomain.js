@@ -1,20 +1,51 @@
 /**
  * Tenant Detection Middleware
  * 
- * Detects tenant from subdomain (production) or x-tenant-subdomain header (development).
+ * Detects tenant from a verified custom domain, the subdomain (production) or
+ * the x-tenant-subdomain header (development).
  * If tenant is found, attaches tenant object to req.tenant.
  * If no tenant is found, continues normally (non-breaking for existing functionality).
  * 
  * Usage:
+ * - Custom domain: careers.theircompany.com -> tenant that verified that domain
  * - Production: abc.mydomain.com -> detects "abc" subdomain (works with any domain)
  * - Development: abc.localhost:3000 or header x-tenant-subdomain: abc
  * 
  * This middleware is environment-aware and works with any domain configuration.
  */
 
-const Tenant = require('../modules/tenant/tenant.model');
+const TenantService = require('../modules/tenant/tenant.service');
+const config = require('../config');
 const { logger } = require('../config/database');
 
+const IPV4_ADDRESS = /^\d{1,3}(\.\d{1,3}){3}$/;
+
+/**
+ * Hostname without port or trailing dot, lowercased
+ *
+ * Examples:
+ * - Careers.Acme.com:443 -> "careers.acme.com"
+ * - localhost:3000 -> "localhost"
+ */
+function normalizeHostname(host) {
+  if (!host) return null;
+  return host.replace(/:\d+$/, '').replace(/\.$/, '').toLowerCase() || null;
+}
+
+/**
+ * Whether the host's first label can be a tenant subdomain. With PLATFORM_DOMAIN
+ * set, other hosts (e.g. an unverified custom domain) never match a subdomain.
+ */
+function isPlatformHost(hostname) {
+  const platformDomain = config.tenancy.platformDomain;
+  if (!platformDomain || !hostname) return true;
+
+  return hostname === platformDomain ||
+    hostname.endsWith(`.${platformDomain}`) ||
+    hostname === 'localhost' ||
+    hostname.endsWith('.localhost');
+}
+
 /**
  * Extract subdomain from hostname
  * Environment-aware: works with any domain (localhost in dev, any domain in prod)
@@ -24,12 +55,16 @@ const { logger } = require('../config/database');
  * - abc.mydomain.com -> "abc"
  * - localhost -> null
  * - mydomain.com -> null
+ * - 127.0.0.1 -> null
  */
 function extractSubdomain(hostname) {
   if (!hostname) return null;
   
   // Remove port if present (e.g., "vision.localhost:3000" -> "vision.localhost")
   const hostWithoutPort = hostname.split(':')[0];
+
+  // IP addresses have no subdomain
+  if (IPV4_ADDRESS.test(hostWithoutPort)) return null;
   
   // Split by dot
   const parts = hostWithoutPort.split('.');
@@ -50,41 +85,50 @@ function extractSubdomain(hostname) {
  * Tenant Detection Middleware
  * 
  * This middleware:
- * 1. Checks for subdomain in request hostname
- * 2. Falls back to x-tenant-subdomain header (for local dev/testing)
- * 3. Looks up tenant in database if subdomain/header found
- * 4. Attaches tenant to req.tenant if found
- * 5. Continues normally even if no tenant found (non-breaking)
+ * 1. Looks up a tenant that verified the full hostname as a custom domain
+ * 2. Otherwise checks for subdomain in request hostname
+ * 3. Falls back to x-tenant-subdomain header (for local dev/testing)
+ * 4. Looks up tenant in database if subdomain/header found
+ * 5. Attaches tenant to req.tenant if found
+ * 6. Continues normally even if no tenant found (non-breaking)
+ *
+ * Lookups are cached by TenantService.findTenantForHost, so most requests
+ * don't hit MongoDB.
  */
 const tenantFromSubdomain = async (req, res, next) => {
   try {
+    const hostname = normalizeHostname(req.get('host') || req.hostname);
+    let tenant = null;
     let subdomain = null;
-    
-    // Method 1: Extract from subdomain in hostname (production)
-    const hostname = req.get('host') || req.hostname;
-    subdomain = extractSubdomain(hostname);
-    
-    // Method 2: Fall back to header (development/testing)
-    if (!subdomain) {
-      subdomain = req.get('x-tenant-subdomain');
-      if (subdomain) {
-        // Clean the subdomain value
-        subdomain = subdomain.toLowerCase().trim();
-      }
+
+    // Method 1: Custom domain (careers.theircompany.com)
+    if (hostname && hostname.includes('.') && !IPV4_ADDRESS.test(hostname)) {
+      tenant = await TenantService.findTenantForHost('domain', hostname);
     }
-    
-    // If no subdomain found, continue without tenant context (non-breaking)
-    if (!subdomain) {
-      req.tenant = null;
-      return next();
+
+    if (!tenant) {
+      // Method 2: Extract from subdomain in hostname (production)
+      subdomain = isPlatformHost(hostname) ? extractSubdomain(hostname) : null;
+
+      // Method 3: Fall back to header (development/testing)
+      if (!subdomain) {
+        subdomain = req.get('x-tenant-subdomain');
+        if (subdomain) {
+          // Clean the subdomain value
+          subdomain = subdomain.toLowerCase().trim();
+        }
+      }
+
+      // If no subdomain found, continue without tenant context (non-breaking)
+      if (!subdomain) {
+        req.tenant = null;
+        return next();
+      }
+
+      // Look up tenant by subdomain
+      tenant = await TenantService.findTenantForHost('subdomain', subdomain);
     }
     
-    // Look up tenant by subdomain
-    const tenant = await Tenant.findOne({ 
-      subdomain: subdomain,
-      isActive: true
-    }).lean();
-    
     if (tenant) {
       req.tenant = tenant;
       req.tenantId = tenant._id;
@@ -112,4 +156,6 @@ const tenantFromSubdomain = async (req, res, next) => {
 };
 
 module.exports = tenantFromSubdomain;
+module.exports.extractSubdomain = extractSubdomain;
+module.exports.normalizeHostname = normalizeHostname;
 
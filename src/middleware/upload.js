@@ -51,6 +51,58 @@ const upload = multer({
   }
 });
 
+// Application forms: the resume (PDF) plus one file per screening file question,
+// sent as "screeningFile_<questionId>"
+const SCREENING_FILE_FIELD = /^screeningFile_([a-f0-9]{24})$/;
+
+const applicationFileFilter = (req, file, cb) => {
+  if (file.fieldname === 'resume') {
+    return fileFilter(req, file, cb);
+  }
+
+  if (!SCREENING_FILE_FIELD.test(file.fieldname)) {
+    return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname), false);
+  }
+
+  const extension = path.extname(file.originalname).slice(1).toLowerCase();
+  const mimeTypes = config.upload.screeningFileTypes[extension] || [];
+  if (mimeTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('File type not allowed'), false);
+  }
+};
+
+const applicationUpload = multer({
+  storage: storage,
+  fileFilter: applicationFileFilter,
+  limits: {
+    fileSize: config.upload.maxFileSize,
+    files: 1 + config.upload.maxScreeningFiles
+  }
+}).any();
+
+// Expose the resume as req.file and screening uploads as req.screeningFiles (by question ID)
+const uploadApplicationFiles = (req, res, next) => {
+  applicationUpload(req, res, (error) => {
+    if (error) {
+      return next(error);
+    }
+
+    const files = req.files || [];
+    req.file = files.find(file => file.fieldname === 'resume');
+    req.screeningFiles = {};
+    files.forEach(file => {
+      const match = file.fieldname.match(SCREENING_FILE_FIELD);
+      if (match) {
+        req.screeningFiles[match[1]] = file;
+      }
+    });
+
+    next();
+  });
+};
+
 // Middleware to handle upload errors
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -59,11 +111,16 @@ const handleUploadError = (error, req, res, next) => {
         message: 'File too large. Maximum size is 10MB.' 
       });
     }
+    if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ 
+        message: error.code === 'LIMIT_FILE_COUNT' ? 'Too many files' : `Unexpected file field: ${error.field}` 
+      });
+    }
   }
   
-  if (error.message === 'Only PDF files are allowed') {
+  if (error.message === 'Only PDF files are allowed' || error.message === 'File type not allowed') {
     return res.status(400).json({ 
-      message: 'Only PDF files are allowed' 
+      message: error.message 
     });
   }
   
@@ -106,4 +163,4 @@ const uploadEventAttachments = multer({
   }
 });
 
-module.exports = { upload, uploadEventAttachments, handleUploadError };
+module.exports = { upload, uploadApplicationFiles, uploadEventAttachments, handleUploadError };
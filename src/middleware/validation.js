@@ -1,4 +1,5 @@
-const { body } = require('express-validator');
+const { body, query, param } = require('express-validator');
+const config = require('../config');
 
 // Admin signup validation
 const validateAdminSignup = [
@@ -89,6 +90,154 @@ const validateCandidateLogin = [
     .withMessage('Password is required')
 ];
 
+const SCREENING_QUESTION_TYPES = ['text', 'multiple-choice', 'yes-no', 'rating', 'number', 'date', 'multi-select', 'file', 'url'];
+
+// Question of a screening question field path ("screeningQuestions[2].min" -> screeningQuestions[2])
+const questionAt = (req, field, path) => {
+  const index = Number(path.match(/\[(\d+)\]/)[1]);
+  return { index, question: req.body[field][index] || {} };
+};
+
+// Knockout/weighted scoring fields of screening questions ("screeningQuestions" on jobs, "questions" on templates)
+const screeningScoringRules = (field) => [
+  body(`${field}.*.scoringType`)
+    .optional()
+    .isIn(['none', 'knockout', 'weighted'])
+    .withMessage('Scoring type must be none, knockout or weighted')
+    .custom((scoringType, { req, path }) => {
+      if (!['knockout', 'weighted'].includes(scoringType)) return true;
+      const { question } = questionAt(req, field, path);
+      return question.correctAnswer !== undefined && String(question.correctAnswer).trim() !== '';
+    })
+    .withMessage('Knockout and weighted questions need a correct answer')
+    .custom((scoringType, { req, path }) => {
+      if (!['knockout', 'weighted'].includes(scoringType)) return true;
+      return !['file', 'url'].includes(questionAt(req, field, path).question.type);
+    })
+    .withMessage('File and URL questions cannot be scored'),
+  
+  body(`${field}.*.weight`)
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Weight must be between 0 and 100')
+];
+
+// Type-specific fields and conditions of screening questions
+const screeningQuestionRules = (field) => [
+  body(`${field}.*.type`)
+    .optional()
+    .isIn(SCREENING_QUESTION_TYPES)
+    .withMessage('Invalid question type'),
+  
+  body(`${field}.*.options`)
+    .custom((options, { req, path }) => {
+      const { question } = questionAt(req, field, path);
+      if (!['multiple-choice', 'multi-select'].includes(question.type)) return true;
+      return Array.isArray(options) && options.length > 0;
+    })
+    .withMessage('Choice questions need at least one option'),
+  
+  body([`${field}.*.min`, `${field}.*.max`])
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('Minimum and maximum must be numbers'),
+  
+  body(`${field}.*.max`)
+    .optional({ nullable: true })
+    .custom((max, { req, path }) => {
+      const { question } = questionAt(req, field, path);
+      return question.min === undefined || question.min === null || Number(question.min) <= Number(max);
+    })
+    .withMessage('Maximum cannot be less than the minimum'),
+  
+  body([`${field}.*.minDate`, `${field}.*.maxDate`])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Date limits must be valid dates'),
+  
+  body(`${field}.*.maxSelections`)
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Max selections must be at least 1'),
+  
+  body(`${field}.*.allowedFileTypes`)
+    .optional()
+    .isArray()
+    .withMessage('Allowed file types must be an array'),
+  
+  body(`${field}.*.allowedFileTypes.*`)
+    .customSanitizer(type => String(type).replace(/^\./, '').toLowerCase())
+    .isIn(Object.keys(config.upload.screeningFileTypes))
+    .withMessage(`Allowed file types: ${Object.keys(config.upload.screeningFileTypes).join(', ')}`),
+  
+  body(`${field}.*.showIf.questionId`)
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid condition question ID')
+    .custom((questionId, { req, path }) => {
+      // Conditions depend on earlier answers, so they can only refer to questions before this one
+      const { index } = questionAt(req, field, path);
+      return req.body[field].slice(0, index).some(question => String(question.questionId) === String(questionId));
+    })
+    .withMessage('A condition must refer to an earlier question'),
+  
+  body(`${field}.*.showIf.operator`)
+    .optional()
+    .isIn(['equals', 'notEquals', 'includes', 'greaterThan', 'lessThan'])
+    .withMessage('Condition operator must be equals, notEquals, includes, greaterThan or lessThan'),
+  
+  body(`${field}.*.showIf.value`)
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Condition value must be less than 500 characters')
+];
+
+// Screening outcome settings of a job
+const validateScreeningSettings = [
+  body('screeningSettings.passingScore')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Passing score must be between 0 and 100'),
+  
+  body('screeningSettings.onFail')
+    .optional()
+    .isIn(['none', 'reject', 'review'])
+    .withMessage('On fail must be none, reject or review'),
+  
+  body('screeningSettings.failStage')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Stage name must be less than 50 characters'),
+  
+  body('screeningSettings')
+    .optional()
+    .custom((settings) => settings.onFail !== 'review' || !!settings.failStage)
+    .withMessage('A review stage is required when failed applications go to review'),
+  
+  body('screeningSettings.notifyCandidate')
+    .optional()
+    .isBoolean()
+    .withMessage('Notify candidate must be boolean'),
+  
+  body('screeningSettings.emailSubject')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Email subject must be less than 200 characters'),
+  
+  body('screeningSettings.emailBody')
+    .optional()
+    .isLength({ max: 10000 })
+    .withMessage('Email body must be less than 10000 characters'),
+  
+  body('screeningSettings.emailDelayMinutes')
+    .optional()
+    .isInt({ min: 0, max: 10080 })
+    .withMessage('Email delay must be between 0 and 10080 minutes')
+];
+
 // Job creation validation
 const validateJobCreation = [
   body('title')
@@ -242,11 +391,6 @@ const validateJobCreation = [
     .notEmpty()
     .withMessage('Question text is required'),
   
-  body('screeningQuestions.*.type')
-    .optional()
-    .isIn(['text', 'multiple-choice', 'yes-no', 'rating'])
-    .withMessage('Invalid question type'),
-  
   body('screeningQuestions.*.required')
     .optional()
     .isBoolean()
@@ -269,6 +413,12 @@ const validateJobCreation = [
     .isLength({ max: 500 })
     .withMessage('Correct answer must be less than 500 characters'),
   
+  ...screeningQuestionRules('screeningQuestions'),
+  
+  ...screeningScoringRules('screeningQuestions'),
+  
+  ...validateScreeningSettings,
+  
   body('hiringTeam')
     .optional()
     .isArray()
@@ -286,6 +436,34 @@ const validateJobCreation = [
     .withMessage('Please provide a valid email for team member')
 ];
 
+// Source attribution sent with an application (UTM parameters, referrer, tracking link code)
+const validateApplicationAttribution = [
+  body('source')
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .matches(/^[A-Za-z0-9 _.-]{1,50}$/)
+    .withMessage('Invalid source'),
+
+  // Over-long UTM values and referrers are cut by TrackingLinkUtils.buildAttribution
+  // rather than rejected, so attribution never blocks an application
+  body(['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'])
+    .optional({ nullable: true, checkFalsy: true })
+    .isString()
+    .withMessage('UTM parameters must be text'),
+
+  body('referrer')
+    .optional({ nullable: true, checkFalsy: true })
+    .isString()
+    .withMessage('Referrer must be text'),
+
+  body('trackingCode')
+    .optional({ nullable: true, checkFalsy: true })
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Invalid tracking code')
+];
+
 // Application validation
 const validateApplication = [
   body('jobId')
@@ -320,25 +498,19 @@ const validateApplication = [
     .optional()
     .trim()
     .notEmpty()
-    .withMessage('Answer is required')
+    .withMessage('Answer is required'),
+
+  ...validateApplicationAttribution
 ];
 
 // Application status update validation
 const validateApplicationStatusUpdate = [
+  // Stage names come from the job's pipeline and are checked by PipelineService
   body('status')
-    .isIn([
-      'New',
-      'Selected',
-      'In Review',
-      'Interview',
-      'Offer',
-      'Hired',
-      'Rejected',
-      'Decision Pending',
-      'Saved for Future',
-      'Out of Budget',
-      'Shortlisted'
-    ])
+    .trim()
+    .notEmpty()
+    .withMessage('Status is required')
+    .isLength({ max: 50 })
     .withMessage('Invalid status'),
   
   body('note')
@@ -363,20 +535,12 @@ const validateBulkApplicationStatusUpdate = [
     .isMongoId()
     .withMessage('Invalid application ID'),
   
+  // Stage names come from the job's pipeline and are checked by PipelineService
   body('status')
-    .isIn([
-      'New',
-      'Selected',
-      'In Review',
-      'Interview',
-      'Offer',
-      'Hired',
-      'Rejected',
-      'Decision Pending',
-      'Saved for Future',
-      'Out of Budget',
-      'Shortlisted'
-    ])
+    .trim()
+    .notEmpty()
+    .withMessage('Status is required')
+    .isLength({ max: 50 })
     .withMessage('Invalid status'),
   
   body('note')
@@ -421,55 +585,128 @@ const validateResetPassword = [
 
 // Job search validation
 const validateJobSearch = [
-  body('q')
+  query('q')
     .optional()
     .trim()
     .isLength({ max: 100 })
     .withMessage('Search query must be less than 100 characters'),
   
-  body('location')
+  query('location')
     .optional()
     .trim()
     .isLength({ max: 50 })
     .withMessage('Location must be less than 50 characters'),
   
-  body('department')
+  query('department')
     .optional()
     .trim()
     .isLength({ max: 50 })
     .withMessage('Department must be less than 50 characters'),
   
-  body('employmentType')
+  query('employmentType')
     .optional()
     .isIn(['Full-time', 'Part-time', 'Contract', 'Internship'])
     .withMessage('Invalid employment type'),
   
-  body('experienceLevel')
+  query('experienceLevel')
     .optional()
     .isIn(['Entry', 'Mid', 'Senior', 'Executive'])
     .withMessage('Invalid experience level'),
   
-  body('salaryMin')
+  query('salaryMin')
     .optional()
     .isNumeric()
     .withMessage('Minimum salary must be a number'),
   
-  body('salaryMax')
+  query('salaryMax')
     .optional()
     .isNumeric()
     .withMessage('Maximum salary must be a number'),
   
-  body('page')
+  query('tags')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Tags must be less than 200 characters'),
+  
+  query('sortBy')
+    .optional()
+    .isIn(['relevance', 'createdAt', 'publishedAt', 'title', 'salary'])
+    .withMessage('Invalid sort field'),
+  
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Job autocomplete validation
+const validateJobAutocomplete = [
+  query('q')
+    .trim()
+    .notEmpty()
+    .withMessage('Search query is required')
+    .isLength({ max: 100 })
+    .withMessage('Search query must be less than 100 characters'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20')
+];
+
+// Job applicant list validation
+const validateJobApplicationsQuery = [
+  query('sortBy')
+    .optional()
+    .isIn(['appliedAt', 'matchScore'])
+    .withMessage('Sort by must be appliedAt or matchScore'),
+  
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc'),
+  
+  query('minScore')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Minimum score must be between 0 and 100'),
+  
+  query('page')
     .optional()
     .isInt({ min: 1 })
     .withMessage('Page must be a positive integer'),
   
-  body('limit')
+  query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage('Limit must be between 1 and 100')
 ];
 
+// Screening question types, conditions, scoring and outcome settings on job updates
+const validateJobScreening = [
+  body('screeningQuestions')
+    .optional()
+    .isArray()
+    .withMessage('Screening questions must be an array'),
+  
+  ...screeningQuestionRules('screeningQuestions'),
+  
+  ...screeningScoringRules('screeningQuestions'),
+  
+  ...validateScreeningSettings
+];
+
 // File upload validation
 const validateFileUpload = [
   body('jobId')
@@ -487,12 +724,8 @@ const validateNote = [
     .withMessage('Note must be between 1 and 500 characters')
 ];
 
-// Guest application validation
-const validateGuestApplication = [
-  body('jobId')
-    .isMongoId()
-    .withMessage('Invalid job ID'),
-  
+// Candidate details for guest applications and referrals
+const validateGuestCandidateInfo = [
   body('candidateInfo.firstName')
     .trim()
     .notEmpty()
@@ -533,7 +766,16 @@ const validateGuestApplication = [
       if (!value || value === '') return true;
       return /^https?:\/\/(www\.)?linkedin\.com\/in\/[a-zA-Z0-9-]+\/?$/.test(value);
     })
-    .withMessage('Please enter a valid LinkedIn URL'),
+    .withMessage('Please enter a valid LinkedIn URL')
+];
+
+// Guest application validation
+const validateGuestApplication = [
+  body('jobId')
+    .isMongoId()
+    .withMessage('Invalid job ID'),
+  
+  ...validateGuestCandidateInfo,
   
   body('screeningAnswers')
     .optional()
@@ -565,10 +807,7 @@ const validateGuestApplication = [
     .notEmpty()
     .withMessage('Answer is required'),
   
-  body('source')
-    .optional()
-    .isIn(['company_website', 'linkedin', 'indeed', 'other'])
-    .withMessage('Invalid source')
+  ...validateApplicationAttribution
 ];
 
 // Guest to user conversion validation
@@ -609,8 +848,8 @@ const validateScreeningTemplate = [
     .withMessage('Question text is required'),
   
   body('questions.*.type')
-    .isIn(['text', 'multiple-choice', 'yes-no', 'rating'])
-    .withMessage('Invalid question type'),
+    .exists()
+    .withMessage('Question type is required'),
   
   body('questions.*.required')
     .isBoolean()
@@ -633,6 +872,10 @@ const validateScreeningTemplate = [
     .isLength({ max: 500 })
     .withMessage('Correct answer must be less than 500 characters'),
   
+  ...screeningQuestionRules('questions'),
+  
+  ...screeningScoringRules('questions'),
+  
   body('tags')
     .optional()
     .isArray()
@@ -975,9 +1218,899 @@ const validateEmailTemplate = [
     .withMessage('Variables must be an array')
 ];
 
+// Pipeline validation
+const validatePipeline = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Pipeline name is required')
+    .isLength({ max: 100 })
+    .withMessage('Pipeline name cannot exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('stages')
+    .isArray({ min: 1 })
+    .withMessage('At least one stage is required'),
+
+  body('stages.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Stage name is required')
+    .isLength({ max: 50 })
+    .withMessage('Stage name cannot exceed 50 characters'),
+
+  body('stages.*.type')
+    .optional()
+    .isIn(['screening', 'interview', 'offer', 'terminal'])
+    .withMessage('Invalid stage type'),
+
+  body('stages.*.outcome')
+    .optional()
+    .isIn(['hired', 'rejected', 'withdrawn'])
+    .withMessage('Invalid stage outcome'),
+
+  body('stages.*.allowedTransitions')
+    .optional()
+    .isArray()
+    .withMessage('Allowed transitions must be an array'),
+
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault must be a boolean')
+];
+
+const validatePipelineUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Pipeline name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Pipeline name cannot exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('stages')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one stage is required'),
+
+  body('stages.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Stage name is required')
+    .isLength({ max: 50 })
+    .withMessage('Stage name cannot exceed 50 characters'),
+
+  body('stages.*.type')
+    .optional()
+    .isIn(['screening', 'interview', 'offer', 'terminal'])
+    .withMessage('Invalid stage type'),
+
+  body('stageMapping')
+    .optional()
+    .isObject()
+    .withMessage('Stage mapping must be an object'),
+
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault must be a boolean')
+];
+
+const validateAvailabilityUpdate = [
+  body('timezone')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Timezone cannot be empty'),
+
+  body('workingHours')
+    .optional()
+    .isArray({ max: 21 })
+    .withMessage('Working hours must be an array'),
+
+  body('workingHours.*.day')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day must be 0 (Sunday) to 6 (Saturday)')
+    .toInt(),
+
+  body('workingHours.*.start')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Start time must be HH:mm'),
+
+  body('workingHours.*.end')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('End time must be HH:mm'),
+
+  body('icsFeeds')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('ICS feeds must be an array of at most 5 feeds'),
+
+  body('icsFeeds.*.url')
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('ICS feed URL must be a valid http(s) URL'),
+
+  body('icsFeeds.*.name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Feed name cannot exceed 100 characters')
+];
+
+const validateBusyBlock = [
+  body('start')
+    .isISO8601()
+    .withMessage('Start must be a valid date'),
+
+  body('end')
+    .isISO8601()
+    .withMessage('End must be a valid date'),
+
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters')
+];
+
+const validateSlotSuggestion = [
+  // Accepts ?attendeeIds=a,b or repeated ?attendeeIds=a&attendeeIds=b
+  query('attendeeIds')
+    .customSanitizer(value => (Array.isArray(value) ? value : String(value || '').split(','))
+      .map(id => id.trim())
+      .filter(Boolean))
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Select between 1 and 10 attendees'),
+
+  query('attendeeIds.*')
+    .isMongoId()
+    .withMessage('Invalid attendee ID'),
+
+  query('startDate')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Start date must be YYYY-MM-DD'),
+
+  query('endDate')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('End date must be YYYY-MM-DD'),
+
+  query('timezone')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Timezone cannot be empty'),
+
+  query('duration')
+    .optional()
+    .isInt({ min: 15, max: 480 })
+    .withMessage('Duration must be between 15 and 480 minutes')
+    .toInt(),
+
+  query('step')
+    .optional()
+    .isInt({ min: 5, max: 240 })
+    .withMessage('Step must be between 5 and 240 minutes')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+const validateSchedulingLink = [
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Title is required')
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters'),
+
+  body('attendeeIds')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Attendees must be an array of at most 10 admin IDs'),
+
+  body('attendeeIds.*')
+    .isMongoId()
+    .withMessage('Invalid attendee ID'),
+
+  body('slots')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Offer between 1 and 20 slots'),
+
+  body('slots.*.date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Slot date must be YYYY-MM-DD'),
+
+  body('slots.*.startTime')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Slot start time must be HH:mm'),
+
+  body('slots.*.endTime')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Slot end time must be HH:mm'),
+
+  body('timezone')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Timezone cannot be empty'),
+
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Location cannot exceed 200 characters'),
+
+  body('meetingLink')
+    .optional()
+    .trim()
+    .isURL()
+    .withMessage('Meeting link must be a valid URL'),
+
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('Expiry must be between 1 and 60 days')
+    .toInt(),
+
+  body('privacyEnabled')
+    .optional()
+    .isBoolean()
+    .withMessage('privacyEnabled must be a boolean'),
+
+  body('allowReschedule')
+    .optional()
+    .isBoolean()
+    .withMessage('allowReschedule must be a boolean'),
+
+  body('sendEmail')
+    .optional()
+    .isBoolean()
+    .withMessage('sendEmail must be a boolean')
+];
+
+const validateSlotConfirmation = [
+  body('slotId')
+    .isMongoId()
+    .withMessage('Invalid slot ID')
+];
+
+const validateAnalyticsQuery = [
+  query('jobId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid job ID'),
+
+  query('recruiterId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid recruiter ID'),
+
+  query('department')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Department cannot be empty'),
+
+  query('source')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9 _.-]{1,50}$/)
+    .withMessage('Invalid application source'),
+
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+];
+
+const validateEmailQuery = [
+  query('applicationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+
+  query('eventId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid event ID'),
+
+  query('status')
+    .optional()
+    .isIn(['queued', 'sending', 'sent', 'failed', 'dead'])
+    .withMessage('Invalid email status'),
+
+  query('to')
+    .optional()
+    .isEmail()
+    .withMessage('Invalid recipient email'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+const validateEmailBranding = [
+  body('branding.companyName')
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Company name cannot exceed 100 characters'),
+
+  body('branding.logoUrl')
+    .optional({ nullable: true, checkFalsy: true })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Logo URL must be an http(s) URL'),
+
+  body('branding.primaryColor')
+    .optional({ nullable: true, checkFalsy: true })
+    .matches(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i)
+    .withMessage('Primary color must be a hex color like #3B82F6'),
+
+  body('branding.footerText')
+    .optional({ nullable: true, checkFalsy: true })
+    .isLength({ max: 1000 })
+    .withMessage('Footer text cannot exceed 1000 characters'),
+
+  body('branding.layoutHtml')
+    .optional({ nullable: true, checkFalsy: true })
+    .isLength({ max: 50000 })
+    .withMessage('Layout cannot exceed 50000 characters')
+    .matches(/\{\{\s*content\s*\}\}/)
+    .withMessage('Layout must contain the {{content}} placeholder')
+];
+
+const validateMailSettings = [
+  body('driver')
+    .optional()
+    .isIn(['default', 'smtp', 'mailgun'])
+    .withMessage('Driver must be default, smtp or mailgun'),
+
+  body('fromName')
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Sender name cannot exceed 100 characters'),
+
+  body('fromAddress')
+    .optional({ nullable: true, checkFalsy: true })
+    .isEmail()
+    .withMessage('Sender address must be a valid email'),
+
+  body('replyTo')
+    .optional({ nullable: true, checkFalsy: true })
+    .isEmail()
+    .withMessage('Reply-to must be a valid email'),
+
+  body('smtp.host')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('SMTP host cannot be empty'),
+
+  body('smtp.port')
+    .optional()
+    .isInt({ min: 1, max: 65535 })
+    .withMessage('SMTP port must be between 1 and 65535')
+    .toInt(),
+
+  body('smtp.secure')
+    .optional()
+    .isBoolean()
+    .withMessage('smtp.secure must be a boolean')
+    .toBoolean(),
+
+  body('smtp.requireTLS')
+    .optional()
+    .isBoolean()
+    .withMessage('smtp.requireTLS must be a boolean')
+    .toBoolean(),
+
+  body('mailgun.apiBase')
+    .optional({ nullable: true, checkFalsy: true })
+    .isURL({ protocols: ['https'], require_protocol: true })
+    .withMessage('Mailgun API base must be an https URL'),
+
+  ...validateEmailBranding
+];
+
+const validateTestEmail = [
+  body('to')
+    .isEmail()
+    .withMessage('Please provide a valid recipient email')
+];
+
+// Campaign and UTM parameters of a tracking link
+const validateTrackingLinkDetails = [
+  body('campaign')
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Campaign cannot exceed 200 characters'),
+
+  body('utm')
+    .optional()
+    .isObject()
+    .withMessage('UTM parameters must be an object'),
+
+  body(['utm.source', 'utm.medium', 'utm.campaign', 'utm.term', 'utm.content'])
+    .optional({ nullable: true, checkFalsy: true })
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('UTM parameters cannot exceed 200 characters')
+];
+
+const validateTrackingLink = [
+  body('jobId')
+    .isMongoId()
+    .withMessage('Invalid job ID'),
+
+  body('source')
+    .trim()
+    .matches(/^[A-Za-z0-9 _.-]{1,50}$/)
+    .withMessage('Source is required (letters, numbers, spaces, _ . -)'),
+
+  ...validateTrackingLinkDetails
+];
+
+const validateTrackingLinkUpdate = [
+  body('jobId')
+    .not()
+    .exists()
+    .withMessage('The job of a tracking link cannot be changed'),
+
+  body('source')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9 _.-]{1,50}$/)
+    .withMessage('Invalid source'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+
+  ...validateTrackingLinkDetails
+];
+
+const validateTrackingLinkQuery = [
+  query('jobId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid job ID'),
+
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const validateSourceReportQuery = [
+  query('jobId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid job ID'),
+
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+];
+
+const validateReferralLink = [
+  body('jobId')
+    .isMongoId()
+    .withMessage('Invalid job ID')
+];
+
+const validateReferral = [
+  body('jobId')
+    .isMongoId()
+    .withMessage('Invalid job ID'),
+
+  ...validateGuestCandidateInfo,
+
+  body('note')
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Note cannot exceed 2000 characters')
+];
+
+const validateReferralQuery = [
+  query('jobId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid job ID'),
+
+  query('referrerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid referrer ID'),
+
+  query('channel')
+    .optional()
+    .isIn(['direct', 'link'])
+    .withMessage('Channel must be direct or link')
+];
+
+const validateLeaderboardQuery = [
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Offer fields shared by create and update (amount and start date are required on create)
+const validateOfferDetails = [
+  body('salary.amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Salary amount must be a positive number'),
+
+  body('salary.currency')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Currency must be a 3-letter code')
+    .toUpperCase(),
+
+  body('salary.period')
+    .optional()
+    .isIn(['Yearly', 'Monthly', 'Weekly', 'Hourly'])
+    .withMessage('Invalid salary period'),
+
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom((value) => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+
+  body('bonus.signOn')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Sign-on bonus must be a positive number'),
+
+  body('bonus.targetPercent')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Target bonus must be between 0 and 100 percent'),
+
+  body('bonus.notes')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Bonus notes cannot exceed 500 characters'),
+
+  body('equity.type')
+    .optional()
+    .isIn(['none', 'options', 'rsu', 'shares'])
+    .withMessage('Equity type must be none, options, rsu or shares'),
+
+  body('equity.amount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Equity amount must be a positive number'),
+
+  body('equity.vesting')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Vesting schedule cannot exceed 200 characters'),
+
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters'),
+
+  body('templateId')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid template ID'),
+
+  body('approverIds')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Approvers must be an array of up to 10 admins'),
+
+  body('approverIds.*')
+    .isMongoId()
+    .withMessage('Invalid approver ID'),
+
+  body('budgetJustification')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Budget justification cannot exceed 1000 characters')
+];
+
+const validateOffer = [
+  body('salary.amount')
+    .exists()
+    .withMessage('Salary amount is required'),
+
+  body('startDate')
+    .exists()
+    .withMessage('Start date is required'),
+
+  ...validateOfferDetails
+];
+
+const validateOfferUpdate = [
+  ...validateOfferDetails
+];
+
+const validateOfferDecision = [
+  body('comment')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters')
+];
+
+const validateOfferResponse = [
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Reason cannot exceed 1000 characters')
+];
+
+const validateOfferTemplate = [
+  body('name')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .trim()
+    .notEmpty()
+    .withMessage('Template name is required')
+    .isLength({ max: 100 })
+    .withMessage('Template name cannot exceed 100 characters'),
+
+  body('title')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .trim()
+    .notEmpty()
+    .withMessage('Letter title is required')
+    .isLength({ max: 200 })
+    .withMessage('Letter title cannot exceed 200 characters'),
+
+  body('body')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .isString()
+    .withMessage('Letter body must be text')
+    .bail()
+    .notEmpty()
+    .withMessage('Letter body is required')
+    .isLength({ max: 20000 })
+    .withMessage('Letter body cannot exceed 20000 characters'),
+
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault must be a boolean')
+];
+
+const validateRequisitionSettings = [
+  body('approvers')
+    .isArray({ max: 10 })
+    .withMessage('Approvers must be an array of up to 10 admins'),
+
+  body('approvers.*.approverId')
+    .isMongoId()
+    .withMessage('Invalid approver ID'),
+
+  body('approvers.*.label')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Approver label cannot exceed 50 characters')
+];
+
+const validateRequisitionComment = [
+  body('comment')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters')
+];
+
+// Job boards the job is published on; feeds syndicate by these names (see modules/feeds)
+const validateJobPublish = [
+  body('publishedOn')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('publishedOn must be an array of up to 20 job boards'),
+
+  body('publishedOn.*')
+    .isString()
+    .withMessage('Job board must be a string')
+    .bail()
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Job board must be between 1 and 50 characters'),
+
+  body('publishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('publishAt must be a valid date')
+];
+
+// Job version routes (/jobs/:id/versions/:version)
+const validateJobVersion = [
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
+    .toInt(),
+
+  body('stageMapping')
+    .optional()
+    .isObject()
+    .withMessage('stageMapping must be an object')
+];
+
+const validateJobVersionCompare = [
+  query('from')
+    .isInt({ min: 1 })
+    .withMessage('from must be a positive version number')
+    .toInt(),
+
+  query('to')
+    .isInt({ min: 1 })
+    .withMessage('to must be a positive version number')
+    .toInt()
+];
+
+// Careers site content (tenant admins)
+const validateCareerSiteSettings = [
+  body('headline')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage('Headline cannot exceed 150 characters'),
+
+  body('about')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 10000 })
+    .withMessage('About text cannot exceed 10000 characters'),
+
+  body(['heroImageUrl', 'websiteUrl', 'siteUrl'])
+    .optional({ nullable: true, checkFalsy: true })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('URLs must be http(s) URLs')
+];
+
+// Public careers site job listing
+const validateCareerJobsQuery = [
+  query(['department', 'city', 'country'])
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Filters must be less than 100 characters'),
+
+  query('remote')
+    .optional()
+    .isBoolean()
+    .withMessage('remote must be true or false')
+    .toBoolean(),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+const validateCareerJob = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid job ID')
+];
+
 module.exports.validateProfileUpdate = validateProfileUpdate;
 module.exports.validateEventCreation = validateEventCreation;
 module.exports.validateEvaluationCreation = validateEvaluationCreation;
 module.exports.validateEvaluationTemplateCreation = validateEvaluationTemplateCreation;
 module.exports.validateEvaluationTemplateUpdate = validateEvaluationTemplateUpdate;
 module.exports.validateEmailTemplate = validateEmailTemplate;
+module.exports.validatePipeline = validatePipeline;
+module.exports.validatePipelineUpdate = validatePipelineUpdate;
+module.exports.validateAvailabilityUpdate = validateAvailabilityUpdate;
+module.exports.validateBusyBlock = validateBusyBlock;
+module.exports.validateSlotSuggestion = validateSlotSuggestion;
+module.exports.validateSchedulingLink = validateSchedulingLink;
+module.exports.validateSlotConfirmation = validateSlotConfirmation;
+module.exports.validateEmailQuery = validateEmailQuery;
+module.exports.validateMailSettings = validateMailSettings;
+module.exports.validateTestEmail = validateTestEmail;
+module.exports.validateEmailBranding = validateEmailBranding;
+module.exports.validateAnalyticsQuery = validateAnalyticsQuery;
+module.exports.validateTrackingLink = validateTrackingLink;
+module.exports.validateTrackingLinkUpdate = validateTrackingLinkUpdate;
+module.exports.validateTrackingLinkQuery = validateTrackingLinkQuery;
+module.exports.validateSourceReportQuery = validateSourceReportQuery;
+module.exports.validateReferralLink = validateReferralLink;
+module.exports.validateReferral = validateReferral;
+module.exports.validateReferralQuery = validateReferralQuery;
+module.exports.validateLeaderboardQuery = validateLeaderboardQuery;
+module.exports.validateJobAutocomplete = validateJobAutocomplete;
+module.exports.validateJobApplicationsQuery = validateJobApplicationsQuery;
+module.exports.validateJobScreening = validateJobScreening;
+module.exports.validateOffer = validateOffer;
+module.exports.validateOfferUpdate = validateOfferUpdate;
+module.exports.validateOfferDecision = validateOfferDecision;
+module.exports.validateOfferResponse = validateOfferResponse;
+module.exports.validateOfferTemplate = validateOfferTemplate;
+module.exports.validateRequisitionSettings = validateRequisitionSettings;
+module.exports.validateRequisitionComment = validateRequisitionComment;
+module.exports.validateJobPublish = validateJobPublish;
+module.exports.validateJobVersion = validateJobVersion;
+module.exports.validateJobVersionCompare = validateJobVersionCompare;
+module.exports.validateCareerSiteSettings = validateCareerSiteSettings;
+module.exports.validateCareerJobsQuery = validateCareerJobsQuery;
+module.exports.validateCareerJob = validateCareerJob;
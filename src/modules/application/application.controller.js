@@ -3,9 +3,11 @@ require('dotenv').config();
 const { validationResult } = require('express-validator');
 const ApplicationService = require('./application.service');
 const ApplicationUtils = require('./application.utils');
+const TrackingLinkService = require('../tracking/trackingLink.service');
 const EmailService = require('../../services/emailService');
+const ScreeningAnswerService = require('../../services/screeningAnswerService');
 const GuestApplication = require('../guestApplications/guestApplication.model');
-const { notifyUser } = require('../../services/realtime');
+const { notifyUser, publishApplicationUpdate } = require('../../services/realtime');
 
 /**
  * Application Controller
@@ -23,22 +25,29 @@ const applyForJob = async (req, res) => {
     });
   }
 
-  const { jobId, screeningAnswers: rawScreeningAnswers, source = 'company_website' } = req.body;
+  const { jobId, screeningAnswers: rawScreeningAnswers } = req.body;
   
-  // Parse screening answers
-  const screeningAnswers = ApplicationUtils.parseScreeningAnswers(rawScreeningAnswers);
+  // Parse screening answers; uploads to file questions arrive as separate files
+  const screeningAnswers = ScreeningAnswerService.attachFiles(
+    ApplicationUtils.parseScreeningAnswers(rawScreeningAnswers),
+    req.screeningFiles
+  );
   
   const resumePath = req.file ? req.file.path : null;
   const resumeFilename = req.file ? req.file.filename : null;
 
   try {
+    // Source, UTM parameters, referrer and tracking link
+    const { source, attribution } = await TrackingLinkService.resolveAttribution(jobId, req.body, req.get('referer'));
+
     const result = await ApplicationService.applyForJob(
       jobId,
       req.user._id,
       resumePath,
       resumeFilename,
       screeningAnswers,
-      source
+      source,
+      attribution
     );
 
     res.status(201).json({
@@ -48,7 +57,11 @@ const applyForJob = async (req, res) => {
     });
   } catch (error) {
     const statusCode = error.message.includes('not found') ? 404 : 
-                      error.message.includes('already applied') ? 400 : 500;
+                      error.message.includes('already applied') ? 400 :
+                      error.message.includes('Job is closed') ? 400 :
+                      error.message.includes('not open for applications') ? 400 :
+                      error.message.includes('not available for applications') ? 400 :
+                      error.message.includes('Invalid screening answers') ? 400 : 500;
     res.status(statusCode).json({
       success: false,
       message: error.message || 'Server error'
@@ -122,7 +135,9 @@ const updateApplicationStatus = async (req, res) => {
           const emailResult = await EmailService.sendEmail(
             guestApplication.candidateInfo.email,
             emailTemplate.subject,
-            emailTemplate.html
+            emailTemplate.html,
+            null,
+            { applicationId: application._id, category: 'status_update', requestedBy: req.user._id }
           );
 
           // Log email dispatch in application logs
@@ -168,7 +183,9 @@ const updateApplicationStatus = async (req, res) => {
           const emailResult = await EmailService.sendEmail(
             candidate.email,
             emailTemplate.subject,
-            emailTemplate.html
+            emailTemplate.html,
+            null,
+            { applicationId: application._id, category: 'status_update', requestedBy: req.user._id }
           );
 
           // Log email dispatch in application logs
@@ -207,6 +224,11 @@ const updateApplicationStatus = async (req, res) => {
           timestamp: new Date().toISOString()
         });
       }
+      publishApplicationUpdate(application, 'application:status', {
+        status: application.status,
+        priority: application.priority,
+        updatedBy: String(req.user._id)
+      });
     } catch (emitErr) {
       console.error('Failed to emit notification:', emitErr);
     }
@@ -236,6 +258,27 @@ const updateApplicationStatus = async (req, res) => {
         application
       });
     }
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                      error.message.includes('Invalid stage') ? 400 :
+                      error.message.includes('not allowed') ? 400 :
+                      error.message.includes('requires') ? 400 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Get allowed next stages for an application
+const getApplicationTransitions = async (req, res) => {
+  try {
+    const result = await ApplicationService.getApplicationTransitions(req.params.id);
+
+    res.json({
+      success: true,
+      ...result
+    });
   } catch (error) {
     const statusCode = error.message.includes('not found') ? 404 : 500;
     res.status(statusCode).json({
@@ -298,6 +341,13 @@ const addNoteToApplication = async (req, res) => {
       note
     );
 
+    const latestNote = application.notes[application.notes.length - 1];
+    publishApplicationUpdate(application, 'application:note', {
+      action: 'added',
+      noteIndex: application.notes.length - 1,
+      note: latestNote ? { text: latestNote.text, adminId: String(latestNote.adminId), createdAt: latestNote.createdAt } : null
+    });
+
     res.json({
       success: true,
       message: 'Note added successfully',
@@ -332,6 +382,11 @@ const updateNoteInApplication = async (req, res) => {
       note
     );
 
+    publishApplicationUpdate(updatedApplication, 'application:note', {
+      action: 'updated',
+      noteIndex: parseInt(noteIndex)
+    });
+
     res.json({
       success: true,
       message: 'Note updated successfully',
@@ -353,20 +408,32 @@ const bulkUpdateApplicationStatus = async (req, res) => {
   try {
     const { applicationIds, status, note } = req.body;
 
-    const count = await ApplicationService.bulkUpdateApplicationStatus(
+    const applications = await ApplicationService.bulkUpdateApplicationStatus(
       applicationIds,
       status,
       req.user._id,
       note
     );
 
+    applications.forEach(application => {
+      publishApplicationUpdate(application, 'application:status', {
+        status: application.status,
+        priority: application.priority,
+        updatedBy: String(req.user._id),
+        bulk: true
+      });
+    });
+
     res.json({
       success: true,
-      message: `${count} applications updated successfully`
+      message: `${applications.length} applications updated successfully`
     });
   } catch (error) {
     const statusCode = error.message.includes('required') ? 400 :
-                      error.message.includes('not found') ? 400 : 500;
+                      error.message.includes('not found') ? 400 :
+                      error.message.includes('Invalid stage') ? 400 :
+                      error.message.includes('not allowed') ? 400 :
+                      error.message.includes('requires') ? 400 : 500;
     res.status(statusCode).json({
       success: false,
       message: error.message || 'Server error'
@@ -374,16 +441,28 @@ const bulkUpdateApplicationStatus = async (req, res) => {
   }
 };
 
-// Get application analytics
+// Get application analytics (funnel, time-in-stage, time-to-hire)
 const getApplicationAnalytics = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
   try {
-    const { jobId, startDate, endDate } = req.query;
+    const { jobId, department, source, recruiterId, startDate, endDate } = req.query;
 
     const analytics = await ApplicationService.getApplicationAnalytics({
       jobId,
+      department,
+      source,
+      recruiterId,
       startDate,
       endDate
-    });
+    }, req);
 
     res.json({
       success: true,
@@ -407,6 +486,7 @@ module.exports = {
   bulkUpdateApplicationStatus,
   getCandidateApplications,
   getApplicationStats,
-  getApplicationAnalytics
+  getApplicationAnalytics,
+  getApplicationTransitions
 };
 
@@ -5,9 +5,20 @@ const screeningAnswerSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     required: true
   },
+  // Display value; multi-select answers are joined with ", " and file answers hold the original file name
   answer: {
     type: String,
     required: true
+  },
+  // Picked options of multi-select questions
+  values: [String],
+  // Upload of file questions
+  file: {
+    path: String,
+    filename: String,
+    originalName: String,
+    mimeType: String,
+    size: Number
   }
 });
 
@@ -48,6 +59,10 @@ const applicationSchema = new mongoose.Schema({
     ref: 'Job',
     required: true
   },
+  // Job version (Job.version) the candidate applied against
+  jobVersion: {
+    type: Number
+  },
   candidateId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Candidate',
@@ -67,21 +82,11 @@ const applicationSchema = new mongoose.Schema({
       return this.isGuestApplication;
     }
   },
+  // Current stage name from the job's pipeline (see PipelineService.resolvePipelineForJob)
   status: {
     type: String,
-    enum: [
-      'New',
-      'Selected',
-      'In Review',
-      'Interview',
-      'Offer',
-      'Hired',
-      'Rejected',
-      'Decision Pending',
-      'Saved for Future',
-      'Out of Budget',
-      'Shortlisted'
-    ],
+    trim: true,
+    maxlength: [50, 'Status cannot exceed 50 characters'],
     default: 'New'
   },
   resumePath: {
@@ -99,6 +104,7 @@ const applicationSchema = new mongoose.Schema({
     email: String,
     phone: String,
     linkedinUrl: String,
+    location: String,
     totalExperience: Number,
     skills: [String],
     education: [{
@@ -149,9 +155,60 @@ const applicationSchema = new mongoose.Schema({
   },
   source: {
     type: String,
-    enum: ['company_website', 'linkedin', 'indeed', 'other'],
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Source cannot exceed 50 characters'],
     default: 'company_website'
   },
+  // Where the candidate came from (UTM parameters, referrer, tracked apply link)
+  attribution: {
+    utmSource: { type: String, trim: true, maxlength: 200 },
+    utmMedium: { type: String, trim: true, maxlength: 200 },
+    utmCampaign: { type: String, trim: true, maxlength: 200 },
+    utmTerm: { type: String, trim: true, maxlength: 200 },
+    utmContent: { type: String, trim: true, maxlength: 200 },
+    referrer: { type: String, trim: true, maxlength: 2000 },
+    campaign: { type: String, trim: true, maxlength: 200 },
+    trackingLinkId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TrackingLink'
+    },
+    // Employee referral the application came from
+    referralId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Referral'
+    }
+  },
+  // Screening questions evaluated against the job's correct answers when applying
+  screeningResult: {
+    // Weighted questions only (null when the job has none)
+    score: { type: Number, min: 0, max: 100 },
+    passed: Boolean,
+    knockoutFailures: [{
+      questionId: mongoose.Schema.Types.ObjectId,
+      text: String
+    }],
+    belowPassingScore: Boolean,
+    // Stage the application was moved to because it failed
+    movedTo: String,
+    candidateNotified: Boolean,
+    evaluatedAt: Date
+  },
+  // How well the parsed CV matches the job (recomputed when the job changes)
+  matchScore: {
+    score: { type: Number, min: 0, max: 100 },
+    matchedSkills: [String],
+    missingSkills: [String],
+    requirementsMatched: Number,
+    requirementsTotal: Number,
+    requiredExperience: {
+      min: Number,
+      max: Number
+    },
+    candidateExperience: Number,
+    experienceGap: Number,
+    computedAt: Date
+  },
   logs: [{
     action: {
       type: String,
@@ -335,7 +392,11 @@ applicationSchema.index({ appliedAt: -1 });
 applicationSchema.index({ reviewedBy: 1 });
 applicationSchema.index({ priority: 1 });
 applicationSchema.index({ source: 1 });
+applicationSchema.index({ 'attribution.trackingLinkId': 1 });
+applicationSchema.index({ 'attribution.referralId': 1 });
 applicationSchema.index({ isGuestApplication: 1 });
+applicationSchema.index({ jobId: 1, 'matchScore.score': -1 });
+applicationSchema.index({ jobId: 1, 'screeningResult.passed': 1 });
 
 module.exports = mongoose.model('Application', applicationSchema);
 
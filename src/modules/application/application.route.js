@@ -9,14 +9,16 @@ const {
   bulkUpdateApplicationStatus,
   getCandidateApplications,
   getApplicationStats,
-  getApplicationAnalytics
+  getApplicationAnalytics,
+  getApplicationTransitions
 } = require('./application.controller');
 const {
   createEvent,
   getApplicationEvents,
   updateEvent,
   deleteEvent,
-  getAvailableAttendees
+  getAvailableAttendees,
+  suggestEventSlots
 } = require('./event.controller');
 const {
   createEvaluation,
@@ -30,17 +32,19 @@ const {
   validateApplication,
   validateApplicationStatusUpdate,
   validateEventCreation,
-  validateEvaluationCreation
+  validateEvaluationCreation,
+  validateSlotSuggestion,
+  validateAnalyticsQuery
 } = require('../../middleware/validation');
 const { auth, adminAuth, candidateAuth } = require('../../middleware/auth');
-const { upload, uploadEventAttachments, handleUploadError } = require('../../middleware/upload');
+const { uploadApplicationFiles, uploadEventAttachments, handleUploadError } = require('../../middleware/upload');
 const { parseFormDataArrays } = require('../../middleware/parseFormData');
 
 // Apply for job (candidate only)
 router.post('/jobs/:jobId/apply', 
   auth, 
   candidateAuth, 
-  upload.single('resume'),
+  uploadApplicationFiles,
   handleUploadError,
   validateApplication,
   applyForJob
@@ -55,11 +59,12 @@ router.get('/candidate/:id', auth, candidateAuth, getApplicationById);
 // Admin routes
 router.get('/:id', auth, adminAuth, getApplicationById);
 router.put('/:id/status', auth, adminAuth, validateApplicationStatusUpdate, updateApplicationStatus);
+router.get('/:id/transitions', auth, adminAuth, getApplicationTransitions);
 router.post('/:id/note', auth, adminAuth, addNoteToApplication);
 router.put('/:id/note/:noteIndex', auth, adminAuth, updateNoteInApplication);
 router.put('/bulk/status', auth, adminAuth, bulkUpdateApplicationStatus);
 router.get('/admin/stats', auth, adminAuth, getApplicationStats);
-router.get('/admin/analytics', auth, adminAuth, getApplicationAnalytics);
+router.get('/admin/analytics', auth, adminAuth, validateAnalyticsQuery, getApplicationAnalytics);
 
 // Event routes
 router.post('/:applicationId/events', 
@@ -73,6 +78,7 @@ router.post('/:applicationId/events',
 );
 router.get('/:applicationId/events', auth, adminAuth, getApplicationEvents);
 router.get('/:applicationId/events/available-attendees', auth, adminAuth, getAvailableAttendees);
+router.get('/:applicationId/events/suggest-slots', auth, adminAuth, validateSlotSuggestion, suggestEventSlots);
 router.put('/events/:eventId', auth, adminAuth, uploadEventAttachments.array('attachments', 10), handleUploadError, parseFormDataArrays, updateEvent);
 router.delete('/events/:eventId', auth, adminAuth, deleteEvent);
 
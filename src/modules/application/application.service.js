@@ -2,6 +2,15 @@ const Application = require('./application.model');
 const Job = require('../jobs/job.model');
 const cvParsingService = require('../../services/cvParsingService');
 const ApplicationUtils = require('./application.utils');
+const PipelineService = require('../pipelines/pipeline.service');
+const TrackingLinkUtils = require('../tracking/trackingLink.utils');
+const ReferralService = require('../referrals/referral.service');
+const MatchScoringService = require('../../services/matchScoringService');
+const ScreeningScoringService = require('../../services/screeningScoringService');
+const ScreeningAnswerService = require('../../services/screeningAnswerService');
+const JobLifecycleService = require('../../services/jobLifecycleService');
+const { publishNewApplication } = require('../../services/realtime');
+const { addScopedTenantFilter } = require('../../utils/tenantQueryHelper');
 
 /**
  * Application Service
@@ -13,7 +22,7 @@ class ApplicationService {
   /**
    * Apply for a job
    */
-  static async applyForJob(jobId, candidateId, resumePath, resumeFilename, screeningAnswers, source) {
+  static async applyForJob(jobId, candidateId, resumePath, resumeFilename, screeningAnswers, source, attribution = {}) {
     // Validate job
     const job = await ApplicationUtils.validateJobForApplication(jobId);
     
@@ -23,23 +32,53 @@ class ApplicationService {
     // Validate resume
     ApplicationUtils.validateResume(resumePath, resumeFilename);
 
+    // Check the answers against the job's questions (drops answers to hidden questions)
+    const validatedAnswers = ScreeningAnswerService.validateAnswers(job.screeningQuestions, screeningAnswers);
+
     // Parse CV for enhanced data extraction
     const parsedCVData = await ApplicationUtils.parseCandidateResume(resumePath, resumeFilename);
 
+    // New applications start in the first stage of the job's pipeline
+    const initialStatus = await PipelineService.getInitialStageForJob(job);
+
     // Create application
     const application = await Application.create({
       jobId,
+      jobVersion: job.version,
       candidateId,
       resumePath,
       resumeFilename,
       parsedCVData,
-      screeningAnswers: screeningAnswers || [],
-      source
+      screeningAnswers: validatedAnswers,
+      screeningResult: ScreeningScoringService.evaluate(job, validatedAnswers) || undefined,
+      source,
+      attribution,
+      status: initialStatus
     });
 
+    // Score against the job (needs the candidate snapshot the model fills in on create)
+    application.matchScore = MatchScoringService.scoreApplication(job, application);
+    await application.save();
+
     // Increment job application count
     await job.incrementApplications();
 
+    // The cap closes the job right away rather than on the next lifecycle run
+    await JobLifecycleService.closeIfFull(job);
+
+    // Applications through an employee's referral link become referrals
+    await ReferralService.recordLinkReferral(application);
+
+    // Live pipeline boards and dashboards pick up the new application
+    publishNewApplication(application, job.tenantId && String(job.tenantId));
+
+    // Knockout/score failures can move the application and notify the candidate
+    const snapshot = application.candidateSnapshot || {};
+    await ScreeningScoringService.applyOutcome(application, job, {
+      name: [snapshot.firstName, snapshot.lastName].filter(Boolean).join(' '),
+      email: snapshot.email
+    });
+
     return ApplicationUtils.formatApplicationResponse(application);
   }
 
@@ -65,6 +104,7 @@ class ApplicationService {
 
   /**
    * Update application status
+   * The move is validated against the job's pipeline (allowed transitions and stage rules)
    */
   static async updateApplicationStatus(applicationId, status, priority, userId, note) {
     const application = await Application.findById(applicationId);
@@ -73,6 +113,14 @@ class ApplicationService {
       throw new Error('Application not found');
     }
 
+    const job = await Job.findById(application.jobId);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+
+    const pipeline = await PipelineService.resolvePipelineForJob(job);
+    await PipelineService.validateTransition(application, status, note, pipeline);
+
     // Update status using model method
     await application.updateStatus(status, userId, note);
 
@@ -125,6 +173,24 @@ class ApplicationService {
     return updatedApplication;
   }
 
+  /**
+   * Get the stages an application can move to next
+   */
+  static async getApplicationTransitions(applicationId) {
+    const application = await Application.findById(applicationId);
+
+    if (!application) {
+      throw new Error('Application not found');
+    }
+
+    const job = await Job.findById(application.jobId);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+
+    return PipelineService.getAvailableTransitions(application, job);
+  }
+
   /**
    * Get candidate applications with filters
    */
@@ -172,6 +238,26 @@ class ApplicationService {
       throw new Error('Some applications not found');
     }
 
+    // Validate every move before updating anything, so the batch is all-or-nothing
+    const pipelines = {};
+    for (const app of applications) {
+      const jobKey = String(app.jobId);
+
+      if (!pipelines[jobKey]) {
+        const job = await Job.findById(app.jobId);
+        if (!job) {
+          throw new Error('Job not found');
+        }
+        pipelines[jobKey] = await PipelineService.resolvePipelineForJob(job);
+      }
+
+      try {
+        await PipelineService.validateTransition(app, status, note, pipelines[jobKey]);
+      } catch (error) {
+        throw new Error(`Application ${app._id}: ${error.message}`);
+      }
+    }
+
     // Update all applications
     const updatePromises = applications.map(app => 
       app.updateStatus(status, userId, note)
@@ -179,7 +265,7 @@ class ApplicationService {
 
     await Promise.all(updatePromises);
 
-    return applications.length;
+    return applications;
   }
 
   /**
@@ -204,39 +290,113 @@ class ApplicationService {
   }
 
   /**
-   * Get application analytics
+   * Get application analytics: counts per status plus funnel conversion,
+   * time-in-stage, time-to-hire and time-to-first-review
+   * @param {Object} filters - { jobId, department, source, recruiterId, startDate, endDate }
    */
-  static async getApplicationAnalytics(filters = {}) {
-    const { jobId, startDate, endDate } = filters;
+  static async getApplicationAnalytics(filters = {}, req = null) {
+    const { jobId, department, source, recruiterId, startDate, endDate } = filters;
 
-    const filter = {};
-    if (jobId) filter.jobId = jobId;
+    // Job-level filters and the tenant select the jobs first
+    const jobFilter = {};
+    if (jobId) jobFilter._id = jobId;
+    if (department) jobFilter.department = department;
+    // Recruiter = the admin who owns the job
+    if (recruiterId) jobFilter.createdBy = recruiterId;
+
+    const jobs = await Job.find(addScopedTenantFilter(jobFilter, req)).select('_id pipelineId workflow tenantId');
+
+    const filter = { jobId: { $in: jobs.map(job => job._id) } };
+    if (source) filter.source = TrackingLinkUtils.normalizeSource(source);
     if (startDate || endDate) {
       filter.appliedAt = {};
       if (startDate) filter.appliedAt.$gte = new Date(startDate);
       if (endDate) filter.appliedAt.$lte = new Date(endDate);
     }
 
-    const analytics = await Application.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: '$status',
-          count: { $sum: 1 }
+    const [byStatus, applications] = await Promise.all([
+      Application.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: '$status',
+            count: { $sum: 1 }
+          }
         }
-      }
+      ]),
+      // Only the status-change logs are needed
+      Application.aggregate([
+        { $match: filter },
+        {
+          $project: {
+            jobId: 1,
+            status: 1,
+            appliedAt: 1,
+            transitions: {
+              $filter: {
+                input: { $ifNull: ['$logs', []] },
+                as: 'log',
+                cond: { $ne: [{ $ifNull: ['$$log.metadata.newStatus', null] }, null] }
+              }
+            }
+          }
+        },
+        {
+          $project: {
+            jobId: 1,
+            status: 1,
+            appliedAt: 1,
+            'transitions.timestamp': 1,
+            'transitions.metadata.oldStatus': 1,
+            'transitions.metadata.newStatus': 1,
+            'transitions.metadata.pipelineMigration': 1
+          }
+        }
+      ])
     ]);
 
-    const totalApplications = await Application.countDocuments(filter);
-    const newApplications = await Application.countDocuments({
-      ...filter,
-      status: 'New'
-    });
+    const jobsWithApplications = new Set(applications.map(application => String(application.jobId)));
+    const { resolveStage, stageOrder } = await this.getStageLookup(
+      jobs.filter(job => jobsWithApplications.has(String(job._id)))
+    );
 
     return {
-      total: totalApplications,
-      new: newApplications,
-      byStatus: analytics
+      total: byStatus.reduce((sum, entry) => sum + entry.count, 0),
+      new: byStatus.find(entry => entry._id === 'New')?.count || 0,
+      byStatus,
+      ...ApplicationUtils.buildFunnelAnalytics(applications, resolveStage, stageOrder)
+    };
+  }
+
+  /**
+   * Stage type lookup across the pipelines of several jobs
+   * @returns {Object} { resolveStage(jobId, name), stageOrder }
+   */
+  static async getStageLookup(jobs) {
+    const pipelines = new Map();
+    const stagesByJob = new Map();
+    const stageOrder = [];
+
+    for (const job of jobs) {
+      // Jobs on the same pipeline (or the same legacy workflow) share one lookup
+      const key = job.pipelineId
+        ? String(job.pipelineId)
+        : `${job.tenantId || ''}:${(job.workflow || []).join(',')}`;
+
+      if (!pipelines.has(key)) {
+        pipelines.set(key, await PipelineService.resolvePipelineForJob(job));
+      }
+
+      const pipeline = pipelines.get(key);
+      stagesByJob.set(String(job._id), new Map(pipeline.stages.map(stage => [stage.name, stage])));
+      pipeline.stages.forEach(stage => {
+        if (!stageOrder.includes(stage.name)) stageOrder.push(stage.name);
+      });
+    }
+
+    return {
+      resolveStage: (jobId, name) => stagesByJob.get(String(jobId))?.get(name) || null,
+      stageOrder
     };
   }
 }
@@ -1,4 +1,5 @@
 const Job = require('../jobs/job.model');
+const JobUtils = require('../jobs/job.utils');
 const Application = require('./application.model');
 const cvParsingService = require('../../services/cvParsingService');
 
@@ -17,19 +18,8 @@ class ApplicationUtils {
       throw new Error('Job not found');
     }
 
-    if (!job.isPublished || job.status !== 'published') {
-      throw new Error('Job is not available for applications');
-    }
-
-    // Check application deadline
-    if (job.applicationDeadline && new Date() > job.applicationDeadline) {
-      throw new Error('Application deadline has passed');
-    }
-
-    // Check application limit
-    if (job.currentApplications >= job.maxApplications) {
-      throw new Error('Application limit reached for this job');
-    }
+    // Closed, scheduled, past its deadline or full
+    JobUtils.assertAcceptingApplications(job);
 
     return job;
   }
@@ -176,6 +166,189 @@ class ApplicationUtils {
     
     return screeningAnswers;
   }
+
+  // ============ Funnel Analytics ============
+
+  /**
+   * Median of a list of numbers (null when empty)
+   */
+  static median(values) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  static toHours(ms) {
+    return ms === null ? null : Math.round((ms / (60 * 60 * 1000)) * 10) / 10;
+  }
+
+  static toRate(count, total) {
+    return total > 0 ? Math.round((count / total) * 1000) / 1000 : null;
+  }
+
+  /**
+   * Summarize durations (ms) as median/average hours
+   */
+  static summarizeDurations(durations) {
+    const average = durations.length > 0
+      ? durations.reduce((sum, value) => sum + value, 0) / durations.length
+      : null;
+
+    return {
+      count: durations.length,
+      medianHours: this.toHours(this.median(durations)),
+      averageHours: this.toHours(average)
+    };
+  }
+
+  /**
+   * Rebuild the stages an application went through from its status-change logs
+   * (metadata.oldStatus/newStatus). The first stage starts at appliedAt.
+   * Pipeline migrations rename the open visit instead of ending it.
+   * @returns {Array} [{ stage, enteredAt, exitedAt, to }]
+   */
+  static getStageVisits(application) {
+    const transitions = (application.transitions || application.logs || [])
+      .filter(log => log.metadata && log.metadata.newStatus)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const firstStage = transitions.length > 0
+      ? transitions[0].metadata.oldStatus || application.status
+      : application.status;
+    const visits = [{ stage: firstStage, enteredAt: new Date(application.appliedAt), exitedAt: null, to: null }];
+
+    for (const log of transitions) {
+      const current = visits[visits.length - 1];
+      const { newStatus, pipelineMigration } = log.metadata;
+
+      if (pipelineMigration) {
+        current.stage = newStatus;
+        continue;
+      }
+      if (newStatus === current.stage) continue;
+
+      const at = new Date(log.timestamp);
+      current.exitedAt = at;
+      current.to = newStatus;
+      visits.push({ stage: newStatus, enteredAt: at, exitedAt: null, to: null });
+    }
+
+    return visits;
+  }
+
+  /**
+   * Whether an application reached an interview (or later) stage and whether it was hired
+   * @param {Function} resolveStage - (jobId, stageName) => pipeline stage or null
+   * @returns {Object} { interviewed, hired }
+   */
+  static getOutcome(application, resolveStage) {
+    const stages = this.getStageVisits(application)
+      .map(visit => resolveStage(application.jobId, visit.stage))
+      .filter(Boolean);
+
+    const hired = stages.some(stage => stage.outcome === 'hired');
+    return {
+      interviewed: hired || stages.some(stage => ['interview', 'offer'].includes(stage.type)),
+      hired
+    };
+  }
+
+  /**
+   * Stage conversion, drop-off and timing metrics
+   * @param {Array} applications - { jobId, status, appliedAt, transitions }
+   * @param {Function} resolveStage - (jobId, stageName) => pipeline stage ({ type, outcome }) or null
+   * @param {Array} stageOrder - Stage names in pipeline order
+   */
+  static buildFunnelAnalytics(applications, resolveStage, stageOrder = []) {
+    const stages = new Map();
+    const transitionCounts = new Map();
+    const timeToHire = [];
+    const timeToFirstReview = [];
+
+    const statsFor = (name) => {
+      if (!stages.has(name)) {
+        stages.set(name, { entered: 0, advanced: 0, dropped: 0, current: 0, durations: [] });
+      }
+      return stages.get(name);
+    };
+
+    for (const application of applications) {
+      const visits = this.getStageVisits(application);
+      const appliedAt = new Date(application.appliedAt).getTime();
+      // Per application, so moving back and forth doesn't inflate the rates
+      const entered = new Set();
+      const advanced = new Set();
+      const dropped = new Set();
+
+      visits.forEach((visit, index) => {
+        const stats = statsFor(visit.stage);
+        entered.add(visit.stage);
+
+        if (!visit.exitedAt) {
+          stats.current++;
+          return;
+        }
+
+        stats.durations.push(visit.exitedAt - visit.enteredAt);
+
+        // Leaving for a rejected/withdrawn stage is a drop-off; anything else counts as moving on
+        const target = resolveStage(application.jobId, visit.to);
+        if (target && target.type === 'terminal' && target.outcome !== 'hired') {
+          dropped.add(visit.stage);
+        } else {
+          advanced.add(visit.stage);
+        }
+
+        const key = `${visit.stage}\u0000${visit.to}`;
+        transitionCounts.set(key, (transitionCounts.get(key) || 0) + 1);
+
+        if (index === 0) {
+          timeToFirstReview.push(visit.exitedAt - appliedAt);
+        }
+      });
+
+      entered.forEach(name => statsFor(name).entered++);
+      advanced.forEach(name => statsFor(name).advanced++);
+      dropped.forEach(name => statsFor(name).dropped++);
+
+      const hired = visits.find((visit, index) => index > 0 && resolveStage(application.jobId, visit.stage)?.outcome === 'hired');
+      if (hired) {
+        timeToHire.push(hired.enteredAt - appliedAt);
+      }
+    }
+
+    // Pipeline order first, then stages that are no longer in any pipeline
+    const names = [
+      ...stageOrder.filter(name => stages.has(name)),
+      ...[...stages.keys()].filter(name => !stageOrder.includes(name))
+    ];
+
+    return {
+      funnel: names.map(name => {
+        const stats = stages.get(name);
+        return {
+          stage: name,
+          entered: stats.entered,
+          advanced: stats.advanced,
+          dropped: stats.dropped,
+          current: stats.current,
+          conversionRate: this.toRate(stats.advanced, stats.entered),
+          dropOffRate: this.toRate(stats.dropped, stats.entered),
+          medianTimeInStageHours: this.toHours(this.median(stats.durations))
+        };
+      }),
+      transitions: [...transitionCounts.entries()]
+        .map(([key, count]) => {
+          const [from, to] = key.split('\u0000');
+          return { from, to, count };
+        })
+        .sort((a, b) => b.count - a.count),
+      timeToHire: this.summarizeDurations(timeToHire),
+      timeToFirstReview: this.summarizeDurations(timeToFirstReview)
+    };
+  }
 }
 
 module.exports = ApplicationUtils;
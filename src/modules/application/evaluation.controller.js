@@ -1,6 +1,7 @@
 const { validationResult } = require('express-validator');
 const Evaluation = require('./evaluation.model');
 const Application = require('./application.model');
+const { publishApplicationUpdate } = require('../../services/realtime');
 
 /**
  * Evaluation Controller
@@ -86,6 +87,15 @@ const createEvaluation = async (req, res) => {
     });
     await application.save();
 
+    publishApplicationUpdate(application, 'application:evaluation', {
+      action: 'created',
+      evaluationId: String(evaluation._id),
+      evaluatorId: String(req.user._id),
+      overallRating,
+      recommendation,
+      isFinal
+    });
+
     res.status(201).json({
       success: true,
       message: 'Evaluation added successfully',
@@ -239,6 +249,15 @@ const updateEvaluation = async (req, res) => {
         }
       });
       await application.save();
+
+      publishApplicationUpdate(application, 'application:evaluation', {
+        action: 'updated',
+        evaluationId: String(updatedEvaluation._id),
+        evaluatorId: String(req.user._id),
+        overallRating: updatedEvaluation.overallRating,
+        recommendation: updatedEvaluation.recommendation,
+        isFinal: updatedEvaluation.isFinal
+      });
     }
 
     res.json({
@@ -293,6 +312,11 @@ const deleteEvaluation = async (req, res) => {
         }
       });
       await application.save();
+
+      publishApplicationUpdate(application, 'application:evaluation', {
+        action: 'deleted',
+        evaluationId: String(evaluation._id)
+      });
     }
 
     res.json({
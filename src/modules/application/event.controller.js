@@ -7,6 +7,9 @@ const Candidate = authModels.Candidate;
 const { upload, handleUploadError } = require('../../middleware/upload');
 const EventEmailService = require('../../services/eventEmailService');
 const EventLoggingService = require('../../services/eventLoggingService');
+const CalendarSyncService = require('../../services/calendarSyncService');
+const AvailabilityService = require('../availability/availability.service');
+const { publishApplicationUpdate } = require('../../services/realtime');
 
 // Validate that models are loaded at module level
 if (!Admin) {
@@ -24,6 +27,26 @@ if (!Application) {
  * Handles HTTP requests for event management
  */
 
+// Push an event change to live boards (attendees are left out because of privacy settings)
+const publishEventChange = async (event, action, application = null) => {
+  try {
+    const target = application || await Application.findById(event.applicationId).select('jobId');
+    if (!target) return;
+
+    publishApplicationUpdate(target, 'application:event', {
+      action,
+      eventId: String(event._id),
+      title: event.title,
+      date: event.date,
+      startTime: event.startTime,
+      endTime: event.endTime,
+      status: event.status
+    });
+  } catch (err) {
+    console.error('Failed to publish event change:', err);
+  }
+};
+
 // Create a new event
 const createEvent = async (req, res) => {
   const errors = validationResult(req);
@@ -216,6 +239,12 @@ const createEvent = async (req, res) => {
       req.user._id
     ).catch(err => console.error('Failed to log event creation:', err));
 
+    publishEventChange(event, 'created', application);
+
+    // Mirror to the external calendar (non-blocking)
+    CalendarSyncService.syncEventCreated(event)
+      .catch(err => console.error('Failed to sync event to calendar:', err));
+
     // Get job and send email notifications (non-blocking)
     const Job = require('../jobs/job.model');
     if (Job && typeof Job.findById === 'function') {
@@ -321,6 +350,12 @@ const updateEvent = async (req, res) => {
     const { eventId } = req.params;
     const updateData = req.body;
 
+    // Sync state is owned by CalendarSyncService, reminder state by ReminderService
+    delete updateData.calendarSync;
+    delete updateData.googleCalendarEventId;
+    delete updateData.reminderSent;
+    delete updateData.remindersSent;
+
     const event = await Event.findById(eventId);
     if (!event) {
       return res.status(404).json({
@@ -339,6 +374,16 @@ const updateEvent = async (req, res) => {
       updateData.attachments = [...event.attachments, ...newAttachments];
     }
 
+    // Moving the event re-arms its reminders
+    const dateChanged = updateData.date !== undefined &&
+      new Date(updateData.date).getTime() !== event.date.getTime();
+    const timeChanged = (updateData.startTime !== undefined && updateData.startTime !== event.startTime) ||
+      (updateData.endTime !== undefined && updateData.endTime !== event.endTime);
+    if (dateChanged || timeChanged) {
+      updateData.reminderSent = false;
+      updateData.remindersSent = [];
+    }
+
     const updatedEvent = await Event.findByIdAndUpdate(
       eventId,
       updateData,
@@ -354,6 +399,12 @@ const updateEvent = async (req, res) => {
       req.user._id
     );
 
+    await publishEventChange(updatedEvent, 'updated');
+
+    // Mirror to the external calendar (non-blocking)
+    CalendarSyncService.syncEventUpdated(updatedEvent)
+      .catch(err => console.error('Failed to sync event update to calendar:', err));
+
     res.json({
       success: true,
       message: 'Event updated successfully',
@@ -391,6 +442,12 @@ const deleteEvent = async (req, res) => {
       req.user._id
     );
 
+    await publishEventChange(event, 'deleted');
+
+    // Cancel the external calendar copies (non-blocking)
+    CalendarSyncService.syncEventDeleted(event)
+      .catch(err => console.error('Failed to cancel calendar event:', err));
+
     res.json({
       success: true,
       message: 'Event deleted successfully'
@@ -490,48 +547,42 @@ const getAvailableAttendees = async (req, res) => {
   }
 };
 
-// Helper function to create Google Calendar event with privacy
-const createGoogleCalendarEvent = async (event, application) => {
-  // This function will be implemented when Google Calendar integration is added
-  // For now, it's a placeholder that respects privacy settings
-  
+// Suggest slots when every selected attendee is free
+const suggestEventSlots = async (req, res) => {
   try {
-    // When implementing Google Calendar:
-    // 1. If privacyEnabled is true, create separate calendar events for each attendee
-    // 2. Each attendee only sees themselves as an attendee
-    // 3. The organizer (event creator) sees all attendees
-    
-    if (event.privacyEnabled) {
-      // For privacy-enabled events, create individual events for each attendee
-      const calendarEvents = [];
-      
-      for (const attendee of event.attendees) {
-        // Create event with only this attendee visible
-        // Store event ID in a mapping structure
-        calendarEvents.push({
-          attendeeId: attendee.userId.toString(),
-          calendarEventId: null, // Will be set when Google Calendar API is integrated
-          attendees: [attendee] // Only this attendee visible
-        });
-      }
-      
-      // Store the mapping in event metadata or separate collection
-      return {
-        success: true,
-        calendarEvents,
-        privacyEnabled: true
-      };
-    } else {
-      // For non-private events, create one event with all attendees
-      return {
-        success: true,
-        calendarEventId: null, // Will be set when Google Calendar API is integrated
-        attendees: event.attendees
-      };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
+
+    const { attendeeIds, startDate, endDate, timezone, duration, step, limit } = req.query;
+    const suggestion = await AvailabilityService.suggestSlots(req.params.applicationId, {
+      attendeeIds,
+      startDate,
+      endDate,
+      timezone,
+      duration,
+      step,
+      limit
+    }, req);
+
+    res.json({
+      success: true,
+      ...suggestion
+    });
   } catch (error) {
-    console.error('Error creating Google Calendar event:', error);
-    throw error;
+    console.error('Error suggesting event slots:', error);
+    const statusCode = error.message.includes('not found') ? 404 :
+                      error.message.includes('Forbidden') ? 403 :
+                      error.message.includes('Invalid') ? 400 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
   }
 };
 
@@ -541,6 +592,6 @@ module.exports = {
   updateEvent,
   deleteEvent,
   getAvailableAttendees,
-  filterAttendeesForViewer,
-  createGoogleCalendarEvent
+  suggestEventSlots,
+  filterAttendeesForViewer
 };
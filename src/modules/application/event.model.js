@@ -65,6 +65,36 @@ const eventSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // External calendar copies (see services/calendarSyncService).
+  // With privacy enabled there is one organizer copy plus one copy per attendee.
+  calendarSync: {
+    provider: {
+      type: String,
+      enum: ['google', 'caldav']
+    },
+    status: {
+      type: String,
+      enum: ['synced', 'failed', 'cancelled']
+    },
+    sequence: {
+      type: Number,
+      default: 0
+    },
+    entries: [{
+      // 'organizer', 'shared' or the attendee's email
+      key: {
+        type: String,
+        required: true
+      },
+      externalId: {
+        type: String,
+        required: true
+      },
+      _id: false
+    }],
+    lastSyncedAt: Date,
+    lastError: String
+  },
   // Email sending options
   sendEventDetails: {
     type: Boolean,
@@ -126,10 +156,23 @@ const eventSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // True once every configured reminder has been sent (see services/reminderService)
   reminderSent: {
     type: Boolean,
     default: false
-  }
+  },
+  // Reminder offsets (minutes before start) already claimed by a server instance
+  remindersSent: [{
+    offset: {
+      type: Number,
+      required: true
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }]
 }, {
   timestamps: true
 });
@@ -141,6 +184,7 @@ eventSchema.index({ createdBy: 1 });
 eventSchema.index({ status: 1 });
 eventSchema.index({ 'attendees.userId': 1 });
 eventSchema.index({ googleCalendarEventId: 1 });
+eventSchema.index({ reminderSent: 1, status: 1, date: 1 });
 
 // Virtual for formatted date and time
 eventSchema.virtual('formattedDateTime').get(function() {
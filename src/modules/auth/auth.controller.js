@@ -1,5 +1,6 @@
 const { validationResult } = require('express-validator');
 const AuthService = require('./auth.service');
+const AuthUtils = require('./auth.utils');
 
 /**
  * Auth Controller
@@ -20,7 +21,7 @@ const adminSignup = async (req, res) => {
     }
 
     // Call service
-    const result = await AuthService.registerAdmin(req.body);
+    const result = await AuthService.registerAdmin(req.body, AuthUtils.getClientInfo(req));
 
     res.status(201).json({
       success: true,
@@ -52,7 +53,7 @@ const adminLogin = async (req, res) => {
     const { email, password } = req.body;
 
     // Call service
-    const result = await AuthService.loginAdmin(email, password);
+    const result = await AuthService.loginAdmin(email, password, AuthUtils.getClientInfo(req));
 
     res.json({
       success: true,
@@ -82,7 +83,7 @@ const candidateSignup = async (req, res) => {
     }
 
     // Call service
-    const result = await AuthService.registerCandidate(req.body);
+    const result = await AuthService.registerCandidate(req.body, AuthUtils.getClientInfo(req));
 
     res.status(201).json({
       success: true,
@@ -114,7 +115,7 @@ const candidateLogin = async (req, res) => {
     const { email, password } = req.body;
 
     // Call service
-    const result = await AuthService.loginCandidate(email, password);
+    const result = await AuthService.loginCandidate(email, password, AuthUtils.getClientInfo(req));
 
     res.json({
       success: true,
@@ -136,7 +137,7 @@ const refreshToken = async (req, res) => {
     const { refreshToken } = req.body;
 
     // Call service
-    const result = await AuthService.refreshAccessToken(refreshToken);
+    const result = await AuthService.refreshAccessToken(refreshToken, AuthUtils.getClientInfo(req));
 
     res.json({
       success: true,
@@ -145,9 +146,12 @@ const refreshToken = async (req, res) => {
     });
   } catch (error) {
     const statusCode = error.message === 'Refresh token is required' ? 400 : 401;
+    const message = error.name === 'JsonWebTokenError' ? 'Invalid refresh token' :
+                    error.name === 'TokenExpiredError' ? 'Refresh token expired' :
+                    error.message || 'Invalid refresh token';
     res.status(statusCode).json({
       success: false,
-      message: error.message || 'Invalid refresh token'
+      message
     });
   }
 };
@@ -169,9 +173,11 @@ const getCurrentUser = async (req, res) => {
   }
 };
 
-// Logout (client-side token removal)
+// Logout (revokes the current session)
 const logout = async (req, res) => {
   try {
+    await AuthService.logout(req.sessionId);
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -184,6 +190,59 @@ const logout = async (req, res) => {
   }
 };
 
+// Logout of all devices
+const logoutAllDevices = async (req, res) => {
+  try {
+    const count = await AuthService.logoutAllDevices(req.user._id, req.userType);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      revokedSessions: count
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Get active sessions (signed-in devices)
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await AuthService.getSessions(req.user._id, req.userType, req.sessionId);
+
+    res.json({
+      success: true,
+      sessions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Revoke a single session
+const revokeSession = async (req, res) => {
+  try {
+    await AuthService.revokeSession(req.user._id, req.userType, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Session not found' ? 404 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
 // Change password
 const changePassword = async (req, res) => {
   try {
@@ -191,7 +250,7 @@ const changePassword = async (req, res) => {
     const user = req.user;
 
     // Call service
-    await AuthService.changePassword(user, currentPassword, newPassword);
+    await AuthService.changePassword(user, currentPassword, newPassword, req.userType, req.sessionId);
 
     res.json({
       success: true,
@@ -264,6 +323,9 @@ module.exports = {
   refreshToken,
   getCurrentUser,
   logout,
+  logoutAllDevices,
+  getSessions,
+  revokeSession,
   changePassword,
   getAllAdmins,
   forgotPassword,
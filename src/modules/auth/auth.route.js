@@ -8,6 +8,9 @@ const {
   refreshToken,
   getCurrentUser,
   logout,
+  logoutAllDevices,
+  getSessions,
+  revokeSession,
   changePassword,
   getAllAdmins,
   forgotPassword,
@@ -39,6 +42,11 @@ router.post('/refresh', refreshToken);
 
 // Logout
 router.post('/logout', auth, logout);
+router.post('/logout-all', auth, logoutAllDevices);
+
+// Sessions (signed-in devices)
+router.get('/sessions', auth, getSessions);
+router.delete('/sessions/:id', auth, revokeSession);
 
 // Change password
 router.put('/change-password', auth, changePassword);
@@ -2,8 +2,8 @@ require('dotenv').config();
 
 const Admin = require('./auth.model').Admin;
 const Candidate = require('./auth.model').Candidate;
-const JWTService = require('../../services/jwtService');
 const AuthUtils = require('./auth.utils');
+const SessionService = require('./session.service');
 const EmailService = require('../../services/emailService');
 const crypto = require('crypto');
 const config = require('../../config');
@@ -18,7 +18,7 @@ class AuthService {
   /**
    * Register a new admin user
    */
-  static async registerAdmin(userData) {
+  static async registerAdmin(userData, clientInfo = {}) {
     const { name, email, password, role } = userData;
 
     // Validate email format
@@ -39,13 +39,13 @@ class AuthService {
       role: role || 'recruiter'
     });
 
-    // Generate tokens with role and tenantId
-    const tokenPair = AuthUtils.generateTokens(
-      admin._id, 
-      'admin',
-      admin.role || 'recruiter',
-      admin.tenantId ? admin.tenantId.toString() : null
-    );
+    // Start a session for this device and issue tokens with role and tenantId
+    const tokenPair = await SessionService.createSession({
+      userId: admin._id,
+      userType: 'admin',
+      role: admin.role || 'recruiter',
+      tenantId: admin.tenantId ? (admin.tenantId._id || admin.tenantId).toString() : null
+    }, clientInfo);
 
     return {
       admin: AuthUtils.formatAdminResponse(admin),
@@ -56,7 +56,7 @@ class AuthService {
   /**
    * Login admin user
    */
-  static async loginAdmin(email, password) {
+  static async loginAdmin(email, password, clientInfo = {}) {
     // Find admin and include password, populate tenant to get subdomain
     const admin = await Admin.findOne({ email })
       .select('+password')
@@ -75,13 +75,13 @@ class AuthService {
     // Update last login
     await admin.updateLastLogin();
 
-    // Generate tokens with role and tenantId
-    const tokenPair = AuthUtils.generateTokens(
-      admin._id, 
-      'admin',
-      admin.role || 'recruiter',
-      admin.tenantId ? admin.tenantId.toString() : null
-    );
+    // Start a session for this device and issue tokens with role and tenantId
+    const tokenPair = await SessionService.createSession({
+      userId: admin._id,
+      userType: 'admin',
+      role: admin.role || 'recruiter',
+      tenantId: admin.tenantId ? (admin.tenantId._id || admin.tenantId).toString() : null
+    }, clientInfo);
 
     // Format admin response with tenant subdomain
     const adminResponse = AuthUtils.formatAdminResponse(admin);
@@ -106,7 +106,7 @@ class AuthService {
   /**
    * Register a new candidate user
    */
-  static async registerCandidate(userData) {
+  static async registerCandidate(userData, clientInfo = {}) {
     const { firstName, lastName, email, password, phone, totalExperience, linkedinUrl } = userData;
 
     // Validate inputs
@@ -135,12 +135,12 @@ class AuthService {
     // Generate tokens with role and tenantId
     // Candidates can have role 'candidate' or 'employee'
     const candidateRole = candidate.role || 'candidate';
-    const tokenPair = AuthUtils.generateTokens(
-      candidate._id, 
-      'candidate',
-      candidateRole,
-      candidate.tenantId ? candidate.tenantId.toString() : null
-    );
+    const tokenPair = await SessionService.createSession({
+      userId: candidate._id,
+      userType: 'candidate',
+      role: candidateRole,
+      tenantId: candidate.tenantId ? candidate.tenantId.toString() : null
+    }, clientInfo);
 
     return {
       candidate: AuthUtils.formatCandidateResponse(candidate),
@@ -151,7 +151,7 @@ class AuthService {
   /**
    * Login candidate user
    */
-  static async loginCandidate(email, password) {
+  static async loginCandidate(email, password, clientInfo = {}) {
     // Find candidate and include password
     const candidate = await Candidate.findOne({ email }).select('+password');
     if (!candidate) {
@@ -170,12 +170,12 @@ class AuthService {
     // Generate tokens with role and tenantId
     // Candidates can have role 'candidate' or 'employee'
     const candidateRole = candidate.role || 'candidate';
-    const tokenPair = AuthUtils.generateTokens(
-      candidate._id, 
-      'candidate',
-      candidateRole,
-      candidate.tenantId ? candidate.tenantId.toString() : null
-    );
+    const tokenPair = await SessionService.createSession({
+      userId: candidate._id,
+      userType: 'candidate',
+      role: candidateRole,
+      tenantId: candidate.tenantId ? candidate.tenantId.toString() : null
+    }, clientInfo);
 
     return {
       candidate: AuthUtils.formatCandidateResponse(candidate),
@@ -186,26 +186,47 @@ class AuthService {
   // ============ Token Operations ============
 
   /**
-   * Refresh access token using refresh token
+   * Refresh access token using refresh token.
+   * Rotates the refresh token; the old one stops working immediately.
    */
-  static async refreshAccessToken(refreshToken) {
+  static async refreshAccessToken(refreshToken, clientInfo = {}) {
     if (!refreshToken) {
       throw new Error('Refresh token is required');
     }
 
-    const decoded = JWTService.verifyRefreshToken(refreshToken);
-    
-    if (decoded.type !== 'refresh') {
-      throw new Error('Invalid refresh token');
+    return SessionService.rotateSession(refreshToken, clientInfo);
+  }
+
+  /**
+   * Log out the current device
+   */
+  static async logout(sessionId) {
+    if (!sessionId) {
+      return false;
     }
 
-    // Generate new token pair, preserving role and tenantId from refresh token
-    return AuthUtils.generateTokens(
-      decoded.userId, 
-      decoded.userType,
-      decoded.role || null,
-      decoded.tenantId || null
-    );
+    return SessionService.revokeSession(sessionId, 'logout');
+  }
+
+  /**
+   * Log out of all devices
+   */
+  static async logoutAllDevices(userId, userType) {
+    return SessionService.revokeAllSessions(userId, userType, 'logout_all');
+  }
+
+  /**
+   * List the user's signed-in devices
+   */
+  static async getSessions(userId, userType, currentSessionId) {
+    return SessionService.getActiveSessions(userId, userType, currentSessionId);
+  }
+
+  /**
+   * Sign out one of the user's devices
+   */
+  static async revokeSession(userId, userType, sessionId) {
+    return SessionService.revokeUserSession(userId, userType, sessionId);
   }
 
   // ============ Password Operations ============
@@ -213,7 +234,7 @@ class AuthService {
   /**
    * Change user password
    */
-  static async changePassword(user, currentPassword, newPassword) {
+  static async changePassword(user, currentPassword, newPassword, userType = null, currentSessionId = null) {
     // Verify current password
     const isMatch = await user.comparePassword(currentPassword);
     if (!isMatch) {
@@ -227,6 +248,11 @@ class AuthService {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    if (userType) {
+      await SessionService.revokeAllSessions(user._id, userType, 'password_change', currentSessionId);
+    }
+
     return true;
   }
 
@@ -256,11 +282,10 @@ class AuthService {
     const resetUrl = `${frontendUrl}/auth/reset-password?token=${resetToken}`;
 
     const subject = 'Password Reset Request';
-    const companyName = process.env.COMPANY_NAME;
     const html = `
       <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; max-width: 600px; margin: 0 auto; background-color: #ffffff;">
         <!-- Header -->
-        <div style="background: linear-gradient(135deg, #3B82F6 0%, #2563EB 100%); padding: 40px 20px; text-align: center; border-radius: 8px 8px 0 0;">
+        <div style="background-color: {{primaryColor}}; padding: 40px 20px; text-align: center; border-radius: 8px 8px 0 0;">
           <div style="background-color: rgba(255, 255, 255, 0.2); width: 64px; height: 64px; border-radius: 50%; margin: 0 auto 20px; display: table-cell; vertical-align: middle; text-align: center; line-height: 64px; font-size: 32px;">
             🔒
           </div>
@@ -276,13 +301,13 @@ class AuthService {
             </p>
             
             <p style="color: #4b5563; font-size: 16px; line-height: 1.7; margin: 0 0 24px 0;">
-              We received a request to reset the password for your ${companyName} account. If you made this request, click the button below to create a new password.
+              We received a request to reset the password for your {{companyName}} account. If you made this request, click the button below to create a new password.
             </p>
 
             <!-- Primary CTA Button -->
             <div style="text-align: center; margin: 32px 0;">
               <a href="${resetUrl}" 
-                 style="display: inline-block; background: linear-gradient(135deg, #3B82F6 0%, #2563EB 100%); color: #ffffff; padding: 16px 32px; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 16px; box-shadow: 0 4px 6px rgba(59, 130, 246, 0.3); transition: all 0.2s;">
+                 style="display: inline-block; background-color: {{primaryColor}}; color: #ffffff; padding: 16px 32px; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 16px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.15); transition: all 0.2s;">
                 Reset Password
               </a>
             </div>
@@ -292,7 +317,7 @@ class AuthService {
               <p style="color: #6b7280; font-size: 14px; margin: 0 0 12px 0; font-weight: 500;">
                 Button not working? Copy and paste this URL into your browser:
               </p>
-              <p style="color: #3B82F6; font-size: 13px; word-break: break-all; margin: 0; font-family: 'Courier New', monospace; background-color: #ffffff; padding: 12px; border-radius: 4px; border: 1px solid #e5e7eb;">
+              <p style="color: {{primaryColor}}; font-size: 13px; word-break: break-all; margin: 0; font-family: 'Courier New', monospace; background-color: #ffffff; padding: 12px; border-radius: 4px; border: 1px solid #e5e7eb;">
                 ${resetUrl}
               </p>
             </div>
@@ -320,15 +345,15 @@ class AuthService {
             <p style="color: #6b7280; font-size: 14px; margin: 0 0 8px 0;">
               Need help? Contact our support team
             </p>
-            <p style="color: #3B82F6; font-size: 14px; margin: 0;">
-              <a href="${frontendUrl}/support" style="color: #3B82F6; text-decoration: none; font-weight: 500;">Get Support →</a>
+            <p style="color: {{primaryColor}}; font-size: 14px; margin: 0;">
+              <a href="${frontendUrl}/support" style="color: {{primaryColor}}; text-decoration: none; font-weight: 500;">Get Support →</a>
             </p>
           </div>
         </div>
       </div>
     `;
 
-    await EmailService.sendEmail(user.email, subject, html);
+    await EmailService.sendEmail(user.email, subject, html, null, { tenantId: user.tenantId, category: 'password_reset' });
     return { success: true, userType };
   }
 
@@ -344,12 +369,14 @@ class AuthService {
     const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
 
     // Look up in Admin first then Candidate
+    let userType = 'admin';
     let user = await Admin.findOne({
       passwordResetToken: hashedToken,
       passwordResetExpires: { $gt: new Date() }
     }).select('+password');
 
     if (!user) {
+      userType = 'candidate';
       user = await Candidate.findOne({
         passwordResetToken: hashedToken,
         passwordResetExpires: { $gt: new Date() }
@@ -364,6 +391,9 @@ class AuthService {
     user.clearPasswordReset();
     await user.save();
 
+    // Existing sessions may belong to whoever caused the reset
+    await SessionService.revokeAllSessions(user._id, userType, 'password_change');
+
     return { success: true };
   }
 
@@ -48,6 +48,16 @@ class AuthUtils {
     return JWTService.generateTokenPair(userId, userType, role, tenantId);
   }
 
+  /**
+   * Extract device details stored with a session
+   */
+  static getClientInfo(req) {
+    return {
+      userAgent: (req.get('user-agent') || '').substring(0, 500) || undefined,
+      ipAddress: req.ip
+    };
+  }
+
   /**
    * Format admin response data
    */
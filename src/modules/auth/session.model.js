@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema
+ * One record per signed-in device. The session is the refresh-token family:
+ * every rotation replaces currentTokenId, and presenting an older token
+ * revokes the whole session.
+ */
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'userModel'
+  },
+  userType: {
+    type: String,
+    enum: ['admin', 'candidate'],
+    required: true
+  },
+  userModel: {
+    type: String,
+    enum: ['Admin', 'Candidate'],
+    required: true
+  },
+  role: {
+    type: String
+  },
+  // Multi-tenant support
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: false
+  },
+  // jti of the only refresh token currently valid for this session
+  currentTokenId: {
+    type: String,
+    required: true
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'reuse_detected', 'password_change']
+  }
+}, {
+  timestamps: true
+});
+
+// Methods
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.index({ userId: 1, userType: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.Session || mongoose.model('Session', sessionSchema);
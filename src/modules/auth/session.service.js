@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('./session.model');
+const JWTService = require('../../services/jwtService');
+const { logger } = require('../../config/database');
+
+/**
+ * Session Service
+ * Server-side sessions backing refresh-token rotation and logout
+ */
+class SessionService {
+  /**
+   * Create a session for a new sign-in and issue its first token pair
+   * @param {Object} user - { userId, userType, role, tenantId }
+   * @param {Object} clientInfo - { userAgent, ipAddress }
+   */
+  static async createSession(user, clientInfo = {}) {
+    const { userId, userType, role = null, tenantId = null } = user;
+    const sessionId = new mongoose.Types.ObjectId();
+    const tokenId = crypto.randomUUID();
+
+    const tokenPair = JWTService.generateTokenPair(
+      userId,
+      userType,
+      role,
+      tenantId,
+      { sessionId: sessionId.toString(), tokenId }
+    );
+
+    await Session.create({
+      _id: sessionId,
+      userId,
+      userType,
+      userModel: userType === 'admin' ? 'Admin' : 'Candidate',
+      role,
+      tenantId: tenantId || undefined,
+      currentTokenId: tokenId,
+      userAgent: clientInfo.userAgent,
+      ipAddress: clientInfo.ipAddress,
+      expiresAt: this.getTokenExpiry(tokenPair.refreshToken)
+    });
+
+    return {
+      ...tokenPair,
+      sessionId: sessionId.toString()
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair.
+   * The presented token must be the session's current one; presenting an
+   * already-rotated token means it leaked, so the whole session is revoked.
+   */
+  static async rotateSession(refreshToken, clientInfo = {}) {
+    const decoded = JWTService.verifyRefreshToken(refreshToken);
+
+    if (decoded.type !== 'refresh' || !decoded.sid || !decoded.jti) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const newTokenId = crypto.randomUUID();
+    const tokenPair = JWTService.generateTokenPair(
+      decoded.userId,
+      decoded.userType,
+      decoded.role || null,
+      decoded.tenantId || null,
+      { sessionId: decoded.sid, tokenId: newTokenId }
+    );
+
+    // Atomic compare-and-swap so two requests cannot both rotate the same token
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: decoded.sid,
+        currentTokenId: decoded.jti,
+        revokedAt: null
+      },
+      {
+        $set: {
+          currentTokenId: newTokenId,
+          lastUsedAt: new Date(),
+          expiresAt: this.getTokenExpiry(tokenPair.refreshToken),
+          ...(clientInfo.userAgent && { userAgent: clientInfo.userAgent }),
+          ...(clientInfo.ipAddress && { ipAddress: clientInfo.ipAddress })
+        },
+        $inc: { rotationCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (session) {
+      return {
+        ...tokenPair,
+        sessionId: decoded.sid
+      };
+    }
+
+    const existing = await Session.findById(decoded.sid);
+
+    if (!existing) {
+      throw new Error('Session not found');
+    }
+
+    if (existing.revokedAt) {
+      throw new Error('Session has been revoked');
+    }
+
+    logger.warn(`Refresh token reuse detected for session ${existing._id} (user ${existing.userId})`);
+    await this.revokeSession(existing._id, 'reuse_detected');
+
+    throw new Error('Refresh token reuse detected, session revoked');
+  }
+
+  /**
+   * Revoke a single session
+   */
+  static async revokeSession(sessionId, reason = 'logout') {
+    const result = await Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    this.disconnectSessions([sessionId]);
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke one of a user's sessions (e.g. sign out a lost device)
+   */
+  static async revokeUserSession(userId, userType, sessionId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      throw new Error('Session not found');
+    }
+
+    const session = await Session.findOne({ _id: sessionId, userId, userType, revokedAt: null });
+
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    await this.revokeSession(session._id, 'revoked');
+
+    return true;
+  }
+
+  /**
+   * Revoke all of a user's sessions
+   * @param {string} exceptSessionId - Optional session to keep (the caller's own)
+   * @returns {Number} number of sessions revoked
+   */
+  static async revokeAllSessions(userId, userType, reason = 'logout_all', exceptSessionId = null) {
+    const filter = { userId, userType, revokedAt: null };
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+
+    const sessions = await Session.find(filter).select('_id');
+    const sessionIds = sessions.map(session => session._id);
+
+    if (sessionIds.length === 0) return 0;
+
+    await Session.updateMany(
+      { _id: { $in: sessionIds } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    this.disconnectSessions(sessionIds);
+
+    return sessionIds.length;
+  }
+
+  /**
+   * List a user's active sessions
+   */
+  static async getActiveSessions(userId, userType, currentSessionId = null) {
+    const sessions = await Session.find({
+      userId,
+      userType,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    return sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent || null,
+      ipAddress: session.ipAddress || null,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+    }));
+  }
+
+  /**
+   * Check whether a session is still usable
+   */
+  static async isSessionActive(sessionId) {
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return false;
+    }
+
+    const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+    return !!session && session.isActive();
+  }
+
+  /**
+   * Drop realtime connections that belong to revoked sessions
+   */
+  static disconnectSessions(sessionIds) {
+    try {
+      const { disconnectSession } = require('../../services/realtime');
+      sessionIds.forEach(sessionId => disconnectSession(String(sessionId)));
+    } catch (err) {
+      logger.error('Failed to disconnect revoked sessions:', err);
+    }
+  }
+
+  /**
+   * Expiry date of a signed token
+   */
+  static getTokenExpiry(token) {
+    const decoded = jwt.decode(token);
+    return decoded && decoded.exp
+      ? new Date(decoded.exp * 1000)
+      : new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,135 @@
+const { validationResult } = require('express-validator');
+const AvailabilityService = require('./availability.service');
+
+/**
+ * Availability Controller
+ * Handles HTTP requests and delegates business logic to AvailabilityService
+ */
+
+const getErrorStatusCode = (error) => {
+  return error.message.includes('not found') ? 404 :
+         error.message.includes('Invalid') ? 400 : 500;
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Get current admin's availability
+const getMyAvailability = async (req, res) => {
+  try {
+    const availability = await AvailabilityService.getAvailability(req.user._id, req);
+
+    res.json({
+      success: true,
+      availability
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// Update timezone, working hours and ICS feeds
+const updateMyAvailability = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const availability = await AvailabilityService.updateAvailability(req.user._id, req.body, req);
+
+    res.json({
+      success: true,
+      message: 'Availability updated successfully',
+      availability
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Add a manual busy block
+const addBusyBlock = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const availability = await AvailabilityService.addBusyBlock(req.user._id, req.body, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Busy block added successfully',
+      availability
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Remove a manual busy block
+const removeBusyBlock = async (req, res) => {
+  try {
+    const availability = await AvailabilityService.removeBusyBlock(req.user._id, req.params.blockId, req);
+
+    res.json({
+      success: true,
+      message: 'Busy block removed successfully',
+      availability
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Get busy time for an admin in a date range
+const getAdminFreeBusy = async (req, res) => {
+  try {
+    const { startDate, endDate, timezone } = req.query;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || !/^\d{4}-\d{2}-\d{2}$/.test(endDate || '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate are required (YYYY-MM-DD)'
+      });
+    }
+
+    const freeBusy = await AvailabilityService.getFreeBusy(req.params.adminId, { startDate, endDate, timezone }, req);
+
+    res.json({
+      success: true,
+      ...freeBusy
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getMyAvailability,
+  updateMyAvailability,
+  addBusyBlock,
+  removeBusyBlock,
+  getAdminFreeBusy
+};
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const workingHoursSchema = new mongoose.Schema({
+  // 0 = Sunday ... 6 = Saturday
+  day: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  // "HH:mm" in the admin's timezone
+  start: {
+    type: String,
+    required: true,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start must be HH:mm']
+  },
+  end: {
+    type: String,
+    required: true,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'End must be HH:mm']
+  }
+}, { _id: false });
+
+const busyBlockSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  }
+});
+
+const icsFeedSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Feed name cannot exceed 100 characters']
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  lastFetchedAt: Date,
+  lastError: String
+});
+
+/**
+ * Availability Schema
+ * Working hours, manual busy blocks and external ICS feeds for one admin.
+ * Interview events the admin attends are added as busy time when slots are computed.
+ */
+const availabilitySchema = new mongoose.Schema({
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true,
+    unique: true
+  },
+  // IANA timezone name, e.g. "Europe/Berlin"
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  workingHours: {
+    type: [workingHoursSchema],
+    default: () => [1, 2, 3, 4, 5].map(day => ({ day, start: '09:00', end: '17:00' }))
+  },
+  busyBlocks: {
+    type: [busyBlockSchema],
+    default: []
+  },
+  icsFeeds: {
+    type: [icsFeedSchema],
+    default: []
+  },
+  // Multi-tenant support
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    index: true,
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.models.Availability || mongoose.model('Availability', availabilitySchema);
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMyAvailability,
+  updateMyAvailability,
+  addBusyBlock,
+  removeBusyBlock,
+  getAdminFreeBusy
+} = require('./availability.controller');
+const { auth, adminAuth } = require('../../middleware/auth');
+const { validateAvailabilityUpdate, validateBusyBlock } = require('../../middleware/validation');
+
+// All routes require admin authentication
+router.get('/me', auth, adminAuth, getMyAvailability);
+router.put('/me', auth, adminAuth, validateAvailabilityUpdate, updateMyAvailability);
+router.post('/me/busy-blocks', auth, adminAuth, validateBusyBlock, addBusyBlock);
+router.delete('/me/busy-blocks/:blockId', auth, adminAuth, removeBusyBlock);
+router.get('/:adminId/busy', auth, adminAuth, getAdminFreeBusy);
+
+module.exports = router;
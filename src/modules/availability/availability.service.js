@@ -0,0 +1,407 @@
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const Availability = require('./availability.model');
+const AvailabilityUtils = require('./availability.utils');
+const { addScopedTenantFilter, ensureTenantId, getRequestTenantId } = require('../../utils/tenantQueryHelper');
+const { createPublicLookup } = require('../../utils/publicAddress');
+
+const ICS_CACHE_TTL = 10 * 60 * 1000;
+const ICS_FETCH_TIMEOUT = 5000;
+const ICS_MAX_BYTES = 2 * 1024 * 1024;
+const ICS_MAX_REDIRECTS = 3;
+const MAX_ICS_CACHE_ENTRIES = 500;
+const MAX_RANGE_DAYS = 31;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Parsed ICS feeds, keyed by URL: { fetchedAt, intervals }
+const icsCache = new Map();
+
+// Refuses non-public addresses for every connection, redirects included
+const publicLookup = createPublicLookup('ICS feed host');
+
+/**
+ * Availability Service
+ * Contains all business logic for interviewer availability and slot suggestion
+ */
+class AvailabilityService {
+  // ============ Availability Settings ============
+
+  /**
+   * Get an admin's availability, creating the default (Mon-Fri 09:00-17:00 UTC) on first access
+   */
+  static async getAvailability(adminId, req) {
+    const availability = await Availability.findOne({ adminId });
+    if (availability) {
+      return availability;
+    }
+
+    return Availability.create(ensureTenantId({ adminId }, req));
+  }
+
+  /**
+   * Update timezone, working hours and ICS feeds
+   */
+  static async updateAvailability(adminId, updateData, req) {
+    const availability = await this.getAvailability(adminId, req);
+    const { timezone, workingHours, icsFeeds } = updateData;
+
+    if (timezone !== undefined) {
+      if (!AvailabilityUtils.isValidTimezone(timezone)) {
+        throw new Error(`Invalid timezone: ${timezone}`);
+      }
+      availability.timezone = timezone;
+    }
+
+    if (workingHours !== undefined) {
+      AvailabilityUtils.validateWorkingHours(workingHours);
+      availability.workingHours = workingHours;
+    }
+
+    if (icsFeeds !== undefined) {
+      availability.icsFeeds = icsFeeds.map(feed => {
+        if (!/^https?:\/\//i.test(feed.url || '')) {
+          throw new Error('Invalid ICS feed URL: must start with http:// or https://');
+        }
+        return { name: feed.name, url: feed.url };
+      });
+    }
+
+    await availability.save();
+    return availability;
+  }
+
+  /**
+   * Add a manual busy block (out of office, focus time, ...)
+   */
+  static async addBusyBlock(adminId, blockData, req) {
+    const start = new Date(blockData.start);
+    const end = new Date(blockData.end);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+      throw new Error('Invalid busy block: end must be after start');
+    }
+
+    const availability = await this.getAvailability(adminId, req);
+    availability.busyBlocks.push({ start, end, title: blockData.title });
+    await availability.save();
+
+    return availability;
+  }
+
+  /**
+   * Remove a manual busy block
+   */
+  static async removeBusyBlock(adminId, blockId, req) {
+    const availability = await this.getAvailability(adminId, req);
+    const block = availability.busyBlocks.id(blockId);
+
+    if (!block) {
+      throw new Error('Busy block not found');
+    }
+
+    block.deleteOne();
+    await availability.save();
+
+    return availability;
+  }
+
+  // ============ Busy Time ============
+
+  /**
+   * Download an ICS feed from a public http(s) address, at most ICS_MAX_BYTES
+   */
+  static fetchICS(url, redirects = 0) {
+    return new Promise((resolve, reject) => {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        return reject(new Error('Invalid ICS feed URL'));
+      }
+
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return reject(new Error('ICS feed URL must use http or https'));
+      }
+
+      // IP literals don't go through the lookup
+      const host = parsed.hostname.replace(/^\[|\]$/g, '');
+      if (net.isIP(host) && !AvailabilityUtils.isPublicAddress(host)) {
+        return reject(new Error(`ICS feed host ${host} is not a public address`));
+      }
+
+      const client = parsed.protocol === 'https:' ? https : http;
+      const request = client.get(parsed, {
+        lookup: publicLookup,
+        signal: AbortSignal.timeout(ICS_FETCH_TIMEOUT),
+        headers: { Accept: 'text/calendar' }
+      }, (response) => {
+        const { statusCode, headers } = response;
+
+        if (statusCode >= 300 && statusCode < 400 && headers.location) {
+          response.resume();
+          if (redirects >= ICS_MAX_REDIRECTS) {
+            return reject(new Error('ICS feed redirected too many times'));
+          }
+          return resolve(this.fetchICS(new URL(headers.location, parsed).href, redirects + 1));
+        }
+
+        if (statusCode !== 200) {
+          response.resume();
+          return reject(new Error(`ICS feed request failed (${statusCode})`));
+        }
+
+        if (Number(headers['content-length']) > ICS_MAX_BYTES) {
+          response.destroy();
+          return reject(new Error('ICS feed is too large'));
+        }
+
+        const chunks = [];
+        let size = 0;
+        response.on('data', (chunk) => {
+          size += chunk.length;
+          if (size > ICS_MAX_BYTES) {
+            response.destroy();
+            return reject(new Error('ICS feed is too large'));
+          }
+          chunks.push(chunk);
+        });
+        response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        response.on('error', reject);
+      });
+
+      request.on('error', reject);
+    });
+  }
+
+  /**
+   * Fetch and parse an ICS feed (cached). Failures are recorded on the feed
+   * and treated as "no busy time" so one broken feed doesn't block scheduling.
+   */
+  static async getICSBusyIntervals(availability, feed) {
+    const cached = icsCache.get(feed.url);
+    if (cached && Date.now() - cached.fetchedAt < ICS_CACHE_TTL) {
+      return cached.intervals;
+    }
+
+    let intervals = [];
+    let lastError;
+
+    try {
+      intervals = AvailabilityUtils.parseICSBusyIntervals(await this.fetchICS(feed.url));
+
+      // Expired entries first, then the oldest (Map keeps insertion order)
+      if (icsCache.size >= MAX_ICS_CACHE_ENTRIES) {
+        for (const [url, entry] of icsCache) {
+          if (Date.now() - entry.fetchedAt >= ICS_CACHE_TTL) icsCache.delete(url);
+        }
+        if (icsCache.size >= MAX_ICS_CACHE_ENTRIES) {
+          icsCache.delete(icsCache.keys().next().value);
+        }
+      }
+      icsCache.set(feed.url, { fetchedAt: Date.now(), intervals });
+    } catch (error) {
+      lastError = error.message;
+      console.error(`Error fetching ICS feed ${feed.url}:`, error.message);
+    }
+
+    await Availability.updateOne(
+      { _id: availability._id, 'icsFeeds._id': feed._id },
+      { $set: { 'icsFeeds.$.lastFetchedAt': new Date(), 'icsFeeds.$.lastError': lastError } }
+    );
+
+    return intervals;
+  }
+
+  /**
+   * Busy intervals (UTC ms) for an admin: scheduled interview events,
+   * manual busy blocks and imported ICS feeds
+   */
+  static async getBusyIntervals(adminId, availability, rangeStart, rangeEnd, excludeEventId = null) {
+    const Event = require('../application/event.model');
+
+    // Event dates are stored at midnight, so widen by a day on both sides
+    const query = {
+      'attendees.userId': adminId,
+      status: { $ne: 'cancelled' },
+      date: { $gte: new Date(rangeStart - DAY), $lte: new Date(rangeEnd + DAY) }
+    };
+    if (excludeEventId) {
+      query._id = { $ne: excludeEventId };
+    }
+
+    const events = await Event.find(query).select('date startTime endTime');
+
+    const intervals = events.map(event => AvailabilityUtils.getEventInterval(event));
+
+    if (availability) {
+      availability.busyBlocks.forEach(block => {
+        intervals.push({ start: block.start.getTime(), end: block.end.getTime() });
+      });
+
+      for (const feed of availability.icsFeeds) {
+        intervals.push(...await this.getICSBusyIntervals(availability, feed));
+      }
+    }
+
+    return AvailabilityUtils.mergeIntervals(
+      intervals.filter(interval => interval.end > rangeStart && interval.start < rangeEnd)
+    );
+  }
+
+  /**
+   * Merged busy time for one admin within a date range
+   */
+  static async getFreeBusy(adminId, options, req) {
+    const { Admin } = require('../auth/auth.model');
+    const admin = await Admin.findOne(addScopedTenantFilter({ _id: adminId }, req)).select('_id name');
+
+    if (!admin) {
+      throw new Error('Admin not found');
+    }
+
+    const timezone = options.timezone || 'UTC';
+    const { rangeStart, rangeEnd } = this.resolveRange(options.startDate, options.endDate, timezone);
+    const availability = await Availability.findOne({ adminId });
+    const busy = await this.getBusyIntervals(admin._id, availability, rangeStart, rangeEnd);
+
+    return {
+      adminId: admin._id,
+      timezone: availability ? availability.timezone : 'UTC',
+      workingHours: availability ? availability.workingHours : undefined,
+      busy: busy.map(interval => ({
+        start: new Date(interval.start),
+        end: new Date(interval.end)
+      }))
+    };
+  }
+
+  /**
+   * Whether an admin has no busy time overlapping [start, end).
+   * Working hours are not checked: a recruiter may deliberately offer an off-hours slot.
+   */
+  static async isAdminFree(adminId, start, end, excludeEventId = null) {
+    const availability = await Availability.findOne({ adminId });
+    const busy = await this.getBusyIntervals(adminId, availability, start, end, excludeEventId);
+    return busy.length === 0;
+  }
+
+  // ============ Slot Suggestion ============
+
+  /**
+   * UTC range covering whole days startDate..endDate in a timezone
+   */
+  static resolveRange(startDate, endDate, timezone) {
+    if (!AvailabilityUtils.isValidTimezone(timezone)) {
+      throw new Error(`Invalid timezone: ${timezone}`);
+    }
+    if (endDate < startDate) {
+      throw new Error('Invalid date range: endDate must not be before startDate');
+    }
+
+    const rangeStart = AvailabilityUtils.zonedTimeToUtc(startDate, '00:00', timezone);
+    const rangeEnd = AvailabilityUtils.zonedTimeToUtc(AvailabilityUtils.addDays(endDate, 1), '00:00', timezone);
+
+    if (rangeEnd - rangeStart > (MAX_RANGE_DAYS + 1) * DAY) {
+      throw new Error(`Invalid date range: cannot exceed ${MAX_RANGE_DAYS} days`);
+    }
+
+    return { rangeStart, rangeEnd };
+  }
+
+  /**
+   * Free intervals for one admin within the range.
+   * Admins who never configured availability get Mon-Fri 09:00-17:00 in the requested timezone.
+   */
+  static async getFreeIntervals(adminId, startDate, endDate, timezone, rangeStart, rangeEnd) {
+    const availability = await Availability.findOne({ adminId });
+    const adminTimezone = availability ? availability.timezone : timezone;
+    const workingHours = availability
+      ? availability.workingHours
+      : [1, 2, 3, 4, 5].map(day => ({ day, start: '09:00', end: '17:00' }));
+
+    // Working days in the admin's timezone can straddle the requested range
+    const working = AvailabilityUtils.buildWorkingIntervals(
+      workingHours,
+      adminTimezone,
+      AvailabilityUtils.addDays(startDate, -1),
+      AvailabilityUtils.addDays(endDate, 1)
+    );
+    const clipped = AvailabilityUtils.intersectIntervals(working, [{ start: rangeStart, end: rangeEnd }]);
+    const busy = await this.getBusyIntervals(adminId, availability, rangeStart, rangeEnd);
+
+    return AvailabilityUtils.subtractIntervals(clipped, busy);
+  }
+
+  /**
+   * Suggest interview slots when every selected attendee is free
+   * @param {Object} options - { attendeeIds, startDate, endDate, timezone, duration, step, limit }
+   */
+  static async suggestSlots(applicationId, options, req) {
+    const Application = require('../application/application.model');
+    const { Admin } = require('../auth/auth.model');
+
+    const application = await Application.findById(applicationId).populate('jobId', 'tenantId');
+    if (!application) {
+      throw new Error('Application not found');
+    }
+
+    // Without a subdomain the admin's own tenant applies; only super admins see everyone
+    const tenantId = getRequestTenantId(req);
+    if (tenantId !== undefined) {
+      const job = application.jobId;
+      if (!job || String(job.tenantId || null) !== String(tenantId)) {
+        throw new Error('Forbidden: Application does not belong to your company');
+      }
+    }
+
+    const {
+      attendeeIds,
+      startDate,
+      endDate,
+      timezone = 'UTC',
+      duration = 60,
+      step = 30,
+      limit = 20
+    } = options;
+
+    const uniqueIds = [...new Set(attendeeIds.map(String))];
+    const admins = await Admin.find(addScopedTenantFilter({ _id: { $in: uniqueIds }, isActive: true }, req))
+      .select('_id name email');
+
+    if (admins.length !== uniqueIds.length) {
+      const found = admins.map(admin => admin._id.toString());
+      throw new Error(`Attendee not found: ${uniqueIds.filter(id => !found.includes(id)).join(', ')}`);
+    }
+
+    const { rangeStart, rangeEnd } = this.resolveRange(startDate, endDate, timezone);
+
+    let common = [{ start: rangeStart, end: rangeEnd }];
+    for (const admin of admins) {
+      const free = await this.getFreeIntervals(admin._id, startDate, endDate, timezone, rangeStart, rangeEnd);
+      common = AvailabilityUtils.intersectIntervals(common, free);
+      if (common.length === 0) break;
+    }
+
+    const slots = AvailabilityUtils.sliceIntoSlots(common, duration, step, Date.now(), limit);
+
+    return {
+      timezone,
+      duration,
+      attendees: admins.map(admin => ({ userId: admin._id, name: admin.name, email: admin.email })),
+      slots: slots.map(slot => {
+        const start = AvailabilityUtils.formatInTimezone(slot.start, timezone);
+        const end = AvailabilityUtils.formatInTimezone(slot.end, timezone);
+        return {
+          start: new Date(slot.start),
+          end: new Date(slot.end),
+          date: start.date,
+          startTime: start.time,
+          endTime: end.time
+        };
+      })
+    };
+  }
+}
+
+module.exports = AvailabilityService;
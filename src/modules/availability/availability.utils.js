@@ -0,0 +1,323 @@
+/**
+ * Availability Utility Functions
+ * Timezone, interval and ICS helpers for availability module
+ */
+
+const { isPublicAddress } = require('../../utils/publicAddress');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+class AvailabilityUtils {
+  /**
+   * Whether an IP address is publicly routable (ICS feeds must point at one)
+   */
+  static isPublicAddress(address) {
+    return isPublicAddress(address);
+  }
+
+  /**
+   * Check an IANA timezone name (e.g. "Europe/Berlin")
+   */
+  static isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Wall-clock parts of a timestamp in a timezone
+   */
+  static getZonedParts(timestamp, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }).formatToParts(new Date(timestamp));
+
+    const get = type => parts.find(part => part.type === type).value;
+    const weekdays = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+    return {
+      year: parseInt(get('year')),
+      month: parseInt(get('month')),
+      day: parseInt(get('day')),
+      hour: parseInt(get('hour')),
+      minute: parseInt(get('minute')),
+      second: parseInt(get('second')),
+      weekday: weekdays[get('weekday')]
+    };
+  }
+
+  /**
+   * Offset of a timezone from UTC at a given instant, in ms
+   */
+  static getTimezoneOffset(timestamp, timezone) {
+    const p = this.getZonedParts(timestamp, timezone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+  }
+
+  /**
+   * Convert a wall-clock date ("YYYY-MM-DD") and time ("HH:mm") in a timezone to a UTC timestamp
+   */
+  static zonedTimeToUtc(dateStr, timeStr, timezone) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const [hour, minute] = timeStr.split(':').map(Number);
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Two passes settle DST transitions
+    let result = guess - this.getTimezoneOffset(guess, timezone);
+    result = guess - this.getTimezoneOffset(result, timezone);
+    return result;
+  }
+
+  /**
+   * Format a timestamp as { date: "YYYY-MM-DD", time: "HH:mm" } in a timezone
+   */
+  static formatInTimezone(timestamp, timezone) {
+    const p = this.getZonedParts(timestamp, timezone);
+    const pad = n => String(n).padStart(2, '0');
+    return {
+      date: `${p.year}-${pad(p.month)}-${pad(p.day)}`,
+      time: `${pad(p.hour)}:${pad(p.minute)}`
+    };
+  }
+
+  /**
+   * Add days to a "YYYY-MM-DD" string
+   */
+  static addDays(dateStr, days) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day) + days * DAY).toISOString().split('T')[0];
+  }
+
+  static getWeekday(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  }
+
+  /**
+   * Working-hour intervals (UTC ms) for the dates in [fromDate, toDate]
+   * @param {Array} workingHours - [{ day: 0-6, start: "HH:mm", end: "HH:mm" }]
+   */
+  static buildWorkingIntervals(workingHours, timezone, fromDate, toDate) {
+    const intervals = [];
+
+    for (let date = fromDate; date <= toDate; date = this.addDays(date, 1)) {
+      const weekday = this.getWeekday(date);
+      workingHours
+        .filter(hours => hours.day === weekday)
+        .forEach(hours => {
+          const start = this.zonedTimeToUtc(date, hours.start, timezone);
+          const end = this.zonedTimeToUtc(date, hours.end, timezone);
+          if (end > start) intervals.push({ start, end });
+        });
+    }
+
+    return this.mergeIntervals(intervals);
+  }
+
+  /**
+   * Sort and merge overlapping intervals
+   */
+  static mergeIntervals(intervals) {
+    const sorted = intervals
+      .filter(interval => interval.end > interval.start)
+      .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const interval of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && interval.start <= last.end) {
+        last.end = Math.max(last.end, interval.end);
+      } else {
+        merged.push({ start: interval.start, end: interval.end });
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Remove busy intervals from free intervals
+   */
+  static subtractIntervals(free, busy) {
+    const busyMerged = this.mergeIntervals(busy);
+    const result = [];
+
+    for (const interval of free) {
+      let cursor = interval.start;
+      for (const block of busyMerged) {
+        if (block.end <= cursor || block.start >= interval.end) continue;
+        if (block.start > cursor) {
+          result.push({ start: cursor, end: block.start });
+        }
+        cursor = Math.max(cursor, block.end);
+      }
+      if (cursor < interval.end) {
+        result.push({ start: cursor, end: interval.end });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Intervals common to two free lists
+   */
+  static intersectIntervals(a, b) {
+    const result = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < a.length && j < b.length) {
+      const start = Math.max(a[i].start, b[j].start);
+      const end = Math.min(a[i].end, b[j].end);
+      if (end > start) result.push({ start, end });
+      if (a[i].end < b[j].end) i++; else j++;
+    }
+
+    return result;
+  }
+
+  /**
+   * Cut free intervals into fixed-length slots
+   */
+  static sliceIntoSlots(intervals, durationMinutes, stepMinutes, notBefore, limit) {
+    const slots = [];
+    const duration = durationMinutes * MINUTE;
+    const step = stepMinutes * MINUTE;
+
+    for (const interval of intervals) {
+      // Align slot starts to the step grid
+      let start = Math.ceil(Math.max(interval.start, notBefore) / step) * step;
+      while (start + duration <= interval.end) {
+        slots.push({ start, end: start + duration });
+        if (slots.length >= limit) return slots;
+        start += step;
+      }
+    }
+
+    return slots;
+  }
+
+  /**
+   * Time range an Event occupies. Event dates and times are stored the same
+   * way calendar invites read them (date + "HH:mm" in server time).
+   */
+  static getEventInterval(event) {
+    const day = new Date(event.date).toISOString().split('T')[0];
+    return {
+      start: new Date(`${day}T${event.startTime}`).getTime(),
+      end: new Date(`${day}T${event.endTime}`).getTime()
+    };
+  }
+
+  /**
+   * Parse an ICS value such as 20300101T100000Z, 20300101T100000 (with TZID) or 20300101
+   */
+  static parseICSDate(value, params = {}) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, , utc] = match;
+    const dateStr = `${year}-${month}-${day}`;
+
+    // All-day value
+    if (hour === undefined) {
+      return Date.UTC(+year, +month - 1, +day);
+    }
+
+    if (utc) {
+      return Date.UTC(+year, +month - 1, +day, +hour, +minute);
+    }
+
+    const timezone = this.isValidTimezone(params.TZID) ? params.TZID : 'UTC';
+    return this.zonedTimeToUtc(dateStr, `${hour}:${minute}`, timezone);
+  }
+
+  /**
+   * Extract busy intervals from an ICS feed.
+   * Recurring events (RRULE) only block their first occurrence.
+   */
+  static parseICSBusyIntervals(icsText) {
+    // Unfold continuation lines
+    const lines = String(icsText || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const intervals = [];
+    let current = null;
+
+    for (const line of lines) {
+      if (line === 'BEGIN:VEVENT') {
+        current = {};
+        continue;
+      }
+      if (line === 'END:VEVENT') {
+        if (current && current.start && current.status !== 'CANCELLED' && current.transp !== 'TRANSPARENT') {
+          const end = current.end || current.start + (current.allDay ? DAY : 0);
+          if (end > current.start) intervals.push({ start: current.start, end });
+        }
+        current = null;
+        continue;
+      }
+      if (!current) continue;
+
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const [name, ...paramParts] = line.substring(0, separator).split(';');
+      const value = line.substring(separator + 1).trim();
+      const params = {};
+      paramParts.forEach(part => {
+        const [key, val] = part.split('=');
+        params[key] = val;
+      });
+
+      if (name === 'DTSTART') {
+        current.start = this.parseICSDate(value, params);
+        current.allDay = params.VALUE === 'DATE';
+      } else if (name === 'DTEND') {
+        current.end = this.parseICSDate(value, params);
+      } else if (name === 'STATUS') {
+        current.status = value.toUpperCase();
+      } else if (name === 'TRANSP') {
+        current.transp = value.toUpperCase();
+      }
+    }
+
+    return intervals;
+  }
+
+  /**
+   * Validate working hours entries
+   */
+  static validateWorkingHours(workingHours) {
+    if (!Array.isArray(workingHours)) {
+      throw new Error('Invalid working hours: expected an array');
+    }
+
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+    workingHours.forEach((hours, index) => {
+      if (!Number.isInteger(hours.day) || hours.day < 0 || hours.day > 6) {
+        throw new Error(`Invalid working hours: entry ${index + 1} day must be 0 (Sunday) to 6 (Saturday)`);
+      }
+      if (!timePattern.test(hours.start) || !timePattern.test(hours.end)) {
+        throw new Error(`Invalid working hours: entry ${index + 1} times must be HH:mm`);
+      }
+      if (hours.end <= hours.start) {
+        throw new Error(`Invalid working hours: entry ${index + 1} must end after it starts`);
+      }
+    });
+  }
+}
+
+module.exports = AvailabilityUtils;
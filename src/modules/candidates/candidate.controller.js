@@ -143,6 +143,30 @@ const deleteCandidate = async (req, res) => {
   }
 };
 
+// Search the talent pool across parsed CVs (admin)
+const searchTalentPool = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const result = await CandidateService.searchTalentPool(req.query, req);
+
+    res.json({
+      success: true,
+      data: result.people,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    const status = error.message?.includes('Invalid skill query') ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      message: error.message || 'Failed to search talent pool',
+    });
+  }
+};
+
 module.exports = {
   addSingleCandidate,
   addBulkCandidates,
@@ -150,6 +174,7 @@ module.exports = {
   getCandidateById,
   updateCandidate,
   deleteCandidate,
+  searchTalentPool,
 };
 
 
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { auth } = require('../../middleware/auth');
+const { auth, adminAuth } = require('../../middleware/auth');
 const { upload, handleUploadError } = require('../../middleware/upload');
 const { 
   addSingleCandidate, 
@@ -9,8 +9,9 @@ const {
   getCandidateById,
   updateCandidate,
   deleteCandidate,
+  searchTalentPool,
 } = require('./candidate.controller');
-const { validateSingleCandidate, validateBulkCandidates } = require('./candidate.validation');
+const { validateSingleCandidate, validateBulkCandidates, validateTalentSearch } = require('./candidate.validation');
 
 // Single candidate add (admin)
 router.post(
@@ -42,6 +43,15 @@ router.get(
   listCandidates
 );
 
+// Talent pool search over parsed CVs (admin)
+router.get(
+  '/admin/talent-search',
+  auth,
+  adminAuth,
+  validateTalentSearch,
+  searchTalentPool
+);
+
 // Get candidate by ID (admin)
 router.get(
   '/admin/:id',
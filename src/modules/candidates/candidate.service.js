@@ -1,5 +1,17 @@
+const mongoose = require('mongoose');
 const { Candidate } = require('../auth/auth.model');
+const Application = require('../application/application.model');
+const Job = require('../jobs/job.model');
+const CandidateUtils = require('./candidate.utils');
 const cvParsingService = require('../../services/cvParsingService');
+const { addScopedTenantFilter, getRequestTenantId } = require('../../utils/tenantQueryHelper');
+const { containsMatch } = require('../../utils/regexHelper');
+
+const TALENT_SORT_FIELDS = {
+  lastAppliedAt: 'lastAppliedAt',
+  totalExperience: 'totalExperience',
+  name: 'lastName'
+};
 
 class CandidateService {
   /**
@@ -299,6 +311,201 @@ class CandidateService {
 
     return true;
   }
+
+  /**
+   * Search the talent pool: everyone who applied to the tenant's jobs (registered
+   * candidates and guests, using their parsed CVs) plus the tenant's registered
+   * candidates. People are deduplicated by email; their skills, education and
+   * applications are merged before filtering.
+   *
+   * @param {Object} filters - { skills (boolean query), minExperience, maxExperience,
+   *                             degree, fieldOfStudy, institution, location,
+   *                             appliedTo, notAppliedTo, sortBy, sortOrder, page, limit }
+   * @param {Object} req - Express request (tenant context)
+   * @returns {Object} People with pagination
+   */
+  static async searchTalentPool(filters = {}, req) {
+    const {
+      skills,
+      minExperience,
+      maxExperience,
+      degree,
+      fieldOfStudy,
+      institution,
+      location,
+      appliedTo,
+      notAppliedTo,
+      sortBy = 'lastAppliedAt',
+      sortOrder = 'desc',
+      page = 1,
+      limit = 20
+    } = filters;
+
+    // Applications count when they are for one of the tenant's jobs. Without a
+    // subdomain that is the admin's own tenant; only super admins see everyone.
+    const applicationMatch = {};
+    if (getRequestTenantId(req) !== undefined) {
+      applicationMatch.jobId = { $in: await Job.find(addScopedTenantFilter({}, req)).distinct('_id') };
+    }
+
+    // Registered candidates of the tenant, and those who applied to its jobs
+    const appliedCandidateIds = await Application.distinct('candidateId', {
+      ...applicationMatch,
+      isGuestApplication: false
+    });
+    const candidateMatch = {
+      role: 'candidate',
+      $or: [addScopedTenantFilter({}, req), { _id: { $in: appliedCandidateIds } }]
+    };
+
+    const conditions = [];
+
+    const skillCondition = CandidateUtils.parseSkillQuery(skills);
+    if (skillCondition) conditions.push(skillCondition);
+
+    if (minExperience !== undefined || maxExperience !== undefined) {
+      const range = {};
+      if (minExperience !== undefined) range.$gte = Number(minExperience);
+      if (maxExperience !== undefined) range.$lte = Number(maxExperience);
+      conditions.push({ totalExperience: range });
+    }
+
+    const educationMatch = {};
+    if (degree) educationMatch.degree = containsMatch(degree);
+    if (fieldOfStudy) educationMatch.field = containsMatch(fieldOfStudy);
+    if (institution) educationMatch.institution = containsMatch(institution);
+    if (Object.keys(educationMatch).length > 0) {
+      conditions.push({ education: { $elemMatch: educationMatch } });
+    }
+
+    if (location) conditions.push({ location: containsMatch(location) });
+
+    const toObjectIds = (value) => CandidateUtils.toList(value).map(id => new mongoose.Types.ObjectId(id));
+    if (appliedTo) conditions.push({ appliedJobIds: { $in: toObjectIds(appliedTo) } });
+    if (notAppliedTo) conditions.push({ appliedJobIds: { $nin: toObjectIds(notAppliedTo) } });
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const direction = sortOrder === 'asc' ? 1 : -1;
+
+    const [result] = await Application.aggregate([
+      { $match: applicationMatch },
+      {
+        $project: {
+          _id: 0,
+          email: { $toLower: { $ifNull: ['$candidateSnapshot.email', '$parsedCVData.email'] } },
+          candidateId: '$candidateId',
+          personId: { $ifNull: ['$candidateId', '$guestApplicationId'] },
+          firstName: { $ifNull: ['$candidateSnapshot.firstName', '$parsedCVData.firstName'] },
+          lastName: { $ifNull: ['$candidateSnapshot.lastName', '$parsedCVData.lastName'] },
+          totalExperience: { $max: ['$candidateSnapshot.totalExperience', '$parsedCVData.totalExperience'] },
+          skills: { $ifNull: ['$parsedCVData.skills', []] },
+          education: { $ifNull: ['$parsedCVData.education', []] },
+          location: '$parsedCVData.location',
+          fromProfile: { $literal: false },
+          application: {
+            applicationId: '$_id',
+            jobId: '$jobId',
+            status: '$status',
+            appliedAt: '$appliedAt'
+          }
+        }
+      },
+      {
+        $unionWith: {
+          coll: Candidate.collection.name,
+          pipeline: [
+            { $match: candidateMatch },
+            {
+              $project: {
+                _id: 0,
+                email: { $toLower: '$email' },
+                candidateId: '$_id',
+                personId: '$_id',
+                firstName: '$firstName',
+                lastName: '$lastName',
+                totalExperience: '$totalExperience',
+                skills: { $ifNull: ['$profile.skills', []] },
+                education: { $ifNull: ['$profile.education', []] },
+                location: null,
+                fromProfile: { $literal: true },
+                application: null
+              }
+            }
+          ]
+        }
+      },
+      // Registered profiles first, so their names win when merging
+      { $sort: { fromProfile: -1, 'application.appliedAt': -1 } },
+      {
+        $group: {
+          _id: {
+            $cond: [{ $gt: [{ $strLenCP: { $ifNull: ['$email', ''] } }, 0] }, '$email', { $toString: '$personId' }]
+          },
+          email: { $first: '$email' },
+          candidateId: { $max: '$candidateId' },
+          firstName: { $first: '$firstName' },
+          lastName: { $first: '$lastName' },
+          totalExperience: { $max: '$totalExperience' },
+          skillSets: { $push: '$skills' },
+          educationSets: { $push: '$education' },
+          location: { $max: '$location' },
+          applications: { $push: '$application' }
+        }
+      },
+      {
+        $addFields: {
+          skills: { $reduce: { input: '$skillSets', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } },
+          education: { $reduce: { input: '$educationSets', initialValue: [], in: { $concatArrays: ['$$value', '$$this'] } } },
+          applications: { $filter: { input: '$applications', cond: { $ne: ['$$this', null] } } }
+        }
+      },
+      {
+        $addFields: {
+          skillKeys: { $map: { input: '$skills', in: { $toLower: '$$this' } } },
+          appliedJobIds: '$applications.jobId',
+          lastAppliedAt: { $max: '$applications.appliedAt' },
+          isRegistered: { $ne: [{ $ifNull: ['$candidateId', null] }, null] }
+        }
+      },
+      { $match: conditions.length > 0 ? { $and: conditions } : {} },
+      {
+        $facet: {
+          people: [
+            { $sort: { [TALENT_SORT_FIELDS[sortBy] || 'lastAppliedAt']: direction, _id: 1 } },
+            { $skip: skip },
+            { $limit: parseInt(limit) },
+            { $project: { _id: 0, skillSets: 0, educationSets: 0, skillKeys: 0, appliedJobIds: 0 } }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]).allowDiskUse(true);
+
+    // Job titles for the applications shown
+    const jobIds = [...new Set(result.people.flatMap(person => person.applications.map(app => String(app.jobId))))];
+    const jobs = await Job.find({ _id: { $in: jobIds } }).select('title department').lean();
+    const jobsById = new Map(jobs.map(job => [String(job._id), job]));
+
+    const people = result.people.map(person => ({
+      ...person,
+      applications: person.applications.map(app => ({
+        ...app,
+        job: jobsById.get(String(app.jobId)) || null
+      }))
+    }));
+
+    const total = result.total[0]?.count || 0;
+
+    return {
+      people,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    };
+  }
 }
 
 module.exports = CandidateService;
@@ -0,0 +1,128 @@
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Candidate Utilities
+ * Helper functions for talent pool search
+ */
+class CandidateUtils {
+  /**
+   * Split a skill query into terms, operators and parentheses
+   * Quoted phrases are single terms ("machine learning").
+   */
+  static tokenizeSkillQuery(query) {
+    const tokens = [];
+    const pattern = /\s*(?:(\()|(\))|"([^"]*)"|([^\s()"]+))/g;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+      if (match[1]) tokens.push({ type: '(' });
+      else if (match[2]) tokens.push({ type: ')' });
+      else if (match[3] !== undefined) {
+        if (match[3].trim()) tokens.push({ type: 'term', value: match[3].trim() });
+      } else if (OPERATORS.includes(match[4].toUpperCase())) {
+        tokens.push({ type: match[4].toUpperCase() });
+      } else {
+        tokens.push({ type: 'term', value: match[4] });
+      }
+    }
+
+    if (query.replace(/"[^"]*"/g, '').includes('"')) {
+      throw new Error('Invalid skill query: unclosed quote');
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Turn a boolean skill query into a MongoDB condition on a lowercased skills field
+   *
+   * Grammar: terms next to each other are ANDed, OR binds weaker than AND,
+   * NOT negates the following term or group.
+   *   react AND (node OR python) NOT php
+   *   "machine learning" OR "deep learning"
+   *
+   * Skills match whole and case-insensitively ("java" does not match "JavaScript").
+   *
+   * @param {String} query - Skill query
+   * @param {String} field - Field holding the lowercased skills
+   * @returns {Object|null} MongoDB condition (null for an empty query)
+   */
+  static parseSkillQuery(query, field = 'skillKeys') {
+    const tokens = CandidateUtils.tokenizeSkillQuery(String(query || ''));
+    if (tokens.length === 0) return null;
+
+    let position = 0;
+    const peek = () => tokens[position];
+    const fail = (reason) => {
+      throw new Error(`Invalid skill query: ${reason}`);
+    };
+
+    const combine = (operator, conditions) => (conditions.length === 1 ? conditions[0] : { [operator]: conditions });
+
+    let parseOr;
+
+    const parseUnary = () => {
+      const token = peek();
+      if (!token) fail('expected a skill');
+
+      if (token.type === 'NOT') {
+        position++;
+        return { $nor: [parseUnary()] };
+      }
+
+      if (token.type === '(') {
+        position++;
+        const condition = parseOr();
+        if (!peek() || peek().type !== ')') fail('missing closing parenthesis');
+        position++;
+        return condition;
+      }
+
+      if (token.type === 'term') {
+        position++;
+        return { [field]: token.value.toLowerCase() };
+      }
+
+      return fail(`unexpected ${token.type}`);
+    };
+
+    const parseAnd = () => {
+      const conditions = [parseUnary()];
+
+      while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+        if (peek().type === 'AND') position++;
+        conditions.push(parseUnary());
+      }
+
+      return combine('$and', conditions);
+    };
+
+    parseOr = () => {
+      const conditions = [parseAnd()];
+
+      while (peek() && peek().type === 'OR') {
+        position++;
+        conditions.push(parseAnd());
+      }
+
+      return combine('$or', conditions);
+    };
+
+    const condition = parseOr();
+    if (position < tokens.length) fail(`unexpected ${tokens[position].type}`);
+
+    return condition;
+  }
+
+  /**
+   * Comma-separated or repeated query parameter as a list
+   */
+  static toList(value) {
+    if (!value) return [];
+    return (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim())
+      .filter(Boolean);
+  }
+}
+
+module.exports = CandidateUtils;
@@ -1,4 +1,4 @@
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 
 const validatePhone = body('phone')
   .optional({ nullable: true })
@@ -26,6 +26,25 @@ const validateBulkCandidates = [
     .withMessage('candidates must be an array or a JSON string array')
 ];
 
-module.exports = { validateSingleCandidate, validateBulkCandidates };
+const validateTalentSearch = [
+  query('skills').optional().trim().isLength({ max: 200 }).withMessage('Skill query must be less than 200 characters'),
+  query('minExperience').optional().isFloat({ min: 0, max: 50 }).withMessage('Minimum experience must be between 0 and 50'),
+  query('maxExperience').optional().isFloat({ min: 0, max: 50 }).withMessage('Maximum experience must be between 0 and 50'),
+  query('degree').optional().trim().isLength({ max: 100 }).withMessage('Degree must be less than 100 characters'),
+  query('fieldOfStudy').optional().trim().isLength({ max: 100 }).withMessage('Field of study must be less than 100 characters'),
+  query('institution').optional().trim().isLength({ max: 100 }).withMessage('Institution must be less than 100 characters'),
+  query('location').optional().trim().isLength({ max: 100 }).withMessage('Location must be less than 100 characters'),
+  query(['appliedTo', 'notAppliedTo'])
+    .optional()
+    .custom((value) => (Array.isArray(value) ? value : String(value).split(','))
+      .every(id => /^[a-f\d]{24}$/i.test(String(id).trim())))
+    .withMessage('Job IDs must be comma-separated valid IDs'),
+  query('sortBy').optional().isIn(['lastAppliedAt', 'totalExperience', 'name']).withMessage('Invalid sort field'),
+  query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+];
+
+module.exports = { validateSingleCandidate, validateBulkCandidates, validateTalentSearch };
 
 
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/**
+ * Career Site Schema
+ * Per-tenant content of the public careers site. Logo, colour and company
+ * name come from the tenant's branding (MailSettings.branding).
+ */
+const careerSiteSchema = new mongoose.Schema({
+  headline: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'Headline cannot exceed 150 characters']
+  },
+  // Plain text; paragraphs separated by blank lines
+  about: {
+    type: String,
+    trim: true,
+    maxlength: [10000, 'About text cannot exceed 10000 characters']
+  },
+  heroImageUrl: {
+    type: String,
+    trim: true
+  },
+  websiteUrl: {
+    type: String,
+    trim: true
+  },
+  // Public URL of the careers page (e.g. https://acme.example.com/careers); used for sitemap links
+  siteUrl: {
+    type: String,
+    trim: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+careerSiteSchema.index({ tenantId: 1 }, { unique: true });
+
+module.exports = mongoose.model('CareerSite', careerSiteSchema);
@@ -0,0 +1,119 @@
+const { validationResult } = require('express-validator');
+const CareersService = require('./careers.service');
+const config = require('../../config');
+
+/**
+ * Careers Controller
+ * Public careers site of the current host's company. Responses are cached
+ * and carry an ETag, so unchanged pages are answered with 304 Not Modified.
+ */
+
+const getErrorStatusCode = (error) => {
+  return error.message.includes('not found') ? 404 :
+         error.message.includes('Invalid') || error.name === 'ValidationError' ? 400 : 500;
+};
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendError = (res, error) => {
+  res.status(getErrorStatusCode(error)).json({
+    success: false,
+    message: error.message || 'Server error'
+  });
+};
+
+const sendCached = (req, res, { contentType, body, etag }) => {
+  res.set({
+    'Content-Type': contentType,
+    'Cache-Control': `public, max-age=${config.careers.cacheSeconds}`,
+    ETag: etag
+  });
+
+  // req.fresh compares If-None-Match with the ETag set above
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.send(body);
+};
+
+const servePage = (render) => async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    sendCached(req, res, await render(req));
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Company page: branding, about text, number of open jobs (no auth)
+const getCareerSite = servePage(req => CareersService.getSite(req));
+
+// Departments with open jobs (no auth)
+const getCareerDepartments = servePage(req => CareersService.getDepartments(req));
+
+// Locations with open jobs, and how many are remote (no auth)
+const getCareerLocations = servePage(req => CareersService.getLocations(req));
+
+// Open jobs; query: department, city, country, remote, page, limit (no auth)
+const getCareerJobs = servePage(req => CareersService.getJobs(req.query, req));
+
+// Job page with schema.org JobPosting structured data (no auth)
+const getCareerJob = servePage(req => CareersService.getJob(req.params.id, req));
+
+// sitemap.xml of the careers site (no auth)
+const getCareerSitemap = servePage(req => CareersService.getSitemap(req));
+
+// Get the careers site content (tenant admin)
+const getCareerSiteSettings = async (req, res) => {
+  try {
+    const settings = await CareersService.getSettings(req);
+
+    res.json({
+      success: true,
+      settings
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Update the careers site content (tenant admin)
+const updateCareerSiteSettings = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const settings = await CareersService.updateSettings(req.body, req.user._id, req);
+
+    res.json({
+      success: true,
+      message: 'Careers site updated successfully',
+      settings
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  getCareerSite,
+  getCareerDepartments,
+  getCareerLocations,
+  getCareerJobs,
+  getCareerJob,
+  getCareerSitemap,
+  getCareerSiteSettings,
+  updateCareerSiteSettings
+};
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCareerSite,
+  getCareerDepartments,
+  getCareerLocations,
+  getCareerJobs,
+  getCareerJob,
+  getCareerSitemap,
+  getCareerSiteSettings,
+  updateCareerSiteSettings
+} = require('./careers.controller');
+const {
+  validateCareerSiteSettings,
+  validateCareerJobsQuery,
+  validateCareerJob
+} = require('../../middleware/validation');
+const { auth } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+
+// Careers site content (tenant admins only)
+router.get('/settings', auth, requireRole(['superadmin', 'admin']), getCareerSiteSettings);
+router.put('/settings', auth, requireRole(['superadmin', 'admin']), validateCareerSiteSettings, updateCareerSiteSettings);
+
+// Public careers site of the current host's company (no authentication required)
+router.get('/', getCareerSite);
+router.get('/departments', getCareerDepartments);
+router.get('/locations', getCareerLocations);
+router.get('/jobs', validateCareerJobsQuery, getCareerJobs);
+router.get('/jobs/:id', validateCareerJob, getCareerJob);
+router.get('/sitemap.xml', getCareerSitemap);
+
+module.exports = router;
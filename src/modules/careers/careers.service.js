@@ -0,0 +1,358 @@
+const crypto = require('crypto');
+const Job = require('../jobs/job.model');
+const CareerSite = require('./careerSite.model');
+const FeedUtils = require('../feeds/feed.utils');
+const config = require('../../config');
+const { exactMatch } = require('../../utils/regexHelper');
+
+const SITE_FIELDS = ['headline', 'about', 'heroImageUrl', 'websiteUrl', 'siteUrl'];
+
+// What candidates see of a job (no budgets, hiring team, requisitions or scoring)
+const LIST_JOB_FIELDS = 'title department location employmentType workplaceTypes jobType experienceLevel salaryRange publishedAt applicationDeadline';
+const DETAIL_JOB_FIELDS = `${LIST_JOB_FIELDS} description responsibilities requirements skills experienceRequiredYears positions expiryDate tags screeningQuestions updatedAt`;
+
+// Screening question fields needed to render the application form (not correctAnswer/weights)
+const PUBLIC_QUESTION_FIELDS = [
+  'questionId', 'text', 'type', 'required', 'options', 'maxLength', 'placeholder',
+  'min', 'max', 'minDate', 'maxDate', 'maxSelections', 'allowedFileTypes', 'showIf'
+];
+
+// Search engines accept up to 50,000 URLs per sitemap
+const MAX_SITEMAP_JOBS = 49999;
+
+// Rendered responses per tenant, host and URL. Job changes show up once the
+// entry expires (config.careers.cacheSeconds); settings changes clear it.
+const MAX_CACHE_ENTRIES = 1000;
+const responseCache = new Map();
+
+/**
+ * Careers Service
+ * Public, tenant-branded careers site: company page, department and location
+ * listings, job pages with schema.org structured data, and a sitemap
+ */
+class CareersService {
+  // ============ Helpers ============
+
+  static getTenantId(req) {
+    return req && req.tenant && req.tenantId ? req.tenantId : null;
+  }
+
+  // The careers site belongs to the company of the host (tenantFromSubdomain)
+  static requireTenant(req) {
+    const tenantId = this.getTenantId(req);
+    if (!tenantId) {
+      throw new Error('Careers site not found: no company for this host');
+    }
+    return tenantId;
+  }
+
+  /**
+   * Published, unexpired jobs of the tenant
+   */
+  static buildJobFilter(tenantId, now = new Date()) {
+    return {
+      tenantId,
+      isPublished: true,
+      status: 'published',
+      $or: [
+        { expiryDate: { $exists: false } },
+        { expiryDate: null },
+        { expiryDate: { $gt: now } }
+      ]
+    };
+  }
+
+  static async findSite(tenantId) {
+    return CareerSite.findOne({ tenantId: tenantId || null });
+  }
+
+  static getBaseUrl(site, req) {
+    const base = site?.siteUrl || `${req.protocol}://${req.get('host')}`;
+    return base.replace(/\/+$/, '');
+  }
+
+  static buildJobUrl(baseUrl, job) {
+    return `${baseUrl}/jobs/${job._id}`;
+  }
+
+  static toPublicJob(job) {
+    const { salaryRange, screeningQuestions, ...publicJob } = job;
+    const salary = FeedUtils.visibleSalary(job);
+
+    if (salary) {
+      publicJob.salaryRange = { min: salary.min, max: salary.max, currency: salary.currency, period: salary.period };
+    }
+
+    if (screeningQuestions) {
+      publicJob.screeningQuestions = screeningQuestions.map(question => Object.fromEntries(
+        PUBLIC_QUESTION_FIELDS
+          .filter(field => question[field] !== undefined)
+          .map(field => [field, question[field]])
+      ));
+    }
+
+    return publicJob;
+  }
+
+  // ============ Response cache ============
+
+  /**
+   * Serve a rendered response from the cache, or build and cache it
+   * @param {Function} build - async () => { contentType, body }
+   * @returns {Object} { contentType, body, etag }
+   */
+  static async cached(req, build) {
+    const key = `${this.requireTenant(req)}|${req.get('host')}|${req.originalUrl}`;
+    const entry = responseCache.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.response;
+    }
+
+    const { contentType, body } = await build();
+    const response = {
+      contentType,
+      body,
+      etag: `"${crypto.createHash('sha1').update(body).digest('base64')}"`
+    };
+
+    // Oldest entry first (Map keeps insertion order)
+    if (responseCache.size >= MAX_CACHE_ENTRIES) {
+      responseCache.delete(responseCache.keys().next().value);
+    }
+    responseCache.set(key, { response, expiresAt: Date.now() + config.careers.cacheSeconds * 1000 });
+
+    return response;
+  }
+
+  static clearCache(tenantId) {
+    if (tenantId === undefined) {
+      responseCache.clear();
+      return;
+    }
+
+    for (const key of responseCache.keys()) {
+      if (key.startsWith(`${tenantId}|`)) {
+        responseCache.delete(key);
+      }
+    }
+  }
+
+  static json(data) {
+    return { contentType: 'application/json; charset=utf-8', body: JSON.stringify({ success: true, ...data }) };
+  }
+
+  // ============ Public site ============
+
+  /**
+   * Company page: branding, about text and number of open jobs
+   */
+  static async getSite(req) {
+    return this.cached(req, async () => {
+      const MailSettingsService = require('../emails/mailSettings.service');
+      const tenantId = this.requireTenant(req);
+
+      const [site, branding, openJobs] = await Promise.all([
+        this.findSite(tenantId),
+        MailSettingsService.getBranding(tenantId),
+        Job.countDocuments(this.buildJobFilter(tenantId))
+      ]);
+
+      return this.json({
+        site: {
+          company: {
+            name: branding.companyName || req.tenant.name,
+            logoUrl: branding.logoUrl,
+            primaryColor: branding.primaryColor,
+            websiteUrl: site?.websiteUrl
+          },
+          headline: site?.headline,
+          about: site?.about,
+          heroImageUrl: site?.heroImageUrl,
+          openJobs
+        }
+      });
+    });
+  }
+
+  static async getDepartments(req) {
+    return this.cached(req, async () => {
+      const departments = await Job.aggregate([
+        { $match: this.buildJobFilter(this.requireTenant(req)) },
+        { $group: { _id: '$department', openJobs: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ]);
+
+      return this.json({
+        departments: departments.map(({ _id, openJobs }) => ({ name: _id, openJobs }))
+      });
+    });
+  }
+
+  static async getLocations(req) {
+    return this.cached(req, async () => {
+      const filter = this.buildJobFilter(this.requireTenant(req));
+
+      const [locations, remoteJobs] = await Promise.all([
+        Job.aggregate([
+          { $match: filter },
+          { $group: { _id: { city: '$location.city', country: '$location.country' }, openJobs: { $sum: 1 } } },
+          { $sort: { '_id.country': 1, '_id.city': 1 } }
+        ]),
+        Job.countDocuments({
+          $and: [filter, { $or: [{ 'location.remote': true }, { workplaceTypes: 'Remote' }] }]
+        })
+      ]);
+
+      return this.json({
+        locations: locations
+          .filter(({ _id }) => _id.city || _id.country)
+          .map(({ _id, openJobs }) => ({ city: _id.city, country: _id.country, openJobs })),
+        remoteJobs
+      });
+    });
+  }
+
+  /**
+   * Open jobs, newest first
+   * @param {Object} query - { department, city, country, remote, page, limit }
+   */
+  static async getJobs(query, req) {
+    return this.cached(req, async () => {
+      const filters = [this.buildJobFilter(this.requireTenant(req))];
+      if (query.department) filters.push({ department: exactMatch(query.department) });
+      if (query.city) filters.push({ 'location.city': exactMatch(query.city) });
+      if (query.country) filters.push({ 'location.country': exactMatch(query.country) });
+      if (query.remote === true) filters.push({ $or: [{ 'location.remote': true }, { workplaceTypes: 'Remote' }] });
+
+      const page = query.page || 1;
+      const limit = query.limit || 20;
+      const filter = { $and: filters };
+
+      const [jobs, total] = await Promise.all([
+        Job.find(filter)
+          .select(LIST_JOB_FIELDS)
+          .sort({ publishedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Job.countDocuments(filter)
+      ]);
+
+      return this.json({
+        jobs: jobs.map(job => this.toPublicJob(job)),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    });
+  }
+
+  /**
+   * Job page with schema.org JobPosting structured data
+   */
+  static async getJob(jobId, req) {
+    return this.cached(req, async () => {
+      const MailSettingsService = require('../emails/mailSettings.service');
+      const tenantId = this.requireTenant(req);
+
+      const job = await Job.findOne({ _id: jobId, ...this.buildJobFilter(tenantId) })
+        .select(DETAIL_JOB_FIELDS)
+        .lean();
+      if (!job) {
+        throw new Error('Job not found');
+      }
+
+      const [site, branding] = await Promise.all([
+        this.findSite(tenantId),
+        MailSettingsService.getBranding(tenantId)
+      ]);
+      const url = this.buildJobUrl(this.getBaseUrl(site, req), job);
+      const company = { name: branding.companyName || req.tenant.name, url: site?.websiteUrl || '' };
+
+      return this.json({
+        job: { ...this.toPublicJob(job), url },
+        structuredData: { ...FeedUtils.buildJobPosting(job, company), url }
+      });
+    });
+  }
+
+  /**
+   * sitemap.xml with the careers page and every open job
+   */
+  static async getSitemap(req) {
+    return this.cached(req, async () => {
+      const tenantId = this.requireTenant(req);
+
+      const [site, jobs] = await Promise.all([
+        this.findSite(tenantId),
+        Job.find(this.buildJobFilter(tenantId))
+          .select('_id updatedAt')
+          .sort({ publishedAt: -1 })
+          .limit(MAX_SITEMAP_JOBS)
+          .lean()
+      ]);
+
+      const baseUrl = this.getBaseUrl(site, req);
+      const lastModified = jobs.reduce((latest, job) => (job.updatedAt > latest ? job.updatedAt : latest), site?.updatedAt || new Date(0));
+
+      const url = (loc, lastmod) => [
+        '  <url>',
+        `    <loc>${FeedUtils.escapeXml(loc)}</loc>`,
+        lastmod && lastmod.getTime() > 0 ? `    <lastmod>${lastmod.toISOString()}</lastmod>` : null,
+        '  </url>'
+      ].filter(Boolean).join('\n');
+
+      return {
+        contentType: 'application/xml; charset=utf-8',
+        body: [
+          '<?xml version="1.0" encoding="utf-8"?>',
+          '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+          url(`${baseUrl}/`, lastModified),
+          ...jobs.map(job => url(this.buildJobUrl(baseUrl, job), job.updatedAt)),
+          '</urlset>',
+          ''
+        ].join('\n')
+      };
+    });
+  }
+
+  // ============ Settings (tenant admins) ============
+
+  static toSettings(site) {
+    return {
+      headline: site.headline,
+      about: site.about,
+      heroImageUrl: site.heroImageUrl,
+      websiteUrl: site.websiteUrl,
+      siteUrl: site.siteUrl,
+      updatedAt: site.updatedAt
+    };
+  }
+
+  static async getSettings(req) {
+    const tenantId = this.getTenantId(req);
+    const site = await this.findSite(tenantId);
+
+    return this.toSettings(site || new CareerSite({ tenantId }));
+  }
+
+  static async updateSettings(data, userId, req) {
+    const tenantId = this.getTenantId(req);
+    const site = (await this.findSite(tenantId)) || new CareerSite({ tenantId });
+
+    SITE_FIELDS.forEach(key => {
+      if (data[key] !== undefined) site[key] = data[key] || undefined;
+    });
+
+    site.updatedBy = userId;
+    await site.save();
+    this.clearCache(tenantId);
+
+    return this.toSettings(site);
+  }
+}
+
+module.exports = CareersService;
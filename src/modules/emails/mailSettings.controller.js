@@ -0,0 +1,109 @@
+const { validationResult } = require('express-validator');
+const MailSettingsService = require('./mailSettings.service');
+
+/**
+ * Mail Settings Controller
+ * Handles HTTP requests and delegates business logic to MailSettingsService
+ */
+
+const getErrorStatusCode = (error) => {
+  return error.message.includes('Invalid') || error.name === 'ValidationError' ? 400 :
+         error.message.includes('access required') ? 403 :
+         error.message.includes('Mail delivery failed') ? 502 : 500;
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Get mail transport and sender settings
+const getMailSettings = async (req, res) => {
+  try {
+    const settings = await MailSettingsService.getSettings(req);
+
+    res.json({
+      success: true,
+      settings
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Update mail transport and sender settings
+const updateMailSettings = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const settings = await MailSettingsService.updateSettings(req.body, req.user._id, req);
+
+    res.json({
+      success: true,
+      message: 'Mail settings updated successfully',
+      settings
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Send a test email with the saved settings
+const sendTestEmail = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const result = await MailSettingsService.sendTestEmail(req.body.to, req);
+
+    res.json({
+      success: true,
+      message: 'Test email sent',
+      messageId: result?.messageId
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Render a sample email with the saved (or unsaved) branding
+const previewEmail = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const preview = await MailSettingsService.previewEmail(req.body.branding, req);
+
+    res.json({
+      success: true,
+      preview
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getMailSettings,
+  updateMailSettings,
+  sendTestEmail,
+  previewEmail
+};
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Mail Settings Schema
+ * Per-tenant mail transport, sender identity and branding. A document with
+ * no tenantId holds the settings for single-tenant installs.
+ *
+ * driver 'default' keeps the platform transport (MAIL_DRIVER) and only
+ * overrides the sender.
+ */
+const mailSettingsSchema = new mongoose.Schema({
+  driver: {
+    type: String,
+    enum: ['default', 'smtp', 'mailgun'],
+    default: 'default'
+  },
+  fromName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Sender name cannot exceed 100 characters']
+  },
+  fromAddress: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  replyTo: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  smtp: {
+    host: { type: String, trim: true },
+    port: { type: Number, default: 587 },
+    // Implicit TLS (port 465); otherwise STARTTLS when offered
+    secure: { type: Boolean, default: false },
+    requireTLS: { type: Boolean, default: true },
+    username: { type: String, trim: true },
+    password: { type: String, select: false }
+  },
+  mailgun: {
+    domain: { type: String, trim: true },
+    apiKey: { type: String, select: false },
+    apiBase: { type: String, trim: true }
+  },
+  // Applied to every email by EmailService.buildEmailHtml
+  branding: {
+    companyName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Company name cannot exceed 100 characters']
+    },
+    logoUrl: {
+      type: String,
+      trim: true
+    },
+    primaryColor: {
+      type: String,
+      trim: true,
+      match: [HEX_COLOR, 'Primary color must be a hex color']
+    },
+    // Plain text, replaces the default auto-generated footer
+    footerText: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Footer text cannot exceed 1000 characters']
+    },
+    // Base layout HTML; must contain {{content}}
+    layoutHtml: {
+      type: String,
+      maxlength: [50000, 'Layout cannot exceed 50000 characters'],
+      validate: {
+        validator: value => !value || /\{\{\s*content\s*\}\}/.test(value),
+        message: 'Layout must contain the {{content}} placeholder'
+      }
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  // Multi-tenant support
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+mailSettingsSchema.index({ tenantId: 1 }, { unique: true });
+
+module.exports = mongoose.models.MailSettings || mongoose.model('MailSettings', mailSettingsSchema);
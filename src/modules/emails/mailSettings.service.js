@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const MailSettings = require('./mailSettings.model');
+const MailgunTransport = require('../../services/mail/mailgunTransport');
+const { resolvePublicAddress } = require('../../utils/publicAddress');
+const { getRequestTenantId } = require('../../utils/tenantQueryHelper');
+
+// Delivery settings are read for every email, so keep them briefly in memory.
+// Other instances pick up changes once their entry expires.
+const CACHE_TTL_MS = 60 * 1000;
+const deliveryCache = new Map();
+
+const BRANDING_FIELDS = ['companyName', 'logoUrl', 'primaryColor', 'footerText', 'layoutHtml'];
+
+/**
+ * Mail Settings Service
+ * Per-tenant mail transport, sender identity and branding
+ */
+class MailSettingsService {
+  /**
+   * Tenant whose settings the request manages: the detected tenant, otherwise
+   * the user's own. The platform settings (tenantId null) apply to every
+   * tenant without its own, so only a super admin may use them.
+   */
+  static getTenantId(req) {
+    const tenantId = getRequestTenantId(req);
+    if (tenantId) {
+      return tenantId;
+    }
+    if (req?.user?.role !== 'superadmin') {
+      throw new Error('Super admin access required for platform mail settings');
+    }
+    return null;
+  }
+
+  /**
+   * Settings without secrets (only whether they are set)
+   */
+  static toResponse(settings) {
+    const smtp = settings.smtp || {};
+    const mailgun = settings.mailgun || {};
+    const branding = settings.branding || {};
+
+    return {
+      driver: settings.driver,
+      fromName: settings.fromName,
+      fromAddress: settings.fromAddress,
+      replyTo: settings.replyTo,
+      smtp: {
+        host: smtp.host,
+        port: smtp.port,
+        secure: smtp.secure,
+        requireTLS: smtp.requireTLS,
+        username: smtp.username,
+        passwordSet: !!smtp.password
+      },
+      mailgun: {
+        domain: mailgun.domain,
+        apiBase: mailgun.apiBase,
+        apiKeySet: !!mailgun.apiKey
+      },
+      branding: {
+        companyName: branding.companyName,
+        logoUrl: branding.logoUrl,
+        primaryColor: branding.primaryColor,
+        footerText: branding.footerText,
+        layoutHtml: branding.layoutHtml
+      },
+      updatedAt: settings.updatedAt
+    };
+  }
+
+  static async findSettings(tenantId) {
+    return MailSettings.findOne({ tenantId }).select('+smtp.password +mailgun.apiKey');
+  }
+
+  /**
+   * Get the current tenant's settings (defaults when none are saved)
+   */
+  static async getSettings(req) {
+    const tenantId = this.getTenantId(req);
+    const settings = await this.findSettings(tenantId);
+
+    return this.toResponse(settings || new MailSettings({ tenantId }));
+  }
+
+  /**
+   * Create or update the current tenant's settings.
+   * Secrets are only replaced when a new value is sent.
+   */
+  static async updateSettings(data, userId, req) {
+    const tenantId = this.getTenantId(req);
+    const settings = (await this.findSettings(tenantId)) || new MailSettings({ tenantId });
+
+    ['driver', 'fromName', 'fromAddress', 'replyTo'].forEach(key => {
+      if (data[key] !== undefined) settings[key] = data[key] || undefined;
+    });
+
+    if (data.smtp) {
+      ['host', 'port', 'secure', 'requireTLS', 'username'].forEach(key => {
+        if (data.smtp[key] !== undefined) settings.smtp[key] = data.smtp[key];
+      });
+      if (data.smtp.password) settings.smtp.password = data.smtp.password;
+    }
+
+    if (data.mailgun) {
+      ['domain', 'apiBase'].forEach(key => {
+        if (data.mailgun[key] !== undefined) settings.mailgun[key] = data.mailgun[key];
+      });
+      if (data.mailgun.apiKey) settings.mailgun.apiKey = data.mailgun.apiKey;
+    }
+
+    if (data.branding) {
+      BRANDING_FIELDS.forEach(key => {
+        if (data.branding[key] !== undefined) settings.branding[key] = data.branding[key] || undefined;
+      });
+    }
+
+    await this.validateSettings(settings);
+
+    settings.updatedBy = userId;
+    await settings.save();
+    this.clearCache(tenantId);
+
+    return this.toResponse(settings);
+  }
+
+  /**
+   * Check the settings before saving. A tenant's SMTP server must resolve to
+   * public addresses and its Mailgun API base must be a Mailgun region, so
+   * tenant admins can't make the server connect to internal hosts.
+   */
+  static async validateSettings(settings) {
+    if (settings.driver === 'smtp' && !settings.smtp?.host) {
+      throw new Error('Invalid mail settings: SMTP host is required');
+    }
+    if (settings.driver === 'mailgun' && !(settings.mailgun?.domain && settings.mailgun?.apiKey)) {
+      throw new Error('Invalid mail settings: Mailgun domain and API key are required');
+    }
+    if (settings.driver !== 'default' && !settings.fromAddress) {
+      throw new Error('Invalid mail settings: sender address is required for a custom transport');
+    }
+
+    if (!settings.tenantId) return;
+    if (settings.driver === 'smtp') {
+      await resolvePublicAddress(settings.smtp.host, 'SMTP host').catch(error => {
+        throw new Error(`Invalid mail settings: ${error.message}`);
+      });
+    }
+    if (settings.driver === 'mailgun' && !MailgunTransport.isMailgunApiBase(settings.mailgun?.apiBase)) {
+      throw new Error(`Invalid mail settings: Mailgun API base must be one of ${MailgunTransport.API_BASES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Settings used for delivery (with secrets), or null when the tenant has none
+   */
+  static async getDeliverySettings(tenantId) {
+    // Scripts without a database connection use the platform transport
+    if (mongoose.connection.readyState !== 1) return null;
+
+    const key = String(tenantId || null);
+    const cached = deliveryCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.settings;
+    }
+
+    const settings = await MailSettings.findOne({ tenantId: tenantId || null })
+      .select('+smtp.password +mailgun.apiKey')
+      .lean();
+
+    deliveryCache.set(key, { settings, expiresAt: Date.now() + CACHE_TTL_MS });
+    return settings;
+  }
+
+  /**
+   * Tenant branding for EmailService.buildEmailHtml ({} for platform defaults)
+   */
+  static async getBranding(tenantId) {
+    const settings = await this.getDeliverySettings(tenantId);
+    return settings?.branding || {};
+  }
+
+  /**
+   * Render a sample email with the saved branding, optionally overridden
+   * by unsaved changes
+   */
+  static async previewEmail(branding, req) {
+    const EmailService = require('../../services/emailService');
+    const saved = await this.getBranding(this.getTenantId(req));
+    const preview = { ...saved };
+
+    BRANDING_FIELDS.forEach(key => {
+      if (branding && branding[key] !== undefined) preview[key] = branding[key];
+    });
+
+    if (preview.layoutHtml && !/\{\{\s*content\s*\}\}/.test(preview.layoutHtml)) {
+      throw new Error('Invalid layout: the {{content}} placeholder is required');
+    }
+
+    const sample = EmailService.generateApplicationConfirmationEmail(
+      'Jane Doe',
+      'Sample Position',
+      'preview',
+      process.env.FRONTEND_URL || ''
+    );
+
+    return {
+      subject: sample.subject,
+      html: EmailService.buildEmailHtml(sample.html, preview)
+    };
+  }
+
+  static clearCache(tenantId) {
+    if (tenantId === undefined) {
+      deliveryCache.clear();
+      return;
+    }
+    deliveryCache.delete(String(tenantId || null));
+  }
+
+  /**
+   * Send a test email right away (bypassing the outbox) to check the settings
+   */
+  static async sendTestEmail(to, req) {
+    const EmailService = require('../../services/emailService');
+    const tenantId = this.getTenantId(req);
+    const html = '<p>This is a test email from {{companyName}}. Your mail settings are working.</p>';
+
+    try {
+      return await EmailService.deliver({
+        to,
+        subject: 'Test email',
+        html: EmailService.buildEmailHtml(html, await this.getBranding(tenantId)),
+        tenantId
+      });
+    } catch (error) {
+      // The cause stays in the log: connection errors would tell tenant admins
+      // which hosts and ports the server can reach
+      console.error(`Test email for tenant ${tenantId || 'platform'} failed:`, error.message);
+      throw new Error('Mail delivery failed: check the server, port and credentials');
+    }
+  }
+}
+
+module.exports = MailSettingsService;
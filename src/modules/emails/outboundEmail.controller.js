@@ -0,0 +1,93 @@
+const { validationResult } = require('express-validator');
+const OutboundEmailService = require('./outboundEmail.service');
+
+/**
+ * Outbound Email Controller
+ * Handles HTTP requests and delegates business logic to OutboundEmailService
+ */
+
+const getErrorStatusCode = (error) => {
+  return error.message.includes('not found') ? 404 :
+         error.message.includes('already queued') ? 409 :
+         error.message.includes('cannot be resent') ? 403 :
+         error.name === 'CastError' ? 400 : 500;
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Browse the outbox (filter by applicationId, eventId, status, category, to)
+const getEmails = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const result = await OutboundEmailService.getEmails(req.query, req);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Get a single email with its body
+const getEmailById = async (req, res) => {
+  try {
+    const email = await OutboundEmailService.getEmailById(req.params.id, req);
+
+    res.json({
+      success: true,
+      email
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Resend an email
+const resendEmail = async (req, res) => {
+  try {
+    const email = await OutboundEmailService.resendEmail(req.params.id, req.user._id, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Email queued for delivery',
+      email: {
+        _id: email._id,
+        to: email.to,
+        subject: email.subject,
+        status: email.status,
+        resendOf: email.resendOf
+      }
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getEmails,
+  getEmailById,
+  resendEmail
+};
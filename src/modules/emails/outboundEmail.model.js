@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    default: 'application/octet-stream'
+  }
+}, { _id: false });
+
+/**
+ * Outbound Email Schema
+ * Persisted outbox: every email is stored here first and delivered by the
+ * queue worker (services/emailQueueService), which retries with backoff.
+ *
+ * Status flow: queued -> sending -> sent
+ *                           |-> failed (retry at nextAttemptAt) -> sending ...
+ *                           |-> dead (maxAttempts reached)
+ */
+const outboundEmailSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true,
+    lowercase: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required']
+  },
+  // Final HTML as delivered (layout and footer already applied)
+  html: {
+    type: String,
+    required: true
+  },
+  text: String,
+  attachments: {
+    type: [attachmentSchema],
+    default: []
+  },
+  // e.g. status_update, event_invite, event_reminder, password_reset
+  category: {
+    type: String,
+    trim: true,
+    default: 'general'
+  },
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed', 'dead'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Claim held by a worker; expired claims are picked up again
+  lockedUntil: Date,
+  lockedBy: String,
+  lastError: String,
+  sentAt: Date,
+  providerMessageId: String,
+  // Set when an admin resends a message
+  resendOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OutboundEmail'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  // Multi-tenant support
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    index: true,
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+outboundEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+outboundEmailSchema.index({ applicationId: 1, createdAt: -1 });
+outboundEmailSchema.index({ eventId: 1, createdAt: -1 });
+outboundEmailSchema.index({ tenantId: 1, status: 1, sentAt: -1 });
+
+module.exports = mongoose.models.OutboundEmail || mongoose.model('OutboundEmail', outboundEmailSchema);
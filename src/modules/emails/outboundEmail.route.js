@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getEmails,
+  getEmailById,
+  resendEmail
+} = require('./outboundEmail.controller');
+const {
+  getMailSettings,
+  updateMailSettings,
+  sendTestEmail,
+  previewEmail
+} = require('./mailSettings.controller');
+const { auth, adminAuth } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const {
+  validateEmailQuery,
+  validateMailSettings,
+  validateTestEmail,
+  validateEmailBranding
+} = require('../../middleware/validation');
+
+// Mail transport, sender and branding settings (tenant admins only)
+router.get('/settings', auth, requireRole(['superadmin', 'admin']), getMailSettings);
+router.put('/settings', auth, requireRole(['superadmin', 'admin']), validateMailSettings, updateMailSettings);
+router.post('/settings/test', auth, requireRole(['superadmin', 'admin']), validateTestEmail, sendTestEmail);
+router.post('/settings/preview', auth, requireRole(['superadmin', 'admin']), validateEmailBranding, previewEmail);
+
+// Delivery log without bodies (admin authentication)
+router.get('/', auth, adminAuth, validateEmailQuery, getEmails);
+
+// Bodies and resending (tenant admins only)
+router.get('/:id', auth, requireRole(['superadmin', 'admin']), getEmailById);
+router.post('/:id/resend', auth, requireRole(['superadmin', 'admin']), resendEmail);
+
+module.exports = router;
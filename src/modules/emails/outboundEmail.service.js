@@ -0,0 +1,107 @@
+const OutboundEmail = require('./outboundEmail.model');
+const EmailQueueService = require('../../services/emailQueueService');
+const { addScopedTenantFilter } = require('../../utils/tenantQueryHelper');
+
+// Emails carrying one-time links (password reset, offer response, self-scheduling,
+// guest tracking). Their bodies are never shown and they are never resent.
+const SENSITIVE_CATEGORIES = ['password_reset', 'offer', 'scheduling_link', 'application_confirmation'];
+
+/**
+ * Outbound Email Service
+ * Browsing and resending messages from the email outbox
+ */
+class OutboundEmailService {
+  /**
+   * List outbox messages (without bodies)
+   * @param {Object} filters - { applicationId, eventId, status, category, to, page, limit }
+   */
+  static async getEmails(filters, req) {
+    const { applicationId, eventId, status, category, to, page = 1, limit = 20 } = filters;
+    const query = {};
+
+    if (applicationId) query.applicationId = applicationId;
+    if (eventId) query.eventId = eventId;
+    if (status) query.status = status;
+    if (category) query.category = category;
+    if (to) query.to = to.toLowerCase();
+
+    const filter = addScopedTenantFilter(query, req);
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [emails, total] = await Promise.all([
+      OutboundEmail.find(filter)
+        .select('-html -text -attachments.content')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      OutboundEmail.countDocuments(filter)
+    ]);
+
+    return {
+      emails,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    };
+  }
+
+  /**
+   * Get one message including its body (withheld for sensitive categories)
+   */
+  static async getEmailById(emailId, req) {
+    const email = await OutboundEmail.findOne(addScopedTenantFilter({ _id: emailId }, req))
+      .select('-attachments.content')
+      .lean();
+
+    if (!email) {
+      throw new Error('Email not found');
+    }
+
+    if (SENSITIVE_CATEGORIES.includes(email.category)) {
+      delete email.html;
+      delete email.text;
+      email.bodyWithheld = true;
+    }
+
+    return email;
+  }
+
+  /**
+   * Queue a copy of a message (the original keeps its history)
+   */
+  static async resendEmail(emailId, userId, req) {
+    const original = await OutboundEmail.findOne(addScopedTenantFilter({ _id: emailId }, req));
+
+    if (!original) {
+      throw new Error('Email not found');
+    }
+    if (SENSITIVE_CATEGORIES.includes(original.category)) {
+      throw new Error(`Emails of category "${original.category}" cannot be resent`);
+    }
+    if (['queued', 'sending'].includes(original.status)) {
+      throw new Error('Email is already queued for delivery');
+    }
+
+    return EmailQueueService.enqueue({
+      to: original.to,
+      subject: original.subject,
+      html: original.html,
+      text: original.text,
+      attachments: original.attachments
+    }, {
+      tenantId: original.tenantId,
+      applicationId: original.applicationId,
+      eventId: original.eventId,
+      category: original.category,
+      requestedBy: userId,
+      resendOf: original._id
+    });
+  }
+}
+
+OutboundEmailService.SENSITIVE_CATEGORIES = SENSITIVE_CATEGORIES;
+
+module.exports = OutboundEmailService;
@@ -0,0 +1,38 @@
+const FeedService = require('./feed.service');
+const config = require('../../config');
+
+/**
+ * Feed Controller
+ * Serves job board feeds; boards poll these URLs, so responses are cacheable
+ */
+
+const getErrorStatusCode = (error) => {
+  return error.message.includes('not found') ? 404 : 500;
+};
+
+// Job feed for the tenant of the current host (no auth)
+const getFeed = (format) => async (req, res) => {
+  try {
+    const selfUrl = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    const { contentType, body } = await FeedService.getFeed(format, selfUrl, req);
+
+    res.set({
+      'Content-Type': contentType,
+      'Cache-Control': `public, max-age=${config.feeds.cacheSeconds}`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(body);
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getIndeedFeed: getFeed('indeed'),
+  getRssFeed: getFeed('rss'),
+  getAtomFeed: getFeed('atom'),
+  getJsonLdFeed: getFeed('jsonld')
+};
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getIndeedFeed,
+  getRssFeed,
+  getAtomFeed,
+  getJsonLdFeed
+} = require('./feed.controller');
+
+// Public feeds of the current tenant's published jobs (no authentication required).
+// Each feed only lists jobs published on its board (Job.publishedOn).
+router.get('/indeed.xml', getIndeedFeed);
+router.get('/rss.xml', getRssFeed);
+router.get('/atom.xml', getAtomFeed);
+router.get('/jobs.jsonld', getJsonLdFeed);
+
+module.exports = router;
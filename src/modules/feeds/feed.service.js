@@ -0,0 +1,78 @@
+const Job = require('../jobs/job.model');
+const FeedUtils = require('./feed.utils');
+const config = require('../../config');
+
+const FEED_FORMATS = {
+  indeed: { contentType: 'application/xml; charset=utf-8', build: (jobs, company) => FeedUtils.buildIndeedFeed(jobs, company) },
+  rss: { contentType: 'application/rss+xml; charset=utf-8', build: (jobs, company, selfUrl) => FeedUtils.buildRssFeed(jobs, company, selfUrl) },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', build: (jobs, company, selfUrl) => FeedUtils.buildAtomFeed(jobs, company, selfUrl) },
+  jsonld: { contentType: 'application/ld+json; charset=utf-8', build: (jobs, company) => FeedUtils.buildJsonLdFeed(jobs, company) }
+};
+
+/**
+ * Feed Service
+ * Per-tenant job board feeds of published jobs
+ */
+class FeedService {
+  /**
+   * Published, unexpired jobs of the tenant flagged for the board
+   */
+  static buildFilter(tenantId, board, now = new Date()) {
+    return {
+      tenantId,
+      isPublished: true,
+      status: 'published',
+      publishedOn: board,
+      $or: [
+        { expiryDate: { $exists: false } },
+        { expiryDate: null },
+        { expiryDate: { $gt: now } }
+      ]
+    };
+  }
+
+  static async getCompany(tenant) {
+    const MailSettingsService = require('../emails/mailSettings.service');
+    const branding = await MailSettingsService.getBranding(tenant._id);
+
+    return {
+      name: branding.companyName || tenant.name,
+      url: process.env.FRONTEND_URL || ''
+    };
+  }
+
+  /**
+   * Render a feed for the current tenant
+   * @param {String} format - indeed | rss | atom | jsonld
+   * @param {String} selfUrl - Public URL of the feed (for RSS/Atom self links)
+   * @returns {Object} { contentType, body }
+   */
+  static async getFeed(format, selfUrl, req) {
+    const feed = FEED_FORMATS[format];
+    if (!feed) {
+      throw new Error('Feed not found');
+    }
+
+    // Feeds are per company; without tenant context there is nothing to syndicate
+    if (!req.tenant || !req.tenantId) {
+      throw new Error('Feed not found: no company for this host');
+    }
+
+    const jobs = await Job.find(this.buildFilter(req.tenantId, FeedUtils.FEED_BOARDS[format]))
+      .select('-screeningQuestions -screeningSettings -hiringTeam -interviewers -salaryBudget -requisition')
+      .sort({ publishedAt: -1 })
+      .limit(config.feeds.maxJobs)
+      .lean();
+
+    const company = await this.getCompany(req.tenant);
+
+    return {
+      contentType: feed.contentType,
+      body: feed.build(jobs, company, selfUrl)
+    };
+  }
+}
+
+FeedService.FEED_FORMATS = FEED_FORMATS;
+
+module.exports = FeedService;
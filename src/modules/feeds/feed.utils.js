@@ -0,0 +1,306 @@
+// Board name (Job.publishedOn) each feed syndicates to
+const FEED_BOARDS = {
+  indeed: 'indeed',
+  rss: 'rss',
+  atom: 'rss',
+  jsonld: 'google'
+};
+
+const INDEED_JOB_TYPES = {
+  'Full-time': 'fulltime',
+  'Part-time': 'parttime',
+  Contract: 'contract',
+  Internship: 'internship',
+  Temporary: 'temporary',
+  Volunteer: 'volunteer'
+};
+
+const SCHEMA_EMPLOYMENT_TYPES = {
+  'Full-time': 'FULL_TIME',
+  'Part-time': 'PART_TIME',
+  Contract: 'CONTRACTOR',
+  Internship: 'INTERN',
+  Temporary: 'TEMPORARY',
+  Volunteer: 'VOLUNTEER'
+};
+
+const SCHEMA_SALARY_UNITS = {
+  Yearly: 'YEAR',
+  Monthly: 'MONTH',
+  Weekly: 'WEEK',
+  Hourly: 'HOUR'
+};
+
+const SALARY_PERIODS = {
+  Yearly: 'per year',
+  Monthly: 'per month',
+  Weekly: 'per week',
+  Hourly: 'per hour'
+};
+
+// Characters not allowed in XML 1.0 documents
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// CDATA cannot contain "]]>", so split it across two sections
+const cdata = (value) => `<![CDATA[${String(value ?? '').replace(INVALID_XML_CHARS, '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+/**
+ * Feed Utility Functions
+ * Builders for the job board feeds (Indeed XML, RSS, Atom, schema.org JSON-LD)
+ */
+class FeedUtils {
+  static buildJobUrl(job) {
+    const frontendUrl = process.env.FRONTEND_URL || '';
+    return `${frontendUrl}/jobs/${job._id}`;
+  }
+
+  static jobDate(job) {
+    return job.publishedAt || job.createdAt || new Date();
+  }
+
+  static isRemote(job) {
+    return !!(job.location?.remote || (job.workplaceTypes || []).includes('Remote'));
+  }
+
+  /**
+   * Salary shown to candidates, or null when hidden or not set
+   */
+  static visibleSalary(job) {
+    const range = job.salaryRange;
+    if (!range || range.hideFromCandidates || (typeof range.min !== 'number' && typeof range.max !== 'number')) {
+      return null;
+    }
+    return range;
+  }
+
+  static formatSalary(range) {
+    const format = (amount) => new Intl.NumberFormat('en-US').format(amount);
+    const amounts = [range.min, range.max].filter(amount => typeof amount === 'number');
+    const value = amounts.length === 2 && amounts[0] !== amounts[1]
+      ? `${format(amounts[0])} - ${format(amounts[1])}`
+      : format(amounts[0]);
+
+    return `${range.currency || 'USD'} ${value} ${SALARY_PERIODS[range.period] || ''}`.trim();
+  }
+
+  /**
+   * Description as HTML: the text with its line breaks, then responsibilities and requirements
+   */
+  static buildDescriptionHtml(job) {
+    const paragraphs = String(job.description || '')
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.trim())
+      .filter(Boolean)
+      .map(paragraph => `<p>${escapeXml(paragraph).replace(/\n/g, '<br>')}</p>`);
+
+    const list = (heading, items) => (items && items.length > 0)
+      ? [`<h3>${heading}</h3>`, `<ul>${items.map(item => `<li>${escapeXml(item)}</li>`).join('')}</ul>`]
+      : [];
+
+    return [
+      ...paragraphs,
+      ...list('Responsibilities', job.responsibilities),
+      ...list('Requirements', job.requirements)
+    ].join('\n');
+  }
+
+  // ============ Indeed XML ============
+
+  static buildIndeedFeed(jobs, company) {
+    const jobXml = jobs.map(job => {
+      const salary = this.visibleSalary(job);
+      const fields = [
+        ['title', job.title],
+        ['date', this.jobDate(job).toUTCString()],
+        ['referencenumber', String(job._id)],
+        ['url', this.buildJobUrl(job)],
+        ['company', company.name],
+        ['city', job.location?.city],
+        ['country', job.location?.country],
+        ['description', this.buildDescriptionHtml(job)],
+        ['salary', salary ? this.formatSalary(salary) : null],
+        ['jobtype', INDEED_JOB_TYPES[job.jobType || job.employmentType]],
+        ['category', job.department],
+        ['experience', job.experienceRequiredYears ? `${job.experienceRequiredYears} years` : null],
+        ['expirationdate', job.expiryDate ? new Date(job.expiryDate).toUTCString() : null],
+        ['remotetype', this.isRemote(job) ? 'Fully remote' : null]
+      ];
+
+      const body = fields
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([name, value]) => `    <${name}>${cdata(value)}</${name}>`)
+        .join('\n');
+
+      return `  <job>\n${body}\n  </job>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<source>',
+      `  <publisher>${escapeXml(company.name)}</publisher>`,
+      `  <publisherurl>${escapeXml(company.url)}</publisherurl>`,
+      `  <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+      ...jobXml,
+      '</source>',
+      ''
+    ].join('\n');
+  }
+
+  // ============ RSS / Atom ============
+
+  static buildRssFeed(jobs, company, selfUrl) {
+    const items = jobs.map(job => {
+      const salary = this.visibleSalary(job);
+      const location = [job.location?.city, job.location?.country].filter(Boolean).join(', ');
+      const summary = [location, this.isRemote(job) ? 'Remote' : null, salary ? this.formatSalary(salary) : null]
+        .filter(Boolean).join(' | ');
+
+      return [
+        '    <item>',
+        `      <title>${escapeXml(job.title)}</title>`,
+        `      <link>${escapeXml(this.buildJobUrl(job))}</link>`,
+        `      <guid isPermaLink="false">${escapeXml(job._id)}</guid>`,
+        `      <pubDate>${this.jobDate(job).toUTCString()}</pubDate>`,
+        `      <category>${escapeXml(job.department)}</category>`,
+        `      <description>${cdata(`${summary ? `<p>${escapeXml(summary)}</p>\n` : ''}${this.buildDescriptionHtml(job)}`)}</description>`,
+        '    </item>'
+      ].join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+      '  <channel>',
+      `    <title>${escapeXml(`Jobs at ${company.name}`)}</title>`,
+      `    <link>${escapeXml(company.url)}</link>`,
+      `    <description>${escapeXml(`Open positions at ${company.name}`)}</description>`,
+      `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+      `    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+      ...items,
+      '  </channel>',
+      '</rss>',
+      ''
+    ].join('\n');
+  }
+
+  static buildAtomFeed(jobs, company, selfUrl) {
+    const updated = jobs.reduce((latest, job) => {
+      const date = new Date(job.updatedAt || this.jobDate(job));
+      return date > latest ? date : latest;
+    }, new Date(0));
+
+    const entries = jobs.map(job => [
+      '  <entry>',
+      `    <id>urn:job:${escapeXml(job._id)}</id>`,
+      `    <title>${escapeXml(job.title)}</title>`,
+      `    <link href="${escapeXml(this.buildJobUrl(job))}"/>`,
+      `    <published>${this.jobDate(job).toISOString()}</published>`,
+      `    <updated>${new Date(job.updatedAt || this.jobDate(job)).toISOString()}</updated>`,
+      `    <category term="${escapeXml(job.department)}"/>`,
+      `    <content type="html">${escapeXml(this.buildDescriptionHtml(job))}</content>`,
+      '  </entry>'
+    ].join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <id>${escapeXml(selfUrl)}</id>`,
+      `  <title>${escapeXml(`Jobs at ${company.name}`)}</title>`,
+      `  <updated>${(jobs.length > 0 ? updated : new Date()).toISOString()}</updated>`,
+      `  <link href="${escapeXml(selfUrl)}" rel="self"/>`,
+      `  <link href="${escapeXml(company.url)}"/>`,
+      `  <author><name>${escapeXml(company.name)}</name></author>`,
+      ...entries,
+      '</feed>',
+      ''
+    ].join('\n');
+  }
+
+  // ============ schema.org JSON-LD ============
+
+  static buildJobPosting(job, company) {
+    const salary = this.visibleSalary(job);
+    const validThrough = job.expiryDate || job.applicationDeadline;
+
+    const posting = {
+      '@context': 'https://schema.org/',
+      '@type': 'JobPosting',
+      title: job.title,
+      description: this.buildDescriptionHtml(job),
+      identifier: {
+        '@type': 'PropertyValue',
+        name: company.name,
+        value: String(job._id)
+      },
+      datePosted: this.jobDate(job).toISOString(),
+      employmentType: SCHEMA_EMPLOYMENT_TYPES[job.jobType || job.employmentType],
+      hiringOrganization: {
+        '@type': 'Organization',
+        name: company.name,
+        sameAs: company.url || undefined
+      },
+      jobLocation: {
+        '@type': 'Place',
+        address: {
+          '@type': 'PostalAddress',
+          addressLocality: job.location?.city,
+          addressCountry: job.location?.country
+        }
+      },
+      url: this.buildJobUrl(job)
+    };
+
+    if (validThrough) {
+      posting.validThrough = new Date(validThrough).toISOString();
+    }
+
+    if (this.isRemote(job)) {
+      posting.jobLocationType = 'TELECOMMUTE';
+      if (job.location?.country) {
+        posting.applicantLocationRequirements = { '@type': 'Country', name: job.location.country };
+      }
+    }
+
+    if (salary) {
+      posting.baseSalary = {
+        '@type': 'MonetaryAmount',
+        currency: salary.currency || 'USD',
+        value: {
+          '@type': 'QuantitativeValue',
+          minValue: salary.min,
+          maxValue: salary.max,
+          unitText: SCHEMA_SALARY_UNITS[salary.period] || 'YEAR'
+        }
+      };
+    }
+
+    if (job.skills && job.skills.length > 0) {
+      posting.skills = job.skills.join(', ');
+    }
+
+    return posting;
+  }
+
+  static buildJsonLdFeed(jobs, company) {
+    return JSON.stringify({
+      '@context': 'https://schema.org/',
+      '@graph': jobs.map(job => {
+        const { '@context': context, ...posting } = this.buildJobPosting(job, company);
+        return posting;
+      })
+    });
+  }
+}
+
+FeedUtils.FEED_BOARDS = FEED_BOARDS;
+FeedUtils.escapeXml = escapeXml;
+
+module.exports = FeedUtils;
@@ -1,6 +1,8 @@
 const { validationResult } = require('express-validator');
 const GuestApplicationService = require('./guestApplication.service');
 const GuestApplicationUtils = require('./guestApplication.utils');
+const TrackingLinkService = require('../tracking/trackingLink.service');
+const ScreeningAnswerService = require('../../services/screeningAnswerService');
 
 /**
  * Guest Application Controller
@@ -67,24 +69,30 @@ const applyForJobAsGuest = async (req, res) => {
   const { 
     jobId, 
     candidateInfo,
-    screeningAnswers: rawScreeningAnswers, 
-    source = 'company_website' 
+    screeningAnswers: rawScreeningAnswers
   } = req.body;
   
-  // Parse screening answers
-  const screeningAnswers = GuestApplicationUtils.parseScreeningAnswers(rawScreeningAnswers);
+  // Parse screening answers; uploads to file questions arrive as separate files
+  const screeningAnswers = ScreeningAnswerService.attachFiles(
+    GuestApplicationUtils.parseScreeningAnswers(rawScreeningAnswers),
+    req.screeningFiles
+  );
   
   const resumePath = req.file ? req.file.path : null;
   const resumeFilename = req.file ? req.file.filename : null;
 
   try {
+    // Source, UTM parameters, referrer and tracking link
+    const { source, attribution } = await TrackingLinkService.resolveAttribution(jobId, req.body, req.get('referer'));
+
     const result = await GuestApplicationService.applyForJobAsGuest(
       jobId,
       candidateInfo,
       resumePath,
       resumeFilename,
       screeningAnswers,
-      source
+      source,
+      attribution
     );
 
     res.status(201).json({
@@ -97,6 +105,8 @@ const applyForJobAsGuest = async (req, res) => {
     const statusCode = error.message.includes('not found') ? 404 :
                       error.message.includes('already') ? 400 :
                       error.message.includes('available') ? 400 :
+                      error.message.includes('Job is closed') ? 400 :
+                      error.message.includes('not open for applications') ? 400 :
                       error.message.includes('Invalid') ? 400 : 500;
     res.status(statusCode).json({
       success: false,
@@ -5,9 +5,20 @@ const screeningAnswerSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     required: true
   },
+  // Display value; multi-select answers are joined with ", " and file answers hold the original file name
   answer: {
     type: String,
     required: true
+  },
+  // Picked options of multi-select questions
+  values: [String],
+  // Upload of file questions
+  file: {
+    path: String,
+    filename: String,
+    originalName: String,
+    mimeType: String,
+    size: Number
   }
 });
 
@@ -33,6 +44,10 @@ const guestApplicationSchema = new mongoose.Schema({
     ref: 'Job',
     required: true
   },
+  // Job version (Job.version) the candidate applied against
+  jobVersion: {
+    type: Number
+  },
   // Guest candidate information
   candidateInfo: {
     firstName: {
@@ -86,6 +101,7 @@ const guestApplicationSchema = new mongoose.Schema({
     email: String,
     phone: String,
     linkedinUrl: String,
+    location: String,
     totalExperience: Number,
     skills: [String],
     education: [{
@@ -128,9 +144,30 @@ const guestApplicationSchema = new mongoose.Schema({
   },
   source: {
     type: String,
-    enum: ['company_website', 'linkedin', 'indeed', 'other'],
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Source cannot exceed 50 characters'],
     default: 'company_website'
   },
+  // Where the candidate came from (UTM parameters, referrer, tracked apply link)
+  attribution: {
+    utmSource: { type: String, trim: true, maxlength: 200 },
+    utmMedium: { type: String, trim: true, maxlength: 200 },
+    utmCampaign: { type: String, trim: true, maxlength: 200 },
+    utmTerm: { type: String, trim: true, maxlength: 200 },
+    utmContent: { type: String, trim: true, maxlength: 200 },
+    referrer: { type: String, trim: true, maxlength: 2000 },
+    campaign: { type: String, trim: true, maxlength: 200 },
+    trackingLinkId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TrackingLink'
+    },
+    // Employee referral the application came from
+    referralId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Referral'
+    }
+  },
   // Track if guest converted to registered user
   convertedToUser: {
     type: Boolean,
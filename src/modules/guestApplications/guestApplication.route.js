@@ -7,15 +7,16 @@ const {
   getGuestApplicationByEmail,
   convertGuestToUser
 } = require('./guestApplication.controller');
+const { getGuestSchedulingLinks } = require('../scheduling/scheduling.controller');
 const {
   validateGuestApplication,
   validateGuestToUserConversion
 } = require('../../middleware/validation');
-const { upload, handleUploadError } = require('../../middleware/upload');
+const { uploadApplicationFiles, handleUploadError } = require('../../middleware/upload');
 
 // Apply for job as guest (no authentication required)
 router.post('/jobs/:jobId/apply/guest', 
-  upload.single('resume'),
+  uploadApplicationFiles,
   handleUploadError,
   parseCandidateInfo,
   validateGuestApplication,
@@ -25,6 +26,9 @@ router.post('/jobs/:jobId/apply/guest',
 // Get guest application by tracking token (no authentication required)
 router.get('/track/:trackingToken', getGuestApplicationByToken);
 
+// Get interview scheduling links by tracking token (no authentication required)
+router.get('/track/:trackingToken/scheduling-links', getGuestSchedulingLinks);
+
 // Get guest applications by email (no authentication required)
 router.get('/applications/:email', getGuestApplicationByEmail);
 
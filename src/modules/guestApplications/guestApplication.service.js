@@ -6,6 +6,13 @@ const cvParsingService = require('../../services/cvParsingService');
 const EmailService = require('../../services/emailService');
 const crypto = require('crypto');
 const GuestApplicationUtils = require('./guestApplication.utils');
+const PipelineService = require('../pipelines/pipeline.service');
+const ReferralService = require('../referrals/referral.service');
+const MatchScoringService = require('../../services/matchScoringService');
+const ScreeningScoringService = require('../../services/screeningScoringService');
+const ScreeningAnswerService = require('../../services/screeningAnswerService');
+const JobLifecycleService = require('../../services/jobLifecycleService');
+const { publishNewApplication } = require('../../services/realtime');
 
 /**
  * Guest Application Service
@@ -14,8 +21,9 @@ const GuestApplicationUtils = require('./guestApplication.utils');
 class GuestApplicationService {
   /**
    * Apply for job as guest
+   * options.enforceRequiredScreening: false when someone else (a referrer) applies for the candidate
    */
-  static async applyForJobAsGuest(jobId, candidateInfo, resumePath, resumeFilename, screeningAnswers, source) {
+  static async applyForJobAsGuest(jobId, candidateInfo, resumePath, resumeFilename, screeningAnswers, source, attribution = {}, options = {}) {
     // Validate job
     const job = await GuestApplicationUtils.validateJobForApplication(jobId);
     
@@ -31,6 +39,11 @@ class GuestApplicationService {
     // Validate resume
     GuestApplicationUtils.validateResume(resumePath, resumeFilename);
 
+    // Check the answers against the job's questions (drops answers to hidden questions)
+    const validatedAnswers = ScreeningAnswerService.validateAnswers(job.screeningQuestions, parsedScreeningAnswers, {
+      enforceRequired: options.enforceRequiredScreening !== false
+    });
+
     // Parse CV
     const parsedCVData = await GuestApplicationUtils.parseCandidateResume(resumePath, resumeFilename);
 
@@ -40,6 +53,7 @@ class GuestApplicationService {
     // Create guest application
     const guestApplication = await GuestApplication.create({
       jobId,
+      jobVersion: job.version,
       candidateInfo: {
         ...candidateInfo,
         email: candidateInfo.email.toLowerCase()
@@ -47,24 +61,33 @@ class GuestApplicationService {
       resumePath,
       resumeFilename,
       parsedCVData,
-      screeningAnswers: parsedScreeningAnswers || [],
+      screeningAnswers: validatedAnswers,
       source,
+      attribution,
       trackingToken
     });
 
     // Get candidate data (use parsed CV data if available for better data quality)
     const candidateData = parsedCVData && parsedCVData.firstName ? parsedCVData : candidateInfo;
     
+    // New applications start in the first stage of the job's pipeline
+    const initialStatus = await PipelineService.getInitialStageForJob(job);
+
     // Create corresponding Application record
     const application = await Application.create({
       jobId,
+      jobVersion: job.version,
+      status: initialStatus,
       isGuestApplication: true,
       guestApplicationId: guestApplication._id,
       resumePath,
       resumeFilename,
       parsedCVData,
-      screeningAnswers: parsedScreeningAnswers || [],
+      matchScore: MatchScoringService.scoreApplication(job, { parsedCVData, candidateSnapshot: candidateInfo }),
+      screeningAnswers: validatedAnswers,
+      screeningResult: ScreeningScoringService.evaluate(job, validatedAnswers) || undefined,
       source,
+      attribution,
       candidateSnapshot: {
         firstName: candidateData.firstName,
         lastName: candidateData.lastName,
@@ -78,8 +101,23 @@ class GuestApplicationService {
     // Increment job application count
     await job.incrementApplications();
 
+    // The cap closes the job right away rather than on the next lifecycle run
+    await JobLifecycleService.closeIfFull(job);
+
+    // Applications through an employee's referral link become referrals
+    await ReferralService.recordLinkReferral(application, candidateInfo);
+
+    // Live pipeline boards and dashboards pick up the new application
+    publishNewApplication(application, job.tenantId && String(job.tenantId));
+
     // Send confirmation email
-    await GuestApplicationUtils.sendConfirmationEmail(guestApplication, job, candidateInfo.firstName, candidateInfo.lastName);
+    await GuestApplicationUtils.sendConfirmationEmail(guestApplication, job, candidateInfo.firstName, candidateInfo.lastName, application._id);
+
+    // Knockout/score failures can move the application and notify the candidate
+    await ScreeningScoringService.applyOutcome(application, job, {
+      name: `${candidateInfo.firstName} ${candidateInfo.lastName}`,
+      email: candidateInfo.email
+    });
 
     return {
       id: application._id,
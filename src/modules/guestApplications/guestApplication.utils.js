@@ -1,6 +1,7 @@
 require('dotenv').config();
 
 const Job = require('../jobs/job.model');
+const JobUtils = require('../jobs/job.utils');
 const GuestApplication = require('./guestApplication.model');
 const Application = require('../application/application.model');
 const { Candidate } = require('../auth/auth.model');
@@ -22,19 +23,8 @@ class GuestApplicationUtils {
       throw new Error('Job not found');
     }
 
-    if (!job.isPublished || job.status !== 'published') {
-      throw new Error('Job is not available for applications');
-    }
-
-    // Check application deadline
-    if (job.applicationDeadline && new Date() > job.applicationDeadline) {
-      throw new Error('Application deadline has passed');
-    }
-
-    // Check application limit
-    if (job.currentApplications >= job.maxApplications) {
-      throw new Error('Application limit reached for this job');
-    }
+    // Closed, scheduled, past its deadline or full
+    JobUtils.assertAcceptingApplications(job);
 
     return job;
   }
@@ -124,7 +114,7 @@ class GuestApplicationUtils {
   /**
    * Send confirmation email
    */
-  static async sendConfirmationEmail(guestApplication, job, firstName, lastName) {
+  static async sendConfirmationEmail(guestApplication, job, firstName, lastName, applicationId = null) {
     try {
       const frontendUrl = process.env.FRONTEND_URL;
       const emailTemplate = EmailService.generateApplicationConfirmationEmail(
@@ -137,7 +127,9 @@ class GuestApplicationUtils {
       await EmailService.sendEmail(
         guestApplication.candidateInfo.email,
         emailTemplate.subject,
-        emailTemplate.html
+        emailTemplate.html,
+        null,
+        { applicationId, tenantId: job.tenantId, category: 'application_confirmation' }
       );
       console.log('Confirmation email sent successfully');
     } catch (emailError) {
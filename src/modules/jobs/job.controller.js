@@ -1,7 +1,14 @@
 const { validationResult } = require('express-validator');
 const Job = require('./job.model');
+const JobUtils = require('./job.utils');
 const Application = require('../application/application.model');
+const PipelineService = require('../pipelines/pipeline.service');
+const JobSearchService = require('../../services/jobSearchService');
+const MatchScoringService = require('../../services/matchScoringService');
+const RequisitionService = require('../requisitions/requisition.service');
+const JobVersionService = require('./jobVersion.service');
 const { ensureTenantId, addTenantFilter } = require('../../utils/tenantQueryHelper');
+const { exactMatch } = require('../../utils/regexHelper');
 
 // Create job (multi-step)
 const createJob = async (req, res) => {
@@ -28,6 +35,8 @@ const createJob = async (req, res) => {
     // Prevent tenantId from being set by frontend - always use from request context
     const sanitizedJobData = { ...jobData };
     delete sanitizedJobData.tenantId; // Remove if present in payload
+    delete sanitizedJobData.version; // set by JobVersionService
+    delete sanitizedJobData.duplicatedFrom;
 
     // Add creator, tenantId (from request context), and set initial status
     const jobWithTenant = ensureTenantId({
@@ -37,6 +46,7 @@ const createJob = async (req, res) => {
     }, req);
     
     const job = await Job.create(jobWithTenant);
+    await JobVersionService.recordCreated(job, req.user);
 
     res.status(201).json({
       success: true,
@@ -55,6 +65,15 @@ const createJob = async (req, res) => {
 // Update job step (tenant-aware with security check)
 const updateJobStep = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { step } = req.params;
     const { jobId, ...stepData } = req.body;
 
@@ -84,6 +103,10 @@ const updateJobStep = async (req, res) => {
       });
     }
 
+    RequisitionService.assertEditable(job);
+
+    const previous = JobVersionService.snapshot(job);
+
     // Update based on step
     switch (step) {
       case '1':
@@ -100,6 +123,9 @@ const updateJobStep = async (req, res) => {
         break;
       case '2':
         job.screeningQuestions = stepData.screeningQuestions || [];
+        if (stepData.screeningSettings) {
+          job.screeningSettings = stepData.screeningSettings;
+        }
         break;
       case '3':
         job.hiringTeam = stepData.hiringTeam || [];
@@ -109,6 +135,14 @@ const updateJobStep = async (req, res) => {
         } else if (stepData.evaluationTemplateId === null) {
           job.evaluationTemplateId = undefined;
         }
+        // Re-resolve the pipeline so applications in removed stages get migrated
+        await PipelineService.assignPipelineToJob(
+          job,
+          stepData.pipelineId !== undefined ? stepData.pipelineId : job.pipelineId,
+          stepData.stageMapping,
+          req.user._id,
+          req
+        );
         break;
       case '4':
         job.applicationDeadline = stepData.applicationDeadline;
@@ -122,14 +156,38 @@ const updateJobStep = async (req, res) => {
         });
     }
 
+    const rescore = MatchScoringService.isScoreAffected(job);
     await job.save();
 
+    // Keep applicant match scores in line with the job
+    if (rescore) {
+      await MatchScoringService.rescoreJob(job);
+    }
+
+    await JobVersionService.recordChange(job, previous, req.user);
+
     res.json({
       success: true,
       message: `Job step ${step} updated successfully`,
       job
     });
   } catch (error) {
+    if (error.message.includes('Pipeline not found') ||
+        error.message.includes('mapping required') ||
+        error.message.includes('Invalid stage mapping')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('requisition')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -138,6 +196,61 @@ const updateJobStep = async (req, res) => {
   }
 };
 
+// Assign a hiring pipeline to a job (tenant-aware with security check)
+// Body: { pipelineId, stageMapping } - stageMapping moves applications whose
+// status does not exist in the new pipeline, e.g. { "Shortlisted": "Screening" }
+const assignJobPipeline = async (req, res) => {
+  try {
+    const { pipelineId, stageMapping } = req.body;
+
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    // Tenant isolation: Verify job belongs to current tenant
+    if (req.tenant && req.tenantId) {
+      if (!job.tenantId || job.tenantId.toString() !== req.tenantId.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Forbidden: Job does not belong to your company'
+        });
+      }
+    }
+
+    const previous = JobVersionService.snapshot(job);
+
+    const result = await PipelineService.assignPipelineToJob(
+      job,
+      pipelineId || null,
+      stageMapping,
+      req.user._id,
+      req
+    );
+
+    await JobVersionService.recordChange(result.job, previous, req.user);
+
+    res.json({
+      success: true,
+      message: 'Job pipeline updated successfully',
+      job: result.job,
+      pipeline: result.pipeline,
+      migratedApplications: result.migrated
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                      error.message.includes('mapping required') ? 400 :
+                      error.message.includes('Invalid') ? 400 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
 // Get all jobs with filters (tenant-aware)
 const getJobs = async (req, res) => {
   try {
@@ -151,8 +264,8 @@ const getJobs = async (req, res) => {
       limit = 10
     } = req.query;
 
-    // Build filter object
-    const baseFilter = { isPublished: true };
+    // Build filter object (closed jobs keep isPublished, so the status decides)
+    const baseFilter = { isPublished: true, status: 'published' };
 
     // Add tenant filter if tenant context exists
     // If no tenant context, return empty list (or public jobs if feature exists)
@@ -192,20 +305,15 @@ const getJobs = async (req, res) => {
     }
 
     if (q) {
-      filter.$or = [
-        { title: new RegExp(q, 'i') },
-        { description: new RegExp(q, 'i') },
-        { department: new RegExp(q, 'i') },
-        { skills: { $in: [new RegExp(q, 'i')] } }
-      ];
+      filter.$text = { $search: String(q) };
     }
 
     if (city) {
-      filter['location.city'] = new RegExp(city, 'i');
+      filter['location.city'] = exactMatch(city);
     }
 
     if (department) {
-      filter.department = new RegExp(department, 'i');
+      filter.department = exactMatch(department);
     }
 
     if (employmentType) {
@@ -228,7 +336,7 @@ const getJobs = async (req, res) => {
 
     res.json({
       success: true,
-      jobs,
+      jobs: jobs.map(job => JobUtils.toPublicJob(job)),
       pagination: {
         current: parseInt(page),
         pages: Math.ceil(total / parseInt(limit)),
@@ -276,9 +384,10 @@ const getJobById = async (req, res) => {
     }
     // If no tenant context and job has no tenantId, allow access (backward compatibility)
 
+    // Admins editing the job see everything; candidates don't see how answers are scored
     res.json({
       success: true,
-      job
+      job: req.userType === 'admin' ? job : JobUtils.toPublicJob(job)
     });
   } catch (error) {
     res.status(500).json({
@@ -331,6 +440,23 @@ const updateJob = async (req, res) => {
     // Prevent tenantId from being changed via update payload
     const updateData = { ...req.body };
     delete updateData.tenantId; // tenantId should never come from frontend
+    delete updateData.pipelineId; // pipeline changes go through PUT /:id/pipeline (migrates applications)
+    delete updateData.workflow; // like pipelineId: step 3 migrates applications in removed stages
+    delete updateData.requisition; // requisitions go through /api/v1/requisitions (approval audit trail)
+    delete updateData.version; // set by JobVersionService
+    delete updateData.duplicatedFrom;
+    // Publishing, scheduling and closing go through their own endpoints (requisition check, lifecycle)
+    delete updateData.status;
+    delete updateData.scheduledPublishAt;
+    delete updateData.closedAt;
+    delete updateData.closeReason;
+
+    RequisitionService.assertEditable(job);
+    if (updateData.isPublished === true) {
+      await RequisitionService.assertCanPublish(job, updateData);
+    }
+
+    const previous = JobVersionService.snapshot(job);
 
     const updatedJob = await Job.findByIdAndUpdate(
       req.params.id,
@@ -338,12 +464,26 @@ const updateJob = async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    // Keep applicant match scores in line with the job
+    if (MatchScoringService.affectsScore(updateData)) {
+      await MatchScoringService.rescoreJob(updatedJob);
+    }
+
+    await JobVersionService.recordChange(updatedJob, previous, req.user);
+
     res.json({
       success: true,
       message: 'Job updated successfully',
       job: updatedJob
     });
   } catch (error) {
+    if (error.message.includes('requisition')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -355,7 +495,16 @@ const updateJob = async (req, res) => {
 // Publish job (tenant-aware with security check)
 const publishJob = async (req, res) => {
   try {
-    const { publishedOn } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { publishedOn, publishAt } = req.body;
 
     const job = await Job.findById(req.params.id);
 
@@ -384,6 +533,35 @@ const publishJob = async (req, res) => {
       });
     }
 
+    // Tenants with requisition approvers only publish approved jobs
+    await RequisitionService.assertCanPublish(job);
+
+    // The job would be closed again on the next lifecycle run
+    const publishDate = publishAt ? new Date(publishAt) : new Date();
+    if (job.applicationDeadline && publishDate >= job.applicationDeadline) {
+      return res.status(400).json({
+        success: false,
+        message: 'Application deadline is before the publish date; update the deadline first'
+      });
+    }
+    if (job.expiryDate && publishDate >= job.expiryDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry date is before the publish date; update the expiry date first'
+      });
+    }
+
+    // A future publishAt schedules the job (published by JobLifecycleService)
+    if (publishAt && publishDate > new Date()) {
+      await job.schedulePublish(publishDate, publishedOn || []);
+
+      return res.json({
+        success: true,
+        message: `Job scheduled to be published at ${publishDate.toISOString()}`,
+        job
+      });
+    }
+
     // Use the model method to publish
     await job.publish(publishedOn || []);
 
@@ -393,6 +571,13 @@ const publishJob = async (req, res) => {
       job
     });
   } catch (error) {
+    if (error.message.includes('requisition')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -447,6 +632,59 @@ const closeJob = async (req, res) => {
   }
 };
 
+// Cancel scheduled publishing; the job goes back to draft (tenant-aware with security check)
+const unscheduleJob = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    // Tenant isolation: Verify job belongs to current tenant
+    if (req.tenant && req.tenantId) {
+      if (!job.tenantId || job.tenantId.toString() !== req.tenantId.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Forbidden: Job does not belong to your company'
+        });
+      }
+    }
+
+    // Check if user is the creator
+    if (job.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this job'
+      });
+    }
+
+    if (job.status !== 'scheduled') {
+      return res.status(409).json({
+        success: false,
+        message: 'Job is not scheduled for publishing'
+      });
+    }
+
+    await job.unschedulePublish();
+
+    res.json({
+      success: true,
+      message: 'Scheduled publishing cancelled',
+      job
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // Archive job (tenant-aware with security check)
 const archiveJob = async (req, res) => {
   try {
@@ -648,8 +886,17 @@ const getAdminJobs = async (req, res) => {
 
 // Get applications for a job or all applications (tenant-aware)
 const getJobApplications = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
   try {
-    const { page = 1, limit = 10, status } = req.query;
+    const { page = 1, limit = 10, status, minScore, sortBy = 'appliedAt', sortOrder = 'desc' } = req.query;
 
     // Handle "all" case - get applications for all jobs created by the admin
     let filter = {};
@@ -702,12 +949,20 @@ const getJobApplications = async (req, res) => {
       filter.status = status;
     }
 
+    if (minScore !== undefined) {
+      filter['matchScore.score'] = { $gte: Number(minScore) };
+    }
+
     const skip = (parseInt(page) - 1) * parseInt(limit);
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    const sort = sortBy === 'matchScore'
+      ? { 'matchScore.score': direction, appliedAt: -1 }
+      : { appliedAt: direction };
 
     const applications = await Application.find(filter)
       .populate('candidateId', 'firstName lastName email phone')
       .populate('jobId', 'title')
-      .sort({ appliedAt: -1 })
+      .sort(sort)
       .skip(skip)
       .limit(parseInt(limit));
 
@@ -729,6 +984,12 @@ const getJobApplications = async (req, res) => {
         jobTitle: (appObj.jobId && appObj.jobId.title) ? appObj.jobId.title : 'Unknown Job',
         status: appObj.status,
         appliedAt: appObj.appliedAt,
+        matchScore: appObj.matchScore && appObj.matchScore.computedAt ? {
+          score: appObj.matchScore.score,
+          matchedSkills: appObj.matchScore.matchedSkills,
+          missingSkills: appObj.matchScore.missingSkills,
+          experienceGap: appObj.matchScore.experienceGap
+        } : null,
       };
     });
 
@@ -752,6 +1013,43 @@ const getJobApplications = async (req, res) => {
   }
 };
 
+// Recompute match scores of all applications for a job (tenant-aware)
+const rescoreJobApplications = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    // Tenant isolation: Verify job belongs to current tenant
+    if (req.tenant && req.tenantId) {
+      if (!job.tenantId || job.tenantId.toString() !== req.tenantId.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Forbidden: Job does not belong to your company'
+        });
+      }
+    }
+
+    const rescored = await MatchScoringService.rescoreJob(job);
+
+    res.json({
+      success: true,
+      message: 'Match scores recomputed',
+      rescored
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // Get job statistics (tenant-aware)
 const getJobStats = async (req, res) => {
   try {
@@ -795,98 +1093,51 @@ const getJobStats = async (req, res) => {
   }
 };
 
-// Search jobs with advanced filters (tenant-aware)
+// Search jobs: relevance-ranked full-text search with facet counts (tenant-aware)
 const searchJobs = async (req, res) => {
-  try {
-    const {
-      q,
-      location,
-      department,
-      employmentType,
-      experienceLevel,
-      salaryMin,
-      salaryMax,
-      tags,
-      page = 1,
-      limit = 10,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
-
-    // Build filter object
-    const baseFilter = { isPublished: true, status: 'published' };
-
-    // Add tenant filter if tenant context exists
-    // If no tenant context, return empty list to prevent cross-tenant data leaks
-    if (!req.tenant || !req.tenantId) {
-      return res.json({
-        success: true,
-        jobs: [],
-        pagination: {
-          current: parseInt(page),
-          pages: 0,
-          total: 0
-        }
-      });
-    }
-
-    // Apply tenant filter
-    const filter = addTenantFilter(baseFilter, req);
-
-    if (q) {
-      filter.$or = [
-        { title: new RegExp(q, 'i') },
-        { description: new RegExp(q, 'i') },
-        { department: new RegExp(q, 'i') },
-        { skills: { $in: [new RegExp(q, 'i')] } }
-      ];
-    }
-
-    if (location) {
-      filter['location.city'] = new RegExp(location, 'i');
-    }
-
-    if (department) {
-      filter.department = new RegExp(department, 'i');
-    }
-
-    if (employmentType) {
-      filter.employmentType = employmentType;
-    }
-
-    if (experienceLevel) {
-      filter.experienceLevel = experienceLevel;
-    }
-
-    if (salaryMin || salaryMax) {
-      filter['salaryRange.min'] = {};
-      if (salaryMin) filter['salaryRange.min'].$gte = parseInt(salaryMin);
-      if (salaryMax) filter['salaryRange.max'] = { $lte: parseInt(salaryMax) };
-    }
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
 
-    if (tags) {
-      filter.tags = { $in: tags.split(',') };
-    }
+  try {
+    const result = await JobSearchService.search(req.query, req);
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
 
-    const jobs = await Job.find(filter)
-      .populate('createdBy', 'name email')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
+// Typo-tolerant autocomplete for job titles and skills (tenant-aware)
+const autocompleteJobs = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
 
-    const total = await Job.countDocuments(filter);
+  try {
+    const { q, limit = 8 } = req.query;
+    const suggestions = await JobSearchService.suggest(q, limit, req);
 
     res.json({
       success: true,
-      jobs,
-      pagination: {
-        current: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit)),
-        total
-      }
+      suggestions
     });
   } catch (error) {
     res.status(500).json({
@@ -931,15 +1182,19 @@ module.exports = {
   updateJobStep,
   getJobs,
   searchJobs,
+  autocompleteJobs,
   getJobById,
   updateJob,
   publishJob,
+  unscheduleJob,
   closeJob,
   archiveJob,
   deleteJob,
   getAdminJobs,
   getJobTitles,
   getJobApplications,
-  getJobStats
+  rescoreJobApplications,
+  getJobStats,
+  assignJobPipeline
 };
 
@@ -12,7 +12,7 @@ const screeningQuestionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['text', 'multiple-choice', 'yes-no', 'rating'],
+    enum: ['text', 'multiple-choice', 'yes-no', 'rating', 'number', 'date', 'multi-select', 'file', 'url'],
     default: 'text'
   },
   required: {
@@ -22,9 +22,46 @@ const screeningQuestionSchema = new mongoose.Schema({
   options: [String],
   maxLength: Number,
   placeholder: String,
+  // Range of number answers
+  min: Number,
+  max: Number,
+  // Range of date answers
+  minDate: Date,
+  maxDate: Date,
+  // Most options a multi-select answer may pick (empty = no limit)
+  maxSelections: {
+    type: Number,
+    min: [1, 'Max selections must be at least 1']
+  },
+  // File extensions accepted by file questions, e.g. ['pdf', 'docx'] (empty = any supported type)
+  allowedFileTypes: [String],
+  // Only asked when an earlier question's answer matches; hidden questions are neither required nor stored
+  showIf: {
+    questionId: mongoose.Schema.Types.ObjectId,
+    operator: {
+      type: String,
+      enum: ['equals', 'notEquals', 'includes', 'greaterThan', 'lessThan']
+    },
+    value: String
+  },
   correctAnswer: {
     type: String,
     required: false
+  },
+  // Knockout: a wrong answer fails screening; weighted: counts towards the screening score.
+  // correctAnswer may list several accepted answers separated by "|"; for ratings it is the minimum,
+  // for numbers the minimum or a "min-max" range, for dates the latest accepted date and for
+  // multi-selects the options that must all be picked.
+  scoringType: {
+    type: String,
+    enum: ['none', 'knockout', 'weighted'],
+    default: 'none'
+  },
+  weight: {
+    type: Number,
+    min: [0, 'Weight cannot be negative'],
+    max: [100, 'Weight cannot exceed 100'],
+    default: 1
   }
 });
 
@@ -79,6 +116,74 @@ const locationSchema = new mongoose.Schema({
   }]
 });
 
+const requisitionApprovalSchema = new mongoose.Schema({
+  approverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  name: String,
+  email: String,
+  // What the approver signs off for, e.g. "Finance" or "HR"
+  label: String,
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  },
+  decidedAt: Date
+});
+
+// Audit trail entry; never edited or removed
+const requisitionHistorySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['submitted', 'approved', 'rejected', 'withdrawn', 'revoked'],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  name: String,
+  label: String,
+  comment: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Requisition: approval to open the job. Only required when the tenant has
+ * configured requisition approvers (see RequisitionSettings).
+ *
+ * Status flow: not_submitted -> pending_approval -> approved
+ *                                    |-> rejected -> (edited) pending_approval
+ *              pending_approval -> (withdrawn) not_submitted
+ *              approved -> (approved fields edited before publishing) not_submitted
+ */
+const requisitionSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['not_submitted', 'pending_approval', 'approved', 'rejected'],
+    default: 'not_submitted'
+  },
+  approvals: [requisitionApprovalSchema],
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  submittedAt: Date,
+  approvedAt: Date,
+  history: [requisitionHistorySchema]
+}, { _id: false });
+
 const jobSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -155,6 +260,7 @@ const jobSchema = new mongoose.Schema({
     default: 'Mid'
   },
   salaryRange: salaryRangeSchema,
+  // Internal budget per salaryRange.period (yearly when not set); offers are checked against max
   salaryBudget: {
     min: Number,
     max: Number,
@@ -180,16 +286,63 @@ const jobSchema = new mongoose.Schema({
   },
   assignProjectClient: String,
   screeningQuestions: [screeningQuestionSchema],
+  // What happens to applications that fail screening (knockouts or passing score)
+  screeningSettings: {
+    // Minimum screening score (0-100) over weighted questions; empty = score does not fail
+    passingScore: {
+      type: Number,
+      min: [0, 'Passing score cannot be negative'],
+      max: [100, 'Passing score cannot exceed 100']
+    },
+    onFail: {
+      type: String,
+      enum: ['none', 'reject', 'review'],
+      default: 'none'
+    },
+    // Stage failed applications move to (defaults to the pipeline's rejection stage for "reject")
+    failStage: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Stage name cannot exceed 50 characters']
+    },
+    notifyCandidate: {
+      type: Boolean,
+      default: false
+    },
+    // Optional custom email; {{candidateName}} and {{jobTitle}} are replaced
+    emailSubject: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Email subject cannot exceed 200 characters']
+    },
+    emailBody: {
+      type: String,
+      maxlength: [10000, 'Email body cannot exceed 10000 characters']
+    },
+    // Wait before emailing so the rejection does not arrive seconds after applying
+    emailDelayMinutes: {
+      type: Number,
+      min: [0, 'Email delay cannot be negative'],
+      max: [10080, 'Email delay cannot exceed one week'],
+      default: 0
+    }
+  },
   hiringTeam: [hiringTeamSchema],
   interviewers: [{
     name: String,
     email: String,
     role: String
   }],
+  // Legacy stage list, used when the job has no pipeline and the tenant has no default
   workflow: {
     type: [String],
     default: ['New', 'In Review', 'Interview', 'Offer', 'Hired', 'Rejected']
   },
+  pipelineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pipeline',
+    required: false
+  },
   evaluationTemplateId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'EvaluationTemplate',
@@ -203,6 +356,18 @@ const jobSchema = new mongoose.Schema({
   publishedAt: {
     type: Date
   },
+  // Set while status is 'scheduled'; JobLifecycleService publishes the job at this time
+  scheduledPublishAt: {
+    type: Date
+  },
+  closedAt: {
+    type: Date
+  },
+  // Why the job was closed: by an admin, or by JobLifecycleService
+  closeReason: {
+    type: String,
+    enum: ['manual', 'deadline', 'expired', 'application_limit']
+  },
   expiryDate: {
     type: Date
   },
@@ -220,14 +385,27 @@ const jobSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'published', 'closed', 'archived'],
+    enum: ['draft', 'scheduled', 'published', 'closed', 'archived'],
     default: 'draft'
   },
+  requisition: {
+    type: requisitionSchema,
+    default: () => ({})
+  },
   tags: [{
     type: String,
     trim: true,
     lowercase: true
   }],
+  // Current content version; history is kept in JobVersion (see JobVersionService)
+  version: {
+    type: Number,
+    default: 1
+  },
+  duplicatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Admin',
@@ -251,11 +429,35 @@ jobSchema.methods.publish = function(jobBoards = []) {
   this.status = 'published';
   this.publishedAt = new Date();
   this.publishedOn = jobBoards;
+  this.scheduledPublishAt = undefined;
+  this.closedAt = undefined;
+  this.closeReason = undefined;
+  return this.save();
+};
+
+// Publish later (see JobLifecycleService)
+jobSchema.methods.schedulePublish = function(publishAt, jobBoards = []) {
+  this.status = 'scheduled';
+  this.scheduledPublishAt = publishAt;
+  this.publishedOn = jobBoards;
+  return this.save();
+};
+
+jobSchema.methods.unschedulePublish = function() {
+  this.status = 'draft';
+  this.scheduledPublishAt = undefined;
   return this.save();
 };
 
-jobSchema.methods.close = function() {
+// Approver whose decision the requisition is waiting for
+jobSchema.methods.getCurrentRequisitionApproval = function() {
+  return (this.requisition?.approvals || []).find(step => step.status === 'pending') || null;
+};
+
+jobSchema.methods.close = function(reason = 'manual') {
   this.status = 'closed';
+  this.closedAt = new Date();
+  this.closeReason = reason;
   return this.save();
 };
 
@@ -287,8 +489,15 @@ jobSchema.virtual('isApplicationLimitReached').get(function() {
   return this.currentApplications >= this.maxApplications;
 });
 
-// Index for search functionality
-jobSchema.index({ title: 'text', description: 'text', department: 'text' });
+// Index for search functionality (relevance: title > skills/tags > department > description)
+// Replaces the former title/description/department text index: src/scripts/rebuildJobSearchIndex.js
+jobSchema.index(
+  { title: 'text', skills: 'text', tags: 'text', department: 'text', description: 'text' },
+  {
+    name: 'job_search_text',
+    weights: { title: 10, skills: 5, tags: 5, department: 3, description: 1 }
+  }
+);
 jobSchema.index({ 'location.city': 1 });
 jobSchema.index({ department: 1 });
 jobSchema.index({ employmentType: 1 });
@@ -302,6 +511,10 @@ jobSchema.index({ tags: 1 });
 jobSchema.index({ tenantId: 1 }); // Multi-tenant index for efficient tenant-based queries
 jobSchema.index({ tenantId: 1, createdAt: -1 }); // Composite index for tenant jobs sorted by creation date
 jobSchema.index({ tenantId: 1, isPublished: 1, status: 1 }); // Composite index for tenant published jobs
+jobSchema.index({ 'requisition.approvals.approverId': 1, 'requisition.status': 1 });
+jobSchema.index({ status: 1, scheduledPublishAt: 1 }); // Scheduled publishing
 
 module.exports = mongoose.model('Job', jobSchema);
+// Offers reuse the salary currency/period semantics
+module.exports.salaryRangeSchema = salaryRangeSchema;
 
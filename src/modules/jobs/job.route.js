@@ -5,39 +5,68 @@ const {
   updateJobStep,
   getJobs,
   searchJobs,
+  autocompleteJobs,
   getJobById,
   updateJob,
   publishJob,
+  unscheduleJob,
   closeJob,
   archiveJob,
   deleteJob,
   getAdminJobs,
   getJobTitles,
   getJobApplications,
-  getJobStats
+  rescoreJobApplications,
+  getJobStats,
+  assignJobPipeline
 } = require('./job.controller');
 const {
-  validateJobCreation
+  getJobVersions,
+  getJobVersion,
+  compareJobVersions,
+  restoreJobVersion,
+  duplicateJob
+} = require('./jobVersion.controller');
+const {
+  validateJobCreation,
+  validateJobSearch,
+  validateJobAutocomplete,
+  validateJobApplicationsQuery,
+  validateJobScreening,
+  validateJobPublish,
+  validateJobVersion,
+  validateJobVersionCompare
 } = require('../../middleware/validation');
-const { auth, adminAuth } = require('../../middleware/auth');
+const { auth, adminAuth, optionalAuth } = require('../../middleware/auth');
 
 // Public routes
 router.get('/', getJobs);
-router.get('/search', searchJobs);
-router.get('/:id', getJobById);
+router.get('/search', validateJobSearch, searchJobs);
+router.get('/autocomplete', validateJobAutocomplete, autocompleteJobs);
+router.get('/:id', optionalAuth, getJobById);
 
 // Protected routes (admin only)
 router.post('/', auth, adminAuth, validateJobCreation, createJob);
-router.put('/:id/step/:step', auth, adminAuth, updateJobStep);
-router.put('/:id', auth, adminAuth, updateJob);
-router.post('/:id/publish', auth, adminAuth, publishJob);
+router.put('/:id/step/:step', auth, adminAuth, validateJobScreening, updateJobStep);
+router.put('/:id/pipeline', auth, adminAuth, assignJobPipeline);
+router.put('/:id', auth, adminAuth, validateJobScreening, updateJob);
+router.post('/:id/publish', auth, adminAuth, validateJobPublish, publishJob);
+router.post('/:id/unschedule', auth, adminAuth, unscheduleJob);
 router.post('/:id/close', auth, adminAuth, closeJob);
 router.post('/:id/archive', auth, adminAuth, archiveJob);
 router.delete('/:id', auth, adminAuth, deleteJob);
 router.get('/admin/jobs', auth, adminAuth, getAdminJobs);
 router.get('/admin/job-titles', auth, adminAuth, getJobTitles);
 router.get('/admin/stats', auth, adminAuth, getJobStats);
-router.get('/:id/applications', auth, adminAuth, getJobApplications);
+router.get('/:id/applications', auth, adminAuth, validateJobApplicationsQuery, getJobApplications);
+router.post('/:id/rescore', auth, adminAuth, rescoreJobApplications);
+router.post('/:id/duplicate', auth, adminAuth, duplicateJob);
+
+// Version history
+router.get('/:id/versions', auth, adminAuth, getJobVersions);
+router.get('/:id/versions/compare', auth, adminAuth, validateJobVersionCompare, compareJobVersions);
+router.get('/:id/versions/:version', auth, adminAuth, validateJobVersion, getJobVersion);
+router.post('/:id/versions/:version/restore', auth, adminAuth, validateJobVersion, restoreJobVersion);
 
 module.exports = router;
 
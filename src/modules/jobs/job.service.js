@@ -1,6 +1,8 @@
 const Job = require('./job.model');
 const JobUtils = require('./job.utils');
 const Application = require('../application/application.model');
+const RequisitionService = require('../requisitions/requisition.service');
+const JobVersionService = require('./jobVersion.service');
 const { addTenantFilter, ensureTenantId } = require('../../utils/tenantQueryHelper');
 
 /**
@@ -35,6 +37,7 @@ class JobService {
     }, req);
 
     const job = await Job.create(jobWithTenant);
+    await JobVersionService.recordCreated(job, { _id: userId });
 
     return job;
   }
@@ -64,6 +67,10 @@ class JobService {
     // Check if user is the creator
     JobUtils.validateJobOwnership(job, userId);
 
+    RequisitionService.assertEditable(job);
+
+    const previous = JobVersionService.snapshot(job);
+
     // Update based on step
     switch (step) {
       case '1':
@@ -101,6 +108,7 @@ class JobService {
     }
 
     await job.save();
+    await JobVersionService.recordChange(job, previous, { _id: userId });
 
     return job;
   }
@@ -157,6 +165,22 @@ class JobService {
 
     // Prevent tenantId from being changed
     delete updateData.tenantId;
+    // Stage changes go through PUT /:id/pipeline (migrates applications)
+    delete updateData.pipelineId;
+    delete updateData.workflow;
+    delete updateData.requisition;
+    delete updateData.version;
+    delete updateData.duplicatedFrom;
+    // Publishing, scheduling and closing go through their own endpoints (requisition check, lifecycle)
+    delete updateData.status;
+    delete updateData.scheduledPublishAt;
+    delete updateData.closedAt;
+    delete updateData.closeReason;
+
+    RequisitionService.assertEditable(job);
+    if (updateData.isPublished === true) {
+      await RequisitionService.assertCanPublish(job, updateData);
+    }
 
     // Validate if updating critical fields
     if (updateData.applicationDeadline) {
@@ -166,12 +190,16 @@ class JobService {
       JobUtils.validateApplicationLimit(updateData.maxApplications);
     }
 
+    const previous = JobVersionService.snapshot(job);
+
     const updatedJob = await Job.findByIdAndUpdate(
       jobId,
       updateData,
       { new: true, runValidators: true }
     );
 
+    await JobVersionService.recordChange(updatedJob, previous, { _id: userId });
+
     return updatedJob;
   }
 
@@ -236,6 +264,9 @@ class JobService {
     // Check if user is the creator
     JobUtils.validateJobOwnership(job, userId);
 
+    // Tenants with requisition approvers only publish approved jobs
+    await RequisitionService.assertCanPublish(job);
+
     await job.publish(publishedOn || []);
 
     return job;
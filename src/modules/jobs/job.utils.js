@@ -1,10 +1,42 @@
 const Job = require('./job.model');
+const { exactMatch } = require('../../utils/regexHelper');
+
+// Shown to applicants of a closed job, by Job.closeReason
+const CLOSED_MESSAGES = {
+  deadline: 'Job is closed: the application deadline has passed',
+  expired: 'Job is closed: the posting has expired',
+  application_limit: 'Job is closed: the application limit has been reached'
+};
+
+// Scoring of screening answers (drives automatic knockout rejection), budgets
+// and approvals are internal; public job endpoints leave them out
+const HIDDEN_JOB_FIELDS = ['screeningSettings', 'salaryBudget', 'requisition'];
+const HIDDEN_QUESTION_FIELDS = ['correctAnswer', 'scoringType', 'weight'];
 
 /**
  * Job Utility Functions
  * Helper functions for job module
  */
 class JobUtils {
+  /**
+   * Job as shown on public endpoints (document or plain object)
+   */
+  static toPublicJob(job) {
+    const publicJob = typeof job.toObject === 'function' ? job.toObject() : { ...job };
+
+    HIDDEN_JOB_FIELDS.forEach(field => delete publicJob[field]);
+
+    if (Array.isArray(publicJob.screeningQuestions)) {
+      publicJob.screeningQuestions = publicJob.screeningQuestions.map(question => {
+        const publicQuestion = { ...question };
+        HIDDEN_QUESTION_FIELDS.forEach(field => delete publicQuestion[field]);
+        return publicQuestion;
+      });
+    }
+
+    return publicJob;
+  }
+
   /**
    * Validate job ownership
    */
@@ -14,6 +46,37 @@ class JobUtils {
     }
   }
 
+  /**
+   * Throw a clear error unless the job takes applications right now.
+   * Deadlines and the cap are checked here too, as JobLifecycleService only
+   * closes jobs on its next run.
+   */
+  static assertAcceptingApplications(job, now = new Date()) {
+    if (job.status === 'closed') {
+      throw new Error(CLOSED_MESSAGES[job.closeReason] || 'Job is closed and no longer accepts applications');
+    }
+
+    if (job.status === 'scheduled') {
+      throw new Error('Job is not open for applications yet');
+    }
+
+    if (!job.isPublished || job.status !== 'published') {
+      throw new Error('Job is not available for applications');
+    }
+
+    if (job.applicationDeadline && now > job.applicationDeadline) {
+      throw new Error(CLOSED_MESSAGES.deadline);
+    }
+
+    if (job.expiryDate && now > job.expiryDate) {
+      throw new Error(CLOSED_MESSAGES.expired);
+    }
+
+    if (job.currentApplications >= job.maxApplications) {
+      throw new Error(CLOSED_MESSAGES.application_limit);
+    }
+  }
+
   /**
    * Check if job has applications
    */
@@ -28,24 +91,20 @@ class JobUtils {
    */
   static buildJobFilter(queryParams, userContext = null) {
     const { q, city, department, employmentType, experienceLevel } = queryParams;
-    const filter = { isPublished: true };
+    // Closed jobs keep isPublished, so the status decides
+    const filter = { isPublished: true, status: 'published' };
 
-    // Search filter
+    // Search filter (text index)
     if (q) {
-      filter.$or = [
-        { title: new RegExp(q, 'i') },
-        { description: new RegExp(q, 'i') },
-        { department: new RegExp(q, 'i') },
-        { skills: { $in: [new RegExp(q, 'i')] } }
-      ];
+      filter.$text = { $search: String(q) };
     }
 
     if (city) {
-      filter['location.city'] = new RegExp(city, 'i');
+      filter['location.city'] = exactMatch(city);
     }
 
     if (department) {
-      filter.department = new RegExp(department, 'i');
+      filter.department = exactMatch(department);
     }
 
     if (employmentType) {
@@ -0,0 +1,133 @@
+const { validationResult } = require('express-validator');
+const JobVersionService = require('./jobVersion.service');
+
+/**
+ * Job Version Controller
+ * Handles HTTP requests for job history, restoring versions and duplicating jobs
+ */
+
+const getErrorStatusCode = (error) => {
+  return error.message.includes('not found') ? 404 :
+         error.message.includes('Forbidden') ? 403 :
+         error.message.includes('Not authorized') ? 403 :
+         error.message.includes('requisition') ? 409 :
+         error.message.includes('mapping required') ? 400 :
+         error.message.includes('Invalid') || error.name === 'ValidationError' ? 400 : 500;
+};
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendError = (res, error) => {
+  res.status(getErrorStatusCode(error)).json({
+    success: false,
+    message: error.message || 'Server error'
+  });
+};
+
+// List a job's versions, newest first (tenant-aware)
+const getJobVersions = async (req, res) => {
+  try {
+    const { currentVersion, versions } = await JobVersionService.getVersions(req.params.id, req);
+
+    res.json({
+      success: true,
+      currentVersion,
+      versions
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Get one version with its full snapshot (tenant-aware)
+const getJobVersion = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const version = await JobVersionService.getVersion(req.params.id, req.params.version, req);
+
+    res.json({
+      success: true,
+      version
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Diff two versions: GET /:id/versions/compare?from=1&to=3 (tenant-aware)
+const compareJobVersions = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const comparison = await JobVersionService.compareVersions(req.params.id, req.query.from, req.query.to, req);
+
+    res.json({
+      success: true,
+      ...comparison
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Restore an older version; body: { stageMapping } when the old pipeline differs (job creator only)
+const restoreJobVersion = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { job, version } = await JobVersionService.restoreVersion(
+      req.params.id,
+      req.params.version,
+      req.body.stageMapping,
+      req.user,
+      req
+    );
+
+    res.json({
+      success: true,
+      message: version
+        ? `Job restored to version ${req.params.version}`
+        : 'Job already matches this version',
+      job,
+      version
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Copy a job into a new draft owned by the current admin (tenant-aware)
+const duplicateJob = async (req, res) => {
+  try {
+    const job = await JobVersionService.duplicateJob(req.params.id, req.user, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Job duplicated successfully',
+      job
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  getJobVersions,
+  getJobVersion,
+  compareJobVersions,
+  restoreJobVersion,
+  duplicateJob
+};
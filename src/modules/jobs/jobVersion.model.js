@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const jobVersionChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Snapshot of a job's content after an edit (one per Job.version)
+const jobVersionSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'restored', 'duplicated'],
+    required: true
+  },
+  // Version the job was restored to, or job it was duplicated from
+  restoredFrom: Number,
+  duplicatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  // Job content at this version (JobVersionService.VERSIONED_FIELDS)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Fields changed since the previous version
+  changes: [jobVersionChangeSchema],
+  changedBy: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    name: String
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+jobVersionSchema.index({ jobId: 1, version: -1 }, { unique: true });
+jobVersionSchema.index({ tenantId: 1 });
+
+module.exports = mongoose.model('JobVersion', jobVersionSchema);
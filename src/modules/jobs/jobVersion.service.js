@@ -0,0 +1,264 @@
+const Job = require('./job.model');
+const JobVersion = require('./jobVersion.model');
+const PipelineService = require('../pipelines/pipeline.service');
+const RequisitionService = require('../requisitions/requisition.service');
+const MatchScoringService = require('../../services/matchScoringService');
+const { ensureTenantId } = require('../../utils/tenantQueryHelper');
+
+// Job content that is versioned; publishing state, counters and requisitions have their own history
+const VERSIONED_FIELDS = [
+  'title', 'jobFunctions', 'location', 'department', 'description', 'experienceRequiredYears',
+  'toolsTechnologies', 'educationCertifications', 'responsibilities', 'requirements', 'skills',
+  'employmentType', 'workplaceTypes', 'jobType', 'experienceLevel', 'salaryRange', 'salaryBudget',
+  'leaderboard', 'positions', 'interviewQuestions', 'hiringManager', 'assignProjectClient',
+  'screeningQuestions', 'screeningSettings', 'hiringTeam', 'interviewers', 'workflow',
+  'pipelineId', 'evaluationTemplateId', 'expiryDate', 'applicationDeadline', 'maxApplications', 'tags'
+];
+
+// Dates of the original posting make no sense for a copy
+const NOT_DUPLICATED_FIELDS = ['expiryDate', 'applicationDeadline'];
+
+// Concurrent edits of one job can race for the same version number
+const MAX_VERSION_ATTEMPTS = 3;
+
+// Sorted keys so equal content compares equal; subdocument ids change whenever
+// an array is replaced, so they are not part of a version
+const normalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value)
+      .filter(key => key !== '_id')
+      .sort()
+      .map(key => [key, normalize(value[key])]));
+  }
+  return value;
+};
+
+/**
+ * Job Version Service
+ * Versioned snapshots of job edits (who changed what), diffs between
+ * versions, restoring an old version and duplicating jobs
+ */
+class JobVersionService {
+  // ============ Snapshots ============
+
+  /**
+   * Versioned fields of a job as plain JSON (ids and dates as strings)
+   */
+  static snapshot(job) {
+    const source = typeof job.toObject === 'function' ? job.toObject({ depopulate: true }) : job;
+    const snapshot = {};
+
+    VERSIONED_FIELDS.forEach(field => {
+      if (source[field] !== undefined && source[field] !== null) {
+        snapshot[field] = source[field];
+      }
+    });
+
+    return normalize(JSON.parse(JSON.stringify(snapshot)));
+  }
+
+  /**
+   * Fields that differ between two snapshots
+   * @returns {Array} [{ field, from, to }]
+   */
+  static diff(from, to) {
+    return VERSIONED_FIELDS
+      .filter(field => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+      .map(field => ({ field, from: from[field], to: to[field] }));
+  }
+
+  static changedBy(user) {
+    return user ? { userId: user._id, name: user.name } : {};
+  }
+
+  // ============ Recording ============
+
+  /**
+   * First version of a new job (created or duplicated)
+   */
+  static async recordCreated(job, user, options = {}) {
+    return JobVersion.create({
+      jobId: job._id,
+      version: job.version || 1,
+      action: options.duplicatedFrom ? 'duplicated' : 'created',
+      duplicatedFrom: options.duplicatedFrom,
+      snapshot: this.snapshot(job),
+      changes: [],
+      changedBy: this.changedBy(user),
+      tenantId: job.tenantId
+    });
+  }
+
+  /**
+   * Record an edit as a new version (no-op when no versioned field changed)
+   * @param {Object} job - Job after the edit (saved)
+   * @param {Object} previous - Snapshot taken before the edit
+   * @returns {Object|null} The new version
+   */
+  static async recordChange(job, previous, user, options = {}) {
+    const snapshot = this.snapshot(job);
+    const changes = this.diff(previous, snapshot);
+    if (changes.length === 0) {
+      return null;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        let latest = await JobVersion.findOne({ jobId: job._id }).sort({ version: -1 }).select('version');
+
+        // Jobs created before versioning get their pre-edit state as version 1
+        if (!latest) {
+          latest = await JobVersion.create({
+            jobId: job._id,
+            version: 1,
+            action: 'created',
+            snapshot: previous,
+            changes: [],
+            changedBy: { userId: job.createdBy },
+            tenantId: job.tenantId
+          });
+        }
+
+        const version = await JobVersion.create({
+          jobId: job._id,
+          version: latest.version + 1,
+          action: options.restoredFrom ? 'restored' : 'updated',
+          restoredFrom: options.restoredFrom,
+          snapshot,
+          changes,
+          changedBy: this.changedBy(user),
+          tenantId: job.tenantId
+        });
+
+        await Job.updateOne({ _id: job._id }, { $max: { version: version.version } });
+        job.version = version.version;
+
+        await RequisitionService.revokeApprovalOnChange(job, changes, user);
+
+        return version;
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  // ============ History ============
+
+  /**
+   * Versions of a job, newest first (without snapshots)
+   */
+  static async getVersions(jobId, req) {
+    const job = await RequisitionService.getJobForTenant(jobId, req);
+
+    const versions = await JobVersion.find({ jobId: job._id })
+      .select('-snapshot')
+      .sort({ version: -1 })
+      .lean();
+
+    return { currentVersion: job.version || 1, versions };
+  }
+
+  static async getVersion(jobId, version, req) {
+    const job = await RequisitionService.getJobForTenant(jobId, req);
+
+    const jobVersion = await JobVersion.findOne({ jobId: job._id, version: Number(version) }).lean();
+    if (!jobVersion) {
+      throw new Error('Job version not found');
+    }
+
+    return jobVersion;
+  }
+
+  /**
+   * Field-by-field differences between two versions of a job
+   */
+  static async compareVersions(jobId, fromVersion, toVersion, req) {
+    const [from, to] = await Promise.all([
+      this.getVersion(jobId, fromVersion, req),
+      this.getVersion(jobId, toVersion, req)
+    ]);
+
+    return {
+      from: { version: from.version, changedBy: from.changedBy, createdAt: from.createdAt },
+      to: { version: to.version, changedBy: to.changedBy, createdAt: to.createdAt },
+      changes: this.diff(from.snapshot, to.snapshot)
+    };
+  }
+
+  // ============ Restore / duplicate ============
+
+  /**
+   * Bring the job's content back to an older version (recorded as a new version)
+   * @param {Object} stageMapping - Needed when the old pipeline lacks stages applications are in
+   */
+  static async restoreVersion(jobId, version, stageMapping, user, req) {
+    const job = await RequisitionService.getJobForTenant(jobId, req);
+
+    if (job.createdBy.toString() !== user._id.toString()) {
+      throw new Error('Not authorized to update this job');
+    }
+
+    RequisitionService.assertEditable(job);
+
+    const target = await this.getVersion(jobId, version, req);
+    const previous = this.snapshot(job);
+
+    VERSIONED_FIELDS
+      .filter(field => field !== 'pipelineId')
+      .forEach(field => job.set(field, target.snapshot[field]));
+
+    // Switching pipelines migrates applications, like PUT /jobs/:id/pipeline
+    if (String(target.snapshot.pipelineId || '') !== String(job.pipelineId || '')) {
+      await PipelineService.assignPipelineToJob(job, target.snapshot.pipelineId || null, stageMapping, user._id, req);
+    }
+
+    const rescore = MatchScoringService.isScoreAffected(job);
+    await job.save();
+
+    if (rescore) {
+      await MatchScoringService.rescoreJob(job);
+    }
+
+    const restored = await this.recordChange(job, previous, user, { restoredFrom: target.version });
+
+    return { job, version: restored };
+  }
+
+  /**
+   * Copy a job (content, screening questions, hiring team, evaluation template)
+   * into a new draft owned by the user
+   */
+  static async duplicateJob(jobId, user, req) {
+    const source = await RequisitionService.getJobForTenant(jobId, req);
+
+    const data = this.snapshot(source);
+    NOT_DUPLICATED_FIELDS.forEach(field => delete data[field]);
+
+    const job = await Job.create(ensureTenantId({
+      ...data,
+      tenantId: source.tenantId,
+      title: `${source.title.slice(0, 93)} (Copy)`,
+      duplicatedFrom: source._id,
+      createdBy: user._id,
+      status: 'draft'
+    }, req));
+
+    if (job.evaluationTemplateId) {
+      const EvaluationTemplate = require('./evaluationTemplate.model');
+      await EvaluationTemplate.updateOne({ _id: job.evaluationTemplateId }, { $inc: { usageCount: 1 } });
+    }
+
+    await this.recordCreated(job, user, { duplicatedFrom: source._id });
+
+    return job;
+  }
+}
+
+JobVersionService.VERSIONED_FIELDS = VERSIONED_FIELDS;
+
+module.exports = JobVersionService;
@@ -0,0 +1,324 @@
+const { validationResult } = require('express-validator');
+const OfferService = require('./offer.service');
+
+/**
+ * Offer Controller
+ * Handles HTTP requests and delegates business logic to OfferService
+ */
+
+const getErrorStatusCode = (error) => {
+  return error.message.includes('not found') ? 404 :
+         error.message.includes('Forbidden') ? 403 :
+         error.message.includes('Invalid or expired') ? 410 :
+         error.message.includes('has been withdrawn') ? 410 :
+         error.message.includes('has expired') ? 410 :
+         error.message.includes('already') ? 409 :
+         error.message.includes('in use') ? 409 :
+         error.message.includes('can only be') ? 409 :
+         error.message.includes('Only ') ? 409 :
+         error.message.includes('not waiting') ? 409 :
+         error.message.includes('budget justification') ? 400 :
+         error.message.includes('Invalid') ? 400 : 500;
+};
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendError = (res, error) => {
+  res.status(getErrorStatusCode(error)).json({
+    success: false,
+    message: error.message || 'Server error'
+  });
+};
+
+const sendPdf = (res, { filename, content }) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Content-Length': content.length,
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.send(content);
+};
+
+// Create a draft offer for an application (admin)
+const createOffer = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const offer = await OfferService.createOffer(req.params.applicationId, req.body, req.user._id, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Offer created successfully',
+      offer
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Get offers for an application (admin)
+const getApplicationOffers = async (req, res) => {
+  try {
+    const offers = await OfferService.getOffersForApplication(req.params.applicationId, req);
+
+    res.json({
+      success: true,
+      offers
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Get offers waiting for the current admin's approval (admin)
+const getPendingApprovals = async (req, res) => {
+  try {
+    const offers = await OfferService.getPendingApprovals(req.user._id, req);
+
+    res.json({
+      success: true,
+      offers
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Get offer by ID (admin)
+const getOfferById = async (req, res) => {
+  try {
+    const offer = await OfferService.getOfferById(req.params.id, req);
+
+    res.json({
+      success: true,
+      offer
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Update a draft or rejected offer (admin)
+const updateOffer = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const offer = await OfferService.updateOffer(req.params.id, req.body, req);
+
+    res.json({
+      success: true,
+      message: 'Offer updated successfully',
+      offer
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Submit an offer for approval (admin)
+const submitOffer = async (req, res) => {
+  try {
+    const offer = await OfferService.submitOffer(req.params.id, req.user._id, req);
+
+    res.json({
+      success: true,
+      message: offer.status === 'approved' ? 'Offer approved' : 'Offer submitted for approval',
+      offer
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Approve or reject an offer as the current approver (admin)
+const decideOffer = (decision) => async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const offer = await OfferService.decideApproval(req.params.id, decision, req.body.comment, req.user._id, req);
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Offer approved' : 'Offer rejected',
+      offer
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Send an approved offer to the candidate (admin)
+const sendOffer = async (req, res) => {
+  try {
+    const result = await OfferService.sendOffer(req.params.id, req.user._id, req);
+
+    res.json({
+      success: true,
+      message: 'Offer sent successfully',
+      ...result
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Withdraw an offer (admin)
+const withdrawOffer = async (req, res) => {
+  try {
+    const offer = await OfferService.withdrawOffer(req.params.id, req.user._id, req);
+
+    res.json({
+      success: true,
+      message: 'Offer withdrawn successfully',
+      offer
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Offer letter PDF (admin)
+const getOfferLetter = async (req, res) => {
+  try {
+    sendPdf(res, await OfferService.getLetterPdf(req.params.id, req));
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// ============ Offer Templates ============
+
+const getOfferTemplates = async (req, res) => {
+  try {
+    const templates = await OfferService.getTemplates(req);
+
+    res.json({
+      success: true,
+      templates
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+const createOfferTemplate = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const template = await OfferService.createTemplate(req.body, req.user._id, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Offer template created successfully',
+      template
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+const updateOfferTemplate = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const template = await OfferService.updateTemplate(req.params.templateId, req.body, req);
+
+    res.json({
+      success: true,
+      message: 'Offer template updated successfully',
+      template
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+const deleteOfferTemplate = async (req, res) => {
+  try {
+    await OfferService.deleteTemplate(req.params.templateId, req);
+
+    res.json({
+      success: true,
+      message: 'Offer template deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// ============ Candidate Link ============
+
+// Open an offer (no auth, signed token)
+const getPublicOffer = async (req, res) => {
+  try {
+    const offer = await OfferService.getPublicOffer(req.params.token);
+
+    res.json({
+      success: true,
+      offer
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Offer letter PDF (no auth, signed token)
+const getPublicOfferLetter = async (req, res) => {
+  try {
+    sendPdf(res, await OfferService.getPublicLetterPdf(req.params.token));
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Accept or decline (no auth, signed token)
+const respondToOffer = (decision) => async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const offer = await OfferService.respondToOffer(req.params.token, decision, req.body.reason);
+
+    res.json({
+      success: true,
+      message: decision === 'accept' ? 'Offer accepted' : 'Offer declined',
+      offer
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  createOffer,
+  getApplicationOffers,
+  getPendingApprovals,
+  getOfferById,
+  updateOffer,
+  submitOffer,
+  approveOffer: decideOffer('approve'),
+  rejectOffer: decideOffer('reject'),
+  sendOffer,
+  withdrawOffer,
+  getOfferLetter,
+  getOfferTemplates,
+  createOfferTemplate,
+  updateOfferTemplate,
+  deleteOfferTemplate,
+  getPublicOffer,
+  getPublicOfferLetter,
+  acceptOffer: respondToOffer('accept'),
+  declineOffer: respondToOffer('decline')
+};
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const { salaryRangeSchema } = require('../jobs/job.model');
+
+// Offered salary: one amount, with the job salary range's currency and period
+const offerSalarySchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: [true, 'Salary amount is required'],
+    min: [0, 'Salary cannot be negative']
+  },
+  currency: salaryRangeSchema.path('currency').options,
+  period: salaryRangeSchema.path('period').options
+}, { _id: false });
+
+const approvalStepSchema = new mongoose.Schema({
+  approverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  name: String,
+  email: String,
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  },
+  decidedAt: Date
+});
+
+/**
+ * Offer Schema
+ * A job offer made on an application. Offers go through the approval chain
+ * in order before they can be sent; the candidate accepts or declines through
+ * a signed public link.
+ *
+ * Status flow: draft -> pending_approval -> approved -> sent -> accepted | declined | expired
+ *                            |-> rejected -> (edited) draft
+ *              any open status -> withdrawn
+ */
+const offerSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  salary: {
+    type: offerSalarySchema,
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  bonus: {
+    signOn: {
+      type: Number,
+      min: [0, 'Sign-on bonus cannot be negative']
+    },
+    // Yearly target bonus in percent of the salary
+    targetPercent: {
+      type: Number,
+      min: [0, 'Target bonus cannot be negative'],
+      max: [100, 'Target bonus cannot exceed 100%']
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Bonus notes cannot exceed 500 characters']
+    }
+  },
+  equity: {
+    type: {
+      type: String,
+      enum: ['none', 'options', 'rsu', 'shares'],
+      default: 'none'
+    },
+    amount: {
+      type: Number,
+      min: [0, 'Equity amount cannot be negative']
+    },
+    vesting: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Vesting schedule cannot exceed 200 characters']
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'pending_approval', 'approved', 'rejected', 'sent', 'accepted', 'declined', 'withdrawn', 'expired'],
+    default: 'draft'
+  },
+  // Approvers decide one after another, in this order
+  approvals: [approvalStepSchema],
+  // Salary against Job.salaryBudget, recomputed whenever the salary changes
+  budgetCheck: {
+    status: {
+      type: String,
+      enum: ['within', 'exceeded', 'no_budget'],
+      default: 'no_budget'
+    },
+    budgetMax: Number,
+    currency: String,
+    // Salary in the budget's period
+    comparedAmount: Number
+  },
+  // Required to submit an offer above budget
+  budgetJustification: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Budget justification cannot exceed 1000 characters']
+  },
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OfferTemplate'
+  },
+  // Letter as sent to the candidate (rendered from the template when the offer is sent)
+  letter: {
+    title: String,
+    body: String,
+    generatedAt: Date
+  },
+  sentAt: Date,
+  // Last day the candidate can respond
+  expiresAt: Date,
+  response: {
+    respondedAt: Date,
+    declineReason: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reason cannot exceed 1000 characters']
+    }
+  },
+  // Embedded in the signed token; rotating it invalidates issued links
+  tokenNonce: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  // Multi-tenant support
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    index: true,
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+// Methods
+offerSchema.methods.getCurrentApproval = function() {
+  return this.approvals.find(step => step.status === 'pending') || null;
+};
+
+offerSchema.methods.isExpired = function() {
+  return !!this.expiresAt && this.expiresAt < new Date();
+};
+
+offerSchema.index({ applicationId: 1, createdAt: -1 });
+offerSchema.index({ tenantId: 1, status: 1 });
+offerSchema.index({ 'approvals.approverId': 1, status: 1 });
+
+module.exports = mongoose.models.Offer || mongoose.model('Offer', offerSchema);
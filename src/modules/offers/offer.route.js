@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createOffer,
+  getApplicationOffers,
+  getPendingApprovals,
+  getOfferById,
+  updateOffer,
+  submitOffer,
+  approveOffer,
+  rejectOffer,
+  sendOffer,
+  withdrawOffer,
+  getOfferLetter,
+  getOfferTemplates,
+  createOfferTemplate,
+  updateOfferTemplate,
+  deleteOfferTemplate,
+  getPublicOffer,
+  getPublicOfferLetter,
+  acceptOffer,
+  declineOffer
+} = require('./offer.controller');
+const { auth, adminAuth } = require('../../middleware/auth');
+const {
+  validateOffer,
+  validateOfferUpdate,
+  validateOfferDecision,
+  validateOfferTemplate,
+  validateOfferResponse
+} = require('../../middleware/validation');
+
+// Public routes (no authentication, access via signed offer token)
+router.get('/public/:token', getPublicOffer);
+router.get('/public/:token/letter', getPublicOfferLetter);
+router.post('/public/:token/accept', validateOfferResponse, acceptOffer);
+router.post('/public/:token/decline', validateOfferResponse, declineOffer);
+
+// Offer templates (admin only)
+router.get('/templates', auth, adminAuth, getOfferTemplates);
+router.post('/templates', auth, adminAuth, validateOfferTemplate, createOfferTemplate);
+router.put('/templates/:templateId', auth, adminAuth, validateOfferTemplate, updateOfferTemplate);
+router.delete('/templates/:templateId', auth, adminAuth, deleteOfferTemplate);
+
+// Recruiter routes (admin only)
+router.post('/applications/:applicationId', auth, adminAuth, validateOffer, createOffer);
+router.get('/applications/:applicationId', auth, adminAuth, getApplicationOffers);
+router.get('/approvals/pending', auth, adminAuth, getPendingApprovals);
+router.get('/:id', auth, adminAuth, getOfferById);
+router.put('/:id', auth, adminAuth, validateOfferUpdate, updateOffer);
+router.post('/:id/submit', auth, adminAuth, submitOffer);
+router.post('/:id/approve', auth, adminAuth, validateOfferDecision, approveOffer);
+router.post('/:id/reject', auth, adminAuth, validateOfferDecision, rejectOffer);
+router.post('/:id/send', auth, adminAuth, sendOffer);
+router.post('/:id/withdraw', auth, adminAuth, withdrawOffer);
+router.get('/:id/letter', auth, adminAuth, getOfferLetter);
+
+module.exports = router;
@@ -0,0 +1,684 @@
+const Offer = require('./offer.model');
+const OfferTemplate = require('./offerTemplate.model');
+const OfferUtils = require('./offer.utils');
+const Application = require('../application/application.model');
+const Job = require('../jobs/job.model');
+const PipelineService = require('../pipelines/pipeline.service');
+const JWTService = require('../../services/jwtService');
+const EmailService = require('../../services/emailService');
+const PdfService = require('../../services/pdfService');
+const { publishApplicationUpdate } = require('../../services/realtime');
+const { addScopedTenantFilter, getRequestTenantId } = require('../../utils/tenantQueryHelper');
+
+const DEFAULT_RESPONSE_DAYS = 14;
+
+// Offers still in progress; an application can only have one of these at a time
+const OPEN_STATUSES = ['draft', 'pending_approval', 'approved', 'rejected', 'sent'];
+
+// Admin roles that may approve offers
+const APPROVER_ROLES = ['admin', 'superadmin'];
+
+/**
+ * Offer Service
+ * Contains all business logic for offers: approval chain, letters and the candidate's response
+ */
+class OfferService {
+  // ============ Helpers ============
+
+  /**
+   * Load an application and check it belongs to the current tenant (via its job).
+   * Without a subdomain that is the admin's own tenant; only super admins see everyone.
+   */
+  static async getApplicationForTenant(applicationId, req) {
+    const application = await Application.findById(applicationId).populate('jobId');
+    if (!application) {
+      throw new Error('Application not found');
+    }
+
+    const tenantId = getRequestTenantId(req);
+    if (tenantId !== undefined) {
+      const job = application.jobId;
+      if (!job || String(job.tenantId || null) !== String(tenantId)) {
+        throw new Error('Forbidden: Application does not belong to your company');
+      }
+    }
+
+    return application;
+  }
+
+  static async getOfferForTenant(offerId, req) {
+    const offer = await Offer.findOne(addScopedTenantFilter({ _id: offerId }, req));
+    if (!offer) {
+      throw new Error('Offer not found');
+    }
+    return offer;
+  }
+
+  /**
+   * Approvers in the given order; each must be an active admin of the offer's tenant
+   */
+  static async resolveApprovers(approverIds = [], tenantId) {
+    const { Admin } = require('../auth/auth.model');
+    const ids = approverIds.map(String);
+
+    if (new Set(ids).size !== ids.length) {
+      throw new Error('Invalid approvers: each admin can only approve once');
+    }
+
+    const admins = await Admin.find({
+      _id: { $in: ids },
+      tenantId: tenantId || null,
+      isActive: true,
+      role: { $in: APPROVER_ROLES }
+    }).select('_id name email');
+
+    const byId = new Map(admins.map(admin => [admin._id.toString(), admin]));
+    const missing = ids.filter(id => !byId.has(id));
+    if (missing.length > 0) {
+      throw new Error(`Invalid approvers: ${missing.join(', ')} must be active admins of your company`);
+    }
+
+    return ids.map(id => {
+      const admin = byId.get(id);
+      return { approverId: admin._id, name: admin.name, email: admin.email, status: 'pending' };
+    });
+  }
+
+  static candidateOf(application) {
+    const snapshot = application.candidateSnapshot || {};
+    return {
+      name: [snapshot.firstName, snapshot.lastName].filter(Boolean).join(' '),
+      email: snapshot.email
+    };
+  }
+
+  static buildOfferUrl(offer) {
+    return OfferUtils.buildOfferUrl(
+      JWTService.generateOfferToken(offer._id.toString(), offer.tokenNonce, offer.expiresAt)
+    );
+  }
+
+  /**
+   * Offer as shown to recruiters
+   */
+  static toView(offer) {
+    const data = offer.toObject();
+    delete data.tokenNonce;
+    data.currentApproval = offer.status === 'pending_approval' ? offer.getCurrentApproval() : null;
+
+    if (offer.status === 'sent' && !offer.isExpired()) {
+      data.url = this.buildOfferUrl(offer);
+    }
+
+    return data;
+  }
+
+  /**
+   * Letter for the offer: the stored one once sent, otherwise rendered from the template
+   */
+  static async buildLetter(offer, application, job) {
+    if (offer.letter && offer.letter.body) {
+      return { title: offer.letter.title, body: offer.letter.body };
+    }
+
+    let template = null;
+    if (offer.templateId) {
+      template = await OfferTemplate.findOne({ _id: offer.templateId, tenantId: offer.tenantId || null });
+    }
+    if (!template) {
+      template = await OfferTemplate.findOne({ tenantId: offer.tenantId || null, isDefault: true });
+    }
+
+    const MailSettingsService = require('../emails/mailSettings.service');
+    const branding = await MailSettingsService.getBranding(offer.tenantId);
+    let companyName = branding.companyName;
+    if (!companyName && offer.tenantId) {
+      const Tenant = require('../tenant/tenant.model');
+      const tenant = await Tenant.findById(offer.tenantId).select('name');
+      companyName = tenant?.name;
+    }
+
+    const values = OfferUtils.buildLetterValues(offer, {
+      candidateName: this.candidateOf(application).name,
+      jobTitle: job.title,
+      companyName
+    });
+
+    return OfferUtils.renderLetter(template || OfferUtils.DEFAULT_TEMPLATE, values);
+  }
+
+  static async renderLetterPdf(offer) {
+    const application = await Application.findById(offer.applicationId);
+    const job = await Job.findById(offer.jobId);
+    if (!application || !job) {
+      throw new Error('Application not found');
+    }
+
+    const letter = await this.buildLetter(offer, application, job);
+    return {
+      filename: `offer-${offer._id}.pdf`,
+      content: Buffer.from(PdfService.renderDocument(letter), 'latin1')
+    };
+  }
+
+  /**
+   * Move the application to the first pipeline stage matching the predicate (offer made / hired)
+   */
+  static async moveApplication(application, job, matches, reason, actor) {
+    const pipeline = await PipelineService.resolvePipelineForJob(job);
+    const stage = (pipeline.stages || []).find(matches);
+
+    if (!stage || stage.name === application.status) {
+      return;
+    }
+
+    const oldStatus = application.status;
+    application.status = stage.name;
+    application.logs.push({
+      action: `Status changed from ${oldStatus} to ${stage.name} (${reason})`,
+      userId: actor.userId,
+      userRole: actor.userRole,
+      metadata: { oldStatus, newStatus: stage.name, automated: true, reason: 'offer' }
+    });
+  }
+
+  static logOffer(application, action, offer, actor, metadata = {}) {
+    application.logs.push({
+      action,
+      userId: actor.userId,
+      userRole: actor.userRole,
+      metadata: { offerId: offer._id, offerStatus: offer.status, ...metadata }
+    });
+  }
+
+  static async notifyApprover(offer, application, job) {
+    const step = offer.getCurrentApproval();
+    if (!step || !step.email) return;
+
+    const email = OfferUtils.generateApprovalRequestEmail(step.name, this.candidateOf(application).name, job.title, offer);
+    await EmailService.sendEmail(step.email, email.subject, email.html, null, {
+      applicationId: application._id,
+      tenantId: offer.tenantId,
+      category: 'offer_approval'
+    });
+  }
+
+  // ============ Recruiter Operations ============
+
+  /**
+   * Create a draft offer for an application
+   */
+  static async createOffer(applicationId, offerData, userId, req) {
+    const application = await this.getApplicationForTenant(applicationId, req);
+    const job = application.jobId;
+
+    const openOffer = await Offer.exists({ applicationId: application._id, status: { $in: OPEN_STATUSES } });
+    if (openOffer) {
+      throw new Error('An open offer already exists for this application');
+    }
+
+    const { salary, startDate, bonus, equity, notes, expiresAt, templateId, approverIds = [], budgetJustification } = offerData;
+
+    if (templateId) {
+      await this.getTemplateById(templateId, req);
+    }
+
+    const offer = await Offer.create({
+      applicationId: application._id,
+      jobId: job._id,
+      salary,
+      startDate,
+      bonus,
+      equity,
+      notes,
+      expiresAt,
+      templateId,
+      budgetJustification,
+      budgetCheck: OfferUtils.checkBudget(salary, job),
+      approvals: await this.resolveApprovers(approverIds, job.tenantId),
+      createdBy: userId,
+      tenantId: job.tenantId || null
+    });
+
+    this.logOffer(application, 'Offer created', offer, { userId, userRole: 'Admin' }, {
+      salary: offer.salary.amount,
+      budgetStatus: offer.budgetCheck.status
+    });
+    await application.save();
+
+    return this.toView(offer);
+  }
+
+  /**
+   * Edit a draft or rejected offer. A rejected offer goes back to draft and
+   * has to be submitted (and approved) again.
+   */
+  static async updateOffer(offerId, updateData, req) {
+    const offer = await this.getOfferForTenant(offerId, req);
+
+    if (!['draft', 'rejected'].includes(offer.status)) {
+      throw new Error('Offer can only be edited while it is a draft or rejected');
+    }
+
+    const fields = ['salary', 'startDate', 'bonus', 'equity', 'notes', 'expiresAt', 'budgetJustification'];
+    fields.forEach(field => {
+      if (updateData[field] !== undefined) offer[field] = updateData[field];
+    });
+
+    if (updateData.templateId !== undefined) {
+      if (updateData.templateId) {
+        await this.getTemplateById(updateData.templateId, req);
+      }
+      offer.templateId = updateData.templateId || undefined;
+    }
+
+    if (updateData.salary !== undefined) {
+      offer.budgetCheck = OfferUtils.checkBudget(offer.salary, await Job.findById(offer.jobId));
+    }
+
+    if (updateData.approverIds !== undefined) {
+      offer.approvals = await this.resolveApprovers(updateData.approverIds, offer.tenantId);
+    }
+
+    if (offer.status === 'rejected') {
+      offer.status = 'draft';
+      offer.approvals.forEach(step => {
+        step.status = 'pending';
+        step.comment = undefined;
+        step.decidedAt = undefined;
+      });
+    }
+
+    await offer.save();
+    return this.toView(offer);
+  }
+
+  /**
+   * Start the approval chain. Offers without approvers are approved right away.
+   */
+  static async submitOffer(offerId, userId, req) {
+    const offer = await this.getOfferForTenant(offerId, req);
+    if (offer.status !== 'draft') {
+      throw new Error('Only draft offers can be submitted for approval');
+    }
+
+    const application = await Application.findById(offer.applicationId);
+    const job = await Job.findById(offer.jobId);
+    if (!application || !job) {
+      throw new Error('Application not found');
+    }
+
+    // The budget may have changed since the offer was drafted
+    offer.budgetCheck = OfferUtils.checkBudget(offer.salary, job);
+    if (offer.budgetCheck.status === 'exceeded' && !offer.budgetJustification) {
+      throw new Error(`Offer exceeds the job's salary budget (${OfferUtils.formatMoney(offer.budgetCheck.budgetMax, offer.budgetCheck.currency)}); a budget justification is required`);
+    }
+
+    offer.status = offer.approvals.length > 0 ? 'pending_approval' : 'approved';
+    await offer.save();
+
+    this.logOffer(application, offer.status === 'approved' ? 'Offer approved (no approvers)' : 'Offer submitted for approval',
+      offer, { userId, userRole: 'Admin' });
+    await application.save();
+
+    if (offer.status === 'pending_approval') {
+      this.notifyApprover(offer, application, job)
+        .catch(err => console.error('Failed to send offer approval email:', err));
+    }
+
+    return this.toView(offer);
+  }
+
+  /**
+   * Approve or reject as the approver whose turn it is
+   */
+  static async decideApproval(offerId, decision, comment, userId, req) {
+    const offer = await this.getOfferForTenant(offerId, req);
+    if (offer.status !== 'pending_approval') {
+      throw new Error('Offer is not waiting for approval');
+    }
+
+    const step = offer.getCurrentApproval();
+    if (!step || step.approverId.toString() !== userId.toString()) {
+      throw new Error(`Forbidden: waiting for approval from ${step ? step.name || step.email : 'nobody'}`);
+    }
+
+    step.status = decision === 'approve' ? 'approved' : 'rejected';
+    step.comment = comment;
+    step.decidedAt = new Date();
+
+    if (step.status === 'rejected') {
+      offer.status = 'rejected';
+    } else if (!offer.getCurrentApproval()) {
+      offer.status = 'approved';
+    }
+    await offer.save();
+
+    const application = await Application.findById(offer.applicationId);
+    const job = await Job.findById(offer.jobId);
+    if (application) {
+      this.logOffer(application, `Offer ${step.status} by ${step.name || step.email}`, offer, { userId, userRole: 'Admin' }, {
+        comment: comment || null
+      });
+      await application.save();
+    }
+
+    if (offer.status === 'pending_approval' && application && job) {
+      this.notifyApprover(offer, application, job)
+        .catch(err => console.error('Failed to send offer approval email:', err));
+    }
+
+    return this.toView(offer);
+  }
+
+  /**
+   * Send an approved offer: fix the letter, email the candidate the link and the PDF
+   */
+  static async sendOffer(offerId, userId, req) {
+    const offer = await this.getOfferForTenant(offerId, req);
+    if (offer.status !== 'approved') {
+      throw new Error('Only approved offers can be sent');
+    }
+
+    const application = await Application.findById(offer.applicationId);
+    const job = await Job.findById(offer.jobId);
+    if (!application || !job) {
+      throw new Error('Application not found');
+    }
+
+    if (!offer.expiresAt || offer.isExpired()) {
+      offer.expiresAt = new Date(Date.now() + DEFAULT_RESPONSE_DAYS * 24 * 60 * 60 * 1000);
+    }
+
+    const letter = await this.buildLetter(offer, application, job);
+    offer.letter = { ...letter, generatedAt: new Date() };
+    offer.status = 'sent';
+    offer.sentAt = new Date();
+    offer.tokenNonce = OfferUtils.generateNonce();
+    await offer.save();
+
+    const actor = { userId, userRole: 'Admin' };
+    this.logOffer(application, 'Offer sent to candidate', offer, actor, { expiresAt: offer.expiresAt });
+    await this.moveApplication(application, job, stage => stage.type === 'offer', 'offer sent', actor);
+    await application.save();
+
+    const url = this.buildOfferUrl(offer);
+    const candidate = this.candidateOf(application);
+
+    if (candidate.email) {
+      const email = OfferUtils.generateOfferEmail(candidate.name, job.title, url, offer.expiresAt);
+      EmailService.dispatch({
+        to: candidate.email,
+        subject: email.subject,
+        html: email.html,
+        attachments: [{
+          filename: `offer-${offer._id}.pdf`,
+          // The PDF is ASCII only, so it is stored as is
+          content: PdfService.renderDocument(letter),
+          contentType: 'application/pdf'
+        }]
+      }, {
+        applicationId: application._id,
+        tenantId: offer.tenantId,
+        category: 'offer'
+      }).catch(err => console.error('Failed to send offer email:', err));
+    }
+
+    publishApplicationUpdate(application, 'application:offer', { offerId: String(offer._id), status: offer.status });
+
+    return { offer: this.toView(offer), url };
+  }
+
+  /**
+   * Withdraw an offer that has not been answered; the candidate's link stops working
+   */
+  static async withdrawOffer(offerId, userId, req) {
+    const offer = await this.getOfferForTenant(offerId, req);
+    if (!OPEN_STATUSES.includes(offer.status)) {
+      throw new Error(`Offer has already been ${offer.status}`);
+    }
+
+    offer.status = 'withdrawn';
+    offer.tokenNonce = OfferUtils.generateNonce();
+    await offer.save();
+
+    const application = await Application.findById(offer.applicationId);
+    if (application) {
+      this.logOffer(application, 'Offer withdrawn', offer, { userId, userRole: 'Admin' });
+      await application.save();
+      publishApplicationUpdate(application, 'application:offer', { offerId: String(offer._id), status: offer.status });
+    }
+
+    return this.toView(offer);
+  }
+
+  static async getOffersForApplication(applicationId, req) {
+    await this.getApplicationForTenant(applicationId, req);
+
+    const offers = await Offer.find({ applicationId }).sort({ createdAt: -1 });
+    return offers.map(offer => this.toView(offer));
+  }
+
+  static async getOfferById(offerId, req) {
+    return this.toView(await this.getOfferForTenant(offerId, req));
+  }
+
+  /**
+   * Offers waiting for the current admin's approval
+   */
+  static async getPendingApprovals(userId, req) {
+    const offers = await Offer.find(addScopedTenantFilter({
+      status: 'pending_approval',
+      approvals: { $elemMatch: { approverId: userId, status: 'pending' } }
+    }, req))
+      .populate('jobId', 'title')
+      .populate('applicationId', 'candidateSnapshot')
+      .sort({ createdAt: 1 });
+
+    return offers
+      .filter(offer => offer.getCurrentApproval().approverId.toString() === userId.toString())
+      .map(offer => this.toView(offer));
+  }
+
+  /**
+   * Offer letter PDF (a preview until the offer is sent)
+   */
+  static async getLetterPdf(offerId, req) {
+    return this.renderLetterPdf(await this.getOfferForTenant(offerId, req));
+  }
+
+  // ============ Offer Templates ============
+
+  static async getTemplates(req) {
+    return OfferTemplate.find(addScopedTenantFilter({}, req))
+      .sort({ isDefault: -1, name: 1 })
+      .select('-__v');
+  }
+
+  static async getTemplateById(templateId, req) {
+    const template = await OfferTemplate.findOne(addScopedTenantFilter({ _id: templateId }, req));
+    if (!template) {
+      throw new Error('Offer template not found');
+    }
+    return template;
+  }
+
+  static async createTemplate(templateData, userId, req) {
+    const { name, title, body, isDefault } = templateData;
+
+    const template = await OfferTemplate.create({
+      name,
+      title,
+      body,
+      isDefault: !!isDefault,
+      createdBy: userId,
+      tenantId: getRequestTenantId(req) || null
+    });
+
+    if (template.isDefault) {
+      await this.clearOtherDefaults(template);
+    }
+
+    return template;
+  }
+
+  static async updateTemplate(templateId, updateData, req) {
+    const template = await this.getTemplateById(templateId, req);
+    const { name, title, body, isDefault } = updateData;
+
+    if (name !== undefined) template.name = name;
+    if (title !== undefined) template.title = title;
+    if (body !== undefined) template.body = body;
+    if (isDefault !== undefined) template.isDefault = !!isDefault;
+
+    await template.save();
+
+    if (template.isDefault) {
+      await this.clearOtherDefaults(template);
+    }
+
+    return template;
+  }
+
+  static async deleteTemplate(templateId, req) {
+    const template = await this.getTemplateById(templateId, req);
+
+    const inUse = await Offer.countDocuments({ templateId: template._id, status: { $in: OPEN_STATUSES } });
+    if (inUse > 0) {
+      throw new Error(`Offer template is in use by ${inUse} open offer(s) and cannot be deleted`);
+    }
+
+    await OfferTemplate.findByIdAndDelete(template._id);
+    return true;
+  }
+
+  /**
+   * Only one default template per tenant
+   */
+  static async clearOtherDefaults(template) {
+    await OfferTemplate.updateMany(
+      { _id: { $ne: template._id }, tenantId: template.tenantId || null, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+  }
+
+  // ============ Candidate Link ============
+
+  /**
+   * Resolve a signed offer token to its Offer
+   */
+  static async getOfferByToken(token) {
+    let decoded;
+    try {
+      decoded = JWTService.verifyOfferToken(token);
+    } catch (error) {
+      throw new Error('Invalid or expired offer link');
+    }
+
+    const offer = await Offer.findById(decoded.offerId);
+    if (!offer || offer.tokenNonce !== decoded.nonce) {
+      throw new Error('Invalid or expired offer link');
+    }
+    if (offer.status === 'withdrawn') {
+      throw new Error('Offer has been withdrawn');
+    }
+
+    if (offer.status === 'sent' && offer.isExpired()) {
+      offer.status = 'expired';
+      await offer.save();
+    }
+
+    return offer;
+  }
+
+  /**
+   * What the candidate sees when opening the link
+   */
+  static async getPublicOffer(token) {
+    const offer = await this.getOfferByToken(token);
+    const job = await Job.findById(offer.jobId).select('title');
+
+    return {
+      jobTitle: job?.title,
+      status: offer.status,
+      salary: offer.salary,
+      startDate: offer.startDate,
+      bonus: offer.bonus,
+      equity: offer.equity,
+      expiresAt: offer.expiresAt,
+      letter: { title: offer.letter?.title, body: offer.letter?.body },
+      respondedAt: offer.response?.respondedAt
+    };
+  }
+
+  static async getPublicLetterPdf(token) {
+    return this.renderLetterPdf(await this.getOfferByToken(token));
+  }
+
+  /**
+   * Accept or decline. Accepting moves the application to the pipeline's hired stage.
+   */
+  static async respondToOffer(token, decision, declineReason) {
+    const offer = await this.getOfferByToken(token);
+
+    if (offer.status === 'expired') {
+      throw new Error('Offer has expired');
+    }
+    if (offer.status !== 'sent') {
+      throw new Error(`Offer has already been ${offer.status}`);
+    }
+
+    const update = {
+      status: decision === 'accept' ? 'accepted' : 'declined',
+      'response.respondedAt': new Date()
+    };
+    if (decision !== 'accept' && declineReason) {
+      update['response.declineReason'] = declineReason;
+    }
+
+    // Only the first response counts
+    const responded = await Offer.findOneAndUpdate(
+      { _id: offer._id, status: 'sent' },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+    if (!responded) {
+      throw new Error('Offer has already been answered');
+    }
+
+    const application = await Application.findById(responded.applicationId);
+    const job = await Job.findById(responded.jobId);
+
+    if (application && job) {
+      const actor = {
+        userId: application.isGuestApplication ? application.guestApplicationId : application.candidateId,
+        userRole: application.isGuestApplication ? 'Guest' : 'Candidate'
+      };
+
+      this.logOffer(application, `Offer ${responded.status} by candidate`, responded, actor, {
+        declineReason: responded.response?.declineReason || null
+      });
+      if (responded.status === 'accepted') {
+        await this.moveApplication(application, job, stage => stage.type === 'terminal' && stage.outcome === 'hired', 'offer accepted', actor);
+      }
+      await application.save();
+
+      publishApplicationUpdate(application, 'application:offer', { offerId: String(responded._id), status: responded.status });
+
+      const { Admin } = require('../auth/auth.model');
+      const creator = await Admin.findById(responded.createdBy).select('email');
+      if (creator && creator.email) {
+        const email = OfferUtils.generateOfferResponseEmail(this.candidateOf(application).name, job.title, responded);
+        EmailService.sendEmail(creator.email, email.subject, email.html, null, {
+          applicationId: application._id,
+          tenantId: responded.tenantId,
+          category: 'offer_response'
+        }).catch(err => console.error('Failed to send offer response email:', err));
+      }
+    }
+
+    return this.getPublicOffer(token);
+  }
+}
+
+module.exports = OfferService;
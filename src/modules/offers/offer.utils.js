@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+
+// Pay periods of salaryRangeSchema per year, to compare amounts across periods
+const PERIODS_PER_YEAR = {
+  Yearly: 1,
+  Monthly: 12,
+  Weekly: 52,
+  Hourly: 2080
+};
+
+const LETTER_PLACEHOLDERS = [
+  'candidateName', 'jobTitle', 'companyName', 'salary', 'startDate',
+  'signOnBonus', 'targetBonus', 'equity', 'expiresAt'
+];
+
+const DEFAULT_TEMPLATE = {
+  title: 'Offer of Employment',
+  body: [
+    'Dear {{candidateName}},',
+    '',
+    'We are delighted to offer you the position of {{jobTitle}} at {{companyName}}.',
+    '',
+    'Salary: {{salary}}',
+    'Start date: {{startDate}}',
+    'Sign-on bonus: {{signOnBonus}}',
+    'Target bonus: {{targetBonus}}',
+    'Equity: {{equity}}',
+    '',
+    'Please let us know your decision by {{expiresAt}} using the link in the email that came with this letter.',
+    '',
+    'We look forward to working with you.',
+    '',
+    '{{companyName}}'
+  ].join('\n')
+};
+
+const escapeHtml = (value) => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Offer Utility Functions
+ * Helper functions for offers: budget checks, letters and emails
+ */
+class OfferUtils {
+  static generateNonce() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Amount in another pay period (e.g. monthly salary as yearly)
+   */
+  static convertAmount(amount, fromPeriod, toPeriod) {
+    const from = PERIODS_PER_YEAR[fromPeriod || 'Yearly'];
+    const to = PERIODS_PER_YEAR[toPeriod || 'Yearly'];
+    return Math.round((amount * from / to) * 100) / 100;
+  }
+
+  /**
+   * Compare the offered salary with the job's budget (kept in the salary range's period)
+   * @returns {Object} budgetCheck (see Offer model)
+   */
+  static checkBudget(salary, job) {
+    const budget = job.salaryBudget || {};
+    if (typeof budget.max !== 'number') {
+      return { status: 'no_budget' };
+    }
+
+    const currency = budget.currency || job.salaryRange?.currency || 'USD';
+    if (salary.currency && salary.currency.toUpperCase() !== currency.toUpperCase()) {
+      throw new Error(`Invalid offer: salary currency ${salary.currency} does not match the job budget (${currency})`);
+    }
+
+    const comparedAmount = this.convertAmount(salary.amount, salary.period, job.salaryRange?.period);
+
+    return {
+      status: comparedAmount > budget.max ? 'exceeded' : 'within',
+      budgetMax: budget.max,
+      currency,
+      comparedAmount
+    };
+  }
+
+  static formatMoney(amount, currency = 'USD') {
+    try {
+      return new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 2 }).format(amount);
+    } catch (error) {
+      return `${amount} ${currency}`;
+    }
+  }
+
+  static formatDate(date) {
+    return date ? new Date(date).toISOString().slice(0, 10) : '';
+  }
+
+  /**
+   * Values for the letter placeholders
+   */
+  static buildLetterValues(offer, { candidateName, jobTitle, companyName }) {
+    const { salary, bonus = {}, equity = {} } = offer;
+    const periods = { Yearly: 'per year', Monthly: 'per month', Weekly: 'per week', Hourly: 'per hour' };
+
+    return {
+      candidateName: candidateName || '',
+      jobTitle: jobTitle || '',
+      companyName: companyName || '',
+      salary: `${this.formatMoney(salary.amount, salary.currency)} ${periods[salary.period] || ''}`.trim(),
+      startDate: this.formatDate(offer.startDate),
+      signOnBonus: bonus.signOn ? this.formatMoney(bonus.signOn, salary.currency) : 'None',
+      targetBonus: bonus.targetPercent ? `${bonus.targetPercent}% of the yearly salary` : 'None',
+      equity: equity.type && equity.type !== 'none'
+        ? [equity.amount, { options: 'stock options', rsu: 'RSUs', shares: 'shares' }[equity.type], equity.vesting ? `(${equity.vesting})` : '']
+          .filter(Boolean).join(' ')
+        : 'None',
+      expiresAt: this.formatDate(offer.expiresAt)
+    };
+  }
+
+  /**
+   * Fill a template's {{placeholders}}
+   */
+  static renderLetter(template, values) {
+    const replace = (text) => String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+      LETTER_PLACEHOLDERS.includes(key) ? String(values[key] ?? '') : match
+    );
+
+    return {
+      title: replace(template.title),
+      body: replace(template.body)
+    };
+  }
+
+  static buildOfferUrl(token) {
+    const frontendUrl = process.env.FRONTEND_URL || '';
+    return `${frontendUrl}/offer/${token}`;
+  }
+
+  /**
+   * Email sending the offer to the candidate
+   */
+  static generateOfferEmail(candidateName, jobTitle, url, expiresAt) {
+    return {
+      subject: `Your offer for ${jobTitle}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="padding: 30px; background-color: #f9fafb;">
+            <h2 style="color: #1f2937; margin-bottom: 20px;">Hello ${escapeHtml(candidateName)},</h2>
+            <p style="color: #4b5563; line-height: 1.6;">
+              We are happy to offer you the <strong>${escapeHtml(jobTitle)}</strong> position at {{companyName}}.
+              Your offer letter is attached. Please review it and accept or decline the offer here:
+            </p>
+            <a href="${url}"
+               style="display: inline-block; background-color: {{primaryColor}}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+              View Offer
+            </a>
+            <p style="color: #6b7280; font-size: 14px; margin-top: 20px;">
+              This offer is valid until ${expiresAt.toUTCString()}.
+            </p>
+          </div>
+        </div>
+      `
+    };
+  }
+
+  /**
+   * Email asking the next approver to review an offer
+   */
+  static generateApprovalRequestEmail(approverName, candidateName, jobTitle, offer) {
+    const budgetNote = offer.budgetCheck?.status === 'exceeded'
+      ? `<p style="color: #b91c1c; line-height: 1.6;">This offer exceeds the job's salary budget
+           (${this.formatMoney(offer.budgetCheck.budgetMax, offer.budgetCheck.currency)}).
+           Justification: ${escapeHtml(offer.budgetJustification)}</p>`
+      : '';
+
+    return {
+      subject: `Offer approval needed: ${candidateName} for ${jobTitle}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="padding: 30px; background-color: #f9fafb;">
+            <h2 style="color: #1f2937; margin-bottom: 20px;">Hello ${escapeHtml(approverName)},</h2>
+            <p style="color: #4b5563; line-height: 1.6;">
+              An offer for <strong>${escapeHtml(candidateName)}</strong> (${escapeHtml(jobTitle)}) is waiting for your approval:
+              ${this.formatMoney(offer.salary.amount, offer.salary.currency)} ${escapeHtml(offer.salary.period)},
+              starting ${this.formatDate(offer.startDate)}.
+            </p>
+            ${budgetNote}
+          </div>
+        </div>
+      `
+    };
+  }
+
+  /**
+   * Email telling the offer's creator about the candidate's response
+   */
+  static generateOfferResponseEmail(candidateName, jobTitle, offer) {
+    const accepted = offer.status === 'accepted';
+    const reason = !accepted && offer.response?.declineReason
+      ? `<p style="color: #4b5563; line-height: 1.6;">Reason: ${escapeHtml(offer.response.declineReason)}</p>`
+      : '';
+
+    return {
+      subject: `Offer ${accepted ? 'accepted' : 'declined'}: ${candidateName} for ${jobTitle}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="padding: 30px; background-color: #f9fafb;">
+            <p style="color: #4b5563; line-height: 1.6;">
+              <strong>${escapeHtml(candidateName)}</strong> has ${accepted ? 'accepted' : 'declined'}
+              the offer for <strong>${escapeHtml(jobTitle)}</strong>.
+            </p>
+            ${reason}
+          </div>
+        </div>
+      `
+    };
+  }
+}
+
+OfferUtils.PERIODS_PER_YEAR = PERIODS_PER_YEAR;
+OfferUtils.LETTER_PLACEHOLDERS = LETTER_PLACEHOLDERS;
+OfferUtils.DEFAULT_TEMPLATE = DEFAULT_TEMPLATE;
+
+module.exports = OfferUtils;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * Offer Template Schema
+ * Offer letter text with {{placeholders}} (see OfferUtils.LETTER_PLACEHOLDERS),
+ * rendered into the letter when an offer is sent.
+ */
+const offerTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  title: {
+    type: String,
+    required: [true, 'Letter title is required'],
+    trim: true,
+    maxlength: [200, 'Letter title cannot exceed 200 characters']
+  },
+  body: {
+    type: String,
+    required: [true, 'Letter body is required'],
+    maxlength: [20000, 'Letter body cannot exceed 20000 characters']
+  },
+  // Used for offers that do not pick a template
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  // Multi-tenant support
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    index: true,
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.models.OfferTemplate || mongoose.model('OfferTemplate', offerTemplateSchema);
@@ -0,0 +1,134 @@
+const { validationResult } = require('express-validator');
+const PipelineService = require('./pipeline.service');
+
+/**
+ * Pipeline Controller
+ * Handles HTTP requests and delegates business logic to PipelineService
+ */
+
+const getErrorStatusCode = (error) => {
+  return error.message.includes('not found') ? 404 :
+         error.message.includes('Invalid') ? 400 :
+         error.message.includes('mapping required') ? 400 :
+         error.message.includes('in use') ? 409 : 500;
+};
+
+// Get all pipelines
+const getPipelines = async (req, res) => {
+  try {
+    const pipelines = await PipelineService.getPipelines(req);
+
+    res.json({
+      success: true,
+      pipelines
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// Get single pipeline by ID
+const getPipelineById = async (req, res) => {
+  try {
+    const pipeline = await PipelineService.getPipelineById(req.params.id, req);
+
+    res.json({
+      success: true,
+      pipeline
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Create pipeline
+const createPipeline = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const pipeline = await PipelineService.createPipeline(req.body, req.user._id, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pipeline created successfully',
+      pipeline
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Update pipeline (migrates applications when stages are removed)
+const updatePipeline = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { pipeline, migrated } = await PipelineService.updatePipeline(
+      req.params.id,
+      req.body,
+      req.user._id,
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Pipeline updated successfully',
+      pipeline,
+      migratedApplications: migrated
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Delete pipeline
+const deletePipeline = async (req, res) => {
+  try {
+    await PipelineService.deletePipeline(req.params.id, req);
+
+    res.json({
+      success: true,
+      message: 'Pipeline deleted successfully'
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getPipelines,
+  getPipelineById,
+  createPipeline,
+  updatePipeline,
+  deletePipeline
+};
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// Rules checked when an application enters or leaves a stage
+const stageRulesSchema = new mongoose.Schema({
+  // A note must accompany the status change
+  requireNote: {
+    type: Boolean,
+    default: false
+  },
+  // At least one evaluation must exist for the application
+  requireEvaluation: {
+    type: Boolean,
+    default: false
+  },
+  // At least one non-cancelled event must exist for the application
+  requireEvent: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const stageSchema = new mongoose.Schema({
+  // Stage name is stored as Application.status
+  name: {
+    type: String,
+    required: [true, 'Stage name is required'],
+    trim: true,
+    maxlength: [50, 'Stage name cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    enum: ['screening', 'interview', 'offer', 'terminal'],
+    default: 'screening'
+  },
+  // Only meaningful for terminal stages
+  outcome: {
+    type: String,
+    enum: ['hired', 'rejected', 'withdrawn']
+  },
+  // Stage names this stage can move to.
+  // Empty = any later stage or any terminal stage (terminal stages have no exits)
+  allowedTransitions: {
+    type: [String],
+    default: []
+  },
+  entryRules: {
+    type: stageRulesSchema,
+    default: () => ({})
+  },
+  exitRules: {
+    type: stageRulesSchema,
+    default: () => ({})
+  }
+}, { _id: false });
+
+/**
+ * Pipeline Schema
+ * Ordered hiring stages used by a job (Job.pipelineId) or as a tenant default
+ */
+const pipelineSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Pipeline name is required'],
+    trim: true,
+    maxlength: [100, 'Pipeline name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  stages: {
+    type: [stageSchema],
+    validate: {
+      validator: function(stages) {
+        return Array.isArray(stages) && stages.length > 0;
+      },
+      message: 'Pipeline must have at least one stage'
+    }
+  },
+  // Tenant default pipeline is used by jobs without a pipelineId
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  // Multi-tenant support
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    index: true,
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+// Methods
+pipelineSchema.methods.getStage = function(name) {
+  return this.stages.find(stage => stage.name === name) || null;
+};
+
+pipelineSchema.index({ tenantId: 1, isDefault: 1 });
+pipelineSchema.index({ createdBy: 1 });
+
+module.exports = mongoose.models.Pipeline || mongoose.model('Pipeline', pipelineSchema);
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPipelines,
+  getPipelineById,
+  createPipeline,
+  updatePipeline,
+  deletePipeline
+} = require('./pipeline.controller');
+const { auth, adminAuth } = require('../../middleware/auth');
+const { validatePipeline, validatePipelineUpdate } = require('../../middleware/validation');
+
+// All routes require admin authentication
+router.get('/', auth, adminAuth, getPipelines);
+router.get('/:id', auth, adminAuth, getPipelineById);
+router.post('/', auth, adminAuth, validatePipeline, createPipeline);
+router.put('/:id', auth, adminAuth, validatePipelineUpdate, updatePipeline);
+router.delete('/:id', auth, adminAuth, deletePipeline);
+
+module.exports = router;
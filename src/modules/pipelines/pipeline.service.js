@@ -0,0 +1,354 @@
+const Pipeline = require('./pipeline.model');
+const PipelineUtils = require('./pipeline.utils');
+const { addTenantFilter, ensureTenantId } = require('../../utils/tenantQueryHelper');
+const { emitToJob } = require('../../services/realtime');
+
+/**
+ * Pipeline Service
+ * Contains all business logic for hiring pipelines and stage transitions
+ */
+class PipelineService {
+  // ============ Pipeline Operations ============
+
+  /**
+   * Get all pipelines for the current tenant
+   */
+  static async getPipelines(req) {
+    const filter = addTenantFilter({}, req);
+
+    return Pipeline.find(filter)
+      .sort({ isDefault: -1, createdAt: -1 })
+      .select('-__v');
+  }
+
+  /**
+   * Get pipeline by ID (tenant-aware)
+   */
+  static async getPipelineById(pipelineId, req) {
+    const pipeline = await Pipeline.findOne(addTenantFilter({ _id: pipelineId }, req));
+
+    if (!pipeline) {
+      throw new Error('Pipeline not found');
+    }
+
+    return pipeline;
+  }
+
+  /**
+   * Create pipeline
+   */
+  static async createPipeline(pipelineData, userId, req) {
+    const { name, description, stages, isDefault } = pipelineData;
+
+    PipelineUtils.validateStages(stages);
+
+    const pipeline = await Pipeline.create(ensureTenantId({
+      name,
+      description,
+      stages,
+      isDefault: !!isDefault,
+      createdBy: userId
+    }, req));
+
+    if (pipeline.isDefault) {
+      await this.clearOtherDefaults(pipeline);
+    }
+
+    return pipeline;
+  }
+
+  /**
+   * Update pipeline.
+   * Removing or renaming stages that still hold applications requires a
+   * stageMapping ({ oldStage: newStage }); affected applications are migrated.
+   */
+  static async updatePipeline(pipelineId, updateData, userId, req) {
+    const pipeline = await this.getPipelineById(pipelineId, req);
+    const { name, description, stages, isDefault, stageMapping } = updateData;
+
+    let migrated = 0;
+    let jobIds = [];
+
+    if (stages) {
+      PipelineUtils.validateStages(stages);
+
+      const newStageNames = stages.map(stage => stage.name.trim());
+      PipelineUtils.validateStageMapping(stageMapping, newStageNames);
+
+      const Job = require('../jobs/job.model');
+      const jobs = await Job.find({ pipelineId: pipeline._id }).select('_id');
+      jobIds = jobs.map(job => job._id);
+
+      // Jobs without their own pipeline follow their tenant's default
+      if (pipeline.isDefault) {
+        const defaultJobs = await Job.find({
+          tenantId: pipeline.tenantId || null,
+          $or: [{ pipelineId: { $exists: false } }, { pipelineId: null }]
+        }).select('_id');
+        jobIds.push(...defaultJobs.map(job => job._id));
+      }
+
+      const stagesInUse = await this.getStagesInUse(jobIds);
+      const unmapped = PipelineUtils.getUnmappedStages(stagesInUse, newStageNames, stageMapping);
+
+      if (unmapped.length > 0) {
+        throw new Error(`Stage mapping required for stages with applications: ${unmapped.join(', ')}`);
+      }
+
+      pipeline.stages = stages;
+    }
+
+    if (name) pipeline.name = name;
+    if (description !== undefined) pipeline.description = description;
+    if (isDefault !== undefined) pipeline.isDefault = !!isDefault;
+
+    // Save first: applications only move once the new stages are stored
+    await pipeline.save();
+
+    if (stages) {
+      migrated = await this.migrateApplications(jobIds, stageMapping, userId);
+    }
+
+    if (pipeline.isDefault) {
+      await this.clearOtherDefaults(pipeline);
+    }
+
+    return { pipeline, migrated };
+  }
+
+  /**
+   * Delete pipeline
+   */
+  static async deletePipeline(pipelineId, req) {
+    const pipeline = await this.getPipelineById(pipelineId, req);
+
+    const Job = require('../jobs/job.model');
+    const jobCount = await Job.countDocuments({ pipelineId: pipeline._id });
+
+    if (jobCount > 0) {
+      throw new Error(`Pipeline is in use by ${jobCount} job(s) and cannot be deleted`);
+    }
+
+    await Pipeline.findByIdAndDelete(pipeline._id);
+
+    return true;
+  }
+
+  /**
+   * Only one default pipeline per tenant
+   */
+  static async clearOtherDefaults(pipeline) {
+    await Pipeline.updateMany(
+      {
+        _id: { $ne: pipeline._id },
+        tenantId: pipeline.tenantId || null,
+        isDefault: true
+      },
+      { $set: { isDefault: false } }
+    );
+  }
+
+  // ============ Job Pipelines ============
+
+  /**
+   * Resolve the pipeline a job uses:
+   * job.pipelineId -> tenant default pipeline -> job.workflow (legacy)
+   */
+  static async resolvePipelineForJob(job) {
+    if (job.pipelineId) {
+      const pipeline = await Pipeline.findById(job.pipelineId);
+      if (pipeline) return pipeline;
+    }
+
+    const defaultPipeline = await Pipeline.findOne({
+      tenantId: job.tenantId || null,
+      isDefault: true
+    });
+    if (defaultPipeline) return defaultPipeline;
+
+    return PipelineUtils.buildLegacyPipeline(job.workflow);
+  }
+
+  /**
+   * Initial status for new applications to a job
+   */
+  static async getInitialStageForJob(job) {
+    const pipeline = await this.resolvePipelineForJob(job);
+    return PipelineUtils.getInitialStage(pipeline);
+  }
+
+  /**
+   * Distinct application statuses for the given jobs
+   */
+  static async getStagesInUse(jobIds) {
+    if (!jobIds || jobIds.length === 0) return [];
+
+    const Application = require('../application/application.model');
+    return Application.distinct('status', { jobId: { $in: jobIds } });
+  }
+
+  /**
+   * Assign a pipeline to a job, migrating applications whose current
+   * status does not exist in the new pipeline.
+   * Pass pipelineId = null to fall back to the tenant default / job workflow.
+   */
+  static async assignPipelineToJob(job, pipelineId, stageMapping, userId, req) {
+    let pipeline;
+
+    if (pipelineId) {
+      pipeline = await this.getPipelineById(pipelineId, req);
+    } else {
+      job.pipelineId = undefined;
+      pipeline = await this.resolvePipelineForJob(job);
+    }
+
+    const newStageNames = pipeline.stages.map(stage => stage.name);
+    PipelineUtils.validateStageMapping(stageMapping, newStageNames);
+
+    const stagesInUse = await this.getStagesInUse([job._id]);
+    const unmapped = PipelineUtils.getUnmappedStages(stagesInUse, newStageNames, stageMapping);
+
+    if (unmapped.length > 0) {
+      throw new Error(`Stage mapping required for stages with applications: ${unmapped.join(', ')}`);
+    }
+
+    job.pipelineId = pipelineId ? pipeline._id : undefined;
+    await job.save();
+
+    const migrated = await this.migrateApplications([job._id], stageMapping, userId);
+
+    return { job, pipeline, migrated };
+  }
+
+  /**
+   * Move applications between stages according to a mapping
+   * @returns {Number} number of applications migrated
+   */
+  static async migrateApplications(jobIds, stageMapping, userId) {
+    if (!stageMapping || !jobIds || jobIds.length === 0) return 0;
+
+    const Application = require('../application/application.model');
+    let migrated = 0;
+
+    for (const [fromStage, toStage] of Object.entries(stageMapping)) {
+      if (!toStage || fromStage === toStage) continue;
+
+      const result = await Application.updateMany(
+        { jobId: { $in: jobIds }, status: fromStage },
+        {
+          $set: { status: toStage },
+          $push: {
+            logs: {
+              action: `Stage migrated from ${fromStage} to ${toStage}`,
+              userId,
+              userRole: 'Admin',
+              timestamp: new Date(),
+              metadata: {
+                oldStatus: fromStage,
+                newStatus: toStage,
+                pipelineMigration: true
+              }
+            }
+          }
+        }
+      );
+
+      migrated += result.modifiedCount || 0;
+    }
+
+    // Open boards reload their columns
+    if (migrated > 0) {
+      jobIds.forEach(jobId => emitToJob(String(jobId), 'job:pipeline_migrated', {
+        jobId: String(jobId),
+        stageMapping,
+        timestamp: new Date().toISOString()
+      }));
+    }
+
+    return migrated;
+  }
+
+  // ============ Stage Transitions ============
+
+  /**
+   * Get the stages an application can move to next
+   */
+  static async getAvailableTransitions(application, job) {
+    const pipeline = await this.resolvePipelineForJob(job);
+    const allowed = PipelineUtils.getAllowedTransitions(pipeline, application.status);
+
+    return {
+      pipeline: {
+        _id: pipeline._id,
+        name: pipeline.name,
+        isLegacy: !!pipeline.isLegacy
+      },
+      currentStage: PipelineUtils.findStage(pipeline, application.status),
+      transitions: pipeline.stages.filter(stage => allowed.includes(stage.name))
+    };
+  }
+
+  /**
+   * Validate a status change against the job's pipeline.
+   * Throws if the target stage is unknown, the move is not allowed, or
+   * entry/exit rules are not met. Moving to the current stage is a no-op.
+   */
+  static async validateTransition(application, newStatus, note, pipeline) {
+    const toStage = PipelineUtils.findStage(pipeline, newStatus);
+
+    if (!toStage) {
+      throw new Error(`Invalid stage: ${newStatus}`);
+    }
+
+    if (application.status === newStatus) {
+      return toStage;
+    }
+
+    const allowed = PipelineUtils.getAllowedTransitions(pipeline, application.status);
+
+    if (!allowed.includes(newStatus)) {
+      throw new Error(`Transition from ${application.status} to ${newStatus} is not allowed`);
+    }
+
+    const fromStage = PipelineUtils.findStage(pipeline, application.status);
+
+    if (fromStage) {
+      await this.checkStageRules(application, fromStage.exitRules, note, `Leaving stage ${fromStage.name}`);
+    }
+    await this.checkStageRules(application, toStage.entryRules, note, `Entering stage ${toStage.name}`);
+
+    return toStage;
+  }
+
+  /**
+   * Check entry/exit rules for an application
+   */
+  static async checkStageRules(application, rules, note, label) {
+    if (!rules) return;
+
+    if (rules.requireNote && (!note || !String(note).trim())) {
+      throw new Error(`${label} requires a note`);
+    }
+
+    if (rules.requireEvaluation) {
+      const Evaluation = require('../application/evaluation.model');
+      const count = await Evaluation.countDocuments({ applicationId: application._id });
+      if (count === 0) {
+        throw new Error(`${label} requires an evaluation`);
+      }
+    }
+
+    if (rules.requireEvent) {
+      const Event = require('../application/event.model');
+      const count = await Event.countDocuments({
+        applicationId: application._id,
+        status: { $ne: 'cancelled' }
+      });
+      if (count === 0) {
+        throw new Error(`${label} requires a scheduled event`);
+      }
+    }
+  }
+}
+
+module.exports = PipelineService;
@@ -0,0 +1,188 @@
+/**
+ * Pipeline Utility Functions
+ * Helper functions for pipeline module
+ */
+
+// Stage type/outcome for the statuses that existed before configurable pipelines
+const LEGACY_STAGE_TYPES = {
+  'New': { type: 'screening' },
+  'Selected': { type: 'screening' },
+  'In Review': { type: 'screening' },
+  'Shortlisted': { type: 'screening' },
+  'Decision Pending': { type: 'screening' },
+  'Saved for Future': { type: 'screening' },
+  'Out of Budget': { type: 'screening' },
+  'Interview': { type: 'interview' },
+  'Offer': { type: 'offer' },
+  'Hired': { type: 'terminal', outcome: 'hired' },
+  'Rejected': { type: 'terminal', outcome: 'rejected' }
+};
+
+const STAGE_TYPES = ['screening', 'interview', 'offer', 'terminal'];
+const STAGE_OUTCOMES = ['hired', 'rejected', 'withdrawn'];
+
+class PipelineUtils {
+  /**
+   * Build an implicit pipeline from a job's legacy workflow string array.
+   * Before configurable pipelines every status could be set on any job and
+   * changed again, so the other legacy statuses are kept as stages and every
+   * stage (terminal ones too) may move to any other.
+   */
+  static buildLegacyPipeline(workflow = []) {
+    const workflowNames = workflow.length > 0 ? workflow : ['New', 'In Review', 'Interview', 'Offer', 'Hired', 'Rejected'];
+
+    // Statuses missing from the workflow go before its first terminal stage
+    // (terminal ones at the end)
+    const isTerminal = name => LEGACY_STAGE_TYPES[name]?.type === 'terminal';
+    const missing = Object.keys(LEGACY_STAGE_TYPES).filter(name => !workflowNames.includes(name));
+    const firstTerminal = workflowNames.findIndex(isTerminal);
+    const insertAt = firstTerminal === -1 ? workflowNames.length : firstTerminal;
+    const names = [
+      ...workflowNames.slice(0, insertAt),
+      ...missing.filter(name => !isTerminal(name)),
+      ...workflowNames.slice(insertAt),
+      ...missing.filter(isTerminal)
+    ];
+
+    const stages = names.map(name => {
+      const legacy = LEGACY_STAGE_TYPES[name] || { type: 'screening' };
+      return {
+        name,
+        type: legacy.type,
+        outcome: legacy.outcome,
+        allowedTransitions: names.filter(other => other !== name),
+        entryRules: {},
+        exitRules: {}
+      };
+    });
+
+    return {
+      _id: null,
+      name: 'Job workflow',
+      stages,
+      isLegacy: true
+    };
+  }
+
+  /**
+   * Find a stage by name
+   */
+  static findStage(pipeline, name) {
+    return (pipeline.stages || []).find(stage => stage.name === name) || null;
+  }
+
+  /**
+   * Get stage names reachable from a stage
+   */
+  static getAllowedTransitions(pipeline, fromStageName) {
+    const stages = pipeline.stages || [];
+    const fromIndex = stages.findIndex(stage => stage.name === fromStageName);
+
+    // Current status is not part of this pipeline (legacy data) - any stage is reachable
+    if (fromIndex === -1) {
+      return stages.map(stage => stage.name);
+    }
+
+    const fromStage = stages[fromIndex];
+
+    if (fromStage.allowedTransitions && fromStage.allowedTransitions.length > 0) {
+      return fromStage.allowedTransitions.filter(name => name !== fromStage.name);
+    }
+
+    if (fromStage.type === 'terminal') {
+      return [];
+    }
+
+    // Default: any later stage, plus any terminal stage
+    return stages
+      .filter((stage, index) => index > fromIndex || stage.type === 'terminal')
+      .filter(stage => stage.name !== fromStage.name)
+      .map(stage => stage.name);
+  }
+
+  /**
+   * Validate stage definitions for create/update
+   */
+  static validateStages(stages) {
+    if (!stages || !Array.isArray(stages) || stages.length === 0) {
+      throw new Error('Invalid pipeline: at least one stage is required');
+    }
+
+    const names = stages.map(stage => (stage.name || '').trim());
+
+    names.forEach((name, index) => {
+      if (!name) {
+        throw new Error(`Invalid pipeline: stage ${index + 1} must have a name`);
+      }
+    });
+
+    const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+    if (duplicates.length > 0) {
+      throw new Error(`Invalid pipeline: duplicate stage names (${[...new Set(duplicates)].join(', ')})`);
+    }
+
+    stages.forEach((stage, index) => {
+      if (stage.type && !STAGE_TYPES.includes(stage.type)) {
+        throw new Error(`Invalid pipeline: stage ${index + 1} has invalid type. Valid types: ${STAGE_TYPES.join(', ')}`);
+      }
+
+      if (stage.outcome && !STAGE_OUTCOMES.includes(stage.outcome)) {
+        throw new Error(`Invalid pipeline: stage ${index + 1} has invalid outcome. Valid outcomes: ${STAGE_OUTCOMES.join(', ')}`);
+      }
+
+      if (stage.outcome && stage.type !== 'terminal') {
+        throw new Error(`Invalid pipeline: only terminal stages can have an outcome (stage "${names[index]}")`);
+      }
+
+      (stage.allowedTransitions || []).forEach(target => {
+        if (!names.includes(target)) {
+          throw new Error(`Invalid pipeline: stage "${names[index]}" allows transition to unknown stage "${target}"`);
+        }
+      });
+    });
+
+    if (!stages.some(stage => stage.type !== 'terminal')) {
+      throw new Error('Invalid pipeline: at least one non-terminal stage is required');
+    }
+  }
+
+  /**
+   * Get the entry stage (first non-terminal stage) of a pipeline
+   */
+  static getInitialStage(pipeline) {
+    const stage = (pipeline.stages || []).find(s => s.type !== 'terminal');
+    return stage ? stage.name : 'New';
+  }
+
+  /**
+   * Work out which removed stage names still need a mapping
+   * @param {Array} oldStageNames - Stage names in use before the change
+   * @param {Array} newStageNames - Stage names after the change
+   * @param {Object} mapping - { oldStageName: newStageName }
+   */
+  static getUnmappedStages(oldStageNames, newStageNames, mapping = {}) {
+    return oldStageNames.filter(name => !newStageNames.includes(name) && !mapping[name]);
+  }
+
+  /**
+   * Validate a stage migration mapping against the target stages
+   */
+  static validateStageMapping(mapping, newStageNames) {
+    if (!mapping) return;
+
+    if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw new Error('Invalid stage mapping: expected an object of { fromStage: toStage }');
+    }
+
+    Object.entries(mapping).forEach(([from, to]) => {
+      if (!newStageNames.includes(to)) {
+        throw new Error(`Invalid stage mapping: "${from}" maps to unknown stage "${to}"`);
+      }
+    });
+  }
+}
+
+PipelineUtils.LEGACY_STAGE_TYPES = LEGACY_STAGE_TYPES;
+PipelineUtils.STAGE_TYPES = STAGE_TYPES;
+
+module.exports = PipelineUtils;
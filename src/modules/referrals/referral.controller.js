@@ -0,0 +1,150 @@
+const { validationResult } = require('express-validator');
+const ReferralService = require('./referral.service');
+const TrackingLinkUtils = require('../tracking/trackingLink.utils');
+
+/**
+ * Referral Controller
+ * Handles HTTP requests and delegates business logic to ReferralService
+ */
+
+const getErrorStatusCode = (error) => {
+  return error.message.includes('not found') ? 404 :
+         error.message.includes('already') ? 400 :
+         error.message.includes('not available') ? 400 :
+         error.message.includes('Job is closed') ? 400 :
+         error.message.includes('not open for applications') ? 400 :
+         error.message.includes('deadline') ? 400 :
+         error.message.includes('limit') ? 400 :
+         error.message.includes('cannot refer') ? 400 :
+         error.message.includes('required') ? 400 :
+         error.name === 'CastError' ? 400 : 500;
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Get (or create) the employee's personal referral link for a job
+const getReferralLink = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const link = await ReferralService.getReferralLink(req.body.jobId, req.user, req.userType);
+
+    res.json({
+      success: true,
+      link: {
+        _id: link._id,
+        jobId: link.jobId,
+        code: link.code,
+        clicks: link.clicks,
+        shortUrl: `${req.protocol}://${req.get('host')}/api/v1/tracking/r/${link.code}`,
+        applyUrl: TrackingLinkUtils.buildApplyUrl(link)
+      }
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Refer a candidate by submitting their CV
+const submitReferral = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const referral = await ReferralService.submitReferral(
+      req.body,
+      req.file ? req.file.path : null,
+      req.file ? req.file.filename : null,
+      req.user,
+      req.userType
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Referral submitted successfully',
+      referral
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// The current employee's referrals and their stages
+const getMyReferrals = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const result = await ReferralService.getMyReferrals(req.user._id, { page, limit });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// All referrals of the tenant (recruiters)
+const getReferrals = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const result = await ReferralService.getReferrals(req.query, req);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Top referrers of the tenant
+const getLeaderboard = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const leaderboard = await ReferralService.getLeaderboard(req.query, req.tenantId || req.user.tenantId);
+
+    res.json({
+      success: true,
+      leaderboard
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getReferralLink,
+  submitReferral,
+  getMyReferrals,
+  getReferrals,
+  getLeaderboard
+};
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * Referral Schema
+ * An employee recommending a candidate for a job, either by submitting the
+ * candidate's CV directly or through the employee's personal referral link.
+ * Progress is read from the linked Application; referrers only ever see the
+ * stage, never notes or evaluations.
+ */
+const referralSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: [true, 'Job is required']
+  },
+  // Employees are Admin or Candidate documents with role 'employee'
+  referrer: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'referrer.userType',
+      required: true
+    },
+    userType: {
+      type: String,
+      enum: ['Admin', 'Candidate'],
+      required: true
+    },
+    name: {
+      type: String,
+      trim: true
+    }
+  },
+  candidate: {
+    firstName: {
+      type: String,
+      trim: true
+    },
+    lastName: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    }
+  },
+  // 'direct' = CV submitted by the employee, 'link' = candidate applied through the referral link
+  channel: {
+    type: String,
+    enum: ['direct', 'link'],
+    required: true
+  },
+  // Why the employee recommends the candidate (visible to recruiters only)
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Note cannot exceed 2000 characters']
+  },
+  trackingLinkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrackingLink'
+  },
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  },
+  // Multi-tenant support
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+referralSchema.index({ 'referrer.userId': 1, createdAt: -1 });
+referralSchema.index({ tenantId: 1, jobId: 1 });
+referralSchema.index({ applicationId: 1 });
+
+module.exports = mongoose.models.Referral || mongoose.model('Referral', referralSchema);
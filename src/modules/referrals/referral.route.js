@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getReferralLink,
+  submitReferral,
+  getMyReferrals,
+  getReferrals,
+  getLeaderboard
+} = require('./referral.controller');
+const { parseCandidateInfo } = require('../guestApplications/guestApplication.controller');
+const { auth, adminAuth } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const {
+  validateReferralLink,
+  validateReferral,
+  validateReferralQuery,
+  validateLeaderboardQuery
+} = require('../../middleware/validation');
+const { upload, handleUploadError } = require('../../middleware/upload');
+
+// Employees (and recruiters) can refer candidates
+const REFERRER_ROLES = ['employee', 'admin', 'recruiter'];
+
+router.post('/links', auth, requireRole(REFERRER_ROLES), validateReferralLink, getReferralLink);
+router.post('/',
+  auth,
+  requireRole(REFERRER_ROLES),
+  upload.single('resume'),
+  handleUploadError,
+  parseCandidateInfo,
+  validateReferral,
+  submitReferral
+);
+router.get('/mine', auth, requireRole(REFERRER_ROLES), getMyReferrals);
+router.get('/leaderboard', auth, requireRole(['superadmin', ...REFERRER_ROLES]), validateLeaderboardQuery, getLeaderboard);
+
+// Admin routes
+router.get('/', auth, adminAuth, validateReferralQuery, getReferrals);
+
+module.exports = router;
@@ -0,0 +1,269 @@
+const mongoose = require('mongoose');
+const Referral = require('./referral.model');
+const ReferralUtils = require('./referral.utils');
+const TrackingLink = require('../tracking/trackingLink.model');
+const TrackingLinkUtils = require('../tracking/trackingLink.utils');
+const Job = require('../jobs/job.model');
+const Application = require('../application/application.model');
+const ApplicationUtils = require('../application/application.utils');
+const GuestApplication = require('../guestApplications/guestApplication.model');
+const { Admin, Candidate } = require('../auth/auth.model');
+const { addTenantFilter } = require('../../utils/tenantQueryHelper');
+
+/**
+ * Referral Service
+ * Employee referral links, direct referrals, the referrer's own view and
+ * the per-tenant leaderboard
+ */
+class ReferralService {
+  // ============ Referring ============
+
+  /**
+   * The employee's personal referral link for a job (created on first use)
+   * Referral links are tracking links with source 'referral' and a referrer.
+   */
+  static async getReferralLink(jobId, user, userType) {
+    const job = await ReferralUtils.validateJobForReferrer(jobId, user);
+
+    const existing = await TrackingLink.findOne({ jobId: job._id, 'referrer.userId': user._id, isActive: true });
+    if (existing) return existing;
+
+    const { userId, userType: referrerType } = ReferralUtils.getReferrer(user, userType);
+    return TrackingLink.create({
+      jobId: job._id,
+      source: 'referral',
+      referrer: { userId, userType: referrerType },
+      code: TrackingLinkUtils.generateCode(),
+      tenantId: job.tenantId || null
+    });
+  }
+
+  /**
+   * Submit a candidate with their CV on their behalf
+   * The candidate gets a guest application (and its tracking email) like any applicant.
+   * @param {Object} data - { jobId, candidateInfo, note }
+   */
+  static async submitReferral(data, resumePath, resumeFilename, user, userType) {
+    // Required lazily: the application services record link referrals through this service
+    const GuestApplicationService = require('../guestApplications/guestApplication.service');
+
+    const { jobId, candidateInfo, note } = data;
+    const job = await ReferralUtils.validateJobForReferrer(jobId, user);
+
+    if (user.email && candidateInfo.email.toLowerCase() === user.email.toLowerCase()) {
+      throw new Error('You cannot refer yourself');
+    }
+
+    // The application is attributed to the referral before the referral is stored
+    const referralId = new mongoose.Types.ObjectId();
+
+    const application = await GuestApplicationService.applyForJobAsGuest(
+      job._id,
+      candidateInfo,
+      resumePath,
+      resumeFilename,
+      [],
+      'referral',
+      { referralId },
+      // The referrer cannot answer the screening questions for the candidate
+      { enforceRequiredScreening: false }
+    );
+
+    return Referral.create({
+      _id: referralId,
+      jobId: job._id,
+      referrer: ReferralUtils.getReferrer(user, userType),
+      candidate: {
+        firstName: candidateInfo.firstName,
+        lastName: candidateInfo.lastName,
+        email: candidateInfo.email
+      },
+      channel: 'direct',
+      note,
+      applicationId: application.id,
+      tenantId: job.tenantId || null
+    });
+  }
+
+  /**
+   * Turn an application that came in through a referral link into a referral
+   * @param {Object} application - Newly created Application
+   * @param {Object} candidateInfo - { firstName, lastName, email } (loaded from the candidate when omitted)
+   * @returns {Object|null} Referral
+   */
+  static async recordLinkReferral(application, candidateInfo = null) {
+    const trackingLinkId = application.attribution?.trackingLinkId;
+    if (!trackingLinkId) return null;
+
+    const link = await TrackingLink.findById(trackingLinkId).select('jobId referrer tenantId');
+    if (!link || !link.referrer?.userId) return null;
+
+    // Employees applying through their own link are not referrals
+    if (application.candidateId && String(application.candidateId) === String(link.referrer.userId)) {
+      return null;
+    }
+
+    const candidate = candidateInfo || await Candidate.findById(application.candidateId).select('firstName lastName email');
+    const ReferrerModel = link.referrer.userType === 'Admin' ? Admin : Candidate;
+    const referrer = await ReferrerModel.findById(link.referrer.userId).select('name firstName lastName');
+
+    const referral = await Referral.create({
+      jobId: application.jobId,
+      referrer: {
+        userId: link.referrer.userId,
+        userType: link.referrer.userType,
+        name: referrer ? ReferralUtils.getReferrer(referrer).name : undefined
+      },
+      candidate: {
+        firstName: candidate?.firstName,
+        lastName: candidate?.lastName,
+        email: candidate?.email
+      },
+      channel: 'link',
+      trackingLinkId: link._id,
+      applicationId: application._id,
+      tenantId: link.tenantId || null
+    });
+
+    await Application.updateOne({ _id: application._id }, { $set: { 'attribution.referralId': referral._id } });
+    if (application.guestApplicationId) {
+      await GuestApplication.updateOne({ _id: application.guestApplicationId }, { $set: { 'attribution.referralId': referral._id } });
+    }
+
+    return referral;
+  }
+
+  // ============ Tracking ============
+
+  /**
+   * Stage lookup for the jobs of a set of referrals
+   */
+  static async getStageLookup(jobs) {
+    const ApplicationService = require('../application/application.service');
+    return ApplicationService.getStageLookup(jobs.filter(Boolean));
+  }
+
+  /**
+   * The referrer's own referrals with their current stage
+   */
+  static async getMyReferrals(userId, pagination = {}) {
+    const { page = 1, limit = 20 } = pagination;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const filter = { 'referrer.userId': userId };
+
+    const [referrals, total] = await Promise.all([
+      Referral.find(filter)
+        .populate('jobId', 'title department pipelineId workflow tenantId')
+        .populate('applicationId', 'status updatedAt')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Referral.countDocuments(filter)
+    ]);
+
+    const { resolveStage } = await this.getStageLookup(referrals.map(referral => referral.jobId));
+
+    return {
+      referrals: referrals.map(referral => ReferralUtils.toReferrerView(referral, resolveStage)),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    };
+  }
+
+  /**
+   * All referrals of the tenant (recruiters)
+   * @param {Object} filters - { jobId, referrerId, channel, page, limit }
+   */
+  static async getReferrals(filters = {}, req) {
+    const { jobId, referrerId, channel, page = 1, limit = 20 } = filters;
+    const query = {};
+
+    if (jobId) query.jobId = jobId;
+    if (referrerId) query['referrer.userId'] = referrerId;
+    if (channel) query.channel = channel;
+
+    const filter = addTenantFilter(query, req);
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [referrals, total] = await Promise.all([
+      Referral.find(filter)
+        .populate('jobId', 'title department')
+        .populate('applicationId', 'status appliedAt')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Referral.countDocuments(filter)
+    ]);
+
+    return {
+      referrals,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    };
+  }
+
+  /**
+   * Referrers of a tenant ranked by hires, interviews and referrals
+   * @param {Object} filters - { startDate, endDate, limit }
+   * @param {String} tenantId - Tenant of the request (null = single-tenant mode)
+   */
+  static async getLeaderboard(filters = {}, tenantId = null) {
+    const { startDate, endDate, limit = 10 } = filters;
+    const filter = { tenantId: tenantId || null };
+
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    const referrals = await Referral.find(filter)
+      .populate('applicationId', 'jobId status appliedAt logs.timestamp logs.metadata')
+      .lean();
+
+    const jobs = await Job.find({ _id: { $in: [...new Set(referrals.map(referral => String(referral.jobId)))] } })
+      .select('_id pipelineId workflow tenantId');
+    const { resolveStage } = await this.getStageLookup(jobs);
+
+    const board = new Map();
+    for (const referral of referrals) {
+      const key = String(referral.referrer.userId);
+      if (!board.has(key)) {
+        board.set(key, {
+          referrer: {
+            userId: referral.referrer.userId,
+            userType: referral.referrer.userType,
+            name: referral.referrer.name
+          },
+          referrals: 0,
+          interviews: 0,
+          hires: 0
+        });
+      }
+
+      const entry = board.get(key);
+      entry.referrals++;
+
+      if (referral.applicationId) {
+        const { interviewed, hired } = ApplicationUtils.getOutcome(referral.applicationId, resolveStage);
+        if (interviewed) entry.interviews++;
+        if (hired) entry.hires++;
+      }
+    }
+
+    return [...board.values()]
+      .sort((a, b) => b.hires - a.hires || b.interviews - a.interviews || b.referrals - a.referrals)
+      .slice(0, parseInt(limit))
+      .map((entry, index) => ({ rank: index + 1, ...entry }));
+  }
+}
+
+module.exports = ReferralService;
@@ -0,0 +1,65 @@
+const Job = require('../jobs/job.model');
+const JobUtils = require('../jobs/job.utils');
+
+/**
+ * Referral Utility Functions
+ * Helper functions for referral module
+ */
+class ReferralUtils {
+  /**
+   * Referrer snapshot for the authenticated user
+   * @param {String} userType - 'admin' | 'candidate' (req.userType)
+   */
+  static getReferrer(user, userType) {
+    return {
+      userId: user._id,
+      userType: userType === 'admin' ? 'Admin' : 'Candidate',
+      name: user.name || [user.firstName, user.lastName].filter(Boolean).join(' ')
+    };
+  }
+
+  /**
+   * Job must be open and belong to the referrer's tenant
+   */
+  static async validateJobForReferrer(jobId, user) {
+    const job = await Job.findById(jobId);
+
+    if (!job || (user.tenantId && String(job.tenantId || '') !== String(user.tenantId))) {
+      throw new Error('Job not found');
+    }
+
+    JobUtils.assertAcceptingApplications(job);
+
+    return job;
+  }
+
+  /**
+   * What a referrer may see: the candidate's name and the current stage,
+   * nothing from the recruiters' notes, evaluations or parsed CV
+   * @param {Function} resolveStage - (jobId, stageName) => pipeline stage or null
+   */
+  static toReferrerView(referral, resolveStage) {
+    const application = referral.applicationId;
+    const job = referral.jobId;
+    const stage = application ? resolveStage(job?._id || job, application.status) : null;
+
+    return {
+      _id: referral._id,
+      job: job && job.title ? { _id: job._id, title: job.title, department: job.department } : null,
+      candidate: {
+        firstName: referral.candidate?.firstName,
+        lastName: referral.candidate?.lastName
+      },
+      channel: referral.channel,
+      stage: application ? {
+        name: application.status,
+        type: stage?.type || null,
+        outcome: stage?.outcome || null
+      } : null,
+      submittedAt: referral.createdAt,
+      lastUpdatedAt: application?.updatedAt || referral.updatedAt
+    };
+  }
+}
+
+module.exports = ReferralUtils;
@@ -0,0 +1,159 @@
+const { validationResult } = require('express-validator');
+const RequisitionService = require('./requisition.service');
+
+/**
+ * Requisition Controller
+ * Handles HTTP requests and delegates business logic to RequisitionService
+ */
+
+const getErrorStatusCode = (error) => {
+  return error.message.includes('not found') ? 404 :
+         error.message.includes('Forbidden') ? 403 :
+         error.message.includes('Not authorized') ? 403 :
+         error.message.includes('already') ? 409 :
+         error.message.includes('Only ') ? 409 :
+         error.message.includes('not waiting') ? 409 :
+         error.message.includes('Invalid') || error.name === 'ValidationError' ? 400 : 500;
+};
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendError = (res, error) => {
+  res.status(getErrorStatusCode(error)).json({
+    success: false,
+    message: error.message || 'Server error'
+  });
+};
+
+// Get the tenant's requisition approver chain
+const getRequisitionSettings = async (req, res) => {
+  try {
+    const settings = await RequisitionService.getSettings(req);
+
+    res.json({
+      success: true,
+      settings
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Replace the tenant's requisition approver chain (tenant admin)
+const updateRequisitionSettings = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const settings = await RequisitionService.updateSettings(req.body, req.user._id, req);
+
+    res.json({
+      success: true,
+      message: 'Requisition settings updated successfully',
+      settings
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Get requisitions waiting for the current admin's approval
+const getPendingRequisitions = async (req, res) => {
+  try {
+    const requisitions = await RequisitionService.getPendingRequisitions(req.user._id, req);
+
+    res.json({
+      success: true,
+      requisitions
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Get a job's requisition with its approval audit trail
+const getRequisition = async (req, res) => {
+  try {
+    const requisition = await RequisitionService.getRequisition(req.params.jobId, req);
+
+    res.json({
+      success: true,
+      requisition
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Submit a job's requisition for approval (job creator)
+const submitRequisition = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const requisition = await RequisitionService.submitRequisition(req.params.jobId, req.body.comment, req.user, req);
+
+    res.json({
+      success: true,
+      message: 'Requisition submitted for approval',
+      requisition
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Withdraw a pending requisition (job creator)
+const withdrawRequisition = async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const requisition = await RequisitionService.withdrawRequisition(req.params.jobId, req.body.comment, req.user, req);
+
+    res.json({
+      success: true,
+      message: 'Requisition withdrawn',
+      requisition
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Approve or reject as the current approver
+const decideRequisition = (decision) => async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const requisition = await RequisitionService.decideRequisition(req.params.jobId, decision, req.body.comment, req.user, req);
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Requisition approved' : 'Requisition rejected',
+      requisition
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  getRequisitionSettings,
+  updateRequisitionSettings,
+  getPendingRequisitions,
+  getRequisition,
+  submitRequisition,
+  withdrawRequisition,
+  approveRequisition: decideRequisition('approve'),
+  rejectRequisition: decideRequisition('reject')
+};
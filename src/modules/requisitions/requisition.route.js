@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRequisitionSettings,
+  updateRequisitionSettings,
+  getPendingRequisitions,
+  getRequisition,
+  submitRequisition,
+  withdrawRequisition,
+  approveRequisition,
+  rejectRequisition
+} = require('./requisition.controller');
+const { auth, adminAuth } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const {
+  validateRequisitionSettings,
+  validateRequisitionComment
+} = require('../../middleware/validation');
+
+// Approver chain (visible to all admins, changed by tenant admins)
+router.get('/settings', auth, adminAuth, getRequisitionSettings);
+router.put('/settings', auth, requireRole(['superadmin', 'admin']), validateRequisitionSettings, updateRequisitionSettings);
+
+// All routes require admin authentication
+router.get('/pending', auth, adminAuth, getPendingRequisitions);
+router.get('/jobs/:jobId', auth, adminAuth, getRequisition);
+router.post('/jobs/:jobId/submit', auth, adminAuth, validateRequisitionComment, submitRequisition);
+router.post('/jobs/:jobId/withdraw', auth, adminAuth, validateRequisitionComment, withdrawRequisition);
+router.post('/jobs/:jobId/approve', auth, adminAuth, validateRequisitionComment, approveRequisition);
+router.post('/jobs/:jobId/reject', auth, adminAuth, validateRequisitionComment, rejectRequisition);
+
+module.exports = router;
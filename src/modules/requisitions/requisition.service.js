@@ -0,0 +1,388 @@
+const Job = require('../jobs/job.model');
+const JobUtils = require('../jobs/job.utils');
+const RequisitionSettings = require('./requisitionSettings.model');
+const RequisitionUtils = require('./requisition.utils');
+const EmailService = require('../../services/emailService');
+const { addTenantFilter, getRequestTenantId } = require('../../utils/tenantQueryHelper');
+
+// Admin roles that may approve requisitions (employees cannot)
+const APPROVER_ROLES = ['superadmin', 'admin', 'recruiter'];
+
+// What approvers sign off on; changing any of these voids an approval
+const APPROVED_FIELDS = [
+  'title', 'department', 'location', 'employmentType', 'experienceLevel',
+  'positions', 'salaryRange', 'salaryBudget', 'hiringManager'
+];
+
+/**
+ * Requisition Service
+ * Approval of jobs before they are published: the tenant's approver chain,
+ * decisions and the audit trail
+ */
+class RequisitionService {
+  // ============ Helpers ============
+
+  static getTenantId(req) {
+    return req && req.tenant && req.tenantId ? req.tenantId : null;
+  }
+
+  /**
+   * Load a job and check it belongs to the current tenant. Without a subdomain
+   * that is the admin's own tenant; only super admins see everyone.
+   */
+  static async getJobForTenant(jobId, req) {
+    const job = await Job.findById(jobId);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+
+    const tenantId = getRequestTenantId(req);
+    if (tenantId !== undefined) {
+      if (String(job.tenantId || null) !== String(tenantId)) {
+        throw new Error('Forbidden: Job does not belong to your company');
+      }
+    }
+
+    return job;
+  }
+
+  /**
+   * Admins in the given order; each must be an active, non-employee admin of the tenant
+   */
+  static async resolveApprovers(approvers, tenantId) {
+    const { Admin } = require('../auth/auth.model');
+    const ids = approvers.map(approver => String(approver.approverId));
+
+    if (new Set(ids).size !== ids.length) {
+      throw new Error('Invalid approvers: each admin can only approve once');
+    }
+
+    const admins = await Admin.find({
+      _id: { $in: ids },
+      tenantId: tenantId || null,
+      isActive: true,
+      role: { $in: APPROVER_ROLES }
+    }).select('_id name email');
+
+    const byId = new Map(admins.map(admin => [admin._id.toString(), admin]));
+    const missing = ids.filter(id => !byId.has(id));
+    if (missing.length > 0) {
+      throw new Error(`Invalid approvers: ${missing.join(', ')} must be active admins of your company`);
+    }
+
+    return approvers.map(approver => {
+      const admin = byId.get(String(approver.approverId));
+      return { approverId: admin._id, name: admin.name, email: admin.email, label: approver.label };
+    });
+  }
+
+  /**
+   * Requisition as shown to admins
+   */
+  static toView(job, approvalRequired) {
+    const requisition = job.requisition ? job.requisition.toObject() : {};
+
+    return {
+      jobId: job._id,
+      title: job.title,
+      jobStatus: job.status,
+      approvalRequired,
+      status: requisition.status || 'not_submitted',
+      approvals: requisition.approvals || [],
+      currentApproval: requisition.status === 'pending_approval' ? job.getCurrentRequisitionApproval() : null,
+      submittedBy: requisition.submittedBy,
+      submittedAt: requisition.submittedAt,
+      approvedAt: requisition.approvedAt,
+      history: requisition.history || []
+    };
+  }
+
+  static addHistory(job, action, actor, comment) {
+    job.requisition.history.push({
+      action,
+      userId: actor.userId,
+      name: actor.name,
+      label: actor.label,
+      comment
+    });
+  }
+
+  static async notifyApprover(job, submitterName) {
+    const step = job.getCurrentRequisitionApproval();
+    if (!step || !step.email) return;
+
+    const email = RequisitionUtils.generateApprovalRequestEmail(step, job, submitterName);
+    await EmailService.sendEmail(step.email, email.subject, email.html, null, {
+      tenantId: job.tenantId,
+      category: 'requisition_approval'
+    });
+  }
+
+  static async notifyCreator(job, step) {
+    const { Admin } = require('../auth/auth.model');
+    const creator = await Admin.findById(job.createdBy).select('email');
+    if (!creator || !creator.email) return;
+
+    const email = RequisitionUtils.generateDecisionEmail(job, step);
+    await EmailService.sendEmail(creator.email, email.subject, email.html, null, {
+      tenantId: job.tenantId,
+      category: 'requisition'
+    });
+  }
+
+  // ============ Settings ============
+
+  static async findSettings(tenantId) {
+    return RequisitionSettings.findOne({ tenantId: tenantId || null });
+  }
+
+  /**
+   * Whether jobs of the tenant need an approved requisition to be published
+   */
+  static async isApprovalRequired(tenantId) {
+    const settings = await this.findSettings(tenantId);
+    return !!(settings && settings.approvers.length > 0);
+  }
+
+  /**
+   * Get the current tenant's approver chain
+   */
+  static async getSettings(req) {
+    const settings = await this.findSettings(this.getTenantId(req));
+    if (!settings) {
+      return { approvers: [], approvalRequired: false };
+    }
+
+    await settings.populate('approvers.approverId', 'name email');
+
+    return {
+      approvers: settings.approvers.map(approver => ({
+        approverId: approver.approverId?._id || approver.approverId,
+        name: approver.approverId?.name,
+        email: approver.approverId?.email,
+        label: approver.label
+      })),
+      approvalRequired: settings.approvers.length > 0,
+      updatedAt: settings.updatedAt
+    };
+  }
+
+  /**
+   * Replace the current tenant's approver chain. Requisitions already
+   * submitted keep the approvers they were submitted to.
+   */
+  static async updateSettings(data, userId, req) {
+    const tenantId = this.getTenantId(req);
+    const approvers = await this.resolveApprovers(data.approvers || [], tenantId);
+
+    const settings = (await this.findSettings(tenantId)) || new RequisitionSettings({ tenantId });
+    settings.approvers = approvers.map(({ approverId, label }) => ({ approverId, label }));
+    settings.updatedBy = userId;
+    await settings.save();
+
+    return this.getSettings(req);
+  }
+
+  // ============ Requisition Operations ============
+
+  static async getRequisition(jobId, req) {
+    const job = await this.getJobForTenant(jobId, req);
+    return this.toView(job, await this.isApprovalRequired(job.tenantId));
+  }
+
+  /**
+   * Submit (or resubmit after a rejection) the job's requisition to the
+   * tenant's approver chain. Only the job's creator can submit.
+   */
+  static async submitRequisition(jobId, comment, user, req) {
+    const job = await this.getJobForTenant(jobId, req);
+    JobUtils.validateJobOwnership(job, user._id);
+
+    if (job.status === 'published') {
+      throw new Error('Job is already published');
+    }
+    if (job.requisition.status === 'pending_approval') {
+      throw new Error('Requisition is already pending approval');
+    }
+    if (job.requisition.status === 'approved') {
+      throw new Error('Requisition is already approved');
+    }
+
+    const settings = await this.findSettings(job.tenantId);
+    if (!settings || settings.approvers.length === 0) {
+      throw new Error('Invalid requisition: no requisition approvers are configured, the job can be published directly');
+    }
+
+    const approvers = await this.resolveApprovers(settings.approvers, job.tenantId);
+
+    job.requisition.status = 'pending_approval';
+    job.requisition.approvals = approvers.map(approver => ({ ...approver, status: 'pending' }));
+    job.requisition.submittedBy = user._id;
+    job.requisition.submittedAt = new Date();
+    job.requisition.approvedAt = undefined;
+    this.addHistory(job, 'submitted', { userId: user._id, name: user.name }, comment);
+    await job.save();
+
+    this.notifyApprover(job, user.name)
+      .catch(err => console.error('Failed to send requisition approval email:', err));
+
+    return this.toView(job, true);
+  }
+
+  /**
+   * Take a pending requisition back, e.g. to edit the job
+   */
+  static async withdrawRequisition(jobId, comment, user, req) {
+    const job = await this.getJobForTenant(jobId, req);
+    JobUtils.validateJobOwnership(job, user._id);
+
+    if (job.requisition.status !== 'pending_approval') {
+      throw new Error('Only pending requisitions can be withdrawn');
+    }
+
+    job.requisition.status = 'not_submitted';
+    this.addHistory(job, 'withdrawn', { userId: user._id, name: user.name }, comment);
+    await job.save();
+
+    return this.toView(job, await this.isApprovalRequired(job.tenantId));
+  }
+
+  /**
+   * Approve or reject as the approver whose turn it is. Rejections need a comment.
+   */
+  static async decideRequisition(jobId, decision, comment, user, req) {
+    const job = await this.getJobForTenant(jobId, req);
+    if (job.requisition.status !== 'pending_approval') {
+      throw new Error('Requisition is not waiting for approval');
+    }
+
+    const step = job.getCurrentRequisitionApproval();
+    if (!step || step.approverId.toString() !== user._id.toString()) {
+      throw new Error(`Forbidden: waiting for approval from ${step ? RequisitionUtils.describeStep(step) : 'nobody'}`);
+    }
+
+    if (decision === 'reject' && !comment) {
+      throw new Error('Invalid decision: a comment is required to reject a requisition');
+    }
+
+    step.status = decision === 'approve' ? 'approved' : 'rejected';
+    step.comment = comment;
+    step.decidedAt = new Date();
+
+    if (step.status === 'rejected') {
+      job.requisition.status = 'rejected';
+    } else if (!job.getCurrentRequisitionApproval()) {
+      job.requisition.status = 'approved';
+      job.requisition.approvedAt = new Date();
+    }
+
+    this.addHistory(job, step.status, { userId: user._id, name: step.name, label: step.label }, comment);
+    await job.save();
+
+    if (job.requisition.status === 'pending_approval') {
+      const { Admin } = require('../auth/auth.model');
+      const submitter = await Admin.findById(job.requisition.submittedBy).select('name');
+      this.notifyApprover(job, submitter?.name)
+        .catch(err => console.error('Failed to send requisition approval email:', err));
+    } else {
+      this.notifyCreator(job, step)
+        .catch(err => console.error('Failed to send requisition decision email:', err));
+    }
+
+    return this.toView(job, true);
+  }
+
+  /**
+   * Requisitions waiting for the current admin's approval
+   */
+  static async getPendingRequisitions(userId, req) {
+    const jobs = await Job.find(addTenantFilter({
+      'requisition.status': 'pending_approval',
+      'requisition.approvals': { $elemMatch: { approverId: userId, status: 'pending' } }
+    }, req))
+      .populate('createdBy', 'name email')
+      .sort({ 'requisition.submittedAt': 1 });
+
+    return jobs
+      .filter(job => job.getCurrentRequisitionApproval().approverId.toString() === userId.toString())
+      .map(job => ({
+        ...this.toView(job, true),
+        department: job.department,
+        positions: job.positions,
+        salaryRange: job.salaryRange,
+        salaryBudget: job.salaryBudget,
+        createdBy: job.createdBy
+      }));
+  }
+
+  // ============ Job Guards ============
+
+  /**
+   * Approved fields an update would change
+   * @param {Object} updateData - Fields about to be set on the job
+   */
+  static getApprovedFieldChanges(job, updateData) {
+    const JobVersionService = require('../jobs/jobVersion.service');
+    const fields = APPROVED_FIELDS.filter(field => updateData[field] !== undefined);
+    if (fields.length === 0) return [];
+
+    const current = JobVersionService.snapshot(job);
+    const updated = JobVersionService.snapshot(new Job({ ...job.toObject({ depopulate: true }), ...updateData }));
+    return fields.filter(field => JSON.stringify(current[field]) !== JSON.stringify(updated[field]));
+  }
+
+  /**
+   * Throw unless the job may be published (approved requisition, when the tenant requires one)
+   * @param {Object} updateData - Changes published together with the job, if any
+   */
+  static async assertCanPublish(job, updateData = {}) {
+    if (job.requisition?.status === 'approved' && this.getApprovedFieldChanges(job, updateData).length === 0) return;
+
+    if (await this.isApprovalRequired(job.tenantId)) {
+      throw new Error('Job requisition must be approved before the job can be published');
+    }
+  }
+
+  /**
+   * An approval covers the job as it was approved: editing approved fields of
+   * an unpublished job takes it back to not_submitted, so it has to be
+   * submitted again before publishing. A scheduled publish is cancelled too.
+   * @param {Array} changes - [{ field }] from JobVersionService.diff
+   * @returns {Boolean} Whether the approval was revoked
+   */
+  static async revokeApprovalOnChange(job, changes, user) {
+    if (job.requisition?.status !== 'approved' || job.status === 'published') {
+      return false;
+    }
+
+    const fields = changes.map(change => change.field).filter(field => APPROVED_FIELDS.includes(field));
+    if (fields.length === 0) {
+      return false;
+    }
+
+    job.requisition.status = 'not_submitted';
+    job.requisition.approvedAt = undefined;
+    if (job.status === 'scheduled') {
+      job.status = 'draft';
+      job.scheduledPublishAt = undefined;
+    }
+    this.addHistory(job, 'revoked', { userId: user?._id, name: user?.name }, `Changed after approval: ${fields.join(', ')}`);
+    await job.save();
+
+    return true;
+  }
+
+  /**
+   * Jobs cannot change while approvers are reviewing them
+   */
+  static assertEditable(job) {
+    if (job.requisition?.status === 'pending_approval') {
+      throw new Error('Job requisition is pending approval; withdraw it to make changes');
+    }
+  }
+}
+
+RequisitionService.APPROVER_ROLES = APPROVER_ROLES;
+RequisitionService.APPROVED_FIELDS = APPROVED_FIELDS;
+
+module.exports = RequisitionService;
@@ -0,0 +1,78 @@
+const escapeHtml = (value) => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Requisition Utility Functions
+ * Helper functions for job requisitions: approver snapshots and emails
+ */
+class RequisitionUtils {
+  static buildJobUrl(jobId) {
+    const frontendUrl = process.env.FRONTEND_URL || '';
+    return `${frontendUrl}/admin/jobs/${jobId}`;
+  }
+
+  static describeStep(step) {
+    const who = step.name || step.email || 'Approver';
+    return step.label ? `${who} (${step.label})` : who;
+  }
+
+  /**
+   * Email asking the next approver to review a requisition
+   */
+  static generateApprovalRequestEmail(step, job, submitterName) {
+    const budget = job.salaryBudget && typeof job.salaryBudget.max === 'number'
+      ? `<p style="color: #4b5563; line-height: 1.6;">Salary budget: up to ${job.salaryBudget.max} ${escapeHtml(job.salaryBudget.currency || job.salaryRange?.currency || '')}</p>`
+      : '';
+
+    return {
+      subject: `Requisition approval needed: ${job.title}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="padding: 30px; background-color: #f9fafb;">
+            <h2 style="color: #1f2937; margin-bottom: 20px;">Hello ${escapeHtml(step.name)},</h2>
+            <p style="color: #4b5563; line-height: 1.6;">
+              ${escapeHtml(submitterName || 'A hiring manager')} has submitted the requisition for
+              <strong>${escapeHtml(job.title)}</strong> (${escapeHtml(job.department)}, ${job.positions || 1} position(s))
+              and it is waiting for your ${step.label ? `${escapeHtml(step.label)} ` : ''}approval.
+            </p>
+            ${budget}
+            <a href="${this.buildJobUrl(job._id)}"
+               style="display: inline-block; background-color: {{primaryColor}}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+              Review Requisition
+            </a>
+          </div>
+        </div>
+      `
+    };
+  }
+
+  /**
+   * Email telling the hiring manager the requisition was approved or rejected
+   */
+  static generateDecisionEmail(job, step) {
+    const approved = job.requisition.status === 'approved';
+    const comment = step.comment
+      ? `<p style="color: #4b5563; line-height: 1.6;">Comment: ${escapeHtml(step.comment)}</p>`
+      : '';
+
+    return {
+      subject: `Requisition ${approved ? 'approved' : 'rejected'}: ${job.title}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="padding: 30px; background-color: #f9fafb;">
+            <p style="color: #4b5563; line-height: 1.6;">
+              The requisition for <strong>${escapeHtml(job.title)}</strong> has been
+              ${approved ? 'approved. The job can now be published.' : `rejected by ${escapeHtml(this.describeStep(step))}.`}
+            </p>
+            ${comment}
+          </div>
+        </div>
+      `
+    };
+  }
+}
+
+module.exports = RequisitionUtils;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const requisitionApproverSchema = new mongoose.Schema({
+  approverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  // What the approver signs off for, e.g. "Finance" or "HR"
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Approver label cannot exceed 50 characters']
+  }
+}, { _id: false });
+
+/**
+ * Requisition Settings Schema
+ * Per-tenant approver chain for job requisitions. A document with no tenantId
+ * holds the settings for single-tenant installs.
+ *
+ * Approvers decide in order. With no approvers, jobs can be published
+ * without a requisition.
+ */
+const requisitionSettingsSchema = new mongoose.Schema({
+  approvers: [requisitionApproverSchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  // Multi-tenant support
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+requisitionSettingsSchema.index({ tenantId: 1 }, { unique: true });
+
+module.exports = mongoose.models.RequisitionSettings || mongoose.model('RequisitionSettings', requisitionSettingsSchema);
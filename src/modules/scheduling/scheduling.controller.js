@@ -0,0 +1,168 @@
+const { validationResult } = require('express-validator');
+const SchedulingService = require('./scheduling.service');
+
+/**
+ * Scheduling Controller
+ * Handles HTTP requests and delegates business logic to SchedulingService
+ */
+
+const getErrorStatusCode = (error) => {
+  return error.message.includes('not found') ? 404 :
+         error.message.includes('Forbidden') ? 403 :
+         error.message.includes('Invalid or expired') ? 410 :
+         error.message.includes('has been cancelled') ? 410 :
+         error.message.includes('no longer available') ? 409 :
+         error.message.includes('not allowed') ? 409 :
+         error.message.includes('Invalid') ? 400 : 500;
+};
+
+// Offer slots to the candidate (admin)
+const createSchedulingLink = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await SchedulingService.createLink(req.params.applicationId, req.body, req.user._id, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Scheduling link created successfully',
+      ...result
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Get scheduling links for an application (admin)
+const getApplicationSchedulingLinks = async (req, res) => {
+  try {
+    const links = await SchedulingService.getLinksForApplication(req.params.applicationId, req);
+
+    res.json({
+      success: true,
+      links
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Cancel a scheduling link (admin)
+const cancelSchedulingLink = async (req, res) => {
+  try {
+    const link = await SchedulingService.cancelLink(req.params.linkId, req);
+
+    res.json({
+      success: true,
+      message: 'Scheduling link cancelled successfully',
+      link
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Get active scheduling links (candidate)
+const getCandidateSchedulingLinks = async (req, res) => {
+  try {
+    const links = await SchedulingService.getLinksForCandidate(req.user._id);
+
+    res.json({
+      success: true,
+      links
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// Get active scheduling links by tracking token (guest, no auth)
+const getGuestSchedulingLinks = async (req, res) => {
+  try {
+    const links = await SchedulingService.getLinksForGuest(req.params.trackingToken);
+
+    res.json({
+      success: true,
+      links
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Open a scheduling link (no auth, signed token)
+const getPublicSchedulingLink = async (req, res) => {
+  try {
+    const link = await SchedulingService.getPublicLink(req.params.token);
+
+    res.json({
+      success: true,
+      link
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Pick or reschedule a slot (no auth, signed token)
+const confirmSchedulingSlot = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await SchedulingService.confirmSlot(req.params.token, req.body.slotId);
+
+    res.json({
+      success: true,
+      message: result.rescheduled ? 'Interview rescheduled successfully' : 'Interview scheduled successfully',
+      ...result
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  createSchedulingLink,
+  getApplicationSchedulingLinks,
+  cancelSchedulingLink,
+  getCandidateSchedulingLinks,
+  getGuestSchedulingLinks,
+  getPublicSchedulingLink,
+  confirmSchedulingSlot
+};
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createSchedulingLink,
+  getApplicationSchedulingLinks,
+  cancelSchedulingLink,
+  getCandidateSchedulingLinks,
+  getPublicSchedulingLink,
+  confirmSchedulingSlot
+} = require('./scheduling.controller');
+const { auth, adminAuth, candidateAuth } = require('../../middleware/auth');
+const { validateSchedulingLink, validateSlotConfirmation } = require('../../middleware/validation');
+
+// Recruiter routes (admin only)
+router.post('/applications/:applicationId/links', auth, adminAuth, validateSchedulingLink, createSchedulingLink);
+router.get('/applications/:applicationId/links', auth, adminAuth, getApplicationSchedulingLinks);
+router.delete('/links/:linkId', auth, adminAuth, cancelSchedulingLink);
+
+// Candidate routes
+router.get('/candidate/links', auth, candidateAuth, getCandidateSchedulingLinks);
+
+// Public routes (no authentication, access via signed link token)
+router.get('/public/:token', getPublicSchedulingLink);
+router.post('/public/:token/confirm', validateSlotConfirmation, confirmSchedulingSlot);
+
+module.exports = router;
@@ -0,0 +1,438 @@
+const SchedulingLink = require('./schedulingLink.model');
+const SchedulingUtils = require('./scheduling.utils');
+const Application = require('../application/application.model');
+const Event = require('../application/event.model');
+const AvailabilityService = require('../availability/availability.service');
+const JWTService = require('../../services/jwtService');
+const EmailService = require('../../services/emailService');
+const EventEmailService = require('../../services/eventEmailService');
+const EventLoggingService = require('../../services/eventLoggingService');
+const CalendarSyncService = require('../../services/calendarSyncService');
+const { publishApplicationUpdate } = require('../../services/realtime');
+const { addScopedTenantFilter, getRequestTenantId } = require('../../utils/tenantQueryHelper');
+
+const DEFAULT_EXPIRY_DAYS = 7;
+
+/**
+ * Scheduling Service
+ * Contains all business logic for candidate self-scheduling links
+ */
+class SchedulingService {
+  // ============ Helpers ============
+
+  /**
+   * Load an application and check it belongs to the current tenant (via its job).
+   * Without a subdomain that is the admin's own tenant; only super admins see everyone.
+   */
+  static async getApplicationForTenant(applicationId, req) {
+    const application = await Application.findById(applicationId).populate('jobId', 'title tenantId');
+    if (!application) {
+      throw new Error('Application not found');
+    }
+
+    const tenantId = getRequestTenantId(req);
+    if (tenantId !== undefined) {
+      const job = application.jobId;
+      if (!job || String(job.tenantId || null) !== String(tenantId)) {
+        throw new Error('Forbidden: Application does not belong to your company');
+      }
+    }
+
+    return application;
+  }
+
+  /**
+   * The candidate as an Event attendee (registered candidate or guest)
+   */
+  static async buildCandidateAttendee(application) {
+    if (application.isGuestApplication) {
+      const snapshot = application.candidateSnapshot || {};
+      if (!snapshot.email) return null;
+      return {
+        userId: application.guestApplicationId,
+        userType: 'Candidate',
+        email: snapshot.email,
+        name: `${snapshot.firstName || ''} ${snapshot.lastName || ''}`.trim() || 'Guest Candidate'
+      };
+    }
+
+    const { Candidate } = require('../auth/auth.model');
+    const candidate = await Candidate.findById(application.candidateId).select('firstName lastName email');
+    if (!candidate) return null;
+
+    return {
+      userId: candidate._id,
+      userType: 'Candidate',
+      email: candidate.email,
+      name: `${candidate.firstName} ${candidate.lastName}`
+    };
+  }
+
+  static buildLinkUrl(link) {
+    return SchedulingUtils.buildLinkUrl(
+      JWTService.generateSchedulingToken(link._id.toString(), link.tokenNonce, link.expiresAt)
+    );
+  }
+
+  /**
+   * Link with its public URL (only while it can still be used)
+   */
+  static withUrl(link) {
+    const data = link.toObject();
+    delete data.tokenNonce;
+
+    if (link.status !== 'cancelled' && !link.isExpired()) {
+      data.url = this.buildLinkUrl(link);
+    }
+
+    return data;
+  }
+
+  /**
+   * What the candidate sees when opening the link
+   */
+  static toPublicView(link, application) {
+    const now = new Date();
+
+    return {
+      title: link.title,
+      jobTitle: application.jobId?.title,
+      timezone: link.timezone,
+      location: link.location,
+      meetingLink: link.status === 'confirmed' ? link.meetingLink : undefined,
+      notes: link.notes,
+      status: link.status,
+      allowReschedule: link.allowReschedule,
+      expiresAt: link.expiresAt,
+      attendees: link.privacyEnabled ? undefined : link.attendees.map(attendee => attendee.name),
+      selectedSlot: link.selectedSlotId
+        ? SchedulingUtils.formatSlot(link.slots.id(link.selectedSlotId), link.timezone)
+        : null,
+      slots: link.slots
+        .filter(slot => slot.start > now)
+        .map(slot => SchedulingUtils.formatSlot(slot, link.timezone))
+    };
+  }
+
+  // ============ Recruiter Operations ============
+
+  /**
+   * Offer a set of slots to the candidate and email them the link
+   */
+  static async createLink(applicationId, linkData, userId, req) {
+    const { Admin } = require('../auth/auth.model');
+    const application = await this.getApplicationForTenant(applicationId, req);
+
+    const {
+      title,
+      attendeeIds = [],
+      slots,
+      timezone = 'UTC',
+      location,
+      meetingLink,
+      notes,
+      privacyEnabled = true,
+      allowReschedule = true,
+      expiresInDays = DEFAULT_EXPIRY_DAYS,
+      sendEmail = true
+    } = linkData;
+
+    const uniqueIds = [...new Set(attendeeIds.map(String))];
+    const admins = await Admin.find(addScopedTenantFilter({ _id: { $in: uniqueIds }, isActive: true }, req))
+      .select('_id name email');
+
+    if (admins.length !== uniqueIds.length) {
+      const found = admins.map(admin => admin._id.toString());
+      throw new Error(`Attendee not found: ${uniqueIds.filter(id => !found.includes(id)).join(', ')}`);
+    }
+
+    const normalizedSlots = SchedulingUtils.normalizeSlots(slots, timezone);
+
+    // No point keeping the link alive after the last slot has started
+    const lastStart = normalizedSlots[normalizedSlots.length - 1].start;
+    const expiresAt = new Date(Math.min(
+      Date.now() + expiresInDays * 24 * 60 * 60 * 1000,
+      lastStart.getTime()
+    ));
+
+    const link = await SchedulingLink.create({
+      applicationId: application._id,
+      title,
+      attendees: admins.map(admin => ({ userId: admin._id, email: admin.email, name: admin.name })),
+      slots: normalizedSlots,
+      timezone,
+      location,
+      meetingLink,
+      notes,
+      privacyEnabled: privacyEnabled !== false,
+      allowReschedule: allowReschedule !== false,
+      tokenNonce: SchedulingUtils.generateNonce(),
+      expiresAt,
+      createdBy: userId,
+      tenantId: application.jobId?.tenantId || null
+    });
+
+    const url = this.buildLinkUrl(link);
+
+    EventLoggingService.logSchedulingLinkCreation(application._id, link, userId)
+      .catch(err => console.error('Failed to log scheduling link creation:', err));
+
+    if (sendEmail !== false) {
+      this.sendLinkEmail(application, link, url)
+        .catch(err => console.error('Failed to send scheduling link email:', err));
+    }
+
+    return { link: this.withUrl(link), url };
+  }
+
+  /**
+   * Email the scheduling link to the candidate
+   */
+  static async sendLinkEmail(application, link, url) {
+    const candidate = await this.buildCandidateAttendee(application);
+    if (!candidate) {
+      console.log('No candidate email found for scheduling link');
+      return;
+    }
+
+    const email = SchedulingUtils.generateSchedulingEmail(
+      candidate.name,
+      application.jobId?.title || 'open',
+      link,
+      url
+    );
+
+    await EmailService.sendEmail(candidate.email, email.subject, email.html, null, {
+      applicationId: application._id,
+      tenantId: application.jobId?.tenantId,
+      category: 'scheduling_link'
+    });
+  }
+
+  /**
+   * Scheduling links for an application
+   */
+  static async getLinksForApplication(applicationId, req) {
+    await this.getApplicationForTenant(applicationId, req);
+
+    const links = await SchedulingLink.find({ applicationId })
+      .sort({ createdAt: -1 });
+
+    return links.map(link => this.withUrl(link));
+  }
+
+  /**
+   * Cancel a link. An already scheduled event is kept; cancel it separately if needed.
+   */
+  static async cancelLink(linkId, req) {
+    const link = await SchedulingLink.findOne(addScopedTenantFilter({ _id: linkId }, req));
+    if (!link) {
+      throw new Error('Scheduling link not found');
+    }
+
+    link.status = 'cancelled';
+    // Invalidate the URL that was sent out
+    link.tokenNonce = SchedulingUtils.generateNonce();
+    await link.save();
+
+    return this.withUrl(link);
+  }
+
+  // ============ Candidate Access ============
+
+  /**
+   * Active links for a registered candidate
+   */
+  static async getLinksForCandidate(candidateId) {
+    const applications = await Application.find({ candidateId }).select('_id');
+    return this.getActiveLinks(applications.map(application => application._id));
+  }
+
+  /**
+   * Active links for a guest, identified by their application tracking token
+   */
+  static async getLinksForGuest(trackingToken) {
+    const GuestApplication = require('../guestApplications/guestApplication.model');
+    const guestApplication = await GuestApplication.findOne({ trackingToken }).select('_id');
+    if (!guestApplication) {
+      throw new Error('Application not found');
+    }
+
+    const applications = await Application.find({ guestApplicationId: guestApplication._id }).select('_id');
+    return this.getActiveLinks(applications.map(application => application._id));
+  }
+
+  static async getActiveLinks(applicationIds) {
+    const links = await SchedulingLink.find({
+      applicationId: { $in: applicationIds },
+      status: { $ne: 'cancelled' },
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    return links.map(link => ({
+      _id: link._id,
+      applicationId: link.applicationId,
+      title: link.title,
+      status: link.status,
+      expiresAt: link.expiresAt,
+      url: this.buildLinkUrl(link)
+    }));
+  }
+
+  // ============ Public Link ============
+
+  /**
+   * Resolve a signed link token to its SchedulingLink
+   */
+  static async getLinkByToken(token) {
+    let decoded;
+    try {
+      decoded = JWTService.verifySchedulingToken(token);
+    } catch (error) {
+      throw new Error('Invalid or expired scheduling link');
+    }
+
+    const link = await SchedulingLink.findById(decoded.linkId);
+    if (!link || link.tokenNonce !== decoded.nonce) {
+      throw new Error('Invalid or expired scheduling link');
+    }
+    if (link.status === 'cancelled') {
+      throw new Error('Scheduling link has been cancelled');
+    }
+    if (link.isExpired()) {
+      throw new Error('Invalid or expired scheduling link');
+    }
+
+    return link;
+  }
+
+  static async getPublicLink(token) {
+    const link = await this.getLinkByToken(token);
+    const application = await Application.findById(link.applicationId).populate('jobId', 'title');
+
+    if (!application) {
+      throw new Error('Application not found');
+    }
+
+    return this.toPublicView(link, application);
+  }
+
+  /**
+   * Pick a slot. Creates the Event on first pick; later picks reschedule it.
+   */
+  static async confirmSlot(token, slotId) {
+    const link = await this.getLinkByToken(token);
+    const application = await Application.findById(link.applicationId).populate('jobId', 'title');
+    if (!application) {
+      throw new Error('Application not found');
+    }
+
+    const slot = link.slots.id(slotId);
+    if (!slot) {
+      throw new Error('Slot not found');
+    }
+    if (slot.start <= new Date()) {
+      throw new Error('Invalid slot: this time has already passed');
+    }
+
+    const existingEvent = link.eventId ? await Event.findById(link.eventId) : null;
+    const isReschedule = link.status === 'confirmed' && !!existingEvent && existingEvent.status !== 'cancelled';
+
+    if (isReschedule && !link.allowReschedule) {
+      throw new Error('Rescheduling is not allowed for this link');
+    }
+    if (isReschedule && link.selectedSlotId && link.selectedSlotId.toString() === slotId.toString()) {
+      return { link: this.toPublicView(link, application), eventId: existingEvent._id, rescheduled: false };
+    }
+
+    // Interviewers may have booked the time since the link was sent
+    for (const attendee of link.attendees) {
+      const free = await AvailabilityService.isAdminFree(
+        attendee.userId,
+        slot.start.getTime(),
+        slot.end.getTime(),
+        isReschedule ? existingEvent._id : null
+      );
+      if (!free) {
+        throw new Error('Slot is no longer available');
+      }
+    }
+
+    // Claim the pick; a concurrent confirmation will miss the revision and fail
+    const claimed = await SchedulingLink.findOneAndUpdate(
+      { _id: link._id, revision: link.revision, status: { $ne: 'cancelled' } },
+      { $set: { status: 'confirmed', selectedSlotId: slot._id }, $inc: { revision: 1 } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new Error('Slot is no longer available');
+    }
+
+    const candidate = await this.buildCandidateAttendee(application);
+    const actor = {
+      userId: application.isGuestApplication ? application.guestApplicationId : application.candidateId,
+      userRole: application.isGuestApplication ? 'Guest' : 'Candidate'
+    };
+    const times = SchedulingUtils.toEventFields(slot.start, slot.end);
+
+    let event;
+    let previousEvent = null;
+
+    try {
+      if (isReschedule) {
+        previousEvent = { date: existingEvent.date, startTime: existingEvent.startTime, endTime: existingEvent.endTime };
+        Object.assign(existingEvent, times, { status: 'rescheduled', reminderSent: false, remindersSent: [] });
+        event = await existingEvent.save();
+      } else {
+        event = await Event.create({
+          applicationId: application._id,
+          title: link.title,
+          attendees: [
+            ...link.attendees.map(attendee => ({ ...attendee.toObject(), userType: 'Admin' })),
+            ...(candidate ? [candidate] : [])
+          ],
+          privacyEnabled: link.privacyEnabled,
+          ...times,
+          location: link.location,
+          meetingLink: link.meetingLink,
+          notes: link.notes,
+          createdBy: link.createdBy
+        });
+        claimed.eventId = event._id;
+        await claimed.save();
+      }
+    } catch (error) {
+      // Release the pick so the candidate can try again
+      await SchedulingLink.updateOne(
+        { _id: link._id },
+        { $set: { status: link.status, selectedSlotId: link.selectedSlotId } }
+      );
+      throw error;
+    }
+
+    // Non-blocking follow-ups, same as recruiter-created events
+    EventLoggingService.logSlotConfirmation(application._id, event, claimed, actor, previousEvent)
+      .catch(err => console.error('Failed to log slot confirmation:', err));
+
+    (isReschedule ? CalendarSyncService.syncEventUpdated(event) : CalendarSyncService.syncEventCreated(event))
+      .catch(err => console.error('Failed to sync event to calendar:', err));
+
+    EventEmailService.sendCalendarInvite(event, application, claimed.revision)
+      .catch(err => console.error('Failed to send calendar invite:', err));
+
+    publishApplicationUpdate(application, 'application:event', {
+      action: isReschedule ? 'updated' : 'created',
+      eventId: String(event._id),
+      title: event.title,
+      date: event.date,
+      startTime: event.startTime,
+      endTime: event.endTime,
+      status: event.status,
+      scheduledByCandidate: true
+    });
+
+    return { link: this.toPublicView(claimed, application), eventId: event._id, rescheduled: isReschedule };
+  }
+}
+
+module.exports = SchedulingService;
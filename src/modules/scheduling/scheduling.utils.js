@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const AvailabilityUtils = require('../availability/availability.utils');
+
+/**
+ * Scheduling Utility Functions
+ * Helper functions for self-scheduling links
+ */
+class SchedulingUtils {
+  static generateNonce() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Convert offered slots ({ date, startTime, endTime } in a timezone) to UTC start/end
+   */
+  static normalizeSlots(slots, timezone) {
+    if (!AvailabilityUtils.isValidTimezone(timezone)) {
+      throw new Error(`Invalid timezone: ${timezone}`);
+    }
+
+    const now = Date.now();
+    const normalized = slots.map(slot => {
+      const start = AvailabilityUtils.zonedTimeToUtc(slot.date, slot.startTime, timezone);
+      const end = AvailabilityUtils.zonedTimeToUtc(slot.date, slot.endTime, timezone);
+
+      if (end <= start) {
+        throw new Error(`Invalid slot: ${slot.date} ${slot.startTime} must end after it starts`);
+      }
+      if (start <= now) {
+        throw new Error(`Invalid slot: ${slot.date} ${slot.startTime} is in the past`);
+      }
+
+      return { start: new Date(start), end: new Date(end) };
+    });
+
+    return normalized.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Event stores a date plus "HH:mm" times that are read back in server
+   * time (see Event.isUpcoming), so split the instant the same way
+   */
+  static toEventFields(start, end) {
+    const pad = n => String(n).padStart(2, '0');
+    const startDate = new Date(start);
+    const endDate = new Date(end);
+    const day = `${startDate.getFullYear()}-${pad(startDate.getMonth() + 1)}-${pad(startDate.getDate())}`;
+
+    return {
+      date: new Date(day),
+      startTime: `${pad(startDate.getHours())}:${pad(startDate.getMinutes())}`,
+      endTime: `${pad(endDate.getHours())}:${pad(endDate.getMinutes())}`
+    };
+  }
+
+  /**
+   * Slot as shown to the candidate in the link's timezone
+   */
+  static formatSlot(slot, timezone) {
+    const start = AvailabilityUtils.formatInTimezone(slot.start.getTime(), timezone);
+    const end = AvailabilityUtils.formatInTimezone(slot.end.getTime(), timezone);
+
+    return {
+      _id: slot._id,
+      start: slot.start,
+      end: slot.end,
+      date: start.date,
+      startTime: start.time,
+      endTime: end.time
+    };
+  }
+
+  static buildLinkUrl(token) {
+    const frontendUrl = process.env.FRONTEND_URL || '';
+    return `${frontendUrl}/schedule/${token}`;
+  }
+
+  /**
+   * Email inviting the candidate to pick a slot
+   */
+  static generateSchedulingEmail(candidateName, jobTitle, link, url) {
+    const slotList = link.slots
+      .map(slot => SchedulingUtils.formatSlot(slot, link.timezone))
+      .map(slot => `<li>${slot.date} ${slot.startTime} - ${slot.endTime} (${link.timezone})</li>`)
+      .join('');
+
+    return {
+      subject: `Pick a time: ${link.title}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="padding: 30px; background-color: #f9fafb;">
+            <h2 style="color: #1f2937; margin-bottom: 20px;">Hello ${candidateName},</h2>
+            <p style="color: #4b5563; line-height: 1.6;">
+              We would like to schedule <strong>${link.title}</strong> for the <strong>${jobTitle}</strong> position.
+              Please pick the time that suits you best:
+            </p>
+            <ul style="color: #4b5563; line-height: 1.6;">${slotList}</ul>
+            <a href="${url}"
+               style="display: inline-block; background-color: {{primaryColor}}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+              Choose a Time
+            </a>
+            <p style="color: #6b7280; font-size: 14px; margin-top: 20px;">
+              This link expires on ${link.expiresAt.toUTCString()}.
+            </p>
+          </div>
+        </div>
+      `
+    };
+  }
+}
+
+module.exports = SchedulingUtils;
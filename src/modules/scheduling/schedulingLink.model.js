@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+const offeredSlotSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  }
+});
+
+const linkAttendeeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+/**
+ * Scheduling Link Schema
+ * A set of interview slots offered to a candidate. The candidate picks one
+ * through a signed public link, which creates (or reschedules) the Event.
+ */
+const schedulingLinkSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  // Interviewers added to the Event once a slot is picked
+  attendees: [linkAttendeeSchema],
+  slots: {
+    type: [offeredSlotSchema],
+    validate: {
+      validator: function(slots) {
+        return Array.isArray(slots) && slots.length > 0;
+      },
+      message: 'At least one slot must be offered'
+    }
+  },
+  // Timezone the slots are shown in to the candidate
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  meetingLink: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  privacyEnabled: {
+    type: Boolean,
+    default: true
+  },
+  allowReschedule: {
+    type: Boolean,
+    default: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'cancelled'],
+    default: 'pending'
+  },
+  selectedSlotId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  // Bumped on every pick so concurrent confirmations can't both win
+  revision: {
+    type: Number,
+    default: 0
+  },
+  // Embedded in the signed token; rotating it invalidates issued links
+  tokenNonce: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  // Multi-tenant support
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    index: true,
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+// Methods
+schedulingLinkSchema.methods.isExpired = function() {
+  return this.expiresAt < new Date();
+};
+
+schedulingLinkSchema.index({ applicationId: 1, status: 1 });
+
+module.exports = mongoose.models.SchedulingLink || mongoose.model('SchedulingLink', schedulingLinkSchema);
@@ -1,13 +1,19 @@
 const mongoose = require('mongoose');
 
 const screeningQuestionSchema = new mongoose.Schema({
+  // Kept when the template is applied to a job so conditions (showIf) still resolve
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: () => new mongoose.Types.ObjectId(),
+    required: false
+  },
   text: {
     type: String,
     required: true
   },
   type: {
     type: String,
-    enum: ['text', 'multiple-choice', 'yes-no', 'rating'],
+    enum: ['text', 'multiple-choice', 'yes-no', 'rating', 'number', 'date', 'multi-select', 'file', 'url'],
     default: 'text'
   },
   required: {
@@ -17,9 +23,46 @@ const screeningQuestionSchema = new mongoose.Schema({
   options: [String],
   maxLength: Number,
   placeholder: String,
+  // Range of number answers
+  min: Number,
+  max: Number,
+  // Range of date answers
+  minDate: Date,
+  maxDate: Date,
+  // Most options a multi-select answer may pick (empty = no limit)
+  maxSelections: {
+    type: Number,
+    min: [1, 'Max selections must be at least 1']
+  },
+  // File extensions accepted by file questions, e.g. ['pdf', 'docx'] (empty = any supported type)
+  allowedFileTypes: [String],
+  // Only asked when an earlier question's answer matches; hidden questions are neither required nor stored
+  showIf: {
+    questionId: mongoose.Schema.Types.ObjectId,
+    operator: {
+      type: String,
+      enum: ['equals', 'notEquals', 'includes', 'greaterThan', 'lessThan']
+    },
+    value: String
+  },
   correctAnswer: {
     type: String,
     required: false
+  },
+  // Knockout: a wrong answer fails screening; weighted: counts towards the screening score.
+  // correctAnswer may list several accepted answers separated by "|"; for ratings it is the minimum,
+  // for numbers the minimum or a "min-max" range, for dates the latest accepted date and for
+  // multi-selects the options that must all be picked.
+  scoringType: {
+    type: String,
+    enum: ['none', 'knockout', 'weighted'],
+    default: 'none'
+  },
+  weight: {
+    type: Number,
+    min: [0, 'Weight cannot be negative'],
+    max: [100, 'Weight cannot exceed 100'],
+    default: 1
   }
 });
 
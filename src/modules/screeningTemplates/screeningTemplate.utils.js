@@ -22,13 +22,13 @@ class ScreeningTemplateUtils {
       }
 
       // Validate question type
-      const validTypes = ['text', 'multiple-choice', 'yes-no', 'rating'];
+      const validTypes = ['text', 'multiple-choice', 'yes-no', 'rating', 'number', 'date', 'multi-select', 'file', 'url'];
       if (!validTypes.includes(question.type)) {
         throw new Error(`Question ${index + 1} has invalid type. Valid types: ${validTypes.join(', ')}`);
       }
 
-      // If multiple-choice, validate options
-      if (question.type === 'multiple-choice') {
+      // If multiple-choice or multi-select, validate options
+      if (['multiple-choice', 'multi-select'].includes(question.type)) {
         if (!question.options || !Array.isArray(question.options) || question.options.length === 0) {
           throw new Error(`Question ${index + 1} must have at least one option`);
         }
@@ -0,0 +1,113 @@
+const { validationResult } = require('express-validator');
+const CustomDomainService = require('./customDomain.service');
+const { logger } = require('../../config/database');
+
+/**
+ * Custom Domain Controller
+ * Handles HTTP requests and delegates business logic to CustomDomainService
+ */
+
+const getErrorStatusCode = (error) => {
+  return error.message.includes('not found') ? 404 :
+         error.message.includes('access required') ? 403 :
+         error.message.includes('already') ? 409 :
+         error.message.includes('context required') || error.message.includes('Invalid') ? 400 : 500;
+};
+
+const sendError = (res, error, fallbackMessage) => {
+  const statusCode = getErrorStatusCode(error);
+  if (statusCode === 500) {
+    logger.error(`${fallbackMessage}:`, error);
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    message: error.message || fallbackMessage
+  });
+};
+
+/**
+ * List the current tenant's custom domains
+ * GET /api/v1/tenant/domains
+ */
+const getCustomDomains = async (req, res) => {
+  try {
+    const domains = await CustomDomainService.listDomains(req.user, req);
+
+    res.json({
+      success: true,
+      data: domains
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get custom domains');
+  }
+};
+
+/**
+ * Add a custom domain; the response holds the TXT record to publish
+ * POST /api/v1/tenant/domains
+ */
+const addCustomDomain = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const domain = await CustomDomainService.addDomain(req.body.hostname, req.user, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Domain added. Publish the TXT record, then verify the domain.',
+      data: domain
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to add custom domain');
+  }
+};
+
+/**
+ * Check the domain's TXT record
+ * POST /api/v1/tenant/domains/:hostname/verify
+ */
+const verifyCustomDomain = async (req, res) => {
+  try {
+    const domain = await CustomDomainService.verifyDomain(req.params.hostname, req.user, req);
+
+    res.json({
+      success: true,
+      message: domain.verified ? 'Domain verified' : `Domain not verified: ${domain.lastCheckError}`,
+      data: domain
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to verify custom domain');
+  }
+};
+
+/**
+ * Remove a custom domain
+ * DELETE /api/v1/tenant/domains/:hostname
+ */
+const removeCustomDomain = async (req, res) => {
+  try {
+    await CustomDomainService.removeDomain(req.params.hostname, req.user, req);
+
+    res.json({
+      success: true,
+      message: 'Domain removed successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to remove custom domain');
+  }
+};
+
+module.exports = {
+  getCustomDomains,
+  addCustomDomain,
+  verifyCustomDomain,
+  removeCustomDomain
+};
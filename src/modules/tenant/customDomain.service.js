@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const { Resolver } = require('dns').promises;
+const Tenant = require('./tenant.model');
+const config = require('../../config');
+const { logger } = require('../../config/database');
+
+const MAX_DOMAINS_PER_TENANT = 5;
+
+// At least two labels, letters-only TLD, 253 characters at most
+const HOSTNAME_PATTERN = /^(?=.{4,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+// Lookups where the record simply isn't there (yet)
+const MISSING_RECORD_CODES = ['ENOTFOUND', 'ENODATA'];
+
+const resolver = new Resolver({ timeout: 5000, tries: 2 });
+
+/**
+ * Custom Domain Service
+ * Custom domains (e.g. careers.theircompany.com) of the current tenant.
+ * Ownership is proven with a TXT record; only verified domains resolve to the
+ * tenant in middleware/tenantFromSubdomain.
+ */
+class CustomDomainService {
+  /**
+   * Lowercased hostname without trailing dot
+   */
+  static normalizeHostname(hostname) {
+    const normalized = String(hostname || '').trim().toLowerCase().replace(/\.$/, '');
+
+    if (!HOSTNAME_PATTERN.test(normalized)) {
+      throw new Error('Invalid domain: use a hostname like careers.example.com');
+    }
+
+    const platformDomain = config.tenancy.platformDomain;
+    if (platformDomain && (normalized === platformDomain || normalized.endsWith(`.${platformDomain}`))) {
+      throw new Error('Invalid domain: use your subdomain for addresses on the platform domain');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * TXT record the tenant has to publish for a domain
+   */
+  static getVerificationRecord(domain) {
+    return {
+      type: 'TXT',
+      name: `${config.tenancy.domainVerificationPrefix}.${domain.hostname}`,
+      value: domain.verificationToken
+    };
+  }
+
+  static toResponse(domain) {
+    return {
+      hostname: domain.hostname,
+      verified: domain.verified,
+      verifiedAt: domain.verifiedAt,
+      lastCheckedAt: domain.lastCheckedAt,
+      lastCheckError: domain.lastCheckError,
+      createdAt: domain.createdAt,
+      verificationRecord: this.getVerificationRecord(domain)
+    };
+  }
+
+  /**
+   * Tenant of the request; only its own admins (or a super admin) manage its domains
+   */
+  static async getTenantForAdmin(user, req) {
+    if (!req.tenant || !req.tenantId) {
+      throw new Error('Tenant context required');
+    }
+
+    if (user.role !== 'superadmin' && user.tenantId?.toString() !== req.tenantId.toString()) {
+      throw new Error('Tenant admin access required');
+    }
+
+    const tenant = await Tenant.findById(req.tenantId);
+    if (!tenant) {
+      throw new Error('Tenant not found');
+    }
+    return tenant;
+  }
+
+  static findDomain(tenant, hostname) {
+    const normalized = this.normalizeHostname(hostname);
+    const domain = tenant.customDomains.find(item => item.hostname === normalized);
+    if (!domain) {
+      throw new Error('Domain not found');
+    }
+    return domain;
+  }
+
+  /**
+   * TXT record values at a name, each joined from its chunks
+   */
+  static async lookupTxtRecords(name) {
+    const records = await resolver.resolveTxt(name);
+    return records.map(chunks => chunks.join(''));
+  }
+
+  static async listDomains(user, req) {
+    const tenant = await this.getTenantForAdmin(user, req);
+    return tenant.customDomains.map(domain => this.toResponse(domain));
+  }
+
+  /**
+   * Register a domain; it resolves to the tenant once verified
+   */
+  static async addDomain(hostname, user, req) {
+    const tenant = await this.getTenantForAdmin(user, req);
+    const normalized = this.normalizeHostname(hostname);
+
+    if (tenant.customDomains.some(domain => domain.hostname === normalized)) {
+      throw new Error('Domain already added');
+    }
+    if (tenant.customDomains.length >= MAX_DOMAINS_PER_TENANT) {
+      throw new Error(`Invalid domain: a company can have at most ${MAX_DOMAINS_PER_TENANT} custom domains`);
+    }
+
+    tenant.customDomains.push({
+      hostname: normalized,
+      verificationToken: `recruitment-domain-verification=${crypto.randomBytes(16).toString('hex')}`
+    });
+    await tenant.save();
+
+    return this.toResponse(tenant.customDomains[tenant.customDomains.length - 1]);
+  }
+
+  /**
+   * Check the domain's TXT record and mark it verified when it matches.
+   * Several tenants may add the same domain, but only one can verify it.
+   */
+  static async verifyDomain(hostname, user, req) {
+    const tenant = await this.getTenantForAdmin(user, req);
+    const domain = this.findDomain(tenant, hostname);
+    const record = this.getVerificationRecord(domain);
+
+    let values = [];
+    let lookupError = null;
+    try {
+      values = await this.lookupTxtRecords(record.name);
+    } catch (error) {
+      if (!MISSING_RECORD_CODES.includes(error.code)) {
+        logger.warn(`TXT lookup for ${record.name} failed: ${error.code || error.message}`);
+        lookupError = `DNS lookup failed (${error.code || error.message}); try again later`;
+      }
+    }
+
+    domain.lastCheckedAt = new Date();
+
+    if (values.includes(record.value)) {
+      const takenBy = await Tenant.exists({
+        _id: { $ne: tenant._id },
+        customDomains: { $elemMatch: { hostname: domain.hostname, verified: true } }
+      });
+      if (takenBy) {
+        throw new Error('Domain already verified by another company');
+      }
+
+      domain.verified = true;
+      domain.verifiedAt = domain.verifiedAt || new Date();
+      domain.lastCheckError = undefined;
+    } else {
+      // A verified domain stays verified; the error only reports the latest check
+      domain.lastCheckError = lookupError || `TXT record ${record.name} with the verification value was not found`;
+    }
+
+    await tenant.save();
+
+    return this.toResponse(domain);
+  }
+
+  static async removeDomain(hostname, user, req) {
+    const tenant = await this.getTenantForAdmin(user, req);
+    const domain = this.findDomain(tenant, hostname);
+
+    tenant.customDomains = tenant.customDomains.filter(item => item.hostname !== domain.hostname);
+    await tenant.save();
+
+    logger.info(`Custom domain ${domain.hostname} removed from tenant ${tenant._id}`);
+  }
+}
+
+CustomDomainService.MAX_DOMAINS_PER_TENANT = MAX_DOMAINS_PER_TENANT;
+
+module.exports = CustomDomainService;
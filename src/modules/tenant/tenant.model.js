@@ -1,5 +1,35 @@
 const mongoose = require('mongoose');
 
+/**
+ * Custom domain of a tenant (e.g. careers.theircompany.com)
+ * Only verified domains resolve to the tenant; see CustomDomainService
+ */
+const customDomainSchema = new mongoose.Schema({
+  hostname: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    maxlength: [253, 'Domain cannot exceed 253 characters']
+  },
+  // Value the tenant publishes in the domain's verification TXT record
+  verificationToken: {
+    type: String,
+    required: true
+  },
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  verifiedAt: Date,
+  lastCheckedAt: Date,
+  lastCheckError: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 /**
  * Tenant Schema
  * Represents a company/organization using the platform
@@ -47,6 +77,10 @@ const tenantSchema = new mongoose.Schema({
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
+  },
+  customDomains: {
+    type: [customDomainSchema],
+    default: []
   }
 }, {
   timestamps: true
@@ -56,6 +90,13 @@ const tenantSchema = new mongoose.Schema({
 tenantSchema.index({ subdomain: 1 }, { unique: true });
 tenantSchema.index({ ownerUserId: 1 });
 tenantSchema.index({ isActive: 1 });
+tenantSchema.index({ 'customDomains.hostname': 1 });
+
+// Any tenant write invalidates the cached host -> tenant lookups of this instance
+// (required lazily: the service depends on this model)
+const clearTenantCache = () => require('./tenant.service').clearTenantCache();
+tenantSchema.post('save', clearTenantCache);
+tenantSchema.post(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], clearTenantCache);
 
 // Methods
 tenantSchema.methods.canAddUser = function() {
@@ -14,8 +14,15 @@ const {
 const {
   validateCreateTenant,
   validateCreateTenantUser,
-  validateUpdateTenant
+  validateUpdateTenant,
+  validateCustomDomain
 } = require('./tenant.validation');
+const {
+  getCustomDomains,
+  addCustomDomain,
+  verifyCustomDomain,
+  removeCustomDomain
+} = require('./customDomain.controller');
 
 /**
  * Tenant Routes
@@ -121,6 +128,59 @@ router.get(
   getTenantInfo
 );
 
+// Custom Domain Routes
+// ==================
+
+/**
+ * GET /api/v1/tenant/domains
+ * List the custom domains of the current tenant with their verification records
+ * Requires: Tenant context + Admin authentication
+ */
+router.get(
+  '/tenant/domains',
+  auth,
+  requireRole(['superadmin', 'admin']),
+  getCustomDomains
+);
+
+/**
+ * POST /api/v1/tenant/domains
+ * Add a custom domain; it serves the tenant once its TXT record is verified
+ * Requires: Tenant context + Admin authentication
+ * Body: { hostname }
+ */
+router.post(
+  '/tenant/domains',
+  auth,
+  requireRole(['superadmin', 'admin']),
+  validateCustomDomain,
+  addCustomDomain
+);
+
+/**
+ * POST /api/v1/tenant/domains/:hostname/verify
+ * Check the domain's TXT record and mark it verified when it matches
+ * Requires: Tenant context + Admin authentication
+ */
+router.post(
+  '/tenant/domains/:hostname/verify',
+  auth,
+  requireRole(['superadmin', 'admin']),
+  verifyCustomDomain
+);
+
+/**
+ * DELETE /api/v1/tenant/domains/:hostname
+ * Remove a custom domain
+ * Requires: Tenant context + Admin authentication
+ */
+router.delete(
+  '/tenant/domains/:hostname',
+  auth,
+  requireRole(['superadmin', 'admin']),
+  removeCustomDomain
+);
+
 // Employee Management Routes
 // ==================
 
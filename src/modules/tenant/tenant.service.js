@@ -1,8 +1,15 @@
 const Tenant = require('./tenant.model');
 const { Admin, Candidate } = require('../auth/auth.model');
 const AuthService = require('../auth/auth.service');
+const config = require('../../config');
 const { logger } = require('../../config/database');
 
+// Host lookups run on every request (middleware/tenantFromSubdomain), so results,
+// including misses, are kept briefly in memory. Other instances pick up changes
+// once their entry expires.
+const MAX_CACHE_ENTRIES = 10000;
+const tenantCache = new Map();
+
 /**
  * Tenant Service
  * Contains all business logic for tenant operations
@@ -223,6 +230,45 @@ class TenantService {
     return tenant;
   }
 
+  /**
+   * Get the active tenant that verified a custom domain
+   */
+  static async getTenantByCustomDomain(hostname) {
+    return Tenant.findOne({
+      customDomains: { $elemMatch: { hostname: hostname.toLowerCase(), verified: true } },
+      isActive: true
+    }).lean();
+  }
+
+  /**
+   * Cached tenant lookups for request routing
+   * @param {String} type - 'domain' | 'subdomain'
+   * @returns {Object|null} Active tenant (lean) or null
+   */
+  static async findTenantForHost(type, value) {
+    const key = `${type}:${value}`;
+    const cached = tenantCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.tenant;
+    }
+
+    const tenant = type === 'domain'
+      ? await this.getTenantByCustomDomain(value)
+      : await this.getTenantBySubdomain(value);
+
+    // Oldest entry first (Map keeps insertion order); hosts come from request headers
+    if (tenantCache.size >= MAX_CACHE_ENTRIES) {
+      tenantCache.delete(tenantCache.keys().next().value);
+    }
+    tenantCache.set(key, { tenant, expiresAt: Date.now() + config.tenancy.cacheSeconds * 1000 });
+
+    return tenant;
+  }
+
+  static clearTenantCache() {
+    tenantCache.clear();
+  }
+
   /**
    * Get all tenants (Super Admin only)
    * Returns list of all tenants with their information
@@ -101,9 +101,22 @@ const validateUpdateTenant = [
     .isBoolean().withMessage('isActive must be a boolean value')
 ];
 
+/**
+ * Validate custom domain request
+ * Used by tenant admin to add a custom domain
+ */
+const validateCustomDomain = [
+  body('hostname')
+    .trim()
+    .notEmpty().withMessage('Hostname is required')
+    .isLength({ max: 253 }).withMessage('Hostname cannot exceed 253 characters')
+    .isFQDN().withMessage('Hostname must be a domain like careers.example.com')
+];
+
 module.exports = {
   validateCreateTenant,
   validateCreateTenantUser,
-  validateUpdateTenant
+  validateUpdateTenant,
+  validateCustomDomain
 };
 
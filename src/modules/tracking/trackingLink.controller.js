@@ -0,0 +1,151 @@
+const { validationResult } = require('express-validator');
+const TrackingLinkService = require('./trackingLink.service');
+const TrackingLinkUtils = require('./trackingLink.utils');
+
+/**
+ * Tracking Link Controller
+ * Handles HTTP requests and delegates business logic to TrackingLinkService
+ */
+
+const getErrorStatusCode = (error) => {
+  return error.message.includes('not found') ? 404 :
+         error.name === 'ValidationError' ? 400 :
+         error.name === 'CastError' ? 400 : 500;
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Link plus the URLs to hand out on the job board
+const toResponse = (link, req) => ({
+  ...link.toObject(),
+  shortUrl: `${req.protocol}://${req.get('host')}/api/v1/tracking/r/${link.code}`,
+  applyUrl: TrackingLinkUtils.buildApplyUrl({ ...link.toObject(), jobId: link.jobId?._id || link.jobId })
+});
+
+// Create a tracking link for a job board
+const createLink = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const link = await TrackingLinkService.createLink(req.body, req.user._id, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Tracking link created successfully',
+      link: toResponse(link, req)
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// List tracking links (filter by jobId, source, isActive)
+const getLinks = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const links = await TrackingLinkService.getLinks(req.query, req);
+
+    res.json({
+      success: true,
+      links: links.map(link => toResponse(link, req))
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Get a tracking link
+const getLinkById = async (req, res) => {
+  try {
+    const link = await TrackingLinkService.getLinkById(req.params.id, req);
+
+    res.json({
+      success: true,
+      link: toResponse(link, req)
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Update or deactivate a tracking link
+const updateLink = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const link = await TrackingLinkService.updateLink(req.params.id, req.body, req);
+
+    res.json({
+      success: true,
+      message: 'Tracking link updated successfully',
+      link: toResponse(link, req)
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Public short link: count the click and send the candidate to the job
+const followLink = async (req, res) => {
+  try {
+    const url = await TrackingLinkService.recordClick(req.params.code);
+    res.redirect(302, url);
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// Applications, interviews and hires per source, campaign and link
+const getSourceReport = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const report = await TrackingLinkService.getSourceReport(req.query, req);
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  createLink,
+  getLinks,
+  getLinkById,
+  updateLink,
+  followLink,
+  getSourceReport
+};
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * Tracking Link Schema
+ * A trackable apply link for one job on one job board / campaign.
+ * The public short link (/api/v1/tracking/r/:code) counts the click and
+ * redirects to the job with the UTM parameters and the code attached;
+ * applications that send the code back are attributed to the link.
+ */
+const trackingLinkSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: [true, 'Job is required']
+  },
+  // Job board or channel, stored as the application source (e.g. linkedin, stepstone)
+  source: {
+    type: String,
+    required: [true, 'Source is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Source cannot exceed 50 characters']
+  },
+  campaign: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Campaign cannot exceed 200 characters']
+  },
+  utm: {
+    source: { type: String, trim: true, maxlength: 200 },
+    medium: { type: String, trim: true, maxlength: 200 },
+    campaign: { type: String, trim: true, maxlength: 200 },
+    term: { type: String, trim: true, maxlength: 200 },
+    content: { type: String, trim: true, maxlength: 200 }
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  clicks: {
+    type: Number,
+    default: 0
+  },
+  lastClickedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  // Set on an employee's personal referral link (modules/referrals)
+  referrer: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'referrer.userType'
+    },
+    userType: {
+      type: String,
+      enum: ['Admin', 'Candidate']
+    }
+  },
+  // Multi-tenant support
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+trackingLinkSchema.index({ tenantId: 1, jobId: 1 });
+trackingLinkSchema.index({ 'referrer.userId': 1, jobId: 1 });
+
+module.exports = mongoose.models.TrackingLink || mongoose.model('TrackingLink', trackingLinkSchema);
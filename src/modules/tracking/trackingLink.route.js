@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createLink,
+  getLinks,
+  getLinkById,
+  updateLink,
+  followLink,
+  getSourceReport
+} = require('./trackingLink.controller');
+const { auth, adminAuth } = require('../../middleware/auth');
+const {
+  validateTrackingLink,
+  validateTrackingLinkUpdate,
+  validateTrackingLinkQuery,
+  validateSourceReportQuery
+} = require('../../middleware/validation');
+
+// Public short link (no authentication required)
+router.get('/r/:code', followLink);
+
+// Admin routes
+router.get('/report', auth, adminAuth, validateSourceReportQuery, getSourceReport);
+router.get('/links', auth, adminAuth, validateTrackingLinkQuery, getLinks);
+router.post('/links', auth, adminAuth, validateTrackingLink, createLink);
+router.get('/links/:id', auth, adminAuth, getLinkById);
+router.put('/links/:id', auth, adminAuth, validateTrackingLinkUpdate, updateLink);
+
+module.exports = router;
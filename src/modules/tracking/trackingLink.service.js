@@ -0,0 +1,227 @@
+const TrackingLink = require('./trackingLink.model');
+const TrackingLinkUtils = require('./trackingLink.utils');
+const Job = require('../jobs/job.model');
+const Application = require('../application/application.model');
+const Event = require('../application/event.model');
+const ApplicationService = require('../application/application.service');
+const ApplicationUtils = require('../application/application.utils');
+const { addScopedTenantFilter } = require('../../utils/tenantQueryHelper');
+
+const UPDATABLE_FIELDS = ['campaign', 'utm', 'isActive'];
+
+/**
+ * Tracking Link Service
+ * Trackable apply links per job board, application attribution and the
+ * source-of-hire report
+ */
+class TrackingLinkService {
+  // ============ Tracking Links ============
+
+  /**
+   * Create a tracking link for a job
+   * @param {Object} data - { jobId, source, campaign, utm }
+   */
+  static async createLink(data, userId, req) {
+    const job = await Job.findOne(addScopedTenantFilter({ _id: data.jobId }, req)).select('_id tenantId');
+
+    if (!job) {
+      throw new Error('Job not found');
+    }
+
+    return TrackingLink.create({
+      jobId: job._id,
+      source: TrackingLinkUtils.normalizeSource(data.source),
+      campaign: data.campaign,
+      utm: data.utm,
+      code: TrackingLinkUtils.generateCode(),
+      createdBy: userId,
+      tenantId: job.tenantId || null
+    });
+  }
+
+  /**
+   * List tracking links
+   * @param {Object} filters - { jobId, source, isActive }
+   */
+  static async getLinks(filters = {}, req) {
+    const query = {};
+
+    if (filters.jobId) query.jobId = filters.jobId;
+    if (filters.source) query.source = TrackingLinkUtils.normalizeSource(filters.source);
+    if (filters.isActive !== undefined) query.isActive = String(filters.isActive) === 'true';
+
+    return TrackingLink.find(addScopedTenantFilter(query, req))
+      .populate('jobId', 'title department')
+      .sort({ createdAt: -1 });
+  }
+
+  static async getLinkById(linkId, req) {
+    const link = await TrackingLink.findOne(addScopedTenantFilter({ _id: linkId }, req))
+      .populate('jobId', 'title department');
+
+    if (!link) {
+      throw new Error('Tracking link not found');
+    }
+
+    return link;
+  }
+
+  /**
+   * Update a link. Links are deactivated rather than deleted so that
+   * existing applications keep their attribution.
+   */
+  static async updateLink(linkId, data, req) {
+    const link = await TrackingLink.findOne(addScopedTenantFilter({ _id: linkId }, req));
+
+    if (!link) {
+      throw new Error('Tracking link not found');
+    }
+
+    UPDATABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) link[field] = data[field];
+    });
+    if (data.source !== undefined) link.source = TrackingLinkUtils.normalizeSource(data.source);
+
+    await link.save();
+    return link;
+  }
+
+  /**
+   * Count a click on the public short link
+   * @returns {String} URL to redirect the candidate to
+   */
+  static async recordClick(code) {
+    const link = await TrackingLink.findOneAndUpdate(
+      { code, isActive: true },
+      { $inc: { clicks: 1 }, $set: { lastClickedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!link) {
+      throw new Error('Tracking link not found');
+    }
+
+    return TrackingLinkUtils.buildApplyUrl(link);
+  }
+
+  // ============ Attribution ============
+
+  /**
+   * Source and attribution for an application to jobId
+   * Unknown, inactive or other jobs' tracking codes are ignored.
+   * @param {Object} input - Request body: { source, utm_*, referrer, trackingCode }
+   * @param {String} referer - Referer header
+   */
+  static async resolveAttribution(jobId, input = {}, referer = null) {
+    let link = null;
+
+    if (typeof input.trackingCode === 'string' && input.trackingCode) {
+      link = await TrackingLink.findOne({ code: input.trackingCode, jobId, isActive: true });
+    }
+
+    return TrackingLinkUtils.buildAttribution(input, link, referer);
+  }
+
+  // ============ Source-of-hire Report ============
+
+  /**
+   * Applications, interviews and hires per source, campaign and tracking link
+   * Clicks are lifetime totals of the links; the date range applies to appliedAt.
+   * @param {Object} filters - { jobId, startDate, endDate }
+   */
+  static async getSourceReport(filters = {}, req) {
+    const { jobId, startDate, endDate } = filters;
+
+    const jobFilter = {};
+    if (jobId) jobFilter._id = jobId;
+
+    const jobs = await Job.find(addScopedTenantFilter(jobFilter, req)).select('_id pipelineId workflow tenantId');
+    const jobIds = jobs.map(job => job._id);
+
+    const filter = { jobId: { $in: jobIds } };
+    if (startDate || endDate) {
+      filter.appliedAt = {};
+      if (startDate) filter.appliedAt.$gte = new Date(startDate);
+      if (endDate) filter.appliedAt.$lte = new Date(endDate);
+    }
+
+    const applications = await Application.find(filter)
+      .select('jobId status appliedAt source attribution logs.timestamp logs.metadata')
+      .lean();
+
+    const [links, interviewed, { resolveStage }] = await Promise.all([
+      TrackingLink.find(addScopedTenantFilter({ jobId: { $in: jobIds } }, req)).lean(),
+      Event.distinct('applicationId', { applicationId: { $in: applications.map(application => application._id) } }),
+      ApplicationService.getStageLookup(jobs)
+    ]);
+    const interviewedIds = new Set(interviewed.map(String));
+
+    const bySource = new Map();
+    const byCampaign = new Map();
+    const byLink = new Map(links.map(link => [String(link._id), {
+      trackingLinkId: link._id,
+      code: link.code,
+      jobId: link.jobId,
+      source: link.source,
+      campaign: link.campaign || null,
+      isActive: link.isActive,
+      clicks: link.clicks,
+      applications: 0,
+      interviews: 0,
+      hires: 0
+    }]));
+
+    const rowFor = (map, key, fields) => {
+      if (!map.has(key)) {
+        map.set(key, { ...fields, clicks: 0, applications: 0, interviews: 0, hires: 0 });
+      }
+      return map.get(key);
+    };
+
+    // Link clicks roll up into their source and campaign
+    links.forEach(link => {
+      const campaign = link.campaign || link.utm?.campaign || null;
+      rowFor(bySource, link.source, { source: link.source }).clicks += link.clicks;
+      rowFor(byCampaign, `${link.source}\u0000${campaign}`, { source: link.source, campaign }).clicks += link.clicks;
+    });
+
+    for (const application of applications) {
+      const { interviewed, hired } = ApplicationUtils.getOutcome(application, resolveStage);
+      const interview = interviewed || interviewedIds.has(String(application._id));
+
+      const source = application.source || 'company_website';
+      const attribution = application.attribution || {};
+      const campaign = attribution.campaign || attribution.utmCampaign || null;
+
+      const rows = [
+        rowFor(bySource, source, { source }),
+        rowFor(byCampaign, `${source}\u0000${campaign}`, { source, campaign })
+      ];
+      const linkRow = attribution.trackingLinkId && byLink.get(String(attribution.trackingLinkId));
+      if (linkRow) rows.push(linkRow);
+
+      rows.forEach(row => {
+        row.applications++;
+        if (interview) row.interviews++;
+        if (hired) row.hires++;
+      });
+    }
+
+    const withRates = (row) => ({
+      ...row,
+      applicationRate: row.clicks > 0 ? ApplicationUtils.toRate(row.applications, row.clicks) : null,
+      interviewRate: ApplicationUtils.toRate(row.interviews, row.applications),
+      hireRate: ApplicationUtils.toRate(row.hires, row.applications)
+    });
+    const byApplications = (a, b) => b.applications - a.applications || b.clicks - a.clicks;
+
+    return {
+      total: applications.length,
+      bySource: [...bySource.values()].map(withRates).sort(byApplications),
+      byCampaign: [...byCampaign.values()].map(withRates).sort(byApplications),
+      byLink: [...byLink.values()].map(withRates).sort(byApplications)
+    };
+  }
+}
+
+module.exports = TrackingLinkService;
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+const UTM_FIELDS = {
+  utm_source: 'utmSource',
+  utm_medium: 'utmMedium',
+  utm_campaign: 'utmCampaign',
+  utm_term: 'utmTerm',
+  utm_content: 'utmContent'
+};
+
+// Match the maxlengths of Application.attribution so long values can't fail the apply
+const MAX_UTM_LENGTH = 200;
+const MAX_REFERRER_LENGTH = 2000;
+
+const clip = (value, maxLength) => {
+  if (typeof value !== 'string') return undefined;
+  return value.trim().slice(0, maxLength).trim() || undefined;
+};
+
+/**
+ * Tracking Link Utilities
+ * Helper functions for trackable apply links and source attribution
+ */
+class TrackingLinkUtils {
+  /**
+   * Short, URL-safe link code
+   */
+  static generateCode() {
+    return crypto.randomBytes(6).toString('base64url');
+  }
+
+  /**
+   * Sources are free-form ("stepstone", "Google Jobs") but grouped case-insensitively
+   */
+  static normalizeSource(value) {
+    if (typeof value !== 'string') return null;
+    const source = value.trim().toLowerCase().replace(/[^a-z0-9_.-]+/g, '_').slice(0, 50);
+    return source || null;
+  }
+
+  /**
+   * Careers page URL a tracking link redirects to
+   */
+  static buildApplyUrl(link, frontendUrl = process.env.FRONTEND_URL || '') {
+    const params = new URLSearchParams();
+    const utm = link.utm || {};
+
+    params.set('utm_source', utm.source || link.source);
+    if (utm.medium) params.set('utm_medium', utm.medium);
+    if (utm.campaign || link.campaign) params.set('utm_campaign', utm.campaign || link.campaign);
+    if (utm.term) params.set('utm_term', utm.term);
+    if (utm.content) params.set('utm_content', utm.content);
+    params.set('tl', link.code);
+
+    return `${frontendUrl}/jobs/${link.jobId}?${params.toString()}`;
+  }
+
+  /**
+   * Source and attribution for a new application
+   * The tracking link wins over what the browser reports, since UTM
+   * parameters are easily lost between the landing page and the apply form.
+   * Values are cut to the schema limits, since they come from the browser.
+   * @param {Object} input - Request body: { source, utm_*, referrer }
+   * @param {Object|null} link - Resolved TrackingLink
+   * @param {String} referer - Referer header (fallback when the form doesn't send one)
+   * @returns {Object} { source, attribution }
+   */
+  static buildAttribution(input = {}, link = null, referer = null) {
+    const attribution = {};
+
+    for (const [param, field] of Object.entries(UTM_FIELDS)) {
+      const value = clip(input[param], MAX_UTM_LENGTH);
+      if (value) attribution[field] = value;
+    }
+
+    const referrer = clip(input.referrer, MAX_REFERRER_LENGTH) || clip(referer, MAX_REFERRER_LENGTH);
+    if (referrer) attribution.referrer = referrer;
+
+    if (link) {
+      const utm = link.utm || {};
+      attribution.trackingLinkId = link._id;
+      attribution.utmSource = attribution.utmSource || clip(utm.source || link.source, MAX_UTM_LENGTH);
+      attribution.utmMedium = attribution.utmMedium || clip(utm.medium, MAX_UTM_LENGTH);
+      attribution.utmCampaign = attribution.utmCampaign || clip(utm.campaign || link.campaign, MAX_UTM_LENGTH);
+      if (link.campaign) attribution.campaign = clip(link.campaign, MAX_UTM_LENGTH);
+    }
+
+    if (!attribution.campaign && attribution.utmCampaign) {
+      attribution.campaign = attribution.utmCampaign;
+    }
+
+    const source = (link && link.source)
+      || this.normalizeSource(input.source)
+      || this.normalizeSource(attribution.utmSource)
+      || 'company_website';
+
+    return { source, attribution };
+  }
+}
+
+module.exports = TrackingLinkUtils;
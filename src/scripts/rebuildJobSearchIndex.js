@@ -0,0 +1,36 @@
+/**
+ * Migration script to replace the old job text index (title, description, department)
+ * with the weighted search index (title, skills, tags, department, description)
+ * MongoDB allows only one text index per collection, so the old one has to go first.
+ * Usage: node src/scripts/rebuildJobSearchIndex.js
+ */
+
+require('dotenv').config();
+const { connectDB } = require('../config/database');
+const Job = require('../modules/jobs/job.model');
+
+async function rebuildJobSearchIndex() {
+  try {
+    await connectDB();
+    console.log('Database connected');
+
+    const indexes = await Job.collection.indexes();
+    const textIndexes = indexes.filter(index =>
+      index.name !== 'job_search_text' && Object.values(index.key).includes('text')
+    );
+
+    for (const index of textIndexes) {
+      await Job.collection.dropIndex(index.name);
+      console.log(`Dropped text index ${index.name}`);
+    }
+
+    await Job.syncIndexes();
+    console.log('Job search index is up to date');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error rebuilding job search index:', error);
+    process.exit(1);
+  }
+}
+
+rebuildJobSearchIndex();
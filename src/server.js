@@ -22,6 +22,16 @@ const screeningTemplateRoutes = require('./modules/screeningTemplates/screeningT
 const emailTemplateRoutes = require('./modules/events/emailTemplate.route');
 const tenantRoutes = require('./modules/tenant/tenant.route');
 const notificationRoutes = require('./modules/notifications/notification.route');
+const pipelineRoutes = require('./modules/pipelines/pipeline.route');
+const availabilityRoutes = require('./modules/availability/availability.route');
+const schedulingRoutes = require('./modules/scheduling/scheduling.route');
+const outboundEmailRoutes = require('./modules/emails/outboundEmail.route');
+const trackingRoutes = require('./modules/tracking/trackingLink.route');
+const referralRoutes = require('./modules/referrals/referral.route');
+const offerRoutes = require('./modules/offers/offer.route');
+const requisitionRoutes = require('./modules/requisitions/requisition.route');
+const feedRoutes = require('./modules/feeds/feed.route');
+const careersRoutes = require('./modules/careers/careers.route');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -46,7 +56,7 @@ const { initRealtime } = require('./services/realtime');
 // Trust proxy (for rate limiting behind reverse proxy)
 app.set('trust proxy', 1);
 
-// Multi-tenant middleware - detects tenant from subdomain or header
+// Multi-tenant middleware - detects tenant from verified custom domain, subdomain or header
 // Must be early in the middleware stack to attach tenant context to all requests
 // Non-breaking: continues normally if no tenant found
 app.use(tenantFromSubdomain);
@@ -101,6 +111,16 @@ app.use('/api/v1/cv', uploadRateLimit, fileUploadSecurity, cvParsingRoutes);
 app.use('/api/v1/screening-templates', screeningTemplateRoutes);
 app.use('/api/v1/email-templates', emailTemplateRoutes);
 app.use('/api/v1/notifications', notificationRoutes);
+app.use('/api/v1/pipelines', pipelineRoutes);
+app.use('/api/v1/availability', availabilityRoutes);
+app.use('/api/v1/scheduling', schedulingRoutes);
+app.use('/api/v1/emails', outboundEmailRoutes);
+app.use('/api/v1/tracking', trackingRoutes);
+app.use('/api/v1/referrals', referralRoutes);
+app.use('/api/v1/offers', offerRoutes);
+app.use('/api/v1/requisitions', requisitionRoutes);
+app.use('/api/v1/feeds', feedRoutes);
+app.use('/api/v1/careers', careersRoutes);
 app.use('/api/v1', tenantRoutes); // Multi-tenant routes
 
 // Health check endpoint
@@ -127,38 +147,155 @@ app.get('/api/v1/docs', (req, res) => {
         'POST /api/v1/auth/candidate/login': 'Candidate login',
         'POST /api/v1/auth/refresh': 'Refresh token',
         'GET /api/v1/auth/me': 'Get current user',
-        'POST /api/v1/auth/logout': 'Logout',
+        'POST /api/v1/auth/logout': 'Logout (revokes current session)',
+        'POST /api/v1/auth/logout-all': 'Logout of all devices',
+        'GET /api/v1/auth/sessions': 'List active sessions',
+        'DELETE /api/v1/auth/sessions/:id': 'Revoke a session',
         'PUT /api/v1/auth/change-password': 'Change password',
         'POST /api/v1/auth/forgot-password': 'Request password reset',
         'POST /api/v1/auth/reset-password': 'Reset password with token'
       },
       jobs: {
         'GET /api/v1/jobs': 'Get all jobs (public)',
-        'GET /api/v1/jobs/search': 'Search jobs (public)',
-        'GET /api/v1/jobs/:id': 'Get job by ID (public)',
+        'GET /api/v1/jobs/search': 'Search jobs by relevance with department/employment type/experience/location facets (public)',
+        'GET /api/v1/jobs/autocomplete': 'Typo-tolerant job title and skill suggestions (public)',
+        'GET /api/v1/jobs/:id': 'Get job by ID (public, without screening answers and scoring; complete for admins)',
         'POST /api/v1/jobs': 'Create job (admin)',
-        'PUT /api/v1/jobs/:id': 'Update job (admin)',
+        'PUT /api/v1/jobs/:id': 'Update job; changing title, department, location, positions or salary after requisition approval needs a new approval and cancels a scheduled publish; status and scheduling go through publish/unschedule/close, the pipeline goes through PUT /jobs/:id/pipeline and the workflow through step 3 (both migrate applications) (admin)',
         'PUT /api/v1/jobs/:id/step/:step': 'Update job step (admin)',
-        'POST /api/v1/jobs/:id/publish': 'Publish job (admin)',
+        'POST /api/v1/jobs/:id/publish': 'Publish job on job boards (publishedOn, e.g. indeed, rss, google), or schedule it with a future publishAt; needs an approved requisition when the company has requisition approvers, also checked again when a scheduled job goes live (admin)',
+        'POST /api/v1/jobs/:id/unschedule': 'Cancel scheduled publishing (admin)',
         'POST /api/v1/jobs/:id/close': 'Close job (admin)',
         'POST /api/v1/jobs/:id/archive': 'Archive job (admin)',
         'GET /api/v1/jobs/admin/jobs': 'Get admin jobs (admin)',
         'GET /api/v1/jobs/admin/stats': 'Get job stats (admin)',
-        'GET /api/v1/jobs/:id/applications': 'Get job applications (admin)'
+        'GET /api/v1/jobs/:id/applications': 'Get job applications, sortable by CV match score (admin)',
+        'POST /api/v1/jobs/:id/rescore': 'Recompute CV match scores for all applications of the job (admin)',
+        'POST /api/v1/jobs/:id/duplicate': 'Copy a job (content, screening questions, hiring team, evaluation template) into a new draft (admin)',
+        'GET /api/v1/jobs/:id/versions': 'List job versions with who changed what (admin)',
+        'GET /api/v1/jobs/:id/versions/compare': 'Diff two job versions (from, to) (admin)',
+        'GET /api/v1/jobs/:id/versions/:version': 'Get a job version snapshot (admin)',
+        'POST /api/v1/jobs/:id/versions/:version/restore': 'Restore an older job version as a new version (stageMapping when the pipeline differs) (admin)',
+        'PUT /api/v1/jobs/:id/pipeline': 'Assign hiring pipeline to job (admin)'
       },
       applications: {
-        'POST /api/v1/applications/jobs/:jobId/apply': 'Apply for job (candidate)',
+        'POST /api/v1/applications/jobs/:jobId/apply': 'Apply for job (candidate); uploads to file screening questions go in screeningFile_<questionId> fields',
         'GET /api/v1/applications/candidate/applications': 'Get candidate applications (candidate)',
         'GET /api/v1/applications/:id': 'Get application by ID (admin)',
         'PUT /api/v1/applications/:id/status': 'Update application status (admin)',
+        'GET /api/v1/applications/:id/transitions': 'Get allowed next stages (admin)',
         'POST /api/v1/applications/:id/note': 'Add note to application (admin)',
         'PUT /api/v1/applications/bulk/status': 'Bulk update application status (admin)',
         'GET /api/v1/applications/admin/stats': 'Get application stats (admin)',
-        'GET /api/v1/applications/admin/analytics': 'Get application analytics (admin)'
+        'GET /api/v1/applications/admin/analytics': 'Get funnel conversion, time-in-stage and time-to-hire by job, department, source, recruiter and date (admin)',
+        'GET /api/v1/applications/:id/events/suggest-slots': 'Suggest interview slots when all attendees are free (admin)'
+      },
+      pipelines: {
+        'GET /api/v1/pipelines': 'Get hiring pipelines (admin)',
+        'GET /api/v1/pipelines/:id': 'Get pipeline by ID (admin)',
+        'POST /api/v1/pipelines': 'Create pipeline (admin)',
+        'PUT /api/v1/pipelines/:id': 'Update pipeline and migrate applications (admin)',
+        'DELETE /api/v1/pipelines/:id': 'Delete pipeline (admin)'
+      },
+      availability: {
+        'GET /api/v1/availability/me': 'Get own working hours, busy blocks and ICS feeds (admin)',
+        'PUT /api/v1/availability/me': 'Update timezone, working hours and ICS feeds (admin)',
+        'POST /api/v1/availability/me/busy-blocks': 'Add busy block (admin)',
+        'DELETE /api/v1/availability/me/busy-blocks/:blockId': 'Remove busy block (admin)',
+        'GET /api/v1/availability/:adminId/busy': 'Get busy time in a date range (admin)'
+      },
+      scheduling: {
+        'POST /api/v1/scheduling/applications/:applicationId/links': 'Offer interview slots to the candidate (admin)',
+        'GET /api/v1/scheduling/applications/:applicationId/links': 'Get scheduling links for an application (admin)',
+        'DELETE /api/v1/scheduling/links/:linkId': 'Cancel scheduling link (admin)',
+        'GET /api/v1/scheduling/candidate/links': 'Get active scheduling links (candidate)',
+        'GET /api/v1/scheduling/public/:token': 'Open scheduling link (signed link, no auth)',
+        'POST /api/v1/scheduling/public/:token/confirm': 'Pick or reschedule a slot (signed link, no auth)'
+      },
+      emails: {
+        'GET /api/v1/emails/settings': 'Get mail transport and sender settings (tenant admin)',
+        'PUT /api/v1/emails/settings': 'Set mail transport (default, smtp, mailgun), sender and branding (tenant admin; tenant SMTP hosts must be public, Mailgun API base a Mailgun region)',
+        'POST /api/v1/emails/settings/test': 'Send a test email with the saved settings (tenant admin)',
+        'POST /api/v1/emails/settings/preview': 'Preview an email with saved or unsaved branding (tenant admin)',
+        'GET /api/v1/emails': 'Browse sent/failed emails by applicationId, eventId, status or recipient (admin)',
+        'GET /api/v1/emails/:id': 'Get email with its body and delivery history; bodies with one-time links (password reset, offer, scheduling, tracking) are withheld (tenant admin)',
+        'POST /api/v1/emails/:id/resend': 'Queue a copy of an email for delivery, except emails with one-time links (tenant admin)'
+      },
+      tracking: {
+        'POST /api/v1/tracking/links': 'Create a trackable apply link for a job board or campaign (admin)',
+        'GET /api/v1/tracking/links': 'Get tracking links by job, source or status (admin)',
+        'GET /api/v1/tracking/links/:id': 'Get tracking link with click count (admin)',
+        'PUT /api/v1/tracking/links/:id': 'Update or deactivate tracking link (admin)',
+        'GET /api/v1/tracking/report': 'Clicks, applications, interviews and hires per source, campaign and link (admin)',
+        'GET /api/v1/tracking/r/:code': 'Follow tracking link to the job (no auth)'
+      },
+      referrals: {
+        'POST /api/v1/referrals/links': 'Get personal referral link for a job (employee)',
+        'POST /api/v1/referrals': 'Refer a candidate with their CV (employee)',
+        'GET /api/v1/referrals/mine': 'Get own referrals and their current stage (employee)',
+        'GET /api/v1/referrals/leaderboard': 'Top referrers of the tenant by hires, interviews and referrals (employee/admin)',
+        'GET /api/v1/referrals': 'Get referrals by job, referrer or channel (admin)'
+      },
+      offers: {
+        'POST /api/v1/offers/applications/:applicationId': 'Draft an offer with salary, start date, bonus, equity and approvers (admin)',
+        'GET /api/v1/offers/applications/:applicationId': 'Get offers for an application (admin)',
+        'GET /api/v1/offers/approvals/pending': 'Get offers waiting for your approval (admin)',
+        'GET /api/v1/offers/:id': 'Get offer with approval chain and budget check (admin)',
+        'PUT /api/v1/offers/:id': 'Edit draft or rejected offer (admin)',
+        'POST /api/v1/offers/:id/submit': 'Submit offer for approval; over-budget offers need a justification (admin)',
+        'POST /api/v1/offers/:id/approve': 'Approve offer as the current approver (admin)',
+        'POST /api/v1/offers/:id/reject': 'Reject offer as the current approver (admin)',
+        'POST /api/v1/offers/:id/send': 'Email approved offer with its PDF letter to the candidate (admin)',
+        'POST /api/v1/offers/:id/withdraw': 'Withdraw offer (admin)',
+        'GET /api/v1/offers/:id/letter': 'Download offer letter PDF (admin)',
+        'GET /api/v1/offers/templates': 'Get offer letter templates (admin)',
+        'POST /api/v1/offers/templates': 'Create offer letter template with {{placeholders}} (admin)',
+        'PUT /api/v1/offers/templates/:templateId': 'Update offer letter template (admin)',
+        'DELETE /api/v1/offers/templates/:templateId': 'Delete offer letter template (admin)',
+        'GET /api/v1/offers/public/:token': 'Open offer (signed link, no auth)',
+        'GET /api/v1/offers/public/:token/letter': 'Download offer letter PDF (signed link, no auth)',
+        'POST /api/v1/offers/public/:token/accept': 'Accept offer (signed link, no auth)',
+        'POST /api/v1/offers/public/:token/decline': 'Decline offer with optional reason (signed link, no auth)'
+      },
+      requisitions: {
+        'GET /api/v1/requisitions/settings': 'Get requisition approver chain (admin)',
+        'PUT /api/v1/requisitions/settings': 'Set requisition approvers in order, e.g. finance then HR (tenant admin)',
+        'GET /api/v1/requisitions/pending': 'Get requisitions waiting for your approval (admin)',
+        'GET /api/v1/requisitions/jobs/:jobId': 'Get job requisition with approvals and audit trail (admin)',
+        'POST /api/v1/requisitions/jobs/:jobId/submit': 'Submit job for requisition approval (job creator)',
+        'POST /api/v1/requisitions/jobs/:jobId/withdraw': 'Withdraw pending requisition to edit the job (job creator)',
+        'POST /api/v1/requisitions/jobs/:jobId/approve': 'Approve requisition as the current approver (admin)',
+        'POST /api/v1/requisitions/jobs/:jobId/reject': 'Reject requisition with a comment as the current approver (admin)'
+      },
+      feeds: {
+        'GET /api/v1/feeds/indeed.xml': 'Indeed XML feed of jobs published on "indeed" (company host, no auth)',
+        'GET /api/v1/feeds/rss.xml': 'RSS feed of jobs published on "rss" (company host, no auth)',
+        'GET /api/v1/feeds/atom.xml': 'Atom feed of jobs published on "rss" (company host, no auth)',
+        'GET /api/v1/feeds/jobs.jsonld': 'schema.org JobPosting JSON-LD of jobs published on "google" (company host, no auth)'
+      },
+      careers: {
+        'GET /api/v1/careers': 'Careers site: company branding, about text and open job count (company host, no auth, ETag)',
+        'GET /api/v1/careers/departments': 'Departments with open jobs (company host, no auth, ETag)',
+        'GET /api/v1/careers/locations': 'Locations with open jobs and remote job count (company host, no auth, ETag)',
+        'GET /api/v1/careers/jobs': 'Open jobs, filter by department, city, country, remote (company host, no auth, ETag)',
+        'GET /api/v1/careers/jobs/:id': 'Job page with schema.org JobPosting structured data (company host, no auth, ETag)',
+        'GET /api/v1/careers/sitemap.xml': 'Sitemap of the careers site (company host, no auth)',
+        'GET /api/v1/careers/settings': 'Get careers site content (tenant admin)',
+        'PUT /api/v1/careers/settings': 'Update careers site headline, about text, images and URLs (tenant admin)'
+      },
+      tenantDomains: {
+        'GET /api/v1/tenant/domains': 'List custom domains with their TXT verification records (tenant admin)',
+        'POST /api/v1/tenant/domains': 'Add a custom domain such as careers.example.com (tenant admin)',
+        'POST /api/v1/tenant/domains/:hostname/verify': 'Check the TXT record; verified domains serve the company like its subdomain (tenant admin)',
+        'DELETE /api/v1/tenant/domains/:hostname': 'Remove a custom domain (tenant admin)'
+      },
+      candidates: {
+        'GET /api/v1/candidates/admin/talent-search': 'Search applicants and candidates by skills (AND/OR/NOT), experience, education, location and applied jobs (admin)'
       },
       guestApplications: {
-        'POST /api/v1/guest/jobs/:jobId/apply/guest': 'Apply for job as guest (no auth)',
+        'POST /api/v1/guest/jobs/:jobId/apply/guest': 'Apply for job as guest, with optional utm_*, referrer and trackingCode (no auth); file screening questions as screeningFile_<questionId> fields',
         'GET /api/v1/guest/track/:trackingToken': 'Track guest application by token (no auth)',
+        'GET /api/v1/guest/track/:trackingToken/scheduling-links': 'Get interview scheduling links by token (no auth)',
         'GET /api/v1/guest/applications/:email': 'Get guest applications by email (no auth)',
         'POST /api/v1/guest/convert-to-user': 'Convert guest application to user account (no auth)'
       },
@@ -217,6 +354,13 @@ const startServer = async () => {
     // init realtime
     initRealtime(server, config.security.corsOrigin);
 
+    // Interview reminders, the email outbox and job publishing/closing (safe to run on every instance)
+    if (config.nodeEnv !== 'test') {
+      require('./services/reminderService').start();
+      require('./services/emailQueueService').start();
+      require('./services/jobLifecycleService').start();
+    }
+
     server.listen(PORT, () => {
       logger.info(`Server running on port ${PORT} in ${config.nodeEnv} mode`);
       logger.info(`Health check: http://localhost:${PORT}/api/v1/health`);
@@ -0,0 +1,108 @@
+const CalendarProvider = require('./calendarProvider');
+const config = require('../../config');
+
+// Escape special characters for ICS format
+const escapeICS = (str) => {
+  return String(str || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+};
+
+const formatDate = (date) => {
+  return date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+};
+
+/**
+ * CalDAV Provider
+ * Stores each calendar entry as an .ics resource in a CalDAV collection
+ * (CALDAV_URL, CALDAV_USERNAME, CALDAV_PASSWORD).
+ */
+class CalDAVProvider extends CalendarProvider {
+  constructor(options = {}) {
+    super('caldav');
+    const defaults = config.calendar.caldav;
+    this.url = (options.url || defaults.url || '').replace(/\/+$/, '');
+    this.username = options.username || defaults.username;
+    this.password = options.password || defaults.password;
+  }
+
+  isConfigured() {
+    return !!this.url;
+  }
+
+  resourceUrl(uid) {
+    return `${this.url}/${encodeURIComponent(uid)}.ics`;
+  }
+
+  buildICS(entry, status = 'CONFIRMED') {
+    const attendeeList = (entry.attendees || []).map(attendee =>
+      `ATTENDEE;CN="${escapeICS(attendee.name || attendee.email)}";RSVP=TRUE:mailto:${attendee.email}`
+    );
+
+    return [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Recruitment System//Event Calendar//EN',
+      'CALSCALE:GREGORIAN',
+      'BEGIN:VEVENT',
+      `UID:${entry.uid}@recruitment-system`,
+      `DTSTAMP:${formatDate(new Date())}`,
+      `DTSTART:${formatDate(entry.start)}`,
+      `DTEND:${formatDate(entry.end)}`,
+      `SUMMARY:${escapeICS(entry.title)}`,
+      `DESCRIPTION:${escapeICS(entry.description || '')}`,
+      `LOCATION:${escapeICS(entry.location || 'TBD')}`,
+      ...attendeeList,
+      `STATUS:${status}`,
+      `SEQUENCE:${entry.sequence || 0}`,
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+  }
+
+  async request(method, url, body = null, extraHeaders = {}) {
+    const headers = { ...extraHeaders };
+
+    if (this.username) {
+      headers.Authorization = `Basic ${Buffer.from(`${this.username}:${this.password || ''}`).toString('base64')}`;
+    }
+
+    if (body) {
+      headers['Content-Type'] = 'text/calendar; charset=utf-8';
+    }
+
+    return fetch(url, { method, headers, body: body || undefined });
+  }
+
+  async createEvent(entry) {
+    const url = this.resourceUrl(entry.uid);
+    const response = await this.request('PUT', url, this.buildICS(entry), { 'If-None-Match': '*' });
+
+    if (!response.ok) {
+      throw new Error(`CalDAV create failed (${response.status})`);
+    }
+
+    return url;
+  }
+
+  async updateEvent(externalId, entry) {
+    const response = await this.request('PUT', externalId, this.buildICS(entry));
+
+    if (!response.ok) {
+      throw new Error(`CalDAV update failed (${response.status})`);
+    }
+
+    return externalId;
+  }
+
+  async cancelEvent(externalId) {
+    const response = await this.request('DELETE', externalId);
+
+    // Already removed from the collection
+    if (!response.ok && response.status !== 404 && response.status !== 410) {
+      throw new Error(`CalDAV cancel failed (${response.status})`);
+    }
+
+    return true;
+  }
+}
+
+module.exports = CalDAVProvider;
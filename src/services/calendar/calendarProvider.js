@@ -0,0 +1,45 @@
+/**
+ * Calendar Provider
+ * Base interface for external calendar integrations.
+ *
+ * Providers receive a normalized calendar entry:
+ * {
+ *   uid,          // stable unique id for this calendar copy
+ *   title,
+ *   description,
+ *   location,
+ *   start,        // Date
+ *   end,          // Date
+ *   attendees,    // [{ email, name }]
+ *   sequence      // incremented on every update
+ * }
+ *
+ * createEvent resolves to the provider's id for the entry, which is passed
+ * back to updateEvent/cancelEvent.
+ */
+class CalendarProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether credentials are present
+   */
+  isConfigured() {
+    return false;
+  }
+
+  async createEvent(entry) {
+    throw new Error(`${this.name} provider does not implement createEvent`);
+  }
+
+  async updateEvent(externalId, entry) {
+    throw new Error(`${this.name} provider does not implement updateEvent`);
+  }
+
+  async cancelEvent(externalId, entry) {
+    throw new Error(`${this.name} provider does not implement cancelEvent`);
+  }
+}
+
+module.exports = CalendarProvider;
@@ -0,0 +1,127 @@
+const CalendarProvider = require('./calendarProvider');
+const config = require('../../config');
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const API_BASE = 'https://www.googleapis.com/calendar/v3';
+
+/**
+ * Google Calendar Provider
+ * Uses the Calendar REST API with an OAuth2 refresh token
+ * (GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REFRESH_TOKEN).
+ */
+class GoogleCalendarProvider extends CalendarProvider {
+  constructor(options = {}) {
+    super('google');
+    const defaults = config.calendar.google;
+    this.calendarId = options.calendarId || defaults.calendarId;
+    this.clientId = options.clientId || defaults.clientId;
+    this.clientSecret = options.clientSecret || defaults.clientSecret;
+    this.refreshToken = options.refreshToken || defaults.refreshToken;
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  isConfigured() {
+    return !!(this.clientId && this.clientSecret && this.refreshToken);
+  }
+
+  async getAccessToken() {
+    // Reuse the token until a minute before it expires
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt - 60000) {
+      return this.accessToken;
+    }
+
+    const response = await fetch(TOKEN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        refresh_token: this.refreshToken,
+        grant_type: 'refresh_token'
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Google token request failed (${response.status})`);
+    }
+
+    const data = await response.json();
+    this.accessToken = data.access_token;
+    this.accessTokenExpiresAt = Date.now() + (data.expires_in || 3600) * 1000;
+
+    return this.accessToken;
+  }
+
+  async request(method, path, body = null) {
+    const token = await this.getAccessToken();
+    const response = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    return response;
+  }
+
+  toGoogleEvent(entry) {
+    return {
+      summary: entry.title,
+      description: entry.description || '',
+      location: entry.location || '',
+      start: { dateTime: entry.start.toISOString() },
+      end: { dateTime: entry.end.toISOString() },
+      attendees: (entry.attendees || []).map(attendee => ({
+        email: attendee.email,
+        displayName: attendee.name
+      })),
+      guestsCanSeeOtherGuests: (entry.attendees || []).length > 1,
+      iCalUID: `${entry.uid}@recruitment-system`
+    };
+  }
+
+  eventsPath(eventId = null) {
+    const base = `/calendars/${encodeURIComponent(this.calendarId)}/events`;
+    return eventId ? `${base}/${encodeURIComponent(eventId)}` : base;
+  }
+
+  async createEvent(entry) {
+    const response = await this.request('POST', `${this.eventsPath()}?sendUpdates=all`, this.toGoogleEvent(entry));
+
+    if (!response.ok) {
+      throw new Error(`Google Calendar create failed (${response.status})`);
+    }
+
+    const data = await response.json();
+    return data.id;
+  }
+
+  async updateEvent(externalId, entry) {
+    const googleEvent = this.toGoogleEvent(entry);
+    delete googleEvent.iCalUID; // cannot be changed once created
+
+    const response = await this.request('PATCH', `${this.eventsPath(externalId)}?sendUpdates=all`, googleEvent);
+
+    if (!response.ok) {
+      throw new Error(`Google Calendar update failed (${response.status})`);
+    }
+
+    return externalId;
+  }
+
+  async cancelEvent(externalId) {
+    const response = await this.request('DELETE', `${this.eventsPath(externalId)}?sendUpdates=all`);
+
+    // Already gone on Google's side
+    if (!response.ok && response.status !== 404 && response.status !== 410) {
+      throw new Error(`Google Calendar cancel failed (${response.status})`);
+    }
+
+    return true;
+  }
+}
+
+module.exports = GoogleCalendarProvider;
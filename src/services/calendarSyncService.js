@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const config = require('../config');
+const Event = require('../modules/application/event.model');
+const GoogleCalendarProvider = require('./calendar/googleCalendarProvider');
+const CalDAVProvider = require('./calendar/caldavProvider');
+
+/**
+ * Calendar Sync Service
+ * Mirrors interview events to an external calendar (Google Calendar or CalDAV).
+ *
+ * Privacy: when an event has privacyEnabled, the organizer gets one copy
+ * listing every attendee in the description, and each attendee gets their
+ * own copy where they are the only guest. Otherwise one shared copy is
+ * created with all attendees.
+ */
+class CalendarSyncService {
+  constructor() {
+    this.provider = undefined;
+  }
+
+  /**
+   * Get the configured provider, or null when calendar sync is disabled
+   */
+  getProvider() {
+    if (this.provider !== undefined) {
+      return this.provider;
+    }
+
+    let provider = null;
+    switch (config.calendar.provider) {
+      case 'google':
+        provider = new GoogleCalendarProvider();
+        break;
+      case 'caldav':
+        provider = new CalDAVProvider();
+        break;
+      default:
+        provider = null;
+    }
+
+    if (provider && !provider.isConfigured()) {
+      console.warn(`⚠️ CALENDAR_PROVIDER is ${config.calendar.provider} but credentials are missing — calendar sync disabled.`);
+      provider = null;
+    }
+
+    this.provider = provider;
+    return this.provider;
+  }
+
+  /**
+   * Override the provider (custom integrations, tests)
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Start/end Date objects for an event (date + HH:mm times)
+   */
+  getEventTimes(event) {
+    const day = new Date(event.date).toISOString().split('T')[0];
+    return {
+      start: new Date(`${day}T${event.startTime}`),
+      end: new Date(`${day}T${event.endTime}`)
+    };
+  }
+
+  /**
+   * Build the calendar copies an event should have, keyed by
+   * 'organizer', 'shared' or attendee email
+   */
+  buildEntries(event) {
+    const { start, end } = this.getEventTimes(event);
+    const attendees = (event.attendees || []).map(attendee => ({
+      email: attendee.email,
+      name: attendee.name
+    }));
+
+    const descriptionParts = [event.notes, event.meetingLink ? `Meeting link: ${event.meetingLink}` : null]
+      .filter(Boolean);
+
+    const base = {
+      title: event.title,
+      location: event.location,
+      start,
+      end,
+      sequence: event.calendarSync?.sequence || 0
+    };
+
+    const entries = {};
+
+    if (event.privacyEnabled && attendees.length > 0) {
+      entries.organizer = {
+        ...base,
+        uid: `${event._id}-organizer`,
+        description: [
+          ...descriptionParts,
+          `Attendees: ${attendees.map(attendee => attendee.name || attendee.email).join(', ')}`
+        ].join('\n'),
+        attendees: []
+      };
+
+      attendees.forEach(attendee => {
+        const key = attendee.email.toLowerCase();
+        const hash = crypto.createHash('sha1').update(key).digest('hex').substring(0, 12);
+        entries[key] = {
+          ...base,
+          uid: `${event._id}-${hash}`,
+          description: descriptionParts.join('\n'),
+          attendees: [attendee]
+        };
+      });
+    } else {
+      entries.shared = {
+        ...base,
+        uid: `${event._id}-shared`,
+        description: descriptionParts.join('\n'),
+        attendees
+      };
+    }
+
+    return entries;
+  }
+
+  /**
+   * Create/update/cancel external copies so they match the event
+   */
+  async syncEvent(event) {
+    const provider = this.getProvider();
+    if (!provider) return null;
+
+    const previous = event.calendarSync || {};
+    const existingEntries = previous.provider === provider.name ? (previous.entries || []) : [];
+
+    if (event.status === 'cancelled') {
+      return this.cancelEntries(event, provider, existingEntries);
+    }
+
+    const sequence = existingEntries.length > 0 ? (previous.sequence || 0) + 1 : 0;
+    const eventData = event.toObject ? event.toObject() : event;
+    const desired = this.buildEntries({ ...eventData, _id: event._id, calendarSync: { sequence } });
+    const errors = [];
+    const entries = [];
+
+    for (const [key, entry] of Object.entries(desired)) {
+      const existing = existingEntries.find(e => e.key === key);
+      try {
+        const externalId = existing
+          ? await provider.updateEvent(existing.externalId, entry)
+          : await provider.createEvent(entry);
+        entries.push({ key, externalId });
+      } catch (error) {
+        errors.push(`${key}: ${error.message}`);
+        // Keep the reference so the next sync retries the update
+        if (existing) entries.push(existing);
+      }
+    }
+
+    // Attendees that were removed (or privacy was toggled)
+    for (const existing of existingEntries) {
+      if (desired[existing.key]) continue;
+      try {
+        await provider.cancelEvent(existing.externalId);
+      } catch (error) {
+        errors.push(`${existing.key}: ${error.message}`);
+      }
+    }
+
+    const primary = entries.find(e => e.key === 'organizer' || e.key === 'shared');
+
+    return this.saveSyncState(event, {
+      provider: provider.name,
+      status: errors.length > 0 ? 'failed' : 'synced',
+      sequence,
+      entries,
+      lastSyncedAt: new Date(),
+      lastError: errors.length > 0 ? errors.join('; ') : undefined
+    }, provider.name === 'google' && primary ? primary.externalId : event.googleCalendarEventId);
+  }
+
+  /**
+   * Cancel every external copy of an event
+   */
+  async cancelEntries(event, provider, entries, persist = true) {
+    const errors = [];
+
+    for (const entry of entries) {
+      try {
+        await provider.cancelEvent(entry.externalId);
+      } catch (error) {
+        errors.push(`${entry.key}: ${error.message}`);
+      }
+    }
+
+    if (!persist) {
+      return { cancelled: entries.length, errors };
+    }
+
+    return this.saveSyncState(event, {
+      provider: provider.name,
+      status: errors.length > 0 ? 'failed' : 'cancelled',
+      sequence: (event.calendarSync?.sequence || 0) + 1,
+      entries: errors.length > 0 ? entries : [],
+      lastSyncedAt: new Date(),
+      lastError: errors.length > 0 ? errors.join('; ') : undefined
+    }, event.googleCalendarEventId);
+  }
+
+  async saveSyncState(event, calendarSync, googleCalendarEventId) {
+    await Event.updateOne(
+      { _id: event._id },
+      { $set: { calendarSync, googleCalendarEventId } }
+    );
+
+    event.calendarSync = calendarSync;
+    event.googleCalendarEventId = googleCalendarEventId;
+
+    if (calendarSync.lastError) {
+      console.error(`Calendar sync failed for event ${event._id}:`, calendarSync.lastError);
+    }
+
+    return calendarSync;
+  }
+
+  /**
+   * Mirror a newly created event
+   */
+  async syncEventCreated(event) {
+    return this.syncEvent(event);
+  }
+
+  /**
+   * Mirror changes to an event (reschedule, attendees, privacy, cancellation)
+   */
+  async syncEventUpdated(event) {
+    return this.syncEvent(event);
+  }
+
+  /**
+   * Remove the external copies of a deleted event
+   */
+  async syncEventDeleted(event) {
+    const provider = this.getProvider();
+    if (!provider) return null;
+
+    const previous = event.calendarSync || {};
+    if (previous.provider !== provider.name || !previous.entries || previous.entries.length === 0) {
+      return null;
+    }
+
+    return this.cancelEntries(event, provider, previous.entries, false);
+  }
+}
+
+module.exports = new CalendarSyncService();
@@ -261,6 +261,7 @@ class CVParsingService {
       email: this._extractEmail(cleanedText),
       phone: this._extractPhone(cleanedText),
       linkedinUrl: this._extractLinkedIn(cleanedText),
+      location: this._extractLocation(lines),
       totalExperience: this._extractExperience(lines, cleanedText),
       skills: this._extractSkills(lines, cleanedText),
       education: this._extractEducation(lines),
@@ -337,6 +338,20 @@ class CVParsingService {
     return match ? match[0] : '';
   }
 
+  _extractLocation(lines) {
+    // Only labelled lines in the header ("Location: Berlin, Germany")
+    const labelled = /^(?:location|address|based in|city)\s*[:\-]?\s*(.+)$/i;
+
+    for (const line of lines.slice(0, 15)) {
+      const match = line.match(labelled);
+      if (match && match[1].length <= 100) {
+        return match[1].trim();
+      }
+    }
+
+    return '';
+  }
+
   // ==========================================================================
   // PROFESSIONAL INFORMATION
   // ==========================================================================
@@ -514,6 +529,7 @@ class CVParsingService {
       }
     }
     if (cleaned.summary) cleaned.summary = this._cleanText(cleaned.summary);
+    if (cleaned.location) cleaned.location = this._cleanText(cleaned.location);
 
     // Clean phone
     if (cleaned.phone) {
@@ -573,6 +589,7 @@ class CVParsingService {
       email: '',
       phone: '',
       linkedinUrl: '',
+      location: '',
       totalExperience: 0,
       skills: [],
       education: [],
@@ -0,0 +1,266 @@
+const os = require('os');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const config = require('../config');
+const OutboundEmail = require('../modules/emails/outboundEmail.model');
+
+const THROTTLE_WINDOW_MS = 60 * 1000;
+
+/**
+ * Email Queue Service
+ * Delivers the persisted outbox (OutboundEmail) with retries.
+ *
+ * - Workers claim one message at a time with an atomic update and a lease
+ *   (lockedUntil), so several instances can poll the same collection.
+ *   A lease that expires mid-delivery (crashed worker) is picked up again,
+ *   which means delivery is at-least-once.
+ * - Failed deliveries back off exponentially and move to 'dead' after maxAttempts.
+ * - Each tenant is limited to tenantRatePerMinute deliveries per minute.
+ */
+class EmailQueueService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.kickScheduled = false;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * The outbox needs a database connection; without one EmailService delivers inline
+   */
+  isAvailable() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Fill in tenantId/applicationId from the event or application the email belongs to
+   */
+  async resolveContext(options) {
+    let { tenantId, applicationId, eventId } = options;
+
+    if (!applicationId && eventId) {
+      const Event = require('../modules/application/event.model');
+      const event = await Event.findById(eventId).select('applicationId');
+      applicationId = event?.applicationId;
+    }
+
+    if (!tenantId && applicationId) {
+      const Application = require('../modules/application/application.model');
+      const application = await Application.findById(applicationId).populate('jobId', 'tenantId');
+      tenantId = application?.jobId?.tenantId;
+    }
+
+    return { tenantId, applicationId, eventId };
+  }
+
+  /**
+   * Persist a message and wake the worker
+   * @param {Object} message - { to, subject, html, text, attachments }
+   * @param {Object} options - { tenantId, applicationId, eventId, category, requestedBy, resendOf, sendAt }
+   */
+  async enqueue(message, options = {}) {
+    const context = await this.resolveContext(options);
+
+    const email = await OutboundEmail.create({
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      attachments: message.attachments || [],
+      category: options.category || 'general',
+      requestedBy: options.requestedBy,
+      resendOf: options.resendOf,
+      maxAttempts: config.mail.queue.maxAttempts,
+      nextAttemptAt: options.sendAt,
+      ...context
+    });
+
+    this.kick();
+    return email;
+  }
+
+  /**
+   * Process the queue soon without waiting for the next poll
+   * (only where the worker was started, so tests and scripts stay in control)
+   */
+  kick() {
+    if (!this.timer || this.kickScheduled) return;
+    this.kickScheduled = true;
+
+    setImmediate(() => {
+      this.kickScheduled = false;
+      this.processDue().catch(err => console.error('Email queue run failed:', err));
+    });
+  }
+
+  start() {
+    if (this.timer || !config.mail.queue.enabled) return;
+
+    this.timer = setInterval(() => {
+      this.processDue().catch(err => console.error('Email queue run failed:', err));
+    }, config.mail.queue.pollIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Delay before the next attempt: base * 2^(attempts - 1), capped
+   */
+  getBackoffMs(attempts) {
+    const { backoffBaseMs, backoffMaxMs } = config.mail.queue;
+    return Math.min(backoffBaseMs * Math.pow(2, Math.max(0, attempts - 1)), backoffMaxMs);
+  }
+
+  /**
+   * Atomically claim the next due message
+   */
+  async claimNext(now, throttledTenants) {
+    const filter = {
+      $or: [
+        { status: { $in: ['queued', 'failed'] }, nextAttemptAt: { $lte: new Date(now) } },
+        // Lease expired while sending (worker crashed)
+        { status: 'sending', lockedUntil: { $lt: new Date(now) } }
+      ]
+    };
+
+    if (throttledTenants.length > 0) {
+      filter.tenantId = { $nin: throttledTenants };
+    }
+
+    return OutboundEmail.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          status: 'sending',
+          lockedUntil: new Date(now + config.mail.queue.lockMs),
+          lockedBy: this.workerId
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Whether the tenant already used its per-minute budget (the claimed message included)
+   */
+  async isThrottled(email, now) {
+    const tenantId = email.tenantId || null;
+    const recent = await OutboundEmail.countDocuments({
+      tenantId,
+      _id: { $ne: email._id },
+      $or: [
+        { status: 'sent', sentAt: { $gte: new Date(now - THROTTLE_WINDOW_MS) } },
+        { status: 'sending', lockedUntil: { $gte: new Date(now) } }
+      ]
+    });
+
+    return recent >= config.mail.queue.tenantRatePerMinute;
+  }
+
+  /**
+   * Give a claimed message back without counting the attempt
+   */
+  async release(email, now) {
+    await OutboundEmail.updateOne(
+      { _id: email._id, lockedBy: this.workerId },
+      {
+        $set: {
+          status: email.attempts > 1 ? 'failed' : 'queued',
+          nextAttemptAt: new Date(now + THROTTLE_WINDOW_MS),
+          lockedUntil: null
+        },
+        $inc: { attempts: -1 }
+      }
+    );
+  }
+
+  /**
+   * Deliver one claimed message and record the outcome
+   */
+  async deliver(email) {
+    const EmailService = require('./emailService');
+
+    try {
+      const result = await EmailService.deliver({
+        to: email.to,
+        subject: email.subject,
+        html: email.html,
+        text: email.text,
+        attachments: email.attachments,
+        tenantId: email.tenantId
+      });
+
+      await OutboundEmail.updateOne(
+        { _id: email._id, lockedBy: this.workerId },
+        {
+          $set: {
+            status: 'sent',
+            sentAt: new Date(),
+            providerMessageId: result?.messageId,
+            lockedUntil: null
+          },
+          $unset: { lastError: 1 }
+        }
+      );
+      return 'sent';
+    } catch (error) {
+      const dead = email.attempts >= email.maxAttempts;
+
+      await OutboundEmail.updateOne(
+        { _id: email._id, lockedBy: this.workerId },
+        {
+          $set: {
+            status: dead ? 'dead' : 'failed',
+            lastError: error.message,
+            nextAttemptAt: new Date(Date.now() + this.getBackoffMs(email.attempts)),
+            lockedUntil: null
+          }
+        }
+      );
+
+      console.error(`Email ${email._id} to ${email.to} failed (attempt ${email.attempts}/${email.maxAttempts}):`, error.message);
+      return dead ? 'dead' : 'failed';
+    }
+  }
+
+  /**
+   * Deliver up to batchSize due messages
+   * @returns {Object} Counts by outcome
+   */
+  async processDue(now = Date.now()) {
+    const summary = { sent: 0, failed: 0, dead: 0, throttled: 0 };
+    if (this.running || !this.isAvailable()) return summary;
+    this.running = true;
+
+    try {
+      const throttledTenants = [];
+
+      for (let i = 0; i < config.mail.queue.batchSize; i++) {
+        const email = await this.claimNext(now, throttledTenants);
+        if (!email) break;
+
+        if (await this.isThrottled(email, now)) {
+          await this.release(email, now);
+          throttledTenants.push(email.tenantId || null);
+          summary.throttled++;
+          continue;
+        }
+
+        summary[await this.deliver(email)]++;
+      }
+
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new EmailQueueService();
@@ -1,80 +1,201 @@
 const dotenv = require('dotenv');
-const formData = require('form-data');
-const Mailgun = require('mailgun.js');
+const config = require('../config');
+const SmtpTransport = require('./mail/smtpTransport');
+const MailgunTransport = require('./mail/mailgunTransport');
+const FileTransport = require('./mail/fileTransport');
+const ConsoleTransport = require('./mail/consoleTransport');
 dotenv.config();
 
+const DEFAULT_LAYOUT = `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    {{header}}
+    {{content}}
+    {{footer}}
+  </div>
+`;
+
+const escapeHtml = (value) => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 class EmailService {
   constructor() {
-    this.mailgunClient = null;
-    this.initializeMailgun();
+    this.transport = undefined;
+    // tenantId -> { version, transport } for tenants with their own transport
+    this.tenantTransports = new Map();
   }
 
-  initializeMailgun() {
-    const driver = (process.env.MAIL_DRIVER || '').toLowerCase();
-  
-    if (driver !== 'mailgun') {
-      console.warn('⚠️ MAIL_DRIVER is not set to mailgun — emails will log to console only.');
-      return;
+  /**
+   * Build a transport for a driver (smtp | mailgun | file | console)
+   * @param {Object} options - Driver settings (never mixed with the platform's, so
+   *   a tenant transport can't pick up platform credentials)
+   */
+  createTransport(driver, options = {}) {
+    switch (driver) {
+      case 'smtp':
+        return new SmtpTransport(options);
+      case 'mailgun':
+        return new MailgunTransport(options);
+      case 'file':
+        return new FileTransport(options);
+      default:
+        return new ConsoleTransport();
     }
-  
-    if (!process.env.MAILGUN_SECRET || !process.env.MAILGUN_DOMAIN) {
-      console.warn('⚠️ Mailgun credentials not found — emails will log to console only.');
-      return;
+  }
+
+  /**
+   * Platform transport from MAIL_DRIVER (console when not configured)
+   */
+  getTransport() {
+    if (this.transport !== undefined) {
+      return this.transport;
     }
-  
-    const mg = new Mailgun(formData);
-    this.mailgunClient = mg.client({
-      username: 'api',
-      key: process.env.MAILGUN_SECRET,
-      url: process.env.MAILGUN_API_BASE
-    });
-  
-    console.log('✅ Mailgun API initialized');
+
+    const { smtp, mailgun, file } = config.mail;
+    const platformOptions = {
+      smtp,
+      mailgun: { domain: mailgun.domain, apiKey: mailgun.secret, apiBase: mailgun.apiBase },
+      file
+    };
+
+    let transport = this.createTransport(config.mail.driver, platformOptions[config.mail.driver]);
+    if (!transport.isConfigured()) {
+      console.warn(`⚠️ MAIL_DRIVER is ${config.mail.driver} but its settings are missing — emails will log to console only.`);
+      transport = new ConsoleTransport();
+    } else if (transport.name === 'console') {
+      console.warn('⚠️ MAIL_DRIVER is not set to smtp, mailgun or file — emails will log to console only.');
+    }
+
+    this.transport = transport;
+    return this.transport;
+  }
+
+  /**
+   * Override the platform transport (custom integrations, tests)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+    this.tenantTransports.clear();
+  }
+
+  getDefaultSender() {
+    return {
+      name: process.env.MAIL_FROM_NAME || 'Notifications',
+      address: process.env.SMTP_FROM || process.env.MAIL_FROM_ADDRESS || process.env.MAIL_FROM
+    };
+  }
+
+  /**
+   * Transport and sender for a tenant, from its mail settings when it has any
+   * @returns {Object} { transport, from, replyTo }
+   */
+  async resolveDelivery(tenantId) {
+    const MailSettingsService = require('../modules/emails/mailSettings.service');
+    const settings = await MailSettingsService.getDeliverySettings(tenantId);
+    const defaultSender = this.getDefaultSender();
+
+    if (!settings) {
+      return { transport: this.getTransport(), from: defaultSender };
+    }
+
+    const from = {
+      name: settings.fromName || settings.branding?.companyName || defaultSender.name,
+      address: settings.fromAddress || defaultSender.address
+    };
+
+    if (settings.driver === 'default') {
+      return { transport: this.getTransport(), from, replyTo: settings.replyTo };
+    }
+
+    // Rebuild the tenant's transport whenever its settings change
+    const key = String(settings.tenantId || null);
+    const version = new Date(settings.updatedAt).getTime();
+    let cached = this.tenantTransports.get(key);
+
+    if (!cached || cached.version !== version) {
+      if (cached?.transport.close) cached.transport.close();
+      // Servers a tenant configures must be public (the platform's may be internal)
+      const options = { ...(settings[settings.driver] || {}), publicOnly: !!settings.tenantId };
+      cached = { version, transport: this.createTransport(settings.driver, options) };
+      this.tenantTransports.set(key, cached);
+    }
+
+    return { transport: cached.transport, from, replyTo: settings.replyTo };
   }
-  
 
-  async sendEmail(to, subject, html, text = null) {
+  /**
+   * Queue an email for delivery (see services/emailQueueService).
+   * Delivers inline when no database connection is available (scripts).
+   * @param {Object} options - { tenantId, applicationId, eventId, category, requestedBy, sendAt }
+   */
+  async sendEmail(to, subject, html, text = null, options = {}) {
     try {
-      const companyName = process.env.COMPANY_NAME;
-      const platformUrl = process.env.FRONTEND_URL;
-      const finalHtml = this.buildEmailHtml(html, companyName, platformUrl);
-      const from = process.env.SMTP_FROM || process.env.MAIL_FROM_ADDRESS || process.env.MAIL_FROM;
-
-      // MAILGUN via API
-      if ((process.env.MAIL_DRIVER || '').toLowerCase() === 'mailgun' && this.mailgunClient) {
-        if (!process.env.MAILGUN_DOMAIN) {
-          console.log('Mailgun domain not set, falling back to console log');
-        } else {
-          const result = await this.mailgunClient.messages.create(process.env.MAILGUN_DOMAIN, {
-            from: `${process.env.MAIL_FROM_NAME} <${from}>`,
-            to: Array.isArray(to) ? to : [to],
-            subject,
-            html: finalHtml,
-            text: text || this.stripHtml(finalHtml),
-          });
-          console.log('Mailgun email sent:', result?.id || 'ok');
-          return { success: true, messageId: result?.id || 'mailgun' };
-        }
-      }
-
-      console.log('📧 EMAIL LOG (Mailgun not configured)');
-console.log('To:', to);
-console.log('Subject:', subject);
-console.log('Message:', text || this.stripHtml(finalHtml));
-console.log('---');
-return { success: true, messageId: 'console-log' };
+      return await this.dispatch({ to, subject, html, text }, options);
     } catch (error) {
       console.error('Failed to send email:', error);
       return { success: false, error: error.message };
     }
   }
 
+  /**
+   * Apply the tenant's layout, then store one outbox row per recipient
+   * (or deliver inline without a database)
+   */
+  async dispatch(message, options = {}) {
+    const EmailQueueService = require('./emailQueueService');
+    const MailSettingsService = require('../modules/emails/mailSettings.service');
+    const queueAvailable = EmailQueueService.isAvailable();
+
+    // The tenant may only be known through the application or event
+    const context = queueAvailable ? await EmailQueueService.resolveContext(options) : { tenantId: options.tenantId };
+    const html = this.buildEmailHtml(message.html, await MailSettingsService.getBranding(context.tenantId));
+    const rendered = { ...message, html, text: message.text || this.stripHtml(html) };
+
+    if (!queueAvailable) {
+      const result = await this.deliver({ ...rendered, tenantId: context.tenantId });
+      return { success: true, messageId: result.messageId };
+    }
+
+    const recipients = Array.isArray(message.to) ? message.to : [message.to];
+    const queued = [];
+    for (const recipient of recipients) {
+      queued.push(await EmailQueueService.enqueue({ ...rendered, to: recipient }, { ...options, ...context }));
+    }
+
+    return { success: true, queued: true, messageId: queued.map(email => String(email._id)).join(',') };
+  }
+
+  /**
+   * Hand a message to the tenant's mail transport. Throws when delivery fails.
+   * @param {Object} message - { to, subject, html, text, attachments: [{ filename, content, contentType }], tenantId }
+   */
+  async deliver(message) {
+    const { transport, from, replyTo } = await this.resolveDelivery(message.tenantId);
+
+    const result = await transport.send({
+      from,
+      replyTo,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text || this.stripHtml(message.html),
+      attachments: message.attachments || []
+    });
+
+    if (transport.name !== 'console') {
+      console.log(`Email sent via ${transport.name}:`, result?.messageId || 'ok');
+    }
+    return result;
+  }
+
   stripHtml(html) {
     return html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
   }
 
   // Generate Google Calendar invite ICS file
-  generateCalendarInvite(event, candidateEmail, privacyEnabled = true) {
+  generateCalendarInvite(event, candidateEmail, privacyEnabled = true, sequence = 0) {
     const formatDate = (date) => {
       return date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
     };
@@ -103,7 +224,7 @@ return { success: true, messageId: 'console-log' };
       'CALSCALE:GREGORIAN',
       'METHOD:REQUEST',
       'BEGIN:VEVENT',
-      `UID:${event._id}-${Date.now()}@recruitment-system`,
+      `UID:${event._id}@recruitment-system`,
       `DTSTAMP:${createdStr}`,
       `DTSTART:${startStr}`,
       `DTEND:${endStr}`,
@@ -112,7 +233,7 @@ return { success: true, messageId: 'console-log' };
       `LOCATION:${escapeICS(event.location || 'TBD')}`,
       attendeeList,
       'STATUS:CONFIRMED',
-      'SEQUENCE:0',
+      `SEQUENCE:${sequence}`,
       'BEGIN:VALARM',
       'TRIGGER:-PT15M',
       'ACTION:DISPLAY',
@@ -126,73 +247,103 @@ return { success: true, messageId: 'console-log' };
   }
 
   // Send email with calendar invite attachment
-  async sendEmailWithCalendarInvite(to, subject, html, calendarInvite, text = null) {
+  async sendEmailWithCalendarInvite(to, subject, html, calendarInvite, text = null, options = {}) {
     try {
-      const companyName = process.env.COMPANY_NAME || 'Company';
-      const platformUrl = process.env.FRONTEND_URL || '#';
-      const finalHtml = this.buildEmailHtml(html, companyName, platformUrl);
-      const from = process.env.SMTP_FROM || process.env.MAIL_FROM_ADDRESS || process.env.MAIL_FROM;
-
-      // MAILGUN with attachment
-      if ((process.env.MAIL_DRIVER || '').toLowerCase() === 'mailgun' && this.mailgunClient) {
-        if (!process.env.MAILGUN_DOMAIN) {
-          console.log('Mailgun domain not set, falling back to console log');
-        } else {
-          const result = await this.mailgunClient.messages.create(process.env.MAILGUN_DOMAIN, {
-            from: `${process.env.MAIL_FROM_NAME || 'Notifications'} <${from}>`,
-            to: Array.isArray(to) ? to : [to],
-            subject,
-            html: finalHtml,
-            text: text || this.stripHtml(finalHtml),
-            attachment: [{
-              filename: 'invite.ics',
-              data: Buffer.from(calendarInvite),
-              contentType: 'text/calendar; method=REQUEST; charset=UTF-8'
-            }]
-          });
-          console.log('Mailgun email with invite sent:', result?.id || 'ok');
-          return { success: true, messageId: result?.id || 'mailgun' };
-        }
-      }
-
-      console.log('📧 EMAIL WITH CALENDAR INVITE (Mailgun not configured):');
-console.log('To:', to);
-console.log('Subject:', subject);
-console.log('Content:', text || this.stripHtml(html));
-console.log('Calendar Invite:', calendarInvite.substring(0, 200) + '...');
-console.log('---');
-return { success: true, messageId: 'console-log' };
-
-      
+      return await this.dispatch({
+        to,
+        subject,
+        html,
+        text,
+        attachments: [{
+          filename: 'invite.ics',
+          content: calendarInvite,
+          contentType: 'text/calendar; method=REQUEST; charset=UTF-8'
+        }]
+      }, { category: 'event_invite', ...options });
     } catch (error) {
       console.error('Failed to send email with calendar invite:', error);
       return { success: false, error: error.message };
     }
   }
 
-  // Append standardized footer (auto-generated disclaimer, platform link, signature and delivered via)
-  buildEmailHtml(originalHtml, companyName, platformUrl) {
-    const footer = `
-      <div style="margin-top:24px; padding-top:16px; border-top:1px solid #e5e7eb; color:#6b7280; font-size:12px; line-height:1.6;">
+  /**
+   * Platform branding, used for anything a tenant hasn't set
+   */
+  getDefaultBranding() {
+    return {
+      companyName: config.mail.companyName || 'Recruitment',
+      platformUrl: config.mail.frontendUrl || '#',
+      logoUrl: null,
+      primaryColor: '#3B82F6',
+      footerText: null,
+      layoutHtml: null
+    };
+  }
+
+  // Standardized footer (auto-generated disclaimer, platform link, signature and delivered via),
+  // or the tenant's own footer text
+  buildFooter(brand) {
+    const style = 'margin-top:24px; padding-top:16px; border-top:1px solid #e5e7eb; color:#6b7280; font-size:12px; line-height:1.6;';
+
+    if (brand.footerText) {
+      return `
+      <div style="${style}">
+        <p style="margin:0;">${escapeHtml(brand.footerText).replace(/\n/g, '<br>')}</p>
+      </div>
+    `;
+    }
+
+    return `
+      <div style="${style}">
         <p style="margin:0 0 8px 0;">
           This is an <strong>AUTO-GENERATED</strong> message. <strong>PLEASE DO NOT RESPOND (REPLY)</strong> as your response will not reach the desired individual.
         </p>
         <p style="margin:0 0 8px 0;">
-          For queries, please visit the platform: <a href="${platformUrl}" style="color:#2563eb; text-decoration:none;">${platformUrl}</a>
+          For queries, please visit the platform: <a href="{{platformUrl}}" style="color:{{primaryColor}}; text-decoration:none;">{{platformUrl}}</a>
         </p>
-        <p style="margin:0 0 8px 0;">— Team ${companyName}</p>
-        <p style="margin:8px 0 0 0; font-size:11px; color:#9ca3af;">Delivered via airec.io</p>
+        <p style="margin:0 0 8px 0;">— Team {{companyName}}</p>
+        ${config.mail.poweredBy ? `<p style="margin:8px 0 0 0; font-size:11px; color:#9ca3af;">Delivered via ${escapeHtml(config.mail.poweredBy)}</p>` : ''}
       </div>
     `;
+  }
 
-    // If original HTML already contains closing container, just append footer before end
-    try {
-      if (typeof originalHtml === 'string' && originalHtml.includes('</div>')) {
-        return originalHtml.replace(/<\/div>\s*<\/div>\s*$/i, (match) => `${footer}${match}`);
-      }
-    } catch {}
+  /**
+   * Wrap an email body in the tenant's layout (logo header and footer).
+   * Bodies and layouts can use {{companyName}}, {{primaryColor}}, {{logoUrl}},
+   * {{platformUrl}} and {{year}}; layouts also get {{header}}, {{content}} and {{footer}}.
+   * @param {Object} branding - Tenant branding (MailSettings.branding)
+   */
+  buildEmailHtml(originalHtml, branding = {}) {
+    const brand = { ...this.getDefaultBranding() };
+    Object.entries(branding || {}).forEach(([key, value]) => {
+      if (value) brand[key] = value;
+    });
+
+    const tokens = {
+      companyName: escapeHtml(brand.companyName),
+      primaryColor: escapeHtml(brand.primaryColor),
+      logoUrl: escapeHtml(brand.logoUrl),
+      platformUrl: escapeHtml(brand.platformUrl),
+      year: String(new Date().getFullYear())
+    };
+    const applyTokens = (html) => String(html || '').replace(
+      /\{\{\s*(companyName|primaryColor|logoUrl|platformUrl|year)\s*\}\}/g,
+      (match, key) => tokens[key]
+    );
+
+    const header = brand.logoUrl
+      ? `<div style="padding:16px 0; text-align:center;"><img src="${tokens.logoUrl}" alt="${tokens.companyName}" style="max-height:48px; max-width:200px;"></div>`
+      : '';
+
+    // Sections are inserted after token replacement so their content isn't scanned again
+    const sections = {
+      header,
+      content: applyTokens(originalHtml),
+      footer: applyTokens(this.buildFooter(brand))
+    };
 
-    return `${originalHtml}\n${footer}`;
+    return applyTokens(brand.layoutHtml || DEFAULT_LAYOUT)
+      .replace(/\{\{\s*(header|content|footer)\s*\}\}/g, (match, key) => sections[key]);
   }
 
   generateApplicationConfirmationEmail(candidateName, jobTitle, trackingToken, frontendUrl) {
@@ -202,7 +353,7 @@ return { success: true, messageId: 'console-log' };
       subject: `Application Confirmation - ${jobTitle}`,
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background-color: #3B82F6; color: white; padding: 20px; text-align: center;">
+          <div style="background-color: {{primaryColor}}; color: white; padding: 20px; text-align: center;">
             <h1 style="margin: 0;">Application Received</h1>
           </div>
           
@@ -214,13 +365,13 @@ return { success: true, messageId: 'console-log' };
               We have successfully received your application and it is now under review.
             </p>
             
-            <div style="background-color: white; padding: 20px; border-radius: 8px; border-left: 4px solid #3B82F6; margin: 20px 0;">
+            <div style="background-color: white; padding: 20px; border-radius: 8px; border-left: 4px solid {{primaryColor}}; margin: 20px 0;">
               <h3 style="color: #1f2937; margin-top: 0;">Track Your Application</h3>
               <p style="color: #4b5563; margin-bottom: 15px;">
                 You can track the status of your application using the link below:
               </p>
               <a href="${trackingUrl}" 
-                 style="display: inline-block; background-color: #3B82F6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+                 style="display: inline-block; background-color: {{primaryColor}}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold;">
                 Track Application Status
               </a>
             </div>
@@ -232,7 +383,7 @@ return { success: true, messageId: 'console-log' };
                 save jobs, and receive personalized job recommendations.
               </p>
               <a href="${frontendUrl}/auth/signup" 
-                 style="color: #3B82F6; text-decoration: none; font-weight: bold;">
+                 style="color: {{primaryColor}}; text-decoration: none; font-weight: bold;">
                 Create Account →
               </a>
             </div>
@@ -244,7 +395,7 @@ return { success: true, messageId: 'console-log' };
             
             <p style="color: #4b5563; margin-top: 30px;">
               Best regards,<br>
-              The Recruitment Team
+              The {{companyName}} Team
             </p>
           </div>
           
@@ -333,7 +484,7 @@ return { success: true, messageId: 'console-log' };
                 save jobs, and receive personalized job recommendations.
               </p>
               <a href="${frontendUrl}/auth/signup" 
-                 style="color: #3B82F6; text-decoration: none; font-weight: bold;">
+                 style="color: {{primaryColor}}; text-decoration: none; font-weight: bold;">
                 Create Account →
               </a>
             </div>
@@ -344,7 +495,7 @@ return { success: true, messageId: 'console-log' };
             
             <p style="color: #4b5563; margin-top: 30px;">
               Best regards,<br>
-              The Recruitment Team
+              The {{companyName}} Team
             </p>
           </div>
           
@@ -407,7 +558,43 @@ return { success: true, messageId: 'console-log' };
             </p>
             <p style="color: #4b5563; margin-top: 30px;">
               Best regards,<br>
-              The Recruitment Team
+              The {{companyName}} Team
+            </p>
+          </div>
+          <div style="background-color: #f3f4f6; padding: 20px; text-align: center; color: #6b7280; font-size: 14px;">
+            <p style="margin: 0;">
+              This is an automated message. Please do not reply to this email.
+            </p>
+          </div>
+        </div>
+      `
+    };
+  }
+
+  // Sent to applicants who did not pass a job's screening questions (unless the job has its own text)
+  generateScreeningOutcomeEmail(candidateName, jobTitle, outcome = 'reject') {
+    const message = outcome === 'reject'
+      ? `Based on your answers to the screening questions, we are unfortunately unable to
+              move forward with your application for this role. We encourage you to apply for
+              other positions that match your profile.`
+      : `Our hiring team will take a closer look at your answers to the screening questions
+              and get back to you as soon as possible.`;
+
+    return {
+      subject: `Your application for ${jobTitle}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="padding: 30px; background-color: #f9fafb;">
+            <h2 style="color: #1f2937; margin-bottom: 20px;">Hello ${candidateName},</h2>
+            <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+              Thank you for applying for the <strong>${jobTitle}</strong> position.
+            </p>
+            <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+              ${message}
+            </p>
+            <p style="color: #4b5563; margin-top: 30px;">
+              Best regards,<br>
+              The {{companyName}} Team
             </p>
           </div>
           <div style="background-color: #f3f4f6; padding: 20px; text-align: center; color: #6b7280; font-size: 14px;">
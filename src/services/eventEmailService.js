@@ -112,7 +112,11 @@ class EventEmailService {
 
       // Send email to all candidate emails
       for (const email of candidateEmails) {
-        await EmailService.sendEmail(email, emailSubject, emailBody);
+        await EmailService.sendEmail(email, emailSubject, emailBody, null, {
+          eventId: event._id,
+          applicationId: application._id,
+          category: 'event_invite'
+        });
         console.log(`Event email sent to candidate: ${email}`);
       }
     } catch (error) {
@@ -124,8 +128,9 @@ class EventEmailService {
   /**
    * Send Google Calendar invite to candidate
    * Email 2: Calendar invite with privacy settings
+   * @param {number} sequence - Increase when re-sending for a reschedule so calendars replace the entry
    */
-  async sendCalendarInvite(event, application) {
+  async sendCalendarInvite(event, application, sequence = 0) {
     try {
       const candidateEmails = await this.getCandidateEmails(application, event);
       if (candidateEmails.length === 0) {
@@ -138,7 +143,8 @@ class EventEmailService {
         const calendarInvite = EmailService.generateCalendarInvite(
           event, 
           candidateEmail, 
-          event.privacyEnabled !== false // Default to true
+          event.privacyEnabled !== false, // Default to true
+          sequence
         );
         
         // Create a simple email with calendar attachment
@@ -153,7 +159,9 @@ class EventEmailService {
           candidateEmail,
           emailSubject,
           emailBody,
-          calendarInvite
+          calendarInvite,
+          null,
+          { eventId: event._id, applicationId: application._id }
         );
         console.log(`Calendar invite sent to candidate: ${candidateEmail}`);
       }
@@ -131,6 +131,74 @@ class EventLoggingService {
       // Don't throw - logging failure shouldn't break the main flow
     }
   }
+
+  /**
+   * Log a scheduling link sent to the candidate
+   */
+  async logSchedulingLinkCreation(applicationId, link, creatorId) {
+    try {
+      const application = await Application.findById(applicationId);
+      if (!application) {
+        console.error('Application not found for logging');
+        return;
+      }
+
+      const creator = await Admin.findById(creatorId);
+
+      application.logs.push({
+        action: `Scheduling link sent: ${link.title}`,
+        userId: creatorId,
+        userRole: 'Admin',
+        metadata: {
+          schedulingLinkId: link._id,
+          slotCount: link.slots.length,
+          expiresAt: link.expiresAt,
+          createdBy: creator?.name || creator?.email || 'Unknown'
+        }
+      });
+
+      await application.save();
+    } catch (error) {
+      console.error('Error logging scheduling link creation:', error);
+      // Don't throw - logging failure shouldn't break the main flow
+    }
+  }
+
+  /**
+   * Log a slot picked (or re-picked) by the candidate through a scheduling link
+   * @param {Object} actor - { userId, userRole: 'Candidate' | 'Guest' }
+   */
+  async logSlotConfirmation(applicationId, event, link, actor, previousEvent = null) {
+    try {
+      const application = await Application.findById(applicationId);
+      if (!application) {
+        console.error('Application not found for logging');
+        return;
+      }
+
+      application.logs.push({
+        action: previousEvent
+          ? `Event rescheduled by candidate: ${event.title}`
+          : `Event scheduled by candidate: ${event.title}`,
+        userId: actor.userId,
+        userRole: actor.userRole,
+        metadata: {
+          eventId: event._id,
+          eventTitle: event.title,
+          schedulingLinkId: link._id,
+          eventDate: event.date,
+          eventTime: `${event.startTime} - ${event.endTime}`,
+          previousDate: previousEvent ? previousEvent.date : undefined,
+          previousTime: previousEvent ? `${previousEvent.startTime} - ${previousEvent.endTime}` : undefined
+        }
+      });
+
+      await application.save();
+    } catch (error) {
+      console.error('Error logging slot confirmation:', error);
+      // Don't throw - logging failure shouldn't break the main flow
+    }
+  }
 }
 
 module.exports = new EventLoggingService();
@@ -0,0 +1,242 @@
+const config = require('../config');
+const Job = require('../modules/jobs/job.model');
+const EmailService = require('./emailService');
+const { notifyUser, emitToTenant } = require('./realtime');
+
+const escapeHtml = (value) => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const CLOSE_REASONS = {
+  deadline: 'the application deadline has passed',
+  expired: 'the posting has expired',
+  application_limit: 'the application limit has been reached'
+};
+
+/**
+ * Job Lifecycle Service
+ * Polls for jobs that are due to be published (Job.scheduledPublishAt) or
+ * closed (applicationDeadline, expiryDate, maxApplications) and notifies the
+ * job's owner and hiring team.
+ *
+ * Several server instances can run the poller: every transition is a
+ * conditional update on Job.status, so only the instance whose update matched
+ * sends the notifications.
+ */
+class JobLifecycleService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start polling (no-op when disabled or already started)
+   */
+  start() {
+    if (this.timer || !config.jobLifecycle.enabled) return;
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(err => console.error('Job lifecycle run failed:', err));
+    }, config.jobLifecycle.pollIntervalMs);
+    // Don't keep the process alive just for the poller
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Publish and close every job that is due
+   * @returns {Object} { published, closed } counts for this instance
+   */
+  async runOnce(now = new Date()) {
+    // A slow run shouldn't overlap with the next tick on the same instance
+    if (this.running) return { published: 0, closed: 0 };
+    this.running = true;
+
+    try {
+      let published = 0;
+      let closed = 0;
+
+      const scheduled = await Job.find({ status: 'scheduled', scheduledPublishAt: { $lte: now } }).select('_id');
+      for (const { _id } of scheduled) {
+        if (await this.publishScheduled(_id, now)) published++;
+      }
+
+      const due = await Job.find({
+        status: 'published',
+        $or: [
+          { applicationDeadline: { $lte: now } },
+          { expiryDate: { $lte: now } },
+          { $expr: { $gte: ['$currentApplications', '$maxApplications'] } }
+        ]
+      }).select('applicationDeadline expiryDate currentApplications maxApplications');
+
+      for (const job of due) {
+        if (await this.closeJob(job._id, this.getCloseReason(job, now), now)) closed++;
+      }
+
+      return { published, closed };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  getCloseReason(job, now = new Date()) {
+    if (job.applicationDeadline && job.applicationDeadline <= now) return 'deadline';
+    if (job.expiryDate && job.expiryDate <= now) return 'expired';
+    return 'application_limit';
+  }
+
+  async publishScheduled(jobId, now = new Date()) {
+    // The requisition may have lost its approval since the job was scheduled
+    const scheduledJob = await Job.findOne({ _id: jobId, status: 'scheduled' });
+    if (!scheduledJob) return false;
+    try {
+      const RequisitionService = require('../modules/requisitions/requisition.service');
+      await RequisitionService.assertCanPublish(scheduledJob);
+    } catch (error) {
+      await this.cancelScheduled(jobId, error.message);
+      return false;
+    }
+
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, status: 'scheduled' },
+      {
+        $set: { status: 'published', isPublished: true, publishedAt: now },
+        $unset: { scheduledPublishAt: 1, closedAt: 1, closeReason: 1 }
+      },
+      { new: true }
+    );
+    if (!job) return false;
+
+    await this.notify(job, `Job published: ${job.title}`, `${job.title} was published as scheduled and is now accepting applications.`, {
+      lifecycleEvent: 'published'
+    });
+    return true;
+  }
+
+  /**
+   * Move a scheduled job that may not be published back to draft
+   */
+  async cancelScheduled(jobId, reason) {
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, status: 'scheduled' },
+      { $set: { status: 'draft' }, $unset: { scheduledPublishAt: 1 } },
+      { new: true }
+    );
+    if (!job) return false;
+
+    await this.notify(job, `Scheduled publish cancelled: ${job.title}`,
+      `${job.title} was not published as scheduled and is back in draft: ${reason}.`, {
+        lifecycleEvent: 'unscheduled'
+      });
+    return true;
+  }
+
+  /**
+   * Close a published job (no-op when another instance or request closed it first)
+   * @returns {boolean} Whether this call closed the job
+   */
+  async closeJob(jobId, reason, now = new Date()) {
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, status: 'published' },
+      { $set: { status: 'closed', closedAt: now, closeReason: reason } },
+      { new: true }
+    );
+    if (!job) return false;
+
+    await this.notify(job, `Job closed: ${job.title}`,
+      `${job.title} was closed automatically because ${CLOSE_REASONS[reason]} (${job.currentApplications} application(s)).`, {
+        lifecycleEvent: 'closed',
+        closeReason: reason
+      });
+    return true;
+  }
+
+  /**
+   * Close the job right away once an application fills it
+   */
+  async closeIfFull(job) {
+    if (job.status !== 'published' || job.currentApplications < job.maxApplications) return false;
+
+    const closed = await this.closeJob(job._id, 'application_limit');
+    if (closed) {
+      job.status = 'closed';
+      job.closeReason = 'application_limit';
+    }
+    return closed;
+  }
+
+  /**
+   * Email the job's owner and hiring team, notify the owner in-app and
+   * update the tenant's open job lists
+   */
+  async notify(job, title, message, metadata = {}) {
+    emitToTenant(job.tenantId && String(job.tenantId), 'job:status', {
+      jobId: String(job._id),
+      status: job.status,
+      ...metadata,
+      timestamp: new Date().toISOString()
+    });
+
+    try {
+      const { Admin } = require('../modules/auth/auth.model');
+      const NotificationService = require('../modules/notifications/notification.service');
+      const owner = await Admin.findById(job.createdBy).select('name email');
+
+      const recipients = new Set();
+      if (owner && owner.email) recipients.add(owner.email.toLowerCase());
+      (job.hiringTeam || []).forEach(member => {
+        if (member.email) recipients.add(member.email.toLowerCase());
+      });
+
+      const html = `
+        <h2>${escapeHtml(title)}</h2>
+        <p>${escapeHtml(message)}</p>
+      `;
+
+      for (const email of recipients) {
+        try {
+          await EmailService.sendEmail(email, title, html, null, {
+            tenantId: job.tenantId,
+            category: 'job_lifecycle'
+          });
+        } catch (error) {
+          console.error(`Failed to send job lifecycle email to ${email}:`, error);
+        }
+      }
+
+      if (owner) {
+        const notification = await NotificationService.createNotification({
+          userId: owner._id,
+          userType: 'admin',
+          tenantId: job.tenantId,
+          title,
+          message,
+          type: 'info',
+          metadata: { jobId: job._id, ...metadata }
+        });
+
+        notifyUser(String(owner._id), {
+          type: 'job_lifecycle',
+          title,
+          message,
+          notificationId: String(notification._id),
+          jobId: String(job._id),
+          timestamp: new Date().toISOString()
+        });
+      }
+    } catch (error) {
+      console.error(`Error sending lifecycle notifications for job ${job._id}:`, error);
+    }
+  }
+}
+
+module.exports = new JobLifecycleService();
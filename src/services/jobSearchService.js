@@ -0,0 +1,94 @@
+const config = require('../config');
+const MongoSearchEngine = require('./search/mongoSearchEngine');
+const JobUtils = require('../modules/jobs/job.utils');
+
+/**
+ * Job Search Service
+ * Public job search and autocomplete, scoped to the request's tenant.
+ * The engine is pluggable (SEARCH_ENGINE); MongoDB's text index is built in.
+ */
+class JobSearchService {
+  constructor() {
+    this.engine = undefined;
+  }
+
+  /**
+   * Get the configured engine (falls back to MongoDB)
+   */
+  getEngine() {
+    if (this.engine) {
+      return this.engine;
+    }
+
+    if (config.search.engine !== 'mongo') {
+      console.warn(`⚠️ SEARCH_ENGINE is ${config.search.engine} but no such engine is registered — using MongoDB text search.`);
+    }
+
+    this.engine = new MongoSearchEngine();
+    return this.engine;
+  }
+
+  /**
+   * Override the engine (external search services, tests)
+   */
+  setEngine(engine) {
+    this.engine = engine;
+  }
+
+  /**
+   * Search published jobs of the tenant
+   * @param {Object} params - { q, department, employmentType, experienceLevel, location,
+   *                            salaryMin, salaryMax, tags, sortBy, sortOrder, page, limit }
+   * @returns {Object} { jobs, facets, pagination }
+   */
+  async search(params, req) {
+    const { q, sortBy, sortOrder, page = 1, limit = 10, ...filters } = params;
+
+    // Without tenant context there is nothing to search (prevents cross-tenant leaks)
+    if (!req || !req.tenant || !req.tenantId) {
+      return {
+        jobs: [],
+        facets: { department: [], employmentType: [], experienceLevel: [], location: [] },
+        pagination: {
+          current: parseInt(page),
+          pages: 0,
+          total: 0
+        }
+      };
+    }
+
+    const { jobs, total, facets } = await this.getEngine().search({
+      tenantId: req.tenantId,
+      q: q && q.trim() ? q.trim() : null,
+      filters,
+      sortBy,
+      sortOrder,
+      page,
+      limit
+    });
+
+    return {
+      jobs: jobs.map(job => JobUtils.toPublicJob(job)),
+      facets,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total
+      }
+    };
+  }
+
+  /**
+   * Typo-tolerant suggestions for job titles and skills
+   * @returns {Array} [{ text, type, count }]
+   */
+  async suggest(q, limit, req) {
+    if (!req || !req.tenant || !req.tenantId || !q || !q.trim()) {
+      return [];
+    }
+
+    return this.getEngine().suggest({ tenantId: req.tenantId, q: q.trim(), limit });
+  }
+}
+
+module.exports = new JobSearchService();
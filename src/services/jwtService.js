@@ -8,8 +8,9 @@ class JWTService {
    * @param {string} userType - User type ('admin' or 'candidate')
    * @param {string} role - User role ('superadmin', 'recruiter', 'candidate', 'employee')
    * @param {string} tenantId - Optional tenant ID
+   * @param {string} sessionId - Optional session ID (checked for revocation)
    */
-  static generateAccessToken(userId, userType, role = null, tenantId = null) {
+  static generateAccessToken(userId, userType, role = null, tenantId = null, sessionId = null) {
     const payload = { userId, userType };
     
     // Include role in token if provided
@@ -21,6 +22,11 @@ class JWTService {
     if (tenantId) {
       payload.tenantId = tenantId;
     }
+
+    // Include session ID so revoked sessions can be rejected
+    if (sessionId) {
+      payload.sid = sessionId;
+    }
     
     return jwt.sign(
       payload,
@@ -35,8 +41,10 @@ class JWTService {
    * @param {string} userType - User type ('admin' or 'candidate')
    * @param {string} role - User role ('superadmin', 'recruiter', 'candidate', 'employee')
    * @param {string} tenantId - Optional tenant ID
+   * @param {string} sessionId - Optional session ID (token family)
+   * @param {string} tokenId - Optional unique token ID (jti), rotated on every refresh
    */
-  static generateRefreshToken(userId, userType, role = null, tenantId = null) {
+  static generateRefreshToken(userId, userType, role = null, tenantId = null, sessionId = null, tokenId = null) {
     const payload = { userId, userType, type: 'refresh' };
     
     // Include role in token if provided
@@ -48,11 +56,20 @@ class JWTService {
     if (tenantId) {
       payload.tenantId = tenantId;
     }
+
+    if (sessionId) {
+      payload.sid = sessionId;
+    }
+
+    const options = { expiresIn: config.jwt.refreshExpiresIn };
+    if (tokenId) {
+      options.jwtid = tokenId;
+    }
     
     return jwt.sign(
       payload,
       config.jwt.refreshSecret,
-      { expiresIn: config.jwt.refreshExpiresIn }
+      options
     );
   }
 
@@ -70,15 +87,63 @@ class JWTService {
    * @param {string} userType - User type ('admin' or 'candidate')
    * @param {string} role - User role ('superadmin', 'recruiter', 'candidate', 'employee')
    * @param {string} tenantId - Optional tenant ID
+   * @param {Object} session - Optional { sessionId, tokenId } for server-side sessions
    */
-  static generateTokenPair(userId, userType, role = null, tenantId = null) {
+  static generateTokenPair(userId, userType, role = null, tenantId = null, session = null) {
+    const sessionId = session ? session.sessionId : null;
+    const tokenId = session ? session.tokenId : null;
+
     return {
-      accessToken: this.generateAccessToken(userId, userType, role, tenantId),
-      refreshToken: this.generateRefreshToken(userId, userType, role, tenantId),
+      accessToken: this.generateAccessToken(userId, userType, role, tenantId, sessionId),
+      refreshToken: this.generateRefreshToken(userId, userType, role, tenantId, sessionId, tokenId),
       expiresIn: this.getTokenExpiration(config.jwt.expiresIn)
     };
   }
 
+  /**
+   * Generate token for a public scheduling link
+   * @param {string} linkId - SchedulingLink ID
+   * @param {string} nonce - SchedulingLink.tokenNonce (rotating it revokes the token)
+   * @param {Date} expiresAt - Link expiry
+   */
+  static generateSchedulingToken(linkId, nonce, expiresAt) {
+    return jwt.sign(
+      { linkId, nonce, type: 'scheduling' },
+      config.jwt.secret,
+      { expiresIn: Math.max(1, Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000)) }
+    );
+  }
+
+  static verifySchedulingToken(token) {
+    const decoded = jwt.verify(token, config.jwt.secret);
+    if (decoded.type !== 'scheduling') {
+      throw new Error('Invalid token type');
+    }
+    return decoded;
+  }
+
+  /**
+   * Generate token for the candidate's offer link
+   * @param {string} offerId - Offer ID
+   * @param {string} nonce - Offer.tokenNonce (rotating it revokes the token)
+   * @param {Date} expiresAt - Offer expiry
+   */
+  static generateOfferToken(offerId, nonce, expiresAt) {
+    return jwt.sign(
+      { offerId, nonce, type: 'offer' },
+      config.jwt.secret,
+      { expiresIn: Math.max(1, Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000)) }
+    );
+  }
+
+  static verifyOfferToken(token) {
+    const decoded = jwt.verify(token, config.jwt.secret);
+    if (decoded.type !== 'offer') {
+      throw new Error('Invalid token type');
+    }
+    return decoded;
+  }
+
   static getTokenExpiration(expiresIn) {
     // Convert expiresIn string to seconds
     const units = {
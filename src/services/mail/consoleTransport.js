@@ -0,0 +1,30 @@
+const MailTransport = require('./mailTransport');
+
+/**
+ * Console Transport
+ * Logs emails instead of sending them (no mail provider configured).
+ */
+class ConsoleTransport extends MailTransport {
+  constructor() {
+    super('console');
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send(message) {
+    console.log('📧 EMAIL LOG (no mail transport configured)');
+    console.log('From:', this.formatAddress(message.from));
+    console.log('To:', message.to);
+    console.log('Subject:', message.subject);
+    console.log('Message:', message.text);
+    (message.attachments || []).forEach(attachment => {
+      console.log(`Attachment (${attachment.filename}):`, attachment.content.substring(0, 200) + '...');
+    });
+    console.log('---');
+    return { messageId: 'console-log' };
+  }
+}
+
+module.exports = ConsoleTransport;
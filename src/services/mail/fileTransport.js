@@ -0,0 +1,34 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const MailTransport = require('./mailTransport');
+
+/**
+ * File Transport
+ * Mailbox sink: writes every message as an .eml file to a directory
+ * instead of sending it. Meant for tests and local development.
+ */
+class FileTransport extends MailTransport {
+  constructor(options = {}) {
+    super('file');
+    this.dir = options.dir ? path.resolve(options.dir) : null;
+    this.renderer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  }
+
+  isConfigured() {
+    return !!this.dir;
+  }
+
+  async send(message) {
+    const info = await this.renderer.sendMail(this.toNodemailerMessage(message));
+    const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(path.join(this.dir, filename), info.message);
+
+    return { messageId: info.messageId, path: path.join(this.dir, filename) };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,63 @@
+/**
+ * Mail Transport
+ * Base interface for outgoing mail delivery.
+ *
+ * Transports receive a normalized message:
+ * {
+ *   from,         // { name, address }
+ *   replyTo,      // optional address
+ *   to,           // address or array of addresses
+ *   subject,
+ *   html,
+ *   text,
+ *   attachments   // [{ filename, content, contentType }]
+ * }
+ *
+ * send resolves to { messageId } and throws when delivery fails, so the
+ * outbox can retry it.
+ */
+class MailTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the transport has what it needs to deliver
+   */
+  isConfigured() {
+    return false;
+  }
+
+  async send(message) {
+    throw new Error(`${this.name} transport does not implement send`);
+  }
+
+  /**
+   * RFC 5322 sender, e.g. "Acme Careers <jobs@acme.com>"
+   */
+  formatAddress(from) {
+    if (!from?.name) return from?.address;
+    return `"${from.name.replace(/"/g, '')}" <${from.address}>`;
+  }
+
+  /**
+   * Message in nodemailer's format (it encodes the sender name itself)
+   */
+  toNodemailerMessage(message) {
+    return {
+      from: message.from?.name ? { name: message.from.name, address: message.from.address } : message.from?.address,
+      replyTo: message.replyTo || undefined,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      attachments: (message.attachments || []).map(attachment => ({
+        filename: attachment.filename,
+        content: attachment.content,
+        contentType: attachment.contentType
+      }))
+    };
+  }
+}
+
+module.exports = MailTransport;
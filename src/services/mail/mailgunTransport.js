@@ -0,0 +1,76 @@
+const formData = require('form-data');
+const Mailgun = require('mailgun.js');
+const MailTransport = require('./mailTransport');
+
+// Mailgun's US and EU regions; tenant settings may only point at these
+const API_BASES = ['https://api.mailgun.net', 'https://api.eu.mailgun.net'];
+
+/**
+ * Mailgun Transport
+ * Delivers through the Mailgun HTTP API.
+ * With publicOnly (tenant-configured settings) apiBase must be a Mailgun region.
+ */
+class MailgunTransport extends MailTransport {
+  constructor(options = {}) {
+    super('mailgun');
+    this.domain = options.domain;
+    this.apiKey = options.apiKey;
+    this.apiBase = options.apiBase;
+    this.publicOnly = !!options.publicOnly;
+    this.client = null;
+  }
+
+  static isMailgunApiBase(apiBase) {
+    return !apiBase || API_BASES.includes(String(apiBase).replace(/\/+$/, '').toLowerCase());
+  }
+
+  isConfigured() {
+    return !!(this.domain && this.apiKey);
+  }
+
+  getClient() {
+    if (!this.client) {
+      const mg = new Mailgun(formData);
+      this.client = mg.client({
+        username: 'api',
+        key: this.apiKey,
+        url: this.apiBase
+      });
+    }
+    return this.client;
+  }
+
+  async send(message) {
+    if (this.publicOnly && !MailgunTransport.isMailgunApiBase(this.apiBase)) {
+      throw new Error('Mailgun API base must be a Mailgun region');
+    }
+
+    const payload = {
+      from: this.formatAddress(message.from),
+      to: Array.isArray(message.to) ? message.to : [message.to],
+      subject: message.subject,
+      html: message.html,
+      text: message.text
+    };
+
+    if (message.replyTo) {
+      payload['h:Reply-To'] = message.replyTo;
+    }
+
+    const attachments = message.attachments || [];
+    if (attachments.length > 0) {
+      payload.attachment = attachments.map(attachment => ({
+        filename: attachment.filename,
+        data: Buffer.from(attachment.content),
+        contentType: attachment.contentType
+      }));
+    }
+
+    const result = await this.getClient().messages.create(this.domain, payload);
+    return { messageId: result?.id || 'mailgun' };
+  }
+}
+
+MailgunTransport.API_BASES = API_BASES;
+
+module.exports = MailgunTransport;
@@ -0,0 +1,87 @@
+const net = require('net');
+const nodemailer = require('nodemailer');
+const MailTransport = require('./mailTransport');
+const { resolvePublicAddress } = require('../../utils/publicAddress');
+
+/**
+ * SMTP Transport
+ * Delivers through any SMTP server.
+ * Uses implicit TLS when secure is set, otherwise upgrades with STARTTLS when
+ * the server offers it (or refuses to send without it when requireTLS is set).
+ * With publicOnly (tenant-configured servers) it only connects to public
+ * addresses, pinning the address it checked.
+ */
+class SmtpTransport extends MailTransport {
+  constructor(options = {}) {
+    super('smtp');
+    this.host = options.host;
+    this.port = options.port || (options.secure ? 465 : 587);
+    this.secure = !!options.secure;
+    this.requireTLS = !!options.requireTLS;
+    this.username = options.username;
+    this.password = options.password;
+    this.rejectUnauthorized = options.rejectUnauthorized !== false;
+    this.publicOnly = !!options.publicOnly;
+    this.address = null;
+    this.transporter = null;
+  }
+
+  isConfigured() {
+    return !!this.host;
+  }
+
+  async getTransporter() {
+    if (this.publicOnly) {
+      const { address } = await resolvePublicAddress(this.host, 'SMTP host');
+      if (address !== this.address) {
+        this.close();
+        this.address = address;
+      }
+    }
+
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: this.address || this.host,
+        port: this.port,
+        secure: this.secure,
+        requireTLS: this.requireTLS,
+        auth: this.username ? { user: this.username, pass: this.password } : undefined,
+        tls: {
+          rejectUnauthorized: this.rejectUnauthorized,
+          // Certificates are checked against the configured name, not the pinned address
+          servername: net.isIP(this.host) ? undefined : this.host
+        },
+        connectionTimeout: 10000,
+        greetingTimeout: 10000,
+        socketTimeout: 30000
+      });
+    }
+    return this.transporter;
+  }
+
+  async send(message) {
+    const info = await (await this.getTransporter()).sendMail(this.toNodemailerMessage(message));
+
+    if (info.rejected && info.rejected.length > 0) {
+      throw new Error(`SMTP server rejected recipients: ${info.rejected.join(', ')}`);
+    }
+
+    return { messageId: info.messageId };
+  }
+
+  /**
+   * Check the connection and credentials without sending
+   */
+  async verify() {
+    await (await this.getTransporter()).verify();
+  }
+
+  close() {
+    if (this.transporter) {
+      this.transporter.close();
+      this.transporter = null;
+    }
+  }
+}
+
+module.exports = SmtpTransport;
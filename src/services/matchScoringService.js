@@ -0,0 +1,192 @@
+const Application = require('../modules/application/application.model');
+
+// Share of the score per component; components the job does not define are left out
+const WEIGHTS = {
+  skills: 0.6,
+  requirements: 0.2,
+  experience: 0.2
+};
+
+// Job fields the score depends on (a change to any of them triggers rescoring)
+const SCORING_FIELDS = ['skills', 'toolsTechnologies', 'requirements', 'experienceRequiredYears'];
+
+const RESCORE_BATCH_SIZE = 500;
+
+/**
+ * Match Scoring Service
+ * Scores applications against the job they were made for:
+ * - skills: job skills and tools/technologies found in the parsed CV
+ * - requirements: requirement lines that mention one of the candidate's skills
+ * - experience: total years of experience against the job's required range
+ */
+class MatchScoringService {
+  /**
+   * Comparable form of a skill ("Node.js", "NodeJS" and "nodejs" are the same)
+   */
+  normalizeSkill(skill) {
+    return String(skill || '').toLowerCase().replace(/[^a-z0-9+#]/g, '');
+  }
+
+  /**
+   * Required experience from the job's "0-1", "3-5" or "10+" notation
+   * @returns {Object} { min, max } (max is null for open ranges)
+   */
+  parseExperienceRange(value) {
+    const match = String(value || '').match(/(\d+(?:\.\d+)?)\s*(?:-\s*(\d+(?:\.\d+)?))?/);
+    if (!match) {
+      return { min: 0, max: null };
+    }
+
+    return {
+      min: Number(match[1]),
+      max: match[2] !== undefined ? Number(match[2]) : null
+    };
+  }
+
+  /**
+   * Job skills and tools, deduplicated case-insensitively (first spelling wins)
+   */
+  getJobSkills(job) {
+    const skills = new Map();
+
+    for (const skill of [...(job.skills || []), ...(job.toolsTechnologies || [])]) {
+      const key = this.normalizeSkill(skill);
+      if (key && !skills.has(key)) {
+        skills.set(key, skill.trim());
+      }
+    }
+
+    return skills;
+  }
+
+  /**
+   * Whether a requirement line mentions the skill as a word
+   */
+  mentionsSkill(requirement, skill) {
+    // Keep dots inside words ("node.js") but not at the end of a sentence
+    const words = (value) => String(value).toLowerCase()
+      .replace(/\.(?![a-z0-9])/g, ' ')
+      .replace(/[^a-z0-9+#.]+/g, ' ')
+      .trim();
+
+    const term = words(skill);
+    return term.length > 0 && ` ${words(requirement)} `.includes(` ${term} `);
+  }
+
+  /**
+   * Score one application against a job
+   *
+   * @param {Object} job - Job document
+   * @param {Object} application - { parsedCVData, candidateSnapshot }
+   * @returns {Object} matchScore (see Application model)
+   */
+  scoreApplication(job, application) {
+    const cv = application.parsedCVData || {};
+    const snapshot = application.candidateSnapshot || {};
+
+    const candidateSkills = (cv.skills || []).filter(Boolean);
+    const candidateKeys = new Set(candidateSkills.map(skill => this.normalizeSkill(skill)));
+
+    // Skills
+    const jobSkills = this.getJobSkills(job);
+    const matchedSkills = [];
+    const missingSkills = [];
+    for (const [key, skill] of jobSkills) {
+      (candidateKeys.has(key) ? matchedSkills : missingSkills).push(skill);
+    }
+
+    // Requirements
+    const requirements = (job.requirements || []).filter(requirement => requirement && requirement.trim());
+    const requirementsMatched = requirements.filter(requirement =>
+      candidateSkills.some(skill => this.mentionsSkill(requirement, skill))
+    ).length;
+
+    // Experience
+    const requiredExperience = this.parseExperienceRange(job.experienceRequiredYears);
+    const years = [cv.totalExperience, snapshot.totalExperience].filter(value => typeof value === 'number');
+    const candidateExperience = years.length > 0 ? Math.max(...years) : null;
+    const experienceGap = candidateExperience === null
+      ? requiredExperience.min
+      : Math.max(0, requiredExperience.min - candidateExperience);
+
+    const components = {};
+    if (jobSkills.size > 0) {
+      components.skills = matchedSkills.length / jobSkills.size;
+    }
+    if (requirements.length > 0) {
+      components.requirements = requirementsMatched / requirements.length;
+    }
+    if (requiredExperience.min > 0) {
+      components.experience = Math.max(0, 1 - experienceGap / requiredExperience.min);
+    }
+
+    const totalWeight = Object.keys(components).reduce((sum, name) => sum + WEIGHTS[name], 0);
+    const score = totalWeight > 0
+      ? Math.round(Object.entries(components).reduce((sum, [name, value]) => sum + WEIGHTS[name] * value, 0) / totalWeight * 100)
+      : null;
+
+    return {
+      score,
+      matchedSkills,
+      missingSkills,
+      requirementsMatched,
+      requirementsTotal: requirements.length,
+      requiredExperience,
+      candidateExperience,
+      experienceGap,
+      computedAt: new Date()
+    };
+  }
+
+  /**
+   * Whether an update touches fields the score depends on
+   */
+  affectsScore(update = {}) {
+    return SCORING_FIELDS.some(field => Object.prototype.hasOwnProperty.call(update, field));
+  }
+
+  /**
+   * Whether unsaved changes to a job document touch fields the score depends on
+   */
+  isScoreAffected(job) {
+    return SCORING_FIELDS.some(field => job.isModified(field));
+  }
+
+  /**
+   * Recompute the score of every application of a job
+   * @returns {Number} Number of applications rescored
+   */
+  async rescoreJob(job) {
+    const cursor = Application.find({ jobId: job._id })
+      .select('parsedCVData candidateSnapshot')
+      .lean()
+      .cursor();
+
+    let operations = [];
+    let rescored = 0;
+
+    for await (const application of cursor) {
+      operations.push({
+        updateOne: {
+          filter: { _id: application._id },
+          update: { $set: { matchScore: this.scoreApplication(job, application) } }
+        }
+      });
+
+      if (operations.length >= RESCORE_BATCH_SIZE) {
+        await Application.bulkWrite(operations, { ordered: false });
+        rescored += operations.length;
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await Application.bulkWrite(operations, { ordered: false });
+      rescored += operations.length;
+    }
+
+    return rescored;
+  }
+}
+
+module.exports = new MatchScoringService();
@@ -0,0 +1,134 @@
+// A4 in points, Helvetica
+const PAGE = { width: 595, height: 842, margin: 56 };
+const TITLE_SIZE = 16;
+const FONT_SIZE = 11;
+const LEADING = 15;
+
+// Helvetica averages about half an em per character; good enough for wrapping letters
+const AVERAGE_CHAR_WIDTH = 0.5;
+
+// Characters outside Latin-1 that WinAnsiEncoding still has
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '•': 0x95, '–': 0x96, '—': 0x97,
+  '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '™': 0x99
+};
+
+/**
+ * Text for a PDF string literal. Everything outside printable ASCII is written as an
+ * octal escape, so the document itself is plain ASCII (it can be stored as a string,
+ * e.g. as an email attachment).
+ */
+const escapePdfText = (text) => Array.from(String(text)).map(char => {
+  if (char === '\\' || char === '(' || char === ')') return `\\${char}`;
+
+  const code = WIN_ANSI[char] || char.charCodeAt(0);
+  if (code >= 32 && code < 127) return char;
+  if (code > 255 || (code < 160 && !Object.values(WIN_ANSI).includes(code))) return '?';
+  return `\\${code.toString(8).padStart(3, '0')}`;
+}).join('');
+
+/**
+ * PDF Service
+ * Renders plain text documents (title + paragraphs) to PDF without external
+ * dependencies: Helvetica, word-wrapped, paginated A4.
+ */
+class PdfService {
+  /**
+   * Split a text into lines that fit the page width
+   */
+  wrapText(text, fontSize = FONT_SIZE) {
+    const maxChars = Math.floor((PAGE.width - 2 * PAGE.margin) / (fontSize * AVERAGE_CHAR_WIDTH));
+    const lines = [];
+
+    for (const paragraph of String(text || '').replace(/\r\n?/g, '\n').split('\n')) {
+      let line = '';
+
+      for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        // Words longer than a line are cut
+        for (let start = 0; start < word.length; start += maxChars) {
+          const part = word.slice(start, start + maxChars);
+          if (line && line.length + 1 + part.length > maxChars) {
+            lines.push(line);
+            line = part;
+          } else {
+            line = line ? `${line} ${part}` : part;
+          }
+        }
+      }
+
+      lines.push(line);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Render a document
+   *
+   * @param {Object} document - { title, body } (body: plain text, blank lines separate paragraphs)
+   * @returns {String} PDF (ASCII only; Buffer.from(pdf, 'latin1') for binary use)
+   */
+  renderDocument({ title, body }) {
+    const linesPerPage = Math.floor((PAGE.height - 2 * PAGE.margin) / LEADING);
+    const lines = this.wrapText(body);
+
+    // Title takes two lines on the first page
+    const pages = [];
+    let remaining = lines;
+    let capacity = title ? linesPerPage - 2 : linesPerPage;
+    do {
+      pages.push(remaining.slice(0, capacity));
+      remaining = remaining.slice(capacity);
+      capacity = linesPerPage;
+    } while (remaining.length > 0);
+
+    // 1 catalog, 2 page tree, 3 regular font, 4 bold font, 5 info, then a page and its content per page
+    const objects = [];
+    const pageIds = pages.map((_, index) => 6 + index * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = `<< /Title (${escapePdfText(title || '')}) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`;
+
+    pages.forEach((pageLines, index) => {
+      const top = PAGE.height - PAGE.margin;
+      const operations = ['BT'];
+
+      if (index === 0 && title) {
+        operations.push(`/F2 ${TITLE_SIZE} Tf`, `1 0 0 1 ${PAGE.margin} ${top - TITLE_SIZE} Tm`, `(${escapePdfText(title)}) Tj`);
+      }
+
+      const firstLine = index === 0 && title ? top - TITLE_SIZE - 2 * LEADING : top - FONT_SIZE;
+      operations.push(`/F1 ${FONT_SIZE} Tf`, `${LEADING} TL`, `1 0 0 1 ${PAGE.margin} ${firstLine} Tm`);
+      pageLines.forEach((line, lineIndex) => {
+        operations.push(lineIndex === 0 ? `(${escapePdfText(line)}) Tj` : `(${escapePdfText(line)}) '`);
+      });
+      operations.push('ET');
+
+      const stream = operations.join('\n');
+      objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+      objects[pageIds[index] + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = pdf.length;
+      pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return pdf;
+  }
+}
+
+module.exports = new PdfService();
@@ -1,8 +1,42 @@
 const { Server } = require('socket.io');
 const JWTService = require('./jwtService');
+const SessionService = require('../modules/auth/session.service');
 
 let ioInstance = null;
 
+// Role rooms are per tenant so a broadcast never reaches another company's users
+function roleRoom(role, tenantId = null) {
+  return tenantId ? `tenant:${tenantId}:role:${role}` : `role:${role}`;
+}
+
+/**
+ * Check that a socket may follow a job's or an application's updates.
+ * Only admins can subscribe (notes and evaluations are internal), and the
+ * job must belong to their tenant.
+ */
+async function canSubscribe(user, { jobId, applicationId }) {
+  if (!user || user.type !== 'admin') return false;
+
+  const Job = require('../modules/jobs/job.model');
+  const Application = require('../modules/application/application.model');
+
+  if (applicationId) {
+    const application = await Application.findById(applicationId).select('jobId');
+    if (!application) return false;
+    jobId = application.jobId;
+  }
+
+  if (!jobId) return false;
+
+  const job = await Job.findById(jobId).select('tenantId');
+  if (!job) return false;
+
+  // Single-tenant mode: no tenant on the token or the job
+  if (!user.tenantId) return !job.tenantId;
+
+  return !!job.tenantId && job.tenantId.toString() === user.tenantId;
+}
+
 function initRealtime(server, corsOrigin) {
   if (ioInstance) return ioInstance;
   const io = new Server(server, {
@@ -13,12 +47,20 @@ function initRealtime(server, corsOrigin) {
     transports: ['websocket', 'polling'],
   });
 
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     try {
       const token = socket.handshake.auth?.token || socket.handshake.query?.token;
       if (!token) return next(new Error('Auth token required'));
       const decoded = JWTService.verifyAccessToken(token);
-      socket.user = { id: decoded.userId, type: decoded.userType };
+      if (decoded.sid && !(await SessionService.isSessionActive(decoded.sid))) {
+        return next(new Error('Session revoked'));
+      }
+      socket.user = {
+        id: decoded.userId,
+        type: decoded.userType,
+        tenantId: decoded.tenantId || null,
+        sessionId: decoded.sid || null
+      };
       return next();
     } catch (err) {
       return next(new Error('Invalid token'));
@@ -26,13 +68,42 @@ function initRealtime(server, corsOrigin) {
   });
 
   io.on('connection', (socket) => {
-    const { id, type } = socket.user || {};
+    const { id, type, tenantId, sessionId } = socket.user || {};
     if (id) {
       socket.join(`user:${id}`);
     }
+    // Tenant-wide pipeline events are internal, so only the tenant's staff join
+    if (tenantId && type === 'admin') {
+      socket.join(`tenant:${tenantId}`);
+    }
     if (type) {
-      socket.join(`role:${type}`);
+      socket.join(roleRoom(type, tenantId));
     }
+    // Lets revoking a session drop its live connections
+    if (sessionId) {
+      socket.join(`session:${sessionId}`);
+    }
+
+    // Follow a job board or a single application: { jobId } or { applicationId }
+    socket.on('subscribe', async (target = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        if (!(await canSubscribe(socket.user, target))) {
+          return reply({ success: false, message: 'Not allowed' });
+        }
+        const room = target.applicationId ? `application:${target.applicationId}` : `job:${target.jobId}`;
+        socket.join(room);
+        return reply({ success: true, room });
+      } catch (err) {
+        return reply({ success: false, message: 'Subscription failed' });
+      }
+    });
+
+    socket.on('unsubscribe', (target = {}, ack) => {
+      const room = target.applicationId ? `application:${target.applicationId}` : `job:${target.jobId}`;
+      socket.leave(room);
+      if (typeof ack === 'function') ack({ success: true, room });
+    });
 
     socket.on('disconnect', () => {
       // no-op
@@ -54,12 +125,84 @@ function notifyUser(userId, payload) {
   } catch {}
 }
 
-function notifyRole(role, payload) {
+/**
+ * Notify every user with a role in one tenant. The tenant is required so a
+ * broadcast can't reach other companies; null targets users without a tenant
+ * (single-tenant mode).
+ */
+function notifyRole(tenantId, role, payload) {
+  if (tenantId === undefined) {
+    throw new Error('notifyRole requires a tenantId (null for single-tenant mode)');
+  }
+  try {
+    getIO().to(roleRoom(role, tenantId)).emit('notification', payload);
+  } catch {}
+}
+
+/**
+ * Emit to the tenant's staff (admins, recruiters, employees)
+ */
+function emitToTenant(tenantId, event, payload) {
+  if (!tenantId) return;
   try {
-    getIO().to(`role:${role}`).emit('notification', payload);
+    getIO().to(`tenant:${tenantId}`).emit(event, payload);
   } catch {}
 }
 
-module.exports = { initRealtime, getIO, notifyUser, notifyRole };
+function emitToJob(jobId, event, payload) {
+  try {
+    getIO().to(`job:${jobId}`).emit(event, payload);
+  } catch {}
+}
+
+/**
+ * Push an application change to everyone following the application or its job.
+ * Events: application:created, application:status, application:note,
+ * application:evaluation, application:event, application:offer
+ */
+function publishApplicationUpdate(application, event, data = {}) {
+  try {
+    const applicationId = String(application._id);
+    const jobId = String(application.jobId && application.jobId._id ? application.jobId._id : application.jobId);
+    const payload = {
+      applicationId,
+      jobId,
+      ...data,
+      timestamp: new Date().toISOString()
+    };
 
+    getIO().to(`application:${applicationId}`).to(`job:${jobId}`).emit(event, payload);
+  } catch {}
+}
+
+/**
+ * Announce a new application to boards following its job and to the
+ * tenant's staff (dashboards, job lists)
+ */
+function publishNewApplication(application, tenantId) {
+  publishApplicationUpdate(application, 'application:created', { status: application.status });
+  emitToTenant(tenantId, 'application:created', {
+    applicationId: String(application._id),
+    jobId: String(application.jobId && application.jobId._id ? application.jobId._id : application.jobId),
+    status: application.status,
+    timestamp: new Date().toISOString()
+  });
+}
+
+function disconnectSession(sessionId) {
+  try {
+    getIO().in(`session:${sessionId}`).disconnectSockets(true);
+  } catch {}
+}
 
+module.exports = {
+  initRealtime,
+  getIO,
+  notifyUser,
+  notifyRole,
+  emitToTenant,
+  emitToJob,
+  publishApplicationUpdate,
+  publishNewApplication,
+  disconnectSession
+};
@@ -0,0 +1,215 @@
+const config = require('../config');
+const Event = require('../modules/application/event.model');
+const Application = require('../modules/application/application.model');
+const EmailService = require('./emailService');
+const EventEmailService = require('./eventEmailService');
+const { notifyUser } = require('./realtime');
+
+const DAY = 24 * 60 * 60 * 1000;
+const UNITS = { m: 1, h: 60, d: 1440 };
+
+/**
+ * Reminder Service
+ * Polls for upcoming interview events and sends reminders at the configured
+ * offsets (REMINDER_OFFSETS, e.g. "24h,1h").
+ *
+ * Several server instances can run the poller: each reminder is claimed with a
+ * conditional update on Event.remindersSent, so only the instance whose update
+ * matched sends it. A reminder claimed by an instance that crashes before
+ * sending is not retried.
+ */
+class ReminderService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Parse "24h,1h,30m" into minutes, largest first
+   */
+  parseOffsets(value) {
+    return String(value || '')
+      .split(',')
+      .map(part => part.trim().match(/^(\d+)\s*([mhd])$/i))
+      .filter(Boolean)
+      .map(([, amount, unit]) => parseInt(amount) * UNITS[unit.toLowerCase()])
+      .filter(minutes => minutes > 0)
+      .sort((a, b) => b - a);
+  }
+
+  getOffsets() {
+    return this.parseOffsets(config.reminders.offsets);
+  }
+
+  /**
+   * Event start in ms (date + HH:mm, read the same way as Event.isUpcoming)
+   */
+  getEventStart(event) {
+    return new Date(`${new Date(event.date).toISOString().split('T')[0]}T${event.startTime}`).getTime();
+  }
+
+  formatOffset(minutes) {
+    if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? '' : 's'}`;
+    if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+    return `${minutes} minutes`;
+  }
+
+  /**
+   * Start polling (no-op when disabled or already started)
+   */
+  start() {
+    if (this.timer || !config.reminders.enabled) return;
+
+    const offsets = this.getOffsets();
+    if (offsets.length === 0) {
+      console.warn('⚠️ REMINDER_OFFSETS has no valid offsets — interview reminders disabled.');
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(err => console.error('Reminder run failed:', err));
+    }, config.reminders.pollIntervalMs);
+    // Don't keep the process alive just for reminders
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Send every reminder that is due
+   * @returns {number} Number of reminders sent by this instance
+   */
+  async runOnce(now = Date.now()) {
+    // A slow run shouldn't overlap with the next tick on the same instance
+    if (this.running) return 0;
+    this.running = true;
+
+    try {
+      const offsets = this.getOffsets();
+      if (offsets.length === 0) return 0;
+
+      const smallest = offsets[offsets.length - 1];
+      const horizon = now + offsets[0] * 60 * 1000;
+
+      // Event dates are stored at midnight, so widen by a day on both sides
+      const events = await Event.find({
+        reminderSent: false,
+        status: { $in: ['scheduled', 'rescheduled'] },
+        date: { $gte: new Date(now - DAY), $lte: new Date(horizon + DAY) }
+      });
+
+      let sent = 0;
+
+      for (const event of events) {
+        const start = this.getEventStart(event);
+        if (isNaN(start)) continue;
+
+        if (start <= now) {
+          // Started without its last reminder (e.g. created at the last minute)
+          await Event.updateOne({ _id: event._id }, { $set: { reminderSent: true } });
+          continue;
+        }
+
+        const alreadySent = (event.remindersSent || []).map(reminder => reminder.offset);
+        const due = offsets.filter(offset => start - offset * 60 * 1000 <= now && !alreadySent.includes(offset));
+        if (due.length === 0) continue;
+
+        // Only the closest reminder is sent; larger missed offsets are claimed with it
+        const offset = Math.min(...due);
+        const claimed = await Event.updateOne(
+          { _id: event._id, 'remindersSent.offset': { $nin: due } },
+          {
+            $push: { remindersSent: { $each: due.map(o => ({ offset: o, sentAt: new Date(now) })) } },
+            $set: { reminderSent: offset === smallest }
+          }
+        );
+
+        if (claimed.modifiedCount !== 1) continue;
+
+        await this.sendReminder(event, offset);
+        sent++;
+      }
+
+      return sent;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Email every attendee and candidate, and notify users with an account in-app
+   */
+  async sendReminder(event, offsetMinutes) {
+    try {
+      const NotificationService = require('../modules/notifications/notification.service');
+      const application = await Application.findById(event.applicationId).populate('jobId', 'title tenantId');
+      const when = `${new Date(event.date).toISOString().split('T')[0]} ${event.startTime} - ${event.endTime}`;
+      const jobTitle = application?.jobId?.title;
+      const title = `Reminder: ${event.title}`;
+      const message = `${event.title}${jobTitle ? ` (${jobTitle})` : ''} starts in ${this.formatOffset(offsetMinutes)} (${when}).`;
+
+      const recipients = new Set((event.attendees || []).map(attendee => attendee.email.toLowerCase()));
+      (event.additionalEmails || []).forEach(email => recipients.add(email.toLowerCase()));
+      if (application) {
+        const candidateEmails = await EventEmailService.getCandidateEmails(application, event);
+        candidateEmails.forEach(email => recipients.add(email.toLowerCase()));
+      }
+
+      const html = `
+        <h2>${title}</h2>
+        <p>${message}</p>
+        <p><strong>Location:</strong> ${event.location || 'TBD'}</p>
+        ${event.meetingLink ? `<p><strong>Meeting link:</strong> <a href="${event.meetingLink}">${event.meetingLink}</a></p>` : ''}
+      `;
+
+      // One email per recipient so privacy-enabled events don't expose the guest list
+      for (const email of recipients) {
+        try {
+          await EmailService.sendEmail(email, title, html, null, {
+            eventId: event._id,
+            applicationId: event.applicationId,
+            tenantId: application?.jobId?.tenantId,
+            category: 'event_reminder'
+          });
+        } catch (error) {
+          console.error(`Failed to send reminder to ${email}:`, error);
+        }
+      }
+
+      for (const attendee of event.attendees || []) {
+        // Guest candidates have no account to notify
+        if (attendee.userType === 'Candidate' && application?.isGuestApplication) continue;
+
+        const userType = attendee.userType === 'Admin' ? 'admin' : 'candidate';
+        const notification = await NotificationService.createNotification({
+          userId: attendee.userId,
+          userType,
+          tenantId: application?.jobId?.tenantId,
+          title,
+          message,
+          type: 'info',
+          metadata: { eventId: event._id, applicationId: event.applicationId, offsetMinutes }
+        });
+
+        notifyUser(String(attendee.userId), {
+          type: 'event_reminder',
+          title,
+          message,
+          notificationId: String(notification._id),
+          eventId: String(event._id),
+          applicationId: String(event.applicationId),
+          timestamp: new Date().toISOString()
+        });
+      }
+    } catch (error) {
+      console.error(`Error sending reminder for event ${event._id}:`, error);
+    }
+  }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,232 @@
+const path = require('path');
+const config = require('../config');
+
+const isBlank = (value) => value === undefined || value === null ||
+  (Array.isArray(value) ? value.length === 0 : String(value).trim() === '');
+
+const toDate = (value) => {
+  const date = value instanceof Date ? value : new Date(String(value).trim());
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const sameOption = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// How an answer is checked and stored, per question type.
+// Each returns { answer, values?, file? } or throws the problem (without the question text).
+const NORMALIZERS = {
+  'multiple-choice': (question, value) => {
+    const option = (question.options || []).find(candidate => sameOption(candidate, value));
+    if (option === undefined) throw new Error('must be one of the options');
+    return { answer: option };
+  },
+
+  'yes-no': (question, value) => {
+    const answer = String(value).trim().toLowerCase();
+    if (['yes', 'true'].includes(answer)) return { answer: 'Yes' };
+    if (['no', 'false'].includes(answer)) return { answer: 'No' };
+    throw new Error('must be yes or no');
+  },
+
+  rating: (question, value) => NORMALIZERS.number(question, value),
+
+  number: (question, value) => {
+    const number = Number(String(value).trim());
+    if (String(value).trim() === '' || !Number.isFinite(number)) throw new Error('must be a number');
+    if (typeof question.min === 'number' && number < question.min) throw new Error(`must be at least ${question.min}`);
+    if (typeof question.max === 'number' && number > question.max) throw new Error(`must be at most ${question.max}`);
+    return { answer: String(number) };
+  },
+
+  date: (question, value) => {
+    const date = toDate(value);
+    if (!date) throw new Error('must be a valid date');
+    const day = date.toISOString().slice(0, 10);
+    if (question.minDate && day < toDate(question.minDate).toISOString().slice(0, 10)) {
+      throw new Error(`must be on or after ${toDate(question.minDate).toISOString().slice(0, 10)}`);
+    }
+    if (question.maxDate && day > toDate(question.maxDate).toISOString().slice(0, 10)) {
+      throw new Error(`must be on or before ${toDate(question.maxDate).toISOString().slice(0, 10)}`);
+    }
+    return { answer: day };
+  },
+
+  'multi-select': (question, value) => {
+    const picked = Array.isArray(value) ? value : [value];
+    const values = [];
+    for (const entry of picked) {
+      const option = (question.options || []).find(candidate => sameOption(candidate, entry));
+      if (option === undefined) throw new Error(`has an unknown option "${entry}"`);
+      if (!values.includes(option)) values.push(option);
+    }
+    if (question.maxSelections && values.length > question.maxSelections) {
+      throw new Error(`allows at most ${question.maxSelections} selections`);
+    }
+    return { answer: values.join(', '), values };
+  },
+
+  url: (question, value) => {
+    const answer = String(value).trim();
+    let url;
+    try {
+      url = new URL(answer);
+    } catch {
+      throw new Error('must be a valid URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error('must be an http(s) URL');
+    return { answer };
+  },
+
+  file: (question, value, file) => {
+    const extension = path.extname(file.originalname).slice(1).toLowerCase();
+    const allowed = (question.allowedFileTypes || []).length > 0
+      ? question.allowedFileTypes.map(type => String(type).replace(/^\./, '').toLowerCase())
+      : Object.keys(config.upload.screeningFileTypes);
+    if (!allowed.includes(extension)) throw new Error(`must be a ${allowed.join(', ')} file`);
+    return {
+      answer: file.originalname,
+      file: {
+        path: file.path,
+        filename: file.filename,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size
+      }
+    };
+  },
+
+  default: (question, value) => ({ answer: String(value).trim() })
+};
+
+const compare = (answer, value, type) => {
+  if (type === 'date') {
+    const a = toDate(answer);
+    const b = toDate(value);
+    return a && b ? a - b : NaN;
+  }
+  return Number(answer) - Number(value);
+};
+
+// How a showIf condition compares the earlier answer with its value
+const CONDITIONS = {
+  equals: (entry, value) => sameOption(entry.answer, value),
+  notEquals: (entry, value) => !sameOption(entry.answer, value),
+  includes: (entry, value) => entry.values
+    ? entry.values.some(option => sameOption(option, value))
+    : String(entry.answer).toLowerCase().includes(String(value).trim().toLowerCase()),
+  greaterThan: (entry, value, type) => compare(entry.answer, value, type) > 0,
+  lessThan: (entry, value, type) => compare(entry.answer, value, type) < 0
+};
+
+/**
+ * Screening Answer Service
+ * Checks application answers against the job's screening questions:
+ * - questions hidden by their showIf condition are skipped (not required, answers dropped)
+ * - required questions need an answer, and text answers respect maxLength
+ * - each type checks its own format (options, number and date ranges, URLs, uploaded files)
+ */
+class ScreeningAnswerService {
+  /**
+   * Add uploaded screening files to the answers of their questions
+   *
+   * @param {Array} answers - [{ questionId, answer }]
+   * @param {Object} files - Multer files by question ID (req.screeningFiles)
+   */
+  attachFiles(answers, files = {}) {
+    const result = Array.isArray(answers) ? answers.map(entry => ({ ...entry })) : [];
+
+    for (const [questionId, file] of Object.entries(files)) {
+      const entry = result.find(candidate => String(candidate.questionId) === questionId);
+      if (entry) {
+        entry.file = file;
+      } else {
+        result.push({ questionId, file });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Whether a question is asked, given the answers to the questions before it
+   */
+  isVisible(question, answersByQuestion, questionsById) {
+    const condition = question.showIf;
+    if (!condition || !condition.questionId) {
+      return true;
+    }
+
+    const entry = answersByQuestion.get(String(condition.questionId));
+    if (!entry) {
+      return false;
+    }
+
+    const test = CONDITIONS[condition.operator] || CONDITIONS.equals;
+    const source = questionsById.get(String(condition.questionId));
+    return test(entry, condition.value ?? '', source && source.type);
+  }
+
+  /**
+   * Validate and normalize an application's answers
+   *
+   * @param {Array} questions - Job screeningQuestions
+   * @param {Array} answers - [{ questionId, answer, file? }] (multi-select answers may be arrays)
+   * @param {Object} options - { enforceRequired } (false when someone else applies for the candidate)
+   * @returns {Array} Answers to store: [{ questionId, answer, values?, file? }]
+   * @throws {Error} 'Invalid screening answers: ...' listing every problem
+   */
+  validateAnswers(questions, answers, options = {}) {
+    const { enforceRequired = true } = options;
+    questions = questions || [];
+    const given = new Map((Array.isArray(answers) ? answers : [])
+      .filter(entry => entry && entry.questionId)
+      .map(entry => [String(entry.questionId), entry]));
+
+    const questionsById = new Map(questions.map(question => [String(question.questionId || question._id), question]));
+    const answersByQuestion = new Map();
+    const problems = [];
+    const result = [];
+
+    for (const question of questions) {
+      const questionId = String(question.questionId || question._id);
+
+      if (!this.isVisible(question, answersByQuestion, questionsById)) {
+        continue;
+      }
+
+      const entry = given.get(questionId) || {};
+      const value = entry.answer;
+      const blank = question.type === 'file' ? !entry.file : isBlank(value);
+
+      if (blank) {
+        if (question.required !== false && enforceRequired) {
+          problems.push(`"${question.text}" is required`);
+        }
+        continue;
+      }
+
+      try {
+        const normalize = NORMALIZERS[question.type] || NORMALIZERS.default;
+        const normalized = normalize(question, value, entry.file);
+
+        if (question.maxLength && ['text', 'url'].includes(question.type || 'text') &&
+            normalized.answer.length > question.maxLength) {
+          throw new Error(`must be at most ${question.maxLength} characters`);
+        }
+
+        const stored = { questionId: question.questionId || question._id, ...normalized };
+        answersByQuestion.set(questionId, stored);
+        result.push(stored);
+      } catch (error) {
+        problems.push(`"${question.text}" ${error.message}`);
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid screening answers: ${problems.join('; ')}`);
+    }
+
+    return result;
+  }
+}
+
+module.exports = new ScreeningAnswerService();
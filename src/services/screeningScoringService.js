@@ -0,0 +1,233 @@
+const EmailService = require('./emailService');
+const ScreeningAnswerService = require('./screeningAnswerService');
+const PipelineService = require('../modules/pipelines/pipeline.service');
+const PipelineUtils = require('../modules/pipelines/pipeline.utils');
+
+const escapeHtml = (value) => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const normalizeAnswer = (value) => {
+  const answer = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+  // Yes/no answers arrive as booleans from some forms
+  if (answer === 'true') return 'yes';
+  if (answer === 'false') return 'no';
+  return answer;
+};
+
+const acceptedAnswers = (correctAnswer) => String(correctAnswer)
+  .split('|')
+  .map(normalizeAnswer)
+  .filter(Boolean);
+
+// How an answer is checked against correctAnswer, per question type
+const EVALUATORS = {
+  rating: (answer, correctAnswer) => {
+    const value = Number(answer);
+    const minimum = Number(correctAnswer);
+    return Number.isFinite(value) && Number.isFinite(minimum) && value >= minimum;
+  },
+  // correctAnswer is the minimum ("3") or an inclusive range ("3-5")
+  number: (answer, correctAnswer) => {
+    const value = Number(answer);
+    const range = String(correctAnswer).trim().match(/^(-?\d+(?:\.\d+)?)(?:\s*-\s*(-?\d+(?:\.\d+)?))?$/);
+    if (!range || !Number.isFinite(value)) return false;
+    return value >= Number(range[1]) && (range[2] === undefined || value <= Number(range[2]));
+  },
+  // correctAnswer is the latest accepted date (e.g. "available from")
+  date: (answer, correctAnswer) => {
+    const value = new Date(answer);
+    const latest = new Date(correctAnswer);
+    return !Number.isNaN(value.getTime()) && !Number.isNaN(latest.getTime()) && value <= latest;
+  },
+  // Every option in correctAnswer has to be picked
+  'multi-select': (answer, correctAnswer) => {
+    const picked = (Array.isArray(answer) ? answer : [answer]).map(normalizeAnswer);
+    return acceptedAnswers(correctAnswer).every(option => picked.includes(option));
+  },
+  default: (answer, correctAnswer) => acceptedAnswers(correctAnswer).includes(normalizeAnswer(answer))
+};
+
+// Answers that cannot be compared with a correct answer
+const UNSCORED_TYPES = ['file', 'url'];
+
+/**
+ * Screening Scoring Service
+ * Evaluates screening answers against the job's correct answers:
+ * - knockout questions fail the application when answered wrongly (or not at all)
+ * - weighted questions add their weight to the screening score when answered correctly
+ * Questions hidden by their showIf condition are left out.
+ * Failed applications can be moved to a rejection/review stage and the candidate emailed
+ * (Job.screeningSettings).
+ */
+class ScreeningScoringService {
+  /**
+   * Questions that take part in scoring (they need a correct answer)
+   */
+  getScoredQuestions(questions = []) {
+    return questions.filter(question =>
+      ['knockout', 'weighted'].includes(question.scoringType) &&
+      !UNSCORED_TYPES.includes(question.type) &&
+      question.correctAnswer !== undefined && question.correctAnswer !== null && String(question.correctAnswer).trim() !== ''
+    );
+  }
+
+  /**
+   * Whether an answer is correct for its question
+   */
+  isCorrect(question, answer) {
+    if (answer === undefined || answer === null || String(answer).trim() === '' || (Array.isArray(answer) && answer.length === 0)) {
+      return false;
+    }
+
+    const evaluate = EVALUATORS[question.type] || EVALUATORS.default;
+    return evaluate(answer, question.correctAnswer);
+  }
+
+  /**
+   * Evaluate an application's answers
+   *
+   * @param {Object} job - Job with screeningQuestions and screeningSettings
+   * @param {Array} answers - [{ questionId, answer, values? }] (values: picked multi-select options)
+   * @returns {Object|null} screeningResult (null when no question is scored)
+   */
+  evaluate(job, answers = []) {
+    const allQuestions = job.screeningQuestions || [];
+    const entries = new Map((answers || []).map(entry => [String(entry.questionId), entry]));
+    const questionsById = new Map(allQuestions.map(question => [String(question.questionId || question._id), question]));
+
+    const questions = this.getScoredQuestions(allQuestions)
+      .filter(question => ScreeningAnswerService.isVisible(question, entries, questionsById));
+    if (questions.length === 0) {
+      return null;
+    }
+
+    const answerFor = (question) => {
+      const entry = entries.get(String(question.questionId || question._id));
+      if (!entry) return undefined;
+      return Array.isArray(entry.values) && entry.values.length > 0 ? entry.values : entry.answer;
+    };
+
+    const knockoutFailures = questions
+      .filter(question => question.scoringType === 'knockout' && !this.isCorrect(question, answerFor(question)))
+      .map(question => ({ questionId: question.questionId || question._id, text: question.text }));
+
+    const weighted = questions.filter(question => question.scoringType === 'weighted');
+    const totalWeight = weighted.reduce((sum, question) => sum + (question.weight ?? 1), 0);
+    const earned = weighted
+      .filter(question => this.isCorrect(question, answerFor(question)))
+      .reduce((sum, question) => sum + (question.weight ?? 1), 0);
+    const score = totalWeight > 0 ? Math.round((earned / totalWeight) * 100) : null;
+
+    const passingScore = job.screeningSettings?.passingScore;
+    const belowPassingScore = score !== null && typeof passingScore === 'number' && score < passingScore;
+
+    return {
+      score,
+      passed: knockoutFailures.length === 0 && !belowPassingScore,
+      knockoutFailures,
+      belowPassingScore,
+      evaluatedAt: new Date()
+    };
+  }
+
+  /**
+   * Stage failed applications go to: the configured one, or the pipeline's
+   * rejection stage when rejecting
+   */
+  resolveFailStage(pipeline, settings = {}) {
+    if (settings.failStage) {
+      return PipelineUtils.findStage(pipeline, settings.failStage);
+    }
+
+    if (settings.onFail === 'reject') {
+      return (pipeline.stages || []).find(stage => stage.type === 'terminal' && stage.outcome === 'rejected') || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Subject and body of the candidate email (the job's own text or the default)
+   */
+  buildCandidateEmail(job, candidateName) {
+    const settings = job.screeningSettings || {};
+
+    if (settings.emailSubject && settings.emailBody) {
+      const replace = (template, escape) => template
+        .replace(/\{\{\s*candidateName\s*\}\}/g, escape(candidateName))
+        .replace(/\{\{\s*jobTitle\s*\}\}/g, escape(job.title));
+
+      return {
+        subject: replace(settings.emailSubject, value => value),
+        html: replace(settings.emailBody, escapeHtml)
+      };
+    }
+
+    return EmailService.generateScreeningOutcomeEmail(escapeHtml(candidateName), escapeHtml(job.title), settings.onFail);
+  }
+
+  /**
+   * Act on a failed screening: move the application and email the candidate as configured.
+   * Never throws — the application itself has already been accepted.
+   *
+   * @param {Object} application - Application document with screeningResult
+   * @param {Object} job - Job document
+   * @param {Object} candidate - { name, email }
+   */
+  async applyOutcome(application, job, candidate) {
+    const result = application.screeningResult;
+    const settings = job.screeningSettings || {};
+
+    if (!result || result.passed !== false || !settings.onFail || settings.onFail === 'none') {
+      return application;
+    }
+
+    try {
+      const pipeline = await PipelineService.resolvePipelineForJob(job);
+      const stage = this.resolveFailStage(pipeline, settings);
+
+      if (!stage) {
+        console.warn(`Screening: no ${settings.failStage || 'rejection'} stage in the pipeline of job ${job._id}; application left in ${application.status}`);
+      } else if (stage.name !== application.status) {
+        const oldStatus = application.status;
+        application.status = stage.name;
+        application.logs.push({
+          action: `Status changed from ${oldStatus} to ${stage.name} (failed screening)`,
+          metadata: {
+            oldStatus,
+            newStatus: stage.name,
+            automated: true,
+            reason: 'screening',
+            knockoutFailures: result.knockoutFailures.map(failure => String(failure.questionId)),
+            score: result.score
+          }
+        });
+        application.screeningResult.movedTo = stage.name;
+      }
+
+      if (settings.notifyCandidate && candidate && candidate.email) {
+        const email = this.buildCandidateEmail(job, candidate.name);
+        const delayMinutes = settings.emailDelayMinutes || 0;
+
+        await EmailService.sendEmail(candidate.email, email.subject, email.html, null, {
+          applicationId: application._id,
+          tenantId: job.tenantId,
+          category: 'screening_outcome',
+          sendAt: delayMinutes > 0 ? new Date(Date.now() + delayMinutes * 60 * 1000) : undefined
+        });
+        application.screeningResult.candidateNotified = true;
+      }
+
+      await application.save();
+    } catch (error) {
+      console.error('Failed to apply screening outcome:', error);
+    }
+
+    return application;
+  }
+}
+
+module.exports = new ScreeningScoringService();
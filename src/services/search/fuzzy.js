@@ -0,0 +1,100 @@
+/**
+ * Typo-tolerant matching for autocomplete
+ */
+
+/**
+ * Lowercase and strip accents ("Développeur" -> "developpeur")
+ */
+const normalize = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Optimal string alignment distance (Levenshtein + adjacent transpositions),
+ * giving up once the distance exceeds max
+ */
+const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+
+      nextRow[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+};
+
+/**
+ * Typos allowed for a query of this length
+ */
+const maxTypos = (length) => (length < 4 ? 0 : length < 8 ? 1 : 2);
+
+/**
+ * How well a suggestion matches what has been typed so far
+ * Lower is better; null = no match.
+ *   0 - the suggestion starts with the query
+ *   1 - one of its words starts with the query
+ *   2+ - a word prefix matches with typos (2 + number of typos)
+ */
+const matchScore = (query, text) => {
+  const q = normalize(query);
+  const candidate = normalize(text);
+  if (!q || !candidate) return null;
+
+  if (candidate.startsWith(q)) return 0;
+
+  // Every position where a word starts
+  const starts = [0];
+  for (let i = 1; i < candidate.length; i++) {
+    if (candidate[i - 1] === ' ' || candidate[i - 1] === '-' || candidate[i - 1] === '/') starts.push(i);
+  }
+
+  if (starts.some(start => candidate.startsWith(q, start))) return 1;
+
+  const allowed = maxTypos(q.length);
+  if (allowed === 0) return null;
+
+  let best = null;
+  for (const start of starts) {
+    // Compare against prefixes one shorter/longer too, so a missing or extra letter counts once
+    for (let length = q.length - allowed; length <= q.length + allowed; length++) {
+      if (length < 1 || start + length > candidate.length) continue;
+
+      const distance = editDistance(q, candidate.slice(start, start + length), allowed);
+      if (distance <= allowed && (best === null || distance < best)) {
+        best = distance;
+      }
+    }
+  }
+
+  return best === null ? null : 2 + best;
+};
+
+module.exports = {
+  normalize,
+  editDistance,
+  maxTypos,
+  matchScore
+};
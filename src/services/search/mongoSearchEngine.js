@@ -0,0 +1,201 @@
+const SearchEngine = require('./searchEngine');
+const { matchScore } = require('./fuzzy');
+const Job = require('../../modules/jobs/job.model');
+const { exactMatch } = require('../../utils/regexHelper');
+const config = require('../../config');
+
+const FACET_LIMIT = 50;
+
+// Facet name -> field the values are counted on
+const FACET_FIELDS = {
+  department: '$department',
+  employmentType: '$employmentType',
+  experienceLevel: '$experienceLevel',
+  location: '$location.city'
+};
+
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  publishedAt: 'publishedAt',
+  title: 'title',
+  salary: 'salaryRange.min'
+};
+
+/**
+ * MongoDB Search Engine
+ * Relevance-ranked search on the job text index (title, skills, tags,
+ * department, description) with facet counts from a single aggregation.
+ *
+ * Facets are disjunctive: each facet is counted with every filter except its
+ * own, so picking "Engineering" still shows how many jobs the other
+ * departments have.
+ */
+class MongoSearchEngine extends SearchEngine {
+  constructor() {
+    super('mongo');
+    this.vocabularyCache = new Map();
+    this.indexesReady = null;
+  }
+
+  /**
+   * $text needs the text index; wait for it on first use (fresh databases)
+   */
+  ready() {
+    if (!this.indexesReady) {
+      this.indexesReady = Job.init().catch(error => {
+        this.indexesReady = null;
+        throw error;
+      });
+    }
+    return this.indexesReady;
+  }
+
+  /**
+   * One match clause per active filter, keyed by facet name where there is one
+   */
+  buildFilterClauses(filters = {}) {
+    const { department, employmentType, experienceLevel, location, salaryMin, salaryMax, tags } = filters;
+    const clauses = {};
+
+    if (department) clauses.department = { department: exactMatch(department) };
+    if (employmentType) clauses.employmentType = { employmentType };
+    if (experienceLevel) clauses.experienceLevel = { experienceLevel };
+
+    if (location) {
+      const value = exactMatch(location);
+      clauses.location = { $or: [{ 'location.city': value }, { 'location.country': value }] };
+    }
+
+    if (salaryMin || salaryMax) {
+      clauses.salary = {};
+      if (salaryMin) clauses.salary['salaryRange.min'] = { $gte: parseInt(salaryMin) };
+      if (salaryMax) clauses.salary['salaryRange.max'] = { $lte: parseInt(salaryMax) };
+    }
+
+    if (tags) {
+      const list = (Array.isArray(tags) ? tags : String(tags).split(','))
+        .map(tag => tag.trim().toLowerCase())
+        .filter(Boolean);
+      if (list.length > 0) clauses.tags = { tags: { $in: list } };
+    }
+
+    return clauses;
+  }
+
+  buildSort(q, sortBy, sortOrder) {
+    const direction = sortOrder === 'asc' ? 1 : -1;
+
+    if (sortBy === 'relevance' || (!sortBy && q)) {
+      return q ? { score: -1, publishedAt: -1, _id: 1 } : { createdAt: -1, _id: 1 };
+    }
+
+    return { [SORT_FIELDS[sortBy] || 'createdAt']: direction, _id: 1 };
+  }
+
+  async search({ tenantId, q, filters = {}, sortBy, sortOrder = 'desc', page = 1, limit = 10 }) {
+    const base = { tenantId, isPublished: true, status: 'published' };
+    if (q) {
+      await this.ready();
+      base.$text = { $search: q };
+    }
+
+    const clauses = this.buildFilterClauses(filters);
+    const matchExcept = (excluded) => {
+      const parts = Object.entries(clauses)
+        .filter(([name]) => name !== excluded)
+        .map(([, clause]) => clause);
+      return parts.length > 0 ? { $and: parts } : {};
+    };
+    const all = matchExcept(null);
+
+    const facets = {};
+    for (const [name, field] of Object.entries(FACET_FIELDS)) {
+      facets[name] = [
+        { $match: matchExcept(name) },
+        { $group: { _id: field, count: { $sum: 1 } } },
+        { $match: { _id: { $nin: [null, ''] } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: FACET_LIMIT }
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [result] = await Job.aggregate([
+      { $match: base },
+      ...(q ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+      {
+        $facet: {
+          jobs: [
+            { $match: all },
+            { $sort: this.buildSort(q, sortBy, sortOrder) },
+            { $skip: skip },
+            { $limit: parseInt(limit) }
+          ],
+          total: [{ $match: all }, { $count: 'count' }],
+          ...facets
+        }
+      }
+    ]);
+
+    const jobs = await Job.populate(result.jobs, { path: 'createdBy', select: 'name email' });
+
+    return {
+      jobs,
+      total: result.total[0]?.count || 0,
+      facets: Object.fromEntries(Object.keys(FACET_FIELDS).map(name => [
+        name,
+        result[name].map(entry => ({ value: entry._id, count: entry.count }))
+      ]))
+    };
+  }
+
+  /**
+   * Job titles and skills of the tenant's published jobs with how often they occur
+   * (cached briefly; autocomplete runs on every keystroke)
+   */
+  async getVocabulary(tenantId) {
+    const key = String(tenantId);
+    const cached = this.vocabularyCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.entries;
+    }
+
+    const [result] = await Job.aggregate([
+      { $match: { tenantId, isPublished: true, status: 'published' } },
+      {
+        $facet: {
+          title: [{ $group: { _id: '$title', count: { $sum: 1 } } }],
+          skill: [
+            { $unwind: '$skills' },
+            { $group: { _id: '$skills', count: { $sum: 1 } } }
+          ]
+        }
+      }
+    ]);
+
+    const entries = [
+      ...result.title.map(entry => ({ text: entry._id, type: 'title', count: entry.count })),
+      ...result.skill.map(entry => ({ text: entry._id, type: 'skill', count: entry.count }))
+    ].filter(entry => entry.text);
+
+    this.vocabularyCache.set(key, { entries, expiresAt: Date.now() + config.search.autocompleteCacheMs });
+    return entries;
+  }
+
+  clearCache() {
+    this.vocabularyCache.clear();
+  }
+
+  async suggest({ tenantId, q, limit = 8 }) {
+    const vocabulary = await this.getVocabulary(tenantId);
+
+    return vocabulary
+      .map(entry => ({ ...entry, score: matchScore(q, entry.text) }))
+      .filter(entry => entry.score !== null)
+      .sort((a, b) => a.score - b.score || b.count - a.count || a.text.localeCompare(b.text))
+      .slice(0, parseInt(limit))
+      .map(({ text, type, count }) => ({ text, type, count }));
+  }
+}
+
+module.exports = MongoSearchEngine;
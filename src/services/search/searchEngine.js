@@ -0,0 +1,31 @@
+/**
+ * Base class for job search engines
+ *
+ * An engine answers public job searches for one tenant:
+ * - search(params) -> { jobs, total, facets }
+ *     params: { tenantId, q, filters: { department, employmentType, experienceLevel,
+ *               location, salaryMin, salaryMax, tags }, sortBy, sortOrder, page, limit }
+ *     facets: { department, employmentType, experienceLevel, location } as [{ value, count }]
+ * - suggest(params) -> [{ text, type: 'title' | 'skill', count }]
+ *     params: { tenantId, q, limit }
+ * Only published jobs are searchable.
+ */
+class SearchEngine {
+  constructor(name) {
+    this.name = name;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async search() {
+    throw new Error(`${this.name} search engine does not implement search`);
+  }
+
+  async suggest() {
+    throw new Error(`${this.name} search engine does not implement suggest`);
+  }
+}
+
+module.exports = SearchEngine;
@@ -0,0 +1,138 @@
+require('dotenv').config();
+
+const request = require('supertest');
+const app = require('../server');
+const mongoose = require('mongoose');
+const Application = require('../modules/application/application.model');
+const Job = require('../modules/jobs/job.model');
+const Tenant = require('../modules/tenant/tenant.model');
+const { Admin } = require('../modules/auth/auth.model');
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+});
+
+afterAll(async () => {
+  await Application.deleteMany({});
+  await Job.deleteMany({});
+  await Tenant.deleteMany({});
+  await Admin.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Application funnel analytics', () => {
+  const HOUR = 60 * 60 * 1000;
+  const appliedAt = new Date('2026-01-05T09:00:00Z');
+  let adminToken, admin, tenant, job;
+
+  const at = (hours) => new Date(appliedAt.getTime() + hours * HOUR);
+  const transition = (hours, oldStatus, newStatus) => ({
+    action: `Status changed from ${oldStatus} to ${newStatus}`,
+    timestamp: at(hours),
+    userRole: 'Admin',
+    metadata: { oldStatus, newStatus }
+  });
+
+  const createJob = (tenantId, department = 'Engineering') => Job.create({
+    title: 'Backend Engineer',
+    location: { city: 'Berlin', country: 'Germany', remote: false },
+    department,
+    description: 'We are looking for a backend engineer to build and run our hiring APIs.',
+    createdBy: admin._id,
+    isPublished: true,
+    status: 'published',
+    tenantId
+  });
+
+  const createApplication = (jobId, status, logs, source = 'company_website') => Application.create({
+    jobId,
+    isGuestApplication: true,
+    guestApplicationId: new mongoose.Types.ObjectId(),
+    resumePath: '/test/path.pdf',
+    resumeFilename: 'test.pdf',
+    source,
+    status,
+    appliedAt,
+    logs
+  });
+
+  beforeEach(async () => {
+    const tenantOwnerId = new mongoose.Types.ObjectId();
+    tenant = await Tenant.create({ name: 'Acme', subdomain: 'acme', ownerUserId: tenantOwnerId });
+
+    admin = await Admin.create({
+      name: 'Analytics Admin',
+      email: 'analytics-admin@test.com',
+      password: 'password123',
+      role: 'admin',
+      tenantId: tenant._id
+    });
+
+    job = await createJob(tenant._id);
+
+    await createApplication(job._id, 'Hired', [
+      transition(10, 'New', 'In Review'),
+      transition(30, 'In Review', 'Interview'),
+      transition(80, 'Interview', 'Hired')
+    ], 'linkedin');
+    await createApplication(job._id, 'Rejected', [
+      transition(20, 'New', 'In Review'),
+      transition(40, 'In Review', 'Rejected')
+    ]);
+    await createApplication(job._id, 'New', []);
+
+    // Another tenant's data must not show up
+    const otherJob = await createJob(new mongoose.Types.ObjectId());
+    await createApplication(otherJob._id, 'Rejected', [transition(1, 'New', 'Rejected')]);
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/admin/login')
+      .set('x-tenant-subdomain', 'acme')
+      .send({ email: 'analytics-admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.accessToken;
+  });
+
+  const getAnalytics = (query = '') => request(app)
+    .get(`/api/v1/applications/admin/analytics${query}`)
+    .set('x-tenant-subdomain', 'acme')
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  it('should report conversion, drop-off and timings for the tenant only', async () => {
+    const response = await getAnalytics().expect(200);
+    const { analytics } = response.body;
+
+    expect(analytics.total).toBe(3);
+
+    const stage = (name) => analytics.funnel.find(entry => entry.stage === name);
+    expect(stage('New')).toMatchObject({ entered: 3, advanced: 2, current: 1, medianTimeInStageHours: 15 });
+    expect(stage('In Review')).toMatchObject({ entered: 2, advanced: 1, dropped: 1, conversionRate: 0.5, dropOffRate: 0.5 });
+
+    expect(analytics.timeToHire).toMatchObject({ count: 1, medianHours: 80 });
+    expect(analytics.timeToFirstReview).toMatchObject({ count: 2, medianHours: 15 });
+  });
+
+  it('should filter by source and department', async () => {
+    const bySource = await getAnalytics('?source=linkedin').expect(200);
+    expect(bySource.body.analytics.total).toBe(1);
+    expect(bySource.body.analytics.timeToHire.count).toBe(1);
+
+    const byDepartment = await getAnalytics('?department=Sales').expect(200);
+    expect(byDepartment.body.analytics.total).toBe(0);
+  });
+
+  it('should scope to the admin\'s tenant without a subdomain', async () => {
+    const response = await request(app)
+      .get('/api/v1/applications/admin/analytics')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.analytics.total).toBe(3);
+    expect(response.body.analytics.byStatus.find(entry => entry._id === 'Rejected').count).toBe(1);
+  });
+
+  it('should validate filters', async () => {
+    await getAnalytics('?recruiterId=not-an-id').expect(400);
+  });
+});
@@ -4,6 +4,7 @@ const request = require('supertest');
 const app = require('../server');
 const mongoose = require('mongoose');
 const { Admin, Candidate } = require('../modules/auth/auth.model');
+const Session = require('../modules/auth/session.model');
 
 // Test database setup
 beforeAll(async () => {
@@ -17,6 +18,7 @@ afterAll(async () => {
   // Clean up test database
   await Admin.deleteMany({});
   await Candidate.deleteMany({});
+  await Session.deleteMany({});
   await mongoose.connection.close();
 });
 
@@ -169,6 +171,84 @@ describe('Authentication Endpoints', () => {
 
       expect(response.body.success).toBe(false);
     });
+
+    it('should revoke the session when a rotated refresh token is reused', async () => {
+      const loginResponse = await request(app)
+        .post('/api/v1/auth/admin/login')
+        .send({ email: 'admin@test.com', password: 'password123' });
+
+      const firstRefresh = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: loginResponse.body.refreshToken })
+        .expect(200);
+
+      // Reusing the old token revokes the whole token family
+      await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: loginResponse.body.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: firstRefresh.body.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${firstRefresh.body.accessToken}`)
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/v1/auth/logout', () => {
+    it('should revoke the current session', async () => {
+      const loginResponse = await request(app)
+        .post('/api/v1/auth/admin/login')
+        .send({ email: 'admin@test.com', password: 'password123' });
+
+      const { accessToken, refreshToken } = loginResponse.body;
+
+      const sessionsResponse = await request(app)
+        .get('/api/v1/auth/sessions')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(sessionsResponse.body.sessions.some(session => session.current)).toBe(true);
+
+      await request(app)
+        .post('/api/v1/auth/logout')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(401);
+    });
+
+    it('should log out of all devices', async () => {
+      const first = await request(app)
+        .post('/api/v1/auth/admin/login')
+        .send({ email: 'admin@test.com', password: 'password123' });
+      const second = await request(app)
+        .post('/api/v1/auth/admin/login')
+        .send({ email: 'admin@test.com', password: 'password123' });
+
+      await request(app)
+        .post('/api/v1/auth/logout-all')
+        .set('Authorization', `Bearer ${first.body.accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: second.body.refreshToken })
+        .expect(401);
+    });
   });
 
   describe('GET /api/v1/auth/me', () => {
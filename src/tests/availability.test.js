@@ -0,0 +1,212 @@
+require('dotenv').config();
+
+const request = require('supertest');
+const app = require('../server');
+const mongoose = require('mongoose');
+const Availability = require('../modules/availability/availability.model');
+const AvailabilityUtils = require('../modules/availability/availability.utils');
+const AvailabilityService = require('../modules/availability/availability.service');
+const Application = require('../modules/application/application.model');
+const Event = require('../modules/application/event.model');
+const Job = require('../modules/jobs/job.model');
+const { Admin } = require('../modules/auth/auth.model');
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+});
+
+afterAll(async () => {
+  await Availability.deleteMany({});
+  await Event.deleteMany({});
+  await Application.deleteMany({});
+  await Job.deleteMany({});
+  await Admin.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Availability utils', () => {
+  it('should convert wall-clock times across DST changes', () => {
+    // Europe/Berlin switches to summer time on 2030-03-31
+    expect(new Date(AvailabilityUtils.zonedTimeToUtc('2030-03-30', '09:00', 'Europe/Berlin')).toISOString())
+      .toBe('2030-03-30T08:00:00.000Z');
+    expect(new Date(AvailabilityUtils.zonedTimeToUtc('2030-03-31', '09:00', 'Europe/Berlin')).toISOString())
+      .toBe('2030-03-31T07:00:00.000Z');
+  });
+
+  it('should skip transparent and cancelled ICS events', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'DTSTART;TZID=Europe/Berlin:20300401T100000',
+      'DTEND;TZID=Europe/Berlin:20300401T110000',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART:20300402T100000Z',
+      'DTEND:20300402T110000Z',
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART:20300403T100000Z',
+      'DTEND:20300403T110000Z',
+      'STATUS:CANCELLED',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    const intervals = AvailabilityUtils.parseICSBusyIntervals(ics);
+
+    expect(intervals).toHaveLength(1);
+    expect(new Date(intervals[0].start).toISOString()).toBe('2030-04-01T08:00:00.000Z');
+  });
+
+  it('should only treat public addresses as public', () => {
+    expect(AvailabilityUtils.isPublicAddress('8.8.8.8')).toBe(true);
+    expect(AvailabilityUtils.isPublicAddress('2001:4860:4860::8888')).toBe(true);
+    ['127.0.0.1', '10.0.0.5', '172.20.1.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', '::ffff:127.0.0.1']
+      .forEach(address => expect(AvailabilityUtils.isPublicAddress(address)).toBe(false));
+  });
+
+  it('should not fetch ICS feeds from internal hosts', async () => {
+    await expect(AvailabilityService.fetchICS('http://127.0.0.1:3000/calendar.ics')).rejects.toThrow('not a public address');
+    await expect(AvailabilityService.fetchICS('http://localhost:3000/calendar.ics')).rejects.toThrow('not a public address');
+    await expect(AvailabilityService.fetchICS('http://169.254.169.254/latest/meta-data')).rejects.toThrow('not a public address');
+    await expect(AvailabilityService.fetchICS('file:///etc/passwd')).rejects.toThrow('http or https');
+  });
+});
+
+describe('GET /api/v1/applications/:applicationId/events/suggest-slots', () => {
+  let adminToken;
+  let alex, sam, application;
+
+  beforeEach(async () => {
+    alex = await Admin.create({
+      name: 'Alex Interviewer',
+      email: 'alex-availability@test.com',
+      password: 'password123',
+      role: 'recruiter'
+    });
+    sam = await Admin.create({
+      name: 'Sam Interviewer',
+      email: 'sam-availability@test.com',
+      password: 'password123',
+      role: 'recruiter'
+    });
+
+    const job = await Job.create({
+      title: 'Backend Engineer',
+      location: { city: 'Berlin', country: 'Germany', remote: false },
+      department: 'Engineering',
+      description: 'We are looking for a backend engineer to build and run our hiring APIs.',
+      createdBy: alex._id,
+      isPublished: true,
+      status: 'published'
+    });
+
+    application = await Application.create({
+      jobId: job._id,
+      candidateId: new mongoose.Types.ObjectId(),
+      resumePath: '/test/path.pdf',
+      resumeFilename: 'test.pdf',
+      candidateSnapshot: {
+        firstName: 'Jane',
+        lastName: 'Doe',
+        email: 'availability-candidate@test.com'
+      }
+    });
+
+    // 2030-04-01 is a Monday
+    await Availability.create({
+      adminId: alex._id,
+      timezone: 'UTC',
+      workingHours: [{ day: 1, start: '09:00', end: '12:00' }]
+    });
+    await Availability.create({
+      adminId: sam._id,
+      timezone: 'UTC',
+      workingHours: [{ day: 1, start: '10:00', end: '17:00' }],
+      busyBlocks: [{ start: new Date('2030-04-01T10:00:00Z'), end: new Date('2030-04-01T10:30:00Z') }]
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/admin/login')
+      .send({ email: 'alex-availability@test.com', password: 'password123' });
+    adminToken = adminLogin.body.accessToken;
+  });
+
+  it('should return slots where every attendee is free', async () => {
+    await Event.create({
+      applicationId: application._id,
+      title: 'Other Interview',
+      attendees: [{ userId: alex._id, userType: 'Admin', email: alex.email, name: alex.name }],
+      date: new Date('2030-04-01'),
+      startTime: '11:30',
+      endTime: '12:00',
+      createdBy: alex._id
+    });
+
+    const response = await request(app)
+      .get(`/api/v1/applications/${application._id}/events/suggest-slots`)
+      .query({
+        attendeeIds: `${alex._id},${sam._id}`,
+        startDate: '2030-04-01',
+        endDate: '2030-04-01',
+        timezone: 'UTC',
+        duration: 30
+      })
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.slots.map(slot => slot.startTime)).toEqual(['10:30', '11:00']);
+    expect(response.body.slots[0].date).toBe('2030-04-01');
+  });
+
+  it('should reject an invalid timezone', async () => {
+    const response = await request(app)
+      .get(`/api/v1/applications/${application._id}/events/suggest-slots`)
+      .query({
+        attendeeIds: String(alex._id),
+        startDate: '2030-04-01',
+        endDate: '2030-04-01',
+        timezone: 'Mars/Olympus'
+      })
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+
+    expect(response.body.success).toBe(false);
+  });
+
+  it('should keep other tenants\' admins and calendars apart without a subdomain', async () => {
+    const outsider = await Admin.create({
+      name: 'Other Tenant Interviewer',
+      email: 'outsider-availability@test.com',
+      password: 'password123',
+      role: 'recruiter',
+      tenantId: new mongoose.Types.ObjectId()
+    });
+    const outsiderLogin = await request(app)
+      .post('/api/v1/auth/admin/login')
+      .send({ email: 'outsider-availability@test.com', password: 'password123' });
+    const outsiderToken = outsiderLogin.body.accessToken;
+
+    await request(app)
+      .get(`/api/v1/availability/${alex._id}/busy`)
+      .query({ startDate: '2030-04-01', endDate: '2030-04-01' })
+      .set('Authorization', `Bearer ${outsiderToken}`)
+      .expect(404);
+    await request(app)
+      .get(`/api/v1/applications/${application._id}/events/suggest-slots`)
+      .query({ attendeeIds: String(outsider._id), startDate: '2030-04-01', endDate: '2030-04-01' })
+      .set('Authorization', `Bearer ${outsiderToken}`)
+      .expect(403);
+
+    // Nor can the job's own admins look up another tenant's interviewer
+    await request(app)
+      .get(`/api/v1/applications/${application._id}/events/suggest-slots`)
+      .query({ attendeeIds: `${alex._id},${outsider._id}`, startDate: '2030-04-01', endDate: '2030-04-01' })
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(404);
+  });
+});
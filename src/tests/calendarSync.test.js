@@ -0,0 +1,136 @@
+require('dotenv').config();
+
+const http = require('http');
+const mongoose = require('mongoose');
+const Event = require('../modules/application/event.model');
+const CalendarSyncService = require('../services/calendarSyncService');
+const CalDAVProvider = require('../services/calendar/caldavProvider');
+
+// Minimal CalDAV stand-in: stores .ics resources in memory
+const startCalDAVServer = () => new Promise(resolve => {
+  const resources = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, body, headers: req.headers });
+
+      if (req.method === 'PUT') {
+        if (req.headers['if-none-match'] === '*' && resources.has(req.url)) {
+          res.writeHead(412);
+          return res.end();
+        }
+        const created = !resources.has(req.url);
+        resources.set(req.url, body);
+        res.writeHead(created ? 201 : 204);
+        return res.end();
+      }
+
+      if (req.method === 'DELETE') {
+        const existed = resources.delete(req.url);
+        res.writeHead(existed ? 204 : 404);
+        return res.end();
+      }
+
+      res.writeHead(405);
+      res.end();
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({ server, resources, requests, url: `http://127.0.0.1:${server.address().port}/calendars/recruiting` });
+  });
+});
+
+describe('Calendar sync (CalDAV)', () => {
+  let caldav;
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI);
+    }
+
+    caldav = await startCalDAVServer();
+    CalendarSyncService.setProvider(new CalDAVProvider({
+      url: caldav.url,
+      username: 'calendar',
+      password: 'secret'
+    }));
+  });
+
+  afterAll(async () => {
+    CalendarSyncService.setProvider(undefined);
+    await new Promise(resolve => caldav.server.close(resolve));
+    await Event.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  const createEvent = (privacyEnabled) => Event.create({
+    applicationId: new mongoose.Types.ObjectId(),
+    title: 'Technical Interview',
+    attendees: [
+      { userId: new mongoose.Types.ObjectId(), userType: 'Admin', email: 'alex@company.com', name: 'Alex' },
+      { userId: new mongoose.Types.ObjectId(), userType: 'Admin', email: 'sam@company.com', name: 'Sam' }
+    ],
+    privacyEnabled,
+    date: new Date('2030-05-01'),
+    startTime: '10:00',
+    endTime: '11:00',
+    createdBy: new mongoose.Types.ObjectId()
+  });
+
+  it('should create an organizer copy and one copy per attendee when privacy is enabled', async () => {
+    const event = await createEvent(true);
+
+    const sync = await CalendarSyncService.syncEventCreated(event);
+
+    expect(sync.status).toBe('synced');
+    expect(sync.entries.map(entry => entry.key).sort()).toEqual(['alex@company.com', 'organizer', 'sam@company.com']);
+
+    const alexCopy = caldav.resources.get(new URL(sync.entries.find(e => e.key === 'alex@company.com').externalId).pathname);
+    expect(alexCopy).toContain('mailto:alex@company.com');
+    expect(alexCopy).not.toContain('mailto:sam@company.com');
+    expect(caldav.requests[0].headers.authorization).toBe(`Basic ${Buffer.from('calendar:secret').toString('base64')}`);
+  });
+
+  it('should create a single shared copy when privacy is disabled', async () => {
+    const event = await createEvent(false);
+
+    const sync = await CalendarSyncService.syncEventCreated(event);
+
+    expect(sync.entries).toHaveLength(1);
+    const shared = caldav.resources.get(new URL(sync.entries[0].externalId).pathname);
+    expect(shared).toContain('mailto:alex@company.com');
+    expect(shared).toContain('mailto:sam@company.com');
+  });
+
+  it('should update existing copies and cancel copies for removed attendees', async () => {
+    const event = await createEvent(true);
+    await CalendarSyncService.syncEventCreated(event);
+
+    const samEntry = event.calendarSync.entries.find(e => e.key === 'sam@company.com');
+    event.attendees = event.attendees.filter(attendee => attendee.email !== 'sam@company.com');
+    event.startTime = '14:00';
+    event.endTime = '15:00';
+
+    const sync = await CalendarSyncService.syncEventUpdated(event);
+
+    expect(sync.sequence).toBe(1);
+    expect(caldav.resources.has(new URL(samEntry.externalId).pathname)).toBe(false);
+
+    const organizerCopy = caldav.resources.get(new URL(sync.entries.find(e => e.key === 'organizer').externalId).pathname);
+    expect(organizerCopy).toContain('SEQUENCE:1');
+  });
+
+  it('should remove every copy when the event is deleted', async () => {
+    const event = await createEvent(true);
+    await CalendarSyncService.syncEventCreated(event);
+    const paths = event.calendarSync.entries.map(entry => new URL(entry.externalId).pathname);
+
+    await CalendarSyncService.syncEventDeleted(event);
+
+    paths.forEach(path => expect(caldav.resources.has(path)).toBe(false));
+  });
+});
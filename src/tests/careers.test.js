@@ -0,0 +1,131 @@
+require('dotenv').config();
+
+const request = require('supertest');
+const app = require('../server');
+const mongoose = require('mongoose');
+const Job = require('../modules/jobs/job.model');
+const Tenant = require('../modules/tenant/tenant.model');
+const CareerSite = require('../modules/careers/careerSite.model');
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+});
+
+afterAll(async () => {
+  await Job.deleteMany({});
+  await Tenant.deleteMany({});
+  await CareerSite.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Careers site API', () => {
+  let tenant, backendJob;
+
+  const createJob = (overrides) => Job.create({
+    location: { city: 'Berlin', country: 'Germany', remote: false },
+    department: 'Engineering',
+    description: 'We are looking for an engineer to join our platform team.',
+    createdBy: new mongoose.Types.ObjectId(),
+    tenantId: tenant._id,
+    isPublished: true,
+    status: 'published',
+    publishedAt: new Date(),
+    ...overrides
+  });
+
+  const careers = (path, subdomain = 'careersco') => request(app)
+    .get(`/api/v1/careers${path}`)
+    .set('x-tenant-subdomain', subdomain);
+
+  beforeEach(async () => {
+    tenant = await Tenant.create({ name: 'Careers Co', subdomain: 'careersco', ownerUserId: new mongoose.Types.ObjectId() });
+    const otherTenant = await Tenant.create({ name: 'Other Co', subdomain: 'othercareers', ownerUserId: new mongoose.Types.ObjectId() });
+
+    await CareerSite.create({
+      tenantId: tenant._id,
+      headline: 'Build the future of hiring',
+      about: 'We are a small team in Berlin.',
+      siteUrl: 'https://careers.example.com'
+    });
+
+    backendJob = await createJob({
+      title: 'Backend Engineer',
+      salaryRange: { min: 60000, max: 75000, currency: 'EUR', period: 'Yearly' },
+      screeningQuestions: [{ text: 'Do you have a work permit?', type: 'yes-no', scoringType: 'knockout', correctAnswer: 'yes' }],
+      salaryBudget: { max: 90000, currency: 'EUR' }
+    });
+    await createJob({
+      title: 'Recruiter',
+      department: 'People',
+      location: { city: 'Lisbon', country: 'Portugal', remote: true },
+      salaryRange: { min: 40000, max: 50000, currency: 'EUR', hideFromCandidates: true }
+    });
+    await createJob({ title: 'Draft Engineer', isPublished: false, status: 'draft' });
+    await createJob({ title: 'Other Company Engineer', tenantId: otherTenant._id });
+  });
+
+  it('should serve the company page with about text and open jobs', async () => {
+    const response = await careers('').expect(200);
+
+    expect(response.body.site.company.name).toBe('Careers Co');
+    expect(response.body.site.headline).toBe('Build the future of hiring');
+    expect(response.body.site.openJobs).toBe(2);
+  });
+
+  it('should list departments and locations with open jobs', async () => {
+    const departments = await careers('/departments').expect(200);
+    expect(departments.body.departments).toEqual([
+      { name: 'Engineering', openJobs: 1 },
+      { name: 'People', openJobs: 1 }
+    ]);
+
+    const locations = await careers('/locations').expect(200);
+    expect(locations.body.locations).toHaveLength(2);
+    expect(locations.body.remoteJobs).toBe(1);
+  });
+
+  it('should filter jobs and hide internal fields', async () => {
+    const response = await careers('/jobs?department=people').expect(200);
+
+    expect(response.body.jobs).toHaveLength(1);
+    expect(response.body.jobs[0].title).toBe('Recruiter');
+    expect(response.body.jobs[0].salaryRange).toBeUndefined();
+  });
+
+  it('should serve job pages with structured data and no scoring details', async () => {
+    const response = await careers(`/jobs/${backendJob._id}`).expect(200);
+
+    expect(response.body.job.url).toBe(`https://careers.example.com/jobs/${backendJob._id}`);
+    expect(response.body.job.salaryBudget).toBeUndefined();
+    expect(response.body.job.screeningQuestions[0].text).toBe('Do you have a work permit?');
+    expect(response.body.job.screeningQuestions[0].correctAnswer).toBeUndefined();
+    expect(response.body.structuredData['@type']).toBe('JobPosting');
+    expect(response.body.structuredData.hiringOrganization.name).toBe('Careers Co');
+
+    await careers(`/jobs/${new mongoose.Types.ObjectId()}`).expect(404);
+  });
+
+  it('should answer with 304 when the ETag matches', async () => {
+    const first = await careers('/jobs').expect(200);
+    expect(first.headers.etag).toBeDefined();
+
+    await careers('/jobs')
+      .set('If-None-Match', first.headers.etag)
+      .expect(304);
+  });
+
+  it('should serve a sitemap of the careers site', async () => {
+    const response = await careers('/sitemap.xml').expect(200);
+
+    expect(response.headers['content-type']).toContain('application/xml');
+    expect(response.text).toContain('<loc>https://careers.example.com/</loc>');
+    expect(response.text).toContain(`<loc>https://careers.example.com/jobs/${backendJob._id}</loc>`);
+    expect(response.text.match(/<url>/g)).toHaveLength(3);
+  });
+
+  it('should not serve a careers site without a company', async () => {
+    await request(app).get('/api/v1/careers').expect(404);
+  });
+});
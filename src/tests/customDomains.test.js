@@ -0,0 +1,154 @@
+require('dotenv').config();
+
+const request = require('supertest');
+const app = require('../server');
+const mongoose = require('mongoose');
+const Tenant = require('../modules/tenant/tenant.model');
+const { Admin } = require('../modules/auth/auth.model');
+const CustomDomainService = require('../modules/tenant/customDomain.service');
+const { extractSubdomain, normalizeHostname } = require('../middleware/tenantFromSubdomain');
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+});
+
+afterAll(async () => {
+  await Tenant.deleteMany({});
+  await Admin.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Tenant custom domains', () => {
+  let acmeToken, otherToken;
+
+  const createTenantAdmin = async (subdomain) => {
+    const tenant = await Tenant.create({ name: subdomain, subdomain, ownerUserId: new mongoose.Types.ObjectId() });
+    await Admin.create({
+      name: `${subdomain} Admin`,
+      email: `admin@${subdomain}.test`,
+      password: 'password123',
+      role: 'admin',
+      tenantId: tenant._id
+    });
+
+    const login = await request(app)
+      .post('/api/v1/auth/admin/login')
+      .set('x-tenant-subdomain', subdomain)
+      .send({ email: `admin@${subdomain}.test`, password: 'password123' });
+    return login.body.accessToken;
+  };
+
+  const domains = (method, path, token, subdomain) => request(app)[method](`/api/v1/tenant/domains${path}`)
+    .set('x-tenant-subdomain', subdomain)
+    .set('Authorization', `Bearer ${token}`);
+
+  const addDomain = async (token, subdomain) => {
+    const response = await domains('post', '', token, subdomain)
+      .send({ hostname: 'careers.example.com' })
+      .expect(201);
+    return response.body.data.verificationRecord;
+  };
+
+  // Publishes the TXT record, then verifies
+  const verifyDomain = (token, subdomain, record) => {
+    jest.spyOn(CustomDomainService, 'lookupTxtRecords').mockResolvedValue(['v=spf1 -all', record.value]);
+    return domains('post', '/careers.example.com/verify', token, subdomain);
+  };
+
+  beforeEach(async () => {
+    acmeToken = await createTenantAdmin('acme');
+    otherToken = await createTenantAdmin('othercorp');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should add a domain and return the TXT record to publish', async () => {
+    const response = await domains('post', '', acmeToken, 'acme')
+      .send({ hostname: 'Careers.Example.com' })
+      .expect(201);
+
+    expect(response.body.data.hostname).toBe('careers.example.com');
+    expect(response.body.data.verified).toBe(false);
+    expect(response.body.data.verificationRecord.type).toBe('TXT');
+    expect(response.body.data.verificationRecord.name).toBe('_recruitment-verification.careers.example.com');
+
+    await domains('post', '', acmeToken, 'acme')
+      .send({ hostname: 'careers.example.com' })
+      .expect(409);
+    await domains('post', '', acmeToken, 'acme')
+      .send({ hostname: 'not a domain' })
+      .expect(400);
+  });
+
+  it('should not resolve an unverified domain', async () => {
+    await addDomain(acmeToken, 'acme');
+
+    const response = await request(app)
+      .get('/api/v1/tenant/public-info')
+      .set('Host', 'careers.example.com')
+      .expect(404);
+
+    expect(response.body.success).toBe(false);
+  });
+
+  it('should keep the domain unverified while the TXT record is missing', async () => {
+    await addDomain(acmeToken, 'acme');
+    jest.spyOn(CustomDomainService, 'lookupTxtRecords')
+      .mockRejectedValue(Object.assign(new Error('queryTxt ENODATA'), { code: 'ENODATA' }));
+
+    const response = await domains('post', '/careers.example.com/verify', acmeToken, 'acme').expect(200);
+
+    expect(response.body.data.verified).toBe(false);
+    expect(response.body.data.lastCheckError).toContain('was not found');
+  });
+
+  it('should verify the domain and resolve the tenant by hostname', async () => {
+    const record = await addDomain(acmeToken, 'acme');
+
+    const response = await verifyDomain(acmeToken, 'acme', record).expect(200);
+
+    expect(CustomDomainService.lookupTxtRecords).toHaveBeenCalledWith(record.name);
+    expect(response.body.data.verified).toBe(true);
+    expect(response.body.data.verifiedAt).toBeDefined();
+
+    const info = await request(app)
+      .get('/api/v1/tenant/public-info')
+      .set('Host', 'careers.example.com:443')
+      .expect(200);
+    expect(info.body.data.subdomain).toBe('acme');
+  });
+
+  it('should not let another company verify the same domain', async () => {
+    await verifyDomain(acmeToken, 'acme', await addDomain(acmeToken, 'acme')).expect(200);
+
+    const record = await addDomain(otherToken, 'othercorp');
+    await verifyDomain(otherToken, 'othercorp', record).expect(409);
+  });
+
+  it('should stop resolving a removed domain', async () => {
+    await verifyDomain(acmeToken, 'acme', await addDomain(acmeToken, 'acme')).expect(200);
+
+    await domains('delete', '/careers.example.com', acmeToken, 'acme').expect(200);
+    await domains('delete', '/careers.example.com', acmeToken, 'acme').expect(404);
+
+    await request(app)
+      .get('/api/v1/tenant/public-info')
+      .set('Host', 'careers.example.com')
+      .expect(404);
+  });
+
+  it('should require a tenant admin', async () => {
+    await request(app).get('/api/v1/tenant/domains').set('x-tenant-subdomain', 'acme').expect(401);
+    await domains('get', '', acmeToken, 'othercorp').expect(403);
+  });
+
+  it('should parse hosts for subdomain lookups', () => {
+    expect(normalizeHostname('Careers.Example.com.:8080')).toBe('careers.example.com');
+    expect(extractSubdomain('acme.localhost:3000')).toBe('acme');
+    expect(extractSubdomain('127.0.0.1:3000')).toBeNull();
+  });
+});
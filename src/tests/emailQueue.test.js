@@ -0,0 +1,214 @@
+require('dotenv').config();
+
+const request = require('supertest');
+const app = require('../server');
+const mongoose = require('mongoose');
+const config = require('../config');
+const OutboundEmail = require('../modules/emails/outboundEmail.model');
+const EmailService = require('../services/emailService');
+const EmailQueueService = require('../services/emailQueueService');
+const { Admin } = require('../modules/auth/auth.model');
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+});
+
+afterAll(async () => {
+  await OutboundEmail.deleteMany({});
+  await Admin.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Outbound email queue', () => {
+  const applicationId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const queueEmail = (to = 'candidate@test.com', options = {}) =>
+    EmailService.sendEmail(to, 'Application update', '<p>Hello</p>', null, {
+      applicationId,
+      category: 'status_update',
+      ...options
+    });
+
+  it('should store emails in the outbox and deliver them', async () => {
+    const result = await queueEmail();
+    expect(result.queued).toBe(true);
+    expect(await OutboundEmail.countDocuments({ status: 'queued' })).toBe(1);
+
+    const summary = await EmailQueueService.processDue();
+    expect(summary.sent).toBe(1);
+
+    const email = await OutboundEmail.findOne({ applicationId });
+    expect(email.status).toBe('sent');
+    expect(email.attempts).toBe(1);
+    expect(email.sentAt).toBeDefined();
+  });
+
+  it('should back off after failures and give up after maxAttempts', async () => {
+    jest.spyOn(EmailService, 'deliver').mockRejectedValue(new Error('Provider unavailable'));
+    await queueEmail();
+
+    let now = Date.now();
+    const first = await EmailQueueService.processDue(now);
+    expect(first.failed).toBe(1);
+
+    let email = await OutboundEmail.findOne({ applicationId });
+    expect(email.status).toBe('failed');
+    expect(email.lastError).toBe('Provider unavailable');
+    expect(email.nextAttemptAt.getTime()).toBeGreaterThan(now);
+
+    // Not retried before the backoff elapses
+    expect((await EmailQueueService.processDue(now)).failed).toBe(0);
+
+    for (let attempt = 2; attempt <= config.mail.queue.maxAttempts; attempt++) {
+      now = email.nextAttemptAt.getTime();
+      await EmailQueueService.processDue(now);
+      email = await OutboundEmail.findOne({ applicationId });
+    }
+
+    expect(email.status).toBe('dead');
+    expect(email.attempts).toBe(config.mail.queue.maxAttempts);
+  });
+
+  it('should limit deliveries per tenant per minute', async () => {
+    const tenantId = new mongoose.Types.ObjectId();
+    jest.replaceProperty(config.mail.queue, 'tenantRatePerMinute', 2);
+
+    for (let i = 0; i < 3; i++) {
+      await queueEmail(`candidate${i}@test.com`, { tenantId });
+    }
+
+    const summary = await EmailQueueService.processDue();
+    expect(summary.sent).toBe(2);
+    expect(summary.throttled).toBe(1);
+
+    const waiting = await OutboundEmail.findOne({ tenantId, status: 'queued' });
+    expect(waiting.attempts).toBe(0);
+  });
+
+  describe('Admin delivery log', () => {
+    let adminToken;
+
+    beforeEach(async () => {
+      await Admin.create({
+        name: 'Email Admin',
+        email: 'email-admin@test.com',
+        password: 'password123',
+        role: 'admin'
+      });
+
+      const adminLogin = await request(app)
+        .post('/api/v1/auth/admin/login')
+        .send({ email: 'email-admin@test.com', password: 'password123' });
+      adminToken = adminLogin.body.accessToken;
+    });
+
+    it('should list emails for an application and resend a failed one', async () => {
+      jest.spyOn(EmailService, 'deliver').mockRejectedValueOnce(new Error('Mailbox full'));
+      await queueEmail();
+      await EmailQueueService.processDue();
+
+      const list = await request(app)
+        .get(`/api/v1/emails?applicationId=${applicationId}&status=failed`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(list.body.emails).toHaveLength(1);
+      expect(list.body.emails[0].html).toBeUndefined();
+
+      const original = list.body.emails[0];
+      const resend = await request(app)
+        .post(`/api/v1/emails/${original._id}/resend`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(201);
+
+      expect(resend.body.email.status).toBe('queued');
+      expect(String(resend.body.email.resendOf)).toBe(String(original._id));
+      expect(await OutboundEmail.countDocuments({ applicationId })).toBe(2);
+    });
+
+    it('should not resend an email that is still queued', async () => {
+      await queueEmail();
+      const email = await OutboundEmail.findOne({ applicationId });
+
+      await request(app)
+        .post(`/api/v1/emails/${email._id}/resend`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+    });
+
+    it('should withhold the body of emails with one-time links and not resend them', async () => {
+      await queueEmail('email-admin@test.com', { category: 'password_reset' });
+      await EmailQueueService.processDue();
+      const email = await OutboundEmail.findOne({ applicationId, category: 'password_reset' });
+
+      const response = await request(app)
+        .get(`/api/v1/emails/${email._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(response.body.email.html).toBeUndefined();
+      expect(response.body.email.text).toBeUndefined();
+      expect(response.body.email.bodyWithheld).toBe(true);
+
+      await request(app)
+        .post(`/api/v1/emails/${email._id}/resend`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(403);
+    });
+
+    it('should only let admins read bodies', async () => {
+      await Admin.create({
+        name: 'Email Recruiter',
+        email: 'email-recruiter@test.com',
+        password: 'password123',
+        role: 'recruiter'
+      });
+      const recruiterLogin = await request(app)
+        .post('/api/v1/auth/admin/login')
+        .send({ email: 'email-recruiter@test.com', password: 'password123' });
+
+      await queueEmail();
+      const email = await OutboundEmail.findOne({ applicationId });
+
+      await request(app)
+        .get(`/api/v1/emails/${email._id}`)
+        .set('Authorization', `Bearer ${recruiterLogin.body.accessToken}`)
+        .expect(403);
+    });
+
+    it('should scope the outbox to the admin\'s tenant without a subdomain', async () => {
+      const tenantId = new mongoose.Types.ObjectId();
+      await Admin.create({
+        name: 'Tenant Email Admin',
+        email: 'tenant-email-admin@test.com',
+        password: 'password123',
+        role: 'admin',
+        tenantId
+      });
+      const tenantLogin = await request(app)
+        .post('/api/v1/auth/admin/login')
+        .send({ email: 'tenant-email-admin@test.com', password: 'password123' });
+      const tenantToken = tenantLogin.body.accessToken;
+
+      await queueEmail('own@test.com', { tenantId });
+      await queueEmail('other@test.com', { tenantId: new mongoose.Types.ObjectId() });
+      const otherEmail = await OutboundEmail.findOne({ to: 'other@test.com' });
+
+      const list = await request(app)
+        .get(`/api/v1/emails?applicationId=${applicationId}`)
+        .set('Authorization', `Bearer ${tenantToken}`)
+        .expect(200);
+      expect(list.body.emails.map(email => email.to)).toEqual(['own@test.com']);
+
+      await request(app)
+        .get(`/api/v1/emails/${otherEmail._id}`)
+        .set('Authorization', `Bearer ${tenantToken}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+require('dotenv').config();
+
+const request = require('supertest');
+const app = require('../server');
+const mongoose = require('mongoose');
+const Job = require('../modules/jobs/job.model');
+const Tenant = require('../modules/tenant/tenant.model');
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+});
+
+afterAll(async () => {
+  await Job.deleteMany({});
+  await Tenant.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Job board feeds', () => {
+  let tenant;
+
+  const createJob = (overrides) => Job.create({
+    location: { city: 'Berlin', country: 'Germany', remote: false },
+    department: 'Engineering',
+    description: 'We are looking for an engineer to join our platform team.',
+    createdBy: new mongoose.Types.ObjectId(),
+    tenantId: tenant._id,
+    isPublished: true,
+    status: 'published',
+    publishedAt: new Date(),
+    ...overrides
+  });
+
+  const feed = (path, subdomain = 'feedco') => request(app)
+    .get(`/api/v1/feeds/${path}`)
+    .set('x-tenant-subdomain', subdomain);
+
+  beforeEach(async () => {
+    tenant = await Tenant.create({ name: 'Feed Co', subdomain: 'feedco', ownerUserId: new mongoose.Types.ObjectId() });
+    const otherTenant = await Tenant.create({ name: 'Other Co', subdomain: 'otherco', ownerUserId: new mongoose.Types.ObjectId() });
+
+    await createJob({
+      title: 'Indeed Engineer',
+      publishedOn: ['indeed', 'rss'],
+      salaryRange: { min: 60000, max: 75000, currency: 'EUR', period: 'Yearly' }
+    });
+    await createJob({
+      title: 'Hidden Salary Engineer',
+      publishedOn: ['indeed', 'google'],
+      salaryRange: { min: 90000, max: 99000, currency: 'EUR', hideFromCandidates: true }
+    });
+    await createJob({
+      title: 'Expired Engineer',
+      publishedOn: ['indeed', 'rss', 'google'],
+      expiryDate: new Date(Date.now() - 24 * 60 * 60 * 1000)
+    });
+    await createJob({ title: 'Draft Engineer', publishedOn: ['indeed'], isPublished: false, status: 'draft' });
+    await createJob({ title: 'Other Company Engineer', publishedOn: ['indeed'], tenantId: otherTenant._id });
+  });
+
+  it('should list only the tenant\'s live jobs flagged for Indeed', async () => {
+    const response = await feed('indeed.xml').expect(200);
+
+    expect(response.headers['content-type']).toContain('application/xml');
+    expect(response.text).toContain('<title><![CDATA[Indeed Engineer]]></title>');
+    expect(response.text).toContain('<title><![CDATA[Hidden Salary Engineer]]></title>');
+    expect(response.text).not.toContain('Expired Engineer');
+    expect(response.text).not.toContain('Draft Engineer');
+    expect(response.text).not.toContain('Other Company Engineer');
+  });
+
+  it('should leave out hidden salaries', async () => {
+    const response = await feed('indeed.xml').expect(200);
+
+    expect(response.text).toContain('EUR 60,000 - 75,000 per year');
+    expect(response.text).not.toContain('99,000');
+  });
+
+  it('should serve RSS and Atom for jobs flagged for rss', async () => {
+    const rss = await feed('rss.xml').expect(200);
+    expect(rss.headers['content-type']).toContain('application/rss+xml');
+    expect(rss.text).toContain('<title>Indeed Engineer</title>');
+    expect(rss.text).not.toContain('Hidden Salary Engineer');
+
+    const atom = await feed('atom.xml').expect(200);
+    expect(atom.headers['content-type']).toContain('application/atom+xml');
+    expect(atom.text).toContain('<title>Indeed Engineer</title>');
+  });
+
+  it('should serve schema.org JobPosting JSON-LD for jobs flagged for google', async () => {
+    const response = await feed('jobs.jsonld').expect(200);
+    const postings = JSON.parse(response.text)['@graph'];
+
+    expect(postings).toHaveLength(1);
+    expect(postings[0]['@type']).toBe('JobPosting');
+    expect(postings[0].title).toBe('Hidden Salary Engineer');
+    expect(postings[0].hiringOrganization.name).toBe('Feed Co');
+    expect(postings[0].baseSalary).toBeUndefined();
+  });
+
+  it('should not serve feeds without a company', async () => {
+    await request(app).get('/api/v1/feeds/indeed.xml').expect(404);
+  });
+});
@@ -0,0 +1,238 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const mongoose = require('mongoose');
+const GuestApplication = require('../modules/guestApplications/guestApplication.model');
+const Job = require('../modules/jobs/job.model');
+const JobLifecycleService = require('../services/jobLifecycleService');
+const RequisitionSettings = require('../modules/requisitions/requisitionSettings.model');
+const Tenant = require('../modules/tenant/tenant.model');
+const { Admin } = require('../modules/auth/auth.model');
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+});
+
+afterAll(async () => {
+  await GuestApplication.deleteMany({});
+  await Job.deleteMany({});
+  await RequisitionSettings.deleteMany({});
+  await Tenant.deleteMany({});
+  await Admin.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Scheduled job lifecycle', () => {
+  const resumePath = path.join(__dirname, '../uploads/lifecycle-test.pdf');
+  const hour = 60 * 60 * 1000;
+  let admin, adminToken;
+
+  const createJob = (overrides) => Job.create({
+    title: 'Support Engineer',
+    location: { city: 'Berlin', country: 'Germany', remote: false },
+    department: 'Support',
+    description: 'We are looking for a support engineer to help our customers succeed.',
+    createdBy: admin._id,
+    ...overrides
+  });
+
+  const apply = (job, email) => request(app)
+    .post(`/api/v1/guest/jobs/${job._id}/apply/guest`)
+    .field('jobId', String(job._id))
+    .field('candidateInfo', JSON.stringify({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email,
+      phone: '+4915112345678',
+      totalExperience: 4
+    }))
+    .attach('resume', resumePath);
+
+  beforeAll(() => {
+    fs.mkdirSync(path.dirname(resumePath), { recursive: true });
+    fs.writeFileSync(resumePath, Buffer.from('Test PDF content'));
+  });
+
+  beforeEach(async () => {
+    admin = await Admin.create({
+      name: 'Lifecycle Admin',
+      email: 'lifecycle-admin@test.com',
+      password: 'password123',
+      role: 'recruiter'
+    });
+
+    const loginResponse = await request(app)
+      .post('/api/v1/auth/admin/login')
+      .send({ email: 'lifecycle-admin@test.com', password: 'password123' });
+    adminToken = loginResponse.body.accessToken;
+  });
+
+  afterAll(() => {
+    fs.rmSync(resumePath, { force: true });
+  });
+
+  it('should schedule a job and publish it once the time has come', async () => {
+    const job = await createJob({ title: 'Scheduled Engineer' });
+    const publishAt = new Date(Date.now() + hour);
+
+    const response = await request(app)
+      .post(`/api/v1/jobs/${job._id}/publish`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ publishedOn: ['company'], publishAt: publishAt.toISOString() })
+      .expect(200);
+
+    expect(response.body.job.status).toBe('scheduled');
+    expect(response.body.job.isPublished).toBe(false);
+
+    // Not open for applications before it goes live
+    const early = await apply(job, 'early@test.com').expect(400);
+    expect(early.body.message).toBe('Job is not open for applications yet');
+
+    const result = await JobLifecycleService.runOnce(new Date(publishAt.getTime() + 1000));
+    expect(result.published).toBe(1);
+
+    const published = await Job.findById(job._id);
+    expect(published.status).toBe('published');
+    expect(published.isPublished).toBe(true);
+    expect(published.scheduledPublishAt).toBeUndefined();
+  });
+
+  it('should not schedule past the application deadline', async () => {
+    const job = await createJob({ applicationDeadline: new Date(Date.now() + hour) });
+
+    await request(app)
+      .post(`/api/v1/jobs/${job._id}/publish`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ publishAt: new Date(Date.now() + 2 * hour).toISOString() })
+      .expect(400);
+  });
+
+  it('should close a job at its deadline and reject applications with a clear message', async () => {
+    const job = await createJob({
+      title: 'Deadline Engineer',
+      isPublished: true,
+      status: 'published',
+      applicationDeadline: new Date(Date.now() - 1000)
+    });
+
+    await JobLifecycleService.runOnce();
+
+    const closed = await Job.findById(job._id);
+    expect(closed.status).toBe('closed');
+    expect(closed.closeReason).toBe('deadline');
+
+    const response = await apply(job, 'late@test.com').expect(400);
+    expect(response.body.message).toBe('Job is closed: the application deadline has passed');
+  });
+
+  it('should drop closed jobs from the public job list', async () => {
+    const tenant = await Tenant.create({ name: 'Lifecycle Co', subdomain: 'lifecycleco', ownerUserId: new mongoose.Types.ObjectId() });
+    await createJob({ title: 'Open Engineer', isPublished: true, status: 'published', tenantId: tenant._id });
+    await createJob({
+      title: 'Expired Engineer',
+      isPublished: true,
+      status: 'published',
+      applicationDeadline: new Date(Date.now() - 1000),
+      tenantId: tenant._id
+    });
+
+    await JobLifecycleService.runOnce();
+
+    const response = await request(app)
+      .get('/api/v1/jobs')
+      .set('x-tenant-subdomain', 'lifecycleco')
+      .expect(200);
+    expect(response.body.jobs.map(job => job.title)).toEqual(['Open Engineer']);
+  });
+
+  it('should close a job as soon as it reaches its application cap', async () => {
+    const job = await createJob({
+      title: 'Capped Engineer',
+      isPublished: true,
+      status: 'published',
+      maxApplications: 1
+    });
+
+    await apply(job, 'first@test.com').expect(201);
+
+    const closed = await Job.findById(job._id);
+    expect(closed.status).toBe('closed');
+    expect(closed.closeReason).toBe('application_limit');
+
+    const response = await apply(job, 'second@test.com').expect(400);
+    expect(response.body.message).toBe('Job is closed: the application limit has been reached');
+  });
+
+  it('should cancel a scheduled publish', async () => {
+    const job = await createJob({ status: 'scheduled', scheduledPublishAt: new Date(Date.now() + hour) });
+
+    await request(app)
+      .post(`/api/v1/jobs/${job._id}/unschedule`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const draft = await Job.findById(job._id);
+    expect(draft.status).toBe('draft');
+
+    await request(app)
+      .post(`/api/v1/jobs/${job._id}/unschedule`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(409);
+  });
+
+  it('should not schedule a job through a job update', async () => {
+    const job = await createJob({ title: 'Sneaky Engineer' });
+
+    await request(app)
+      .put(`/api/v1/jobs/${job._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'scheduled', scheduledPublishAt: new Date(Date.now() - hour).toISOString() })
+      .expect(200);
+
+    expect((await Job.findById(job._id)).status).toBe('draft');
+    expect((await JobLifecycleService.runOnce()).published).toBe(0);
+  });
+
+  it('should not publish a scheduled job whose requisition is no longer approved', async () => {
+    await RequisitionSettings.create({ approvers: [{ approverId: admin._id, label: 'Finance' }] });
+    const job = await createJob({
+      title: 'Unapproved Engineer',
+      status: 'scheduled',
+      scheduledPublishAt: new Date(Date.now() - 1000),
+      requisition: { status: 'not_submitted' }
+    });
+
+    expect((await JobLifecycleService.runOnce()).published).toBe(0);
+
+    const draft = await Job.findById(job._id);
+    expect(draft.status).toBe('draft');
+    expect(draft.isPublished).toBe(false);
+    expect(draft.scheduledPublishAt).toBeUndefined();
+  });
+
+  it('should cancel the scheduled publish when approved fields change', async () => {
+    await RequisitionSettings.create({ approvers: [{ approverId: admin._id, label: 'Finance' }] });
+    const job = await createJob({
+      title: 'Approved Engineer',
+      status: 'scheduled',
+      scheduledPublishAt: new Date(Date.now() + hour),
+      requisition: { status: 'approved', approvedAt: new Date() }
+    });
+
+    await request(app)
+      .put(`/api/v1/jobs/${job._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ positions: 4 })
+      .expect(200);
+
+    const draft = await Job.findById(job._id);
+    expect(draft.status).toBe('draft');
+    expect(draft.requisition.status).toBe('not_submitted');
+    expect((await JobLifecycleService.runOnce(new Date(Date.now() + 2 * hour))).published).toBe(0);
+  });
+});
@@ -0,0 +1,103 @@
+require('dotenv').config();
+
+const request = require('supertest');
+const app = require('../server');
+const mongoose = require('mongoose');
+const Job = require('../modules/jobs/job.model');
+const Tenant = require('../modules/tenant/tenant.model');
+const JobSearchService = require('../services/jobSearchService');
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+  await Job.init();
+});
+
+afterAll(async () => {
+  await Job.deleteMany({});
+  await Tenant.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Job search', () => {
+  let tenant;
+
+  const createJob = (fields) => Job.create({
+    location: { city: 'Berlin', country: 'Germany', remote: false },
+    department: 'Engineering',
+    description: 'Join our growing team and help us build products people love.',
+    createdBy: new mongoose.Types.ObjectId(),
+    isPublished: true,
+    status: 'published',
+    tenantId: tenant._id,
+    ...fields
+  });
+
+  beforeEach(async () => {
+    JobSearchService.getEngine().clearCache();
+    tenant = await Tenant.create({ name: 'Acme', subdomain: 'acme', ownerUserId: new mongoose.Types.ObjectId() });
+
+    await createJob({ title: 'Backend Engineer', skills: ['Node.js', 'MongoDB'] });
+    await createJob({ title: 'Frontend Engineer', skills: ['React'], description: 'Work with our backend team to build fast and accessible interfaces.' });
+    await createJob({
+      title: 'Sales Manager',
+      department: 'Sales',
+      location: { city: 'Munich', country: 'Germany', remote: false }
+    });
+  });
+
+  afterEach(async () => {
+    await Job.deleteMany({});
+    await Tenant.deleteMany({});
+  });
+
+  it('should rank title matches above description matches', async () => {
+    const response = await request(app)
+      .get('/api/v1/jobs/search?q=backend')
+      .set('x-tenant-subdomain', 'acme')
+      .expect(200);
+
+    expect(response.body.jobs.map(job => job.title)).toEqual(['Backend Engineer', 'Frontend Engineer']);
+    expect(response.body.pagination.total).toBe(2);
+  });
+
+  it('should return facet counts that ignore their own filter', async () => {
+    const response = await request(app)
+      .get('/api/v1/jobs/search?department=Sales')
+      .set('x-tenant-subdomain', 'acme')
+      .expect(200);
+
+    expect(response.body.jobs).toHaveLength(1);
+    expect(response.body.facets.department).toEqual([
+      { value: 'Engineering', count: 2 },
+      { value: 'Sales', count: 1 }
+    ]);
+    expect(response.body.facets.location).toEqual([{ value: 'Munich', count: 1 }]);
+  });
+
+  it('should treat regex syntax in queries as plain text', async () => {
+    const response = await request(app)
+      .get(`/api/v1/jobs/search?q=${encodeURIComponent('(a+)+$')}&department=${encodeURIComponent('.*')}`)
+      .set('x-tenant-subdomain', 'acme')
+      .expect(200);
+
+    expect(response.body.jobs).toHaveLength(0);
+  });
+
+  it('should suggest titles and skills despite typos', async () => {
+    const response = await request(app)
+      .get('/api/v1/jobs/autocomplete?q=bakend')
+      .set('x-tenant-subdomain', 'acme')
+      .expect(200);
+
+    expect(response.body.suggestions[0]).toMatchObject({ text: 'Backend Engineer', type: 'title' });
+
+    const skills = await request(app)
+      .get('/api/v1/jobs/autocomplete?q=mongo')
+      .set('x-tenant-subdomain', 'acme')
+      .expect(200);
+
+    expect(skills.body.suggestions).toEqual([{ text: 'MongoDB', type: 'skill', count: 1 }]);
+  });
+});
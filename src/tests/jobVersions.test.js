@@ -0,0 +1,168 @@
+require('dotenv').config();
+
+const request = require('supertest');
+const app = require('../server');
+const mongoose = require('mongoose');
+const Job = require('../modules/jobs/job.model');
+const JobVersion = require('../modules/jobs/jobVersion.model');
+const { Admin } = require('../modules/auth/auth.model');
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+});
+
+afterAll(async () => {
+  await JobVersion.deleteMany({});
+  await Job.deleteMany({});
+  await Admin.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Job versioning and duplication', () => {
+  let ownerToken, colleagueToken, jobId;
+
+  const login = async (email) => {
+    const response = await request(app)
+      .post('/api/v1/auth/admin/login')
+      .send({ email, password: 'password123' });
+    return response.body.accessToken;
+  };
+
+  beforeEach(async () => {
+    const owner = await Admin.create({ name: 'Job Owner', email: 'versions-owner@test.com', password: 'password123', role: 'recruiter' });
+    await Admin.create({ name: 'Colleague', email: 'versions-colleague@test.com', password: 'password123', role: 'recruiter' });
+
+    ownerToken = await login('versions-owner@test.com');
+    colleagueToken = await login('versions-colleague@test.com');
+
+    // Created without a version, like jobs from before versioning
+    const job = await Job.create({
+      title: 'Platform Engineer',
+      location: { city: 'Berlin', country: 'Germany', remote: false },
+      department: 'Engineering',
+      description: 'We are looking for a platform engineer to run our Kubernetes clusters.',
+      createdBy: owner._id,
+      screeningQuestions: [{ text: 'Do you have a work permit?', type: 'yes-no', required: true }],
+      hiringTeam: [{ name: 'Hiring Manager', email: 'manager@test.com', role: 'Hiring Manager' }]
+    });
+
+    jobId = String(job._id);
+  });
+
+  const versions = () => request(app)
+    .get(`/api/v1/jobs/${jobId}/versions`)
+    .set('Authorization', `Bearer ${ownerToken}`)
+    .expect(200);
+
+  const updateJob = (data) => request(app)
+    .put(`/api/v1/jobs/${jobId}`)
+    .set('Authorization', `Bearer ${ownerToken}`)
+    .send(data)
+    .expect(200);
+
+  it('should record every edit as a version with who changed what', async () => {
+    await updateJob({ title: 'Senior Platform Engineer', positions: 2 });
+
+    // Saving the same content again is not a new version
+    await updateJob({ title: 'Senior Platform Engineer' });
+
+    const response = await versions();
+
+    expect(response.body.currentVersion).toBe(2);
+    expect(response.body.versions.map(version => version.action)).toEqual(['updated', 'created']);
+    expect(response.body.versions[0].changedBy.name).toBe('Job Owner');
+    expect(response.body.versions[1].snapshot).toBeUndefined();
+    expect(response.body.versions[0].changes.map(change => change.field)).toEqual(['title', 'positions']);
+  });
+
+  it('should diff two versions', async () => {
+    await updateJob({ title: 'Senior Platform Engineer', positions: 2 });
+
+    const response = await request(app)
+      .get(`/api/v1/jobs/${jobId}/versions/compare?from=1&to=2`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+
+    expect(response.body.changes).toContainEqual({
+      field: 'title',
+      from: 'Platform Engineer',
+      to: 'Senior Platform Engineer'
+    });
+
+    await request(app)
+      .get(`/api/v1/jobs/${jobId}/versions/compare?from=1&to=9`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(404);
+  });
+
+  it('should restore an older version as a new version', async () => {
+    await updateJob({ title: 'Senior Platform Engineer', positions: 2 });
+
+    await request(app)
+      .post(`/api/v1/jobs/${jobId}/versions/1/restore`)
+      .set('Authorization', `Bearer ${colleagueToken}`)
+      .expect(403);
+
+    const response = await request(app)
+      .post(`/api/v1/jobs/${jobId}/versions/1/restore`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+
+    expect(response.body.job.title).toBe('Platform Engineer');
+    expect(response.body.job.positions).toBe(1);
+    expect(response.body.job.version).toBe(3);
+    expect(response.body.version.restoredFrom).toBe(1);
+  });
+
+  it('should duplicate a job with its screening questions and hiring team', async () => {
+    const response = await request(app)
+      .post(`/api/v1/jobs/${jobId}/duplicate`)
+      .set('Authorization', `Bearer ${colleagueToken}`)
+      .expect(201);
+
+    const copy = response.body.job;
+    expect(copy.title).toBe('Platform Engineer (Copy)');
+    expect(copy.status).toBe('draft');
+    expect(copy.duplicatedFrom).toBe(jobId);
+    expect(copy.screeningQuestions[0].text).toBe('Do you have a work permit?');
+    expect(copy.hiringTeam[0].email).toBe('manager@test.com');
+
+    const history = await request(app)
+      .get(`/api/v1/jobs/${copy._id}/versions`)
+      .set('Authorization', `Bearer ${colleagueToken}`)
+      .expect(200);
+
+    expect(history.body.versions).toHaveLength(1);
+    expect(history.body.versions[0].action).toBe('duplicated');
+  });
+
+  it('should keep other tenants\' admins away from a job\'s versions without a subdomain', async () => {
+    await updateJob({ title: 'Senior Platform Engineer' });
+    await Admin.create({
+      name: 'Other Tenant Recruiter',
+      email: 'versions-outsider@test.com',
+      password: 'password123',
+      role: 'recruiter',
+      tenantId: new mongoose.Types.ObjectId()
+    });
+    const outsiderToken = await login('versions-outsider@test.com');
+
+    await request(app)
+      .get(`/api/v1/jobs/${jobId}/versions`)
+      .set('Authorization', `Bearer ${outsiderToken}`)
+      .expect(403);
+    await request(app)
+      .post(`/api/v1/jobs/${jobId}/duplicate`)
+      .set('Authorization', `Bearer ${outsiderToken}`)
+      .expect(403);
+    await request(app)
+      .post(`/api/v1/jobs/${jobId}/versions/1/restore`)
+      .set('Authorization', `Bearer ${outsiderToken}`)
+      .send({})
+      .expect(403);
+
+    expect(await Job.countDocuments({ duplicatedFrom: jobId })).toBe(0);
+  });
+});
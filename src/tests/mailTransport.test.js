@@ -0,0 +1,312 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const mongoose = require('mongoose');
+const MailSettings = require('../modules/emails/mailSettings.model');
+const OutboundEmail = require('../modules/emails/outboundEmail.model');
+const MailSettingsService = require('../modules/emails/mailSettings.service');
+const EmailService = require('../services/emailService');
+const SmtpTransport = require('../services/mail/smtpTransport');
+const FileTransport = require('../services/mail/fileTransport');
+const { Admin } = require('../modules/auth/auth.model');
+
+/**
+ * Minimal SMTP server that records what it receives
+ */
+const startSmtpStandIn = () => new Promise(resolve => {
+  const messages = [];
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let current = { auth: null, from: null, to: [], data: '' };
+    let inData = false;
+
+    socket.write('220 localhost ESMTP stand-in\r\n');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let index;
+
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(current);
+            current = { auth: current.auth, from: null, to: [], data: '' };
+            socket.write('250 OK queued\r\n');
+          } else {
+            current.data += `${line}\n`;
+          }
+          continue;
+        }
+
+        const command = line.toUpperCase();
+        if (command.startsWith('EHLO')) {
+          socket.write('250-localhost\r\n250-AUTH PLAIN\r\n250 8BITMIME\r\n');
+        } else if (command.startsWith('AUTH PLAIN')) {
+          current.auth = Buffer.from(line.split(' ')[2], 'base64').toString().split('\0').slice(1);
+          socket.write('235 Authentication successful\r\n');
+        } else if (command.startsWith('MAIL FROM')) {
+          current.from = line.match(/<(.*)>/)[1];
+          socket.write('250 OK\r\n');
+        } else if (command.startsWith('RCPT TO')) {
+          current.to.push(line.match(/<(.*)>/)[1]);
+          socket.write('250 OK\r\n');
+        } else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, messages }));
+});
+
+let smtp;
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+  smtp = await startSmtpStandIn();
+});
+
+afterAll(async () => {
+  await MailSettings.deleteMany({});
+  await OutboundEmail.deleteMany({});
+  await Admin.deleteMany({});
+  await new Promise(resolve => smtp.server.close(resolve));
+  await mongoose.connection.close();
+});
+
+describe('Mail transports', () => {
+  beforeEach(() => {
+    smtp.messages.length = 0;
+    MailSettingsService.clearCache();
+  });
+
+  it('should deliver over SMTP with authentication', async () => {
+    const transport = new SmtpTransport({
+      host: '127.0.0.1',
+      port: smtp.port,
+      username: 'mailer',
+      password: 'secret'
+    });
+
+    await transport.send({
+      from: { name: 'Acme Careers', address: 'jobs@acme.test' },
+      replyTo: 'hr@acme.test',
+      to: 'candidate@test.com',
+      subject: 'Interview invitation',
+      html: '<p>Hello</p>',
+      text: 'Hello',
+      attachments: [{ filename: 'invite.ics', content: 'BEGIN:VCALENDAR', contentType: 'text/calendar' }]
+    });
+    transport.close();
+
+    expect(smtp.messages).toHaveLength(1);
+    const [message] = smtp.messages;
+    expect(message.auth).toEqual(['mailer', 'secret']);
+    expect(message.from).toBe('jobs@acme.test');
+    expect(message.to).toEqual(['candidate@test.com']);
+    expect(message.data).toContain('Subject: Interview invitation');
+    expect(message.data).toContain('Reply-To: hr@acme.test');
+    expect(message.data).toContain('filename=invite.ics');
+  });
+
+  it('should write messages to the file sink', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+    const transport = new FileTransport({ dir });
+
+    const result = await transport.send({
+      from: { address: 'noreply@test.com' },
+      to: 'candidate@test.com',
+      subject: 'Application received',
+      html: '<p>Thanks</p>',
+      text: 'Thanks'
+    });
+
+    const eml = fs.readFileSync(result.path, 'utf8');
+    expect(eml).toContain('To: candidate@test.com');
+    expect(eml).toContain('Subject: Application received');
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('Tenant mail settings', () => {
+    let adminToken;
+
+    beforeEach(async () => {
+      await Admin.create({
+        name: 'Mail Admin',
+        email: 'mail-admin@test.com',
+        password: 'password123',
+        role: 'superadmin'
+      });
+
+      const adminLogin = await request(app)
+        .post('/api/v1/auth/admin/login')
+        .send({ email: 'mail-admin@test.com', password: 'password123' });
+      adminToken = adminLogin.body.accessToken;
+    });
+
+    it('should send through the configured SMTP server and sender', async () => {
+      const update = await request(app)
+        .put('/api/v1/emails/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          driver: 'smtp',
+          fromName: 'Acme Careers',
+          fromAddress: 'jobs@acme.test',
+          smtp: { host: '127.0.0.1', port: smtp.port, requireTLS: false, username: 'acme', password: 'acme-secret' }
+        })
+        .expect(200);
+
+      expect(update.body.settings.smtp.passwordSet).toBe(true);
+      expect(update.body.settings.smtp.password).toBeUndefined();
+
+      await request(app)
+        .post('/api/v1/emails/settings/test')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ to: 'someone@test.com' })
+        .expect(200);
+
+      expect(smtp.messages).toHaveLength(1);
+      expect(smtp.messages[0].auth).toEqual(['acme', 'acme-secret']);
+      expect(smtp.messages[0].from).toBe('jobs@acme.test');
+      expect(smtp.messages[0].data).toContain('From: Acme Careers <jobs@acme.test>');
+    });
+
+    it('should require a sender address for a custom transport', async () => {
+      await request(app)
+        .put('/api/v1/emails/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ driver: 'smtp', smtp: { host: '127.0.0.1' } })
+        .expect(400);
+    });
+
+    it('should brand queued emails with the tenant settings', async () => {
+      await request(app)
+        .put('/api/v1/emails/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          branding: {
+            companyName: 'Acme',
+            logoUrl: 'https://acme.test/logo.png',
+            primaryColor: '#ff6600',
+            footerText: 'Acme GmbH, Berlin'
+          }
+        })
+        .expect(200);
+
+      const template = EmailService.generateApplicationConfirmationEmail('Jane Doe', 'Backend Engineer', 'token', 'http://localhost');
+      await EmailService.sendEmail('candidate@test.com', template.subject, template.html);
+
+      const email = await OutboundEmail.findOne({ to: 'candidate@test.com' });
+      expect(email.html).toContain('<img src="https://acme.test/logo.png"');
+      expect(email.html).toContain('background-color: #ff6600');
+      expect(email.html).toContain('The Acme Team');
+      expect(email.html).toContain('Acme GmbH, Berlin');
+      expect(email.html).not.toContain('Delivered via');
+    });
+
+    it('should reject layouts without a content placeholder', async () => {
+      await request(app)
+        .put('/api/v1/emails/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ branding: { layoutHtml: '<div>{{footer}}</div>' } })
+        .expect(400);
+    });
+
+    it('should report delivery failures when testing settings', async () => {
+      await request(app)
+        .put('/api/v1/emails/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ driver: 'smtp', fromAddress: 'jobs@acme.test', smtp: { host: '127.0.0.1', port: 1, requireTLS: false } })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/v1/emails/settings/test')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ to: 'someone@test.com' })
+        .expect(502);
+
+      expect(response.body.message).toContain('Mail delivery failed');
+    });
+
+    it('should keep tenant admins out of the platform settings', async () => {
+      const tenantId = new mongoose.Types.ObjectId();
+      await Admin.create({ name: 'Tenant Mail Admin', email: 'tenant-mail-admin@test.com', password: 'password123', role: 'admin', tenantId });
+      await Admin.create({ name: 'Legacy Mail Admin', email: 'legacy-mail-admin@test.com', password: 'password123', role: 'admin' });
+
+      const login = (email) => request(app)
+        .post('/api/v1/auth/admin/login')
+        .send({ email, password: 'password123' })
+        .then(response => response.body.accessToken);
+      const tenantToken = await login('tenant-mail-admin@test.com');
+      const legacyToken = await login('legacy-mail-admin@test.com');
+
+      // Without a subdomain the admin's own tenant is used
+      await request(app)
+        .put('/api/v1/emails/settings')
+        .set('Authorization', `Bearer ${tenantToken}`)
+        .send({ fromName: 'Tenant Careers' })
+        .expect(200);
+      expect(await MailSettings.countDocuments({ tenantId })).toBe(1);
+      expect(await MailSettings.countDocuments({ tenantId: null })).toBe(0);
+
+      await request(app)
+        .put('/api/v1/emails/settings')
+        .set('Authorization', `Bearer ${legacyToken}`)
+        .send({ fromName: 'Hijacked' })
+        .expect(403);
+      await request(app)
+        .get('/api/v1/emails/settings')
+        .set('Authorization', `Bearer ${legacyToken}`)
+        .expect(403);
+    });
+
+    it('should only let tenants use public mail servers', async () => {
+      const tenantId = new mongoose.Types.ObjectId();
+      await Admin.create({ name: 'Tenant Mail Admin', email: 'tenant-mail-admin@test.com', password: 'password123', role: 'admin', tenantId });
+      const login = await request(app)
+        .post('/api/v1/auth/admin/login')
+        .send({ email: 'tenant-mail-admin@test.com', password: 'password123' });
+      const tenantToken = login.body.accessToken;
+
+      for (const host of ['127.0.0.1', '169.254.169.254', '10.0.0.5']) {
+        const response = await request(app)
+          .put('/api/v1/emails/settings')
+          .set('Authorization', `Bearer ${tenantToken}`)
+          .send({ driver: 'smtp', fromAddress: 'jobs@acme.test', smtp: { host, port: smtp.port } })
+          .expect(400);
+        expect(response.body.message).toContain('not a public address');
+      }
+
+      await request(app)
+        .put('/api/v1/emails/settings')
+        .set('Authorization', `Bearer ${tenantToken}`)
+        .send({ driver: 'mailgun', fromAddress: 'jobs@acme.test', mailgun: { domain: 'acme.test', apiKey: 'key', apiBase: 'https://internal.acme.test' } })
+        .expect(400);
+
+      expect(await MailSettings.countDocuments({ tenantId })).toBe(0);
+    });
+  });
+
+  afterEach(() => {
+    EmailService.setTransport(undefined);
+  });
+});
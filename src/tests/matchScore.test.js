@@ -0,0 +1,112 @@
+require('dotenv').config();
+
+const request = require('supertest');
+const app = require('../server');
+const mongoose = require('mongoose');
+const Application = require('../modules/application/application.model');
+const Job = require('../modules/jobs/job.model');
+const { Admin } = require('../modules/auth/auth.model');
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+});
+
+afterAll(async () => {
+  await Application.deleteMany({});
+  await Job.deleteMany({});
+  await Admin.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('CV match scoring', () => {
+  let adminToken, admin, job;
+
+  const createApplication = (lastName, parsedCVData) => Application.create({
+    jobId: job._id,
+    isGuestApplication: true,
+    guestApplicationId: new mongoose.Types.ObjectId(),
+    resumePath: '/test/path.pdf',
+    resumeFilename: 'test.pdf',
+    candidateSnapshot: { firstName: 'Test', lastName, email: `${lastName.toLowerCase()}@test.com` },
+    parsedCVData
+  });
+
+  beforeEach(async () => {
+    admin = await Admin.create({
+      name: 'Scoring Admin',
+      email: 'scoring-admin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    job = await Job.create({
+      title: 'Backend Engineer',
+      location: { city: 'Berlin', country: 'Germany', remote: false },
+      department: 'Engineering',
+      description: 'We are looking for a backend engineer to build and run our hiring APIs.',
+      skills: ['Node.js', 'MongoDB'],
+      toolsTechnologies: ['Docker'],
+      experienceRequiredYears: '3-5',
+      createdBy: admin._id,
+      isPublished: true,
+      status: 'published'
+    });
+
+    await createApplication('Partial', { skills: ['nodejs'], totalExperience: 1 });
+    await createApplication('Strong', { skills: ['Node.js', 'MongoDB', 'Docker'], totalExperience: 4 });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/admin/login')
+      .send({ email: 'scoring-admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.accessToken;
+
+    await request(app)
+      .post(`/api/v1/jobs/${job._id}/rescore`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+  });
+
+  afterEach(async () => {
+    await Application.deleteMany({});
+    await Job.deleteMany({});
+    await Admin.deleteMany({});
+  });
+
+  const getApplicants = (query = '') => request(app)
+    .get(`/api/v1/jobs/${job._id}/applications${query}`)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  it('should rank applicants by match score with an explanation', async () => {
+    const response = await getApplicants('?sortBy=matchScore').expect(200);
+    const [strong, partial] = response.body.applications;
+
+    expect(strong.name).toBe('Test Strong');
+    expect(strong.matchScore).toMatchObject({ score: 100, missingSkills: [], experienceGap: 0 });
+    expect(partial.matchScore).toMatchObject({
+      matchedSkills: ['Node.js'],
+      missingSkills: ['MongoDB', 'Docker'],
+      experienceGap: 2
+    });
+    expect(partial.matchScore.score).toBeLessThan(strong.matchScore.score);
+
+    const filtered = await getApplicants('?minScore=90').expect(200);
+    expect(filtered.body.applications).toHaveLength(1);
+  });
+
+  it('should recompute scores when the job changes', async () => {
+    await request(app)
+      .put(`/api/v1/jobs/${job._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ skills: ['Node.js'], toolsTechnologies: [], experienceRequiredYears: '0-1' })
+      .expect(200);
+
+    const response = await getApplicants('?sortBy=matchScore').expect(200);
+    expect(response.body.applications.map(application => application.matchScore.score)).toEqual([100, 100]);
+  });
+
+  it('should validate the sort field', async () => {
+    await getApplicants('?sortBy=name').expect(400);
+  });
+});
@@ -0,0 +1,263 @@
+require('dotenv').config();
+
+const request = require('supertest');
+const app = require('../server');
+const mongoose = require('mongoose');
+const Offer = require('../modules/offers/offer.model');
+const Application = require('../modules/application/application.model');
+const Job = require('../modules/jobs/job.model');
+const { Admin } = require('../modules/auth/auth.model');
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+});
+
+afterAll(async () => {
+  await Offer.deleteMany({});
+  await Application.deleteMany({});
+  await Job.deleteMany({});
+  await Admin.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Offer management', () => {
+  let recruiterToken, approverToken;
+  let approver, application;
+
+  const offerData = (overrides = {}) => ({
+    salary: { amount: 70000, currency: 'EUR', period: 'Yearly' },
+    startDate: `${new Date().getUTCFullYear() + 1}-01-15`,
+    bonus: { signOn: 5000 },
+    approverIds: [String(approver._id)],
+    ...overrides
+  });
+
+  const login = async (email) => {
+    const response = await request(app)
+      .post('/api/v1/auth/admin/login')
+      .send({ email, password: 'password123' });
+    return response.body.accessToken;
+  };
+
+  const tokenFromUrl = (url) => url.split('/offer/')[1];
+
+  beforeEach(async () => {
+    await Offer.deleteMany({});
+
+    const recruiter = await Admin.create({
+      name: 'Offer Recruiter',
+      email: 'offer-recruiter@test.com',
+      password: 'password123',
+      role: 'recruiter'
+    });
+
+    approver = await Admin.create({
+      name: 'Offer Approver',
+      email: 'offer-approver@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    const job = await Job.create({
+      title: 'Backend Engineer',
+      location: { city: 'Berlin', country: 'Germany', remote: false },
+      department: 'Engineering',
+      description: 'We are looking for a backend engineer to build and run our hiring APIs.',
+      salaryRange: { min: 60000, max: 75000, currency: 'EUR', period: 'Yearly' },
+      salaryBudget: { max: 80000, currency: 'EUR' },
+      createdBy: recruiter._id,
+      isPublished: true,
+      status: 'published'
+    });
+
+    application = await Application.create({
+      jobId: job._id,
+      isGuestApplication: true,
+      guestApplicationId: new mongoose.Types.ObjectId(),
+      resumePath: '/test/path.pdf',
+      resumeFilename: 'test.pdf',
+      candidateSnapshot: {
+        firstName: 'Jane',
+        lastName: 'Doe',
+        email: 'offer-candidate@test.com'
+      }
+    });
+
+    recruiterToken = await login('offer-recruiter@test.com');
+    approverToken = await login('offer-approver@test.com');
+  });
+
+  const createOffer = async (overrides) => {
+    const response = await request(app)
+      .post(`/api/v1/offers/applications/${application._id}`)
+      .set('Authorization', `Bearer ${recruiterToken}`)
+      .send(offerData(overrides))
+      .expect(201);
+
+    return response.body.offer;
+  };
+
+  it('should require a justification to submit an offer over budget', async () => {
+    const offer = await createOffer({ salary: { amount: 90000, currency: 'EUR', period: 'Yearly' } });
+    expect(offer.budgetCheck.status).toBe('exceeded');
+
+    await request(app)
+      .post(`/api/v1/offers/${offer._id}/submit`)
+      .set('Authorization', `Bearer ${recruiterToken}`)
+      .expect(400);
+
+    await request(app)
+      .put(`/api/v1/offers/${offer._id}`)
+      .set('Authorization', `Bearer ${recruiterToken}`)
+      .send({ budgetJustification: 'Competing offer from another company' })
+      .expect(200);
+
+    const submitted = await request(app)
+      .post(`/api/v1/offers/${offer._id}/submit`)
+      .set('Authorization', `Bearer ${recruiterToken}`)
+      .expect(200);
+
+    expect(submitted.body.offer.status).toBe('pending_approval');
+  });
+
+  it('should only let the current approver decide', async () => {
+    const offer = await createOffer();
+
+    await request(app)
+      .post(`/api/v1/offers/${offer._id}/submit`)
+      .set('Authorization', `Bearer ${recruiterToken}`)
+      .expect(200);
+
+    await request(app)
+      .post(`/api/v1/offers/${offer._id}/approve`)
+      .set('Authorization', `Bearer ${recruiterToken}`)
+      .expect(403);
+
+    const approved = await request(app)
+      .post(`/api/v1/offers/${offer._id}/approve`)
+      .set('Authorization', `Bearer ${approverToken}`)
+      .send({ comment: 'Looks good' })
+      .expect(200);
+
+    expect(approved.body.offer.status).toBe('approved');
+    expect(approved.body.offer.approvals[0].status).toBe('approved');
+  });
+
+  it('should send the offer and hire the candidate when they accept', async () => {
+    const offer = await createOffer({ approverIds: [] });
+
+    await request(app)
+      .post(`/api/v1/offers/${offer._id}/submit`)
+      .set('Authorization', `Bearer ${recruiterToken}`)
+      .expect(200);
+
+    const sent = await request(app)
+      .post(`/api/v1/offers/${offer._id}/send`)
+      .set('Authorization', `Bearer ${recruiterToken}`)
+      .expect(200);
+
+    expect(sent.body.offer.status).toBe('sent');
+    expect((await Application.findById(application._id)).status).toBe('Offer');
+
+    const token = tokenFromUrl(sent.body.url);
+
+    const letter = await request(app)
+      .get(`/api/v1/offers/public/${token}/letter`)
+      .expect(200);
+    expect(letter.headers['content-type']).toContain('application/pdf');
+
+    const accepted = await request(app)
+      .post(`/api/v1/offers/public/${token}/accept`)
+      .expect(200);
+
+    expect(accepted.body.offer.status).toBe('accepted');
+    expect((await Application.findById(application._id)).status).toBe('Hired');
+
+    await request(app)
+      .post(`/api/v1/offers/public/${token}/decline`)
+      .expect(409);
+  });
+
+  it('should stop the candidate link once the offer is withdrawn', async () => {
+    const offer = await createOffer({ approverIds: [] });
+
+    await request(app)
+      .post(`/api/v1/offers/${offer._id}/submit`)
+      .set('Authorization', `Bearer ${recruiterToken}`)
+      .expect(200);
+
+    const sent = await request(app)
+      .post(`/api/v1/offers/${offer._id}/send`)
+      .set('Authorization', `Bearer ${recruiterToken}`)
+      .expect(200);
+
+    await request(app)
+      .post(`/api/v1/offers/${offer._id}/withdraw`)
+      .set('Authorization', `Bearer ${recruiterToken}`)
+      .expect(200);
+
+    await request(app)
+      .get(`/api/v1/offers/public/${tokenFromUrl(sent.body.url)}`)
+      .expect(410);
+  });
+
+  it('should keep other tenants out of offers, templates and approvals without a subdomain', async () => {
+    const otherTenantId = new mongoose.Types.ObjectId();
+    const outsider = await Admin.create({
+      name: 'Other Tenant Admin',
+      email: 'offer-outsider@test.com',
+      password: 'password123',
+      role: 'admin',
+      tenantId: otherTenantId
+    });
+    const outsiderToken = await login('offer-outsider@test.com');
+
+    // Approvers must belong to the offer's tenant
+    await request(app)
+      .post(`/api/v1/offers/applications/${application._id}`)
+      .set('Authorization', `Bearer ${recruiterToken}`)
+      .send(offerData({ approverIds: [String(outsider._id)] }))
+      .expect(400);
+
+    const offer = await createOffer();
+    await request(app)
+      .post('/api/v1/offers/templates')
+      .set('Authorization', `Bearer ${recruiterToken}`)
+      .send({ name: 'Standard', title: 'Your offer', body: 'Dear {{candidateName}}, welcome aboard.' })
+      .expect(201);
+
+    await request(app)
+      .get(`/api/v1/offers/${offer._id}`)
+      .set('Authorization', `Bearer ${outsiderToken}`)
+      .expect(404);
+    await request(app)
+      .get(`/api/v1/offers/applications/${application._id}`)
+      .set('Authorization', `Bearer ${outsiderToken}`)
+      .expect(403);
+    await request(app)
+      .post(`/api/v1/offers/applications/${application._id}`)
+      .set('Authorization', `Bearer ${outsiderToken}`)
+      .send(offerData({ approverIds: [] }))
+      .expect(403);
+
+    const templates = await request(app)
+      .get('/api/v1/offers/templates')
+      .set('Authorization', `Bearer ${outsiderToken}`)
+      .expect(200);
+    expect(templates.body.templates).toHaveLength(0);
+
+    // An approver moved to another tenant no longer sees the offer
+    await Admin.updateOne({ _id: approver._id }, { tenantId: otherTenantId });
+    await request(app)
+      .post(`/api/v1/offers/${offer._id}/submit`)
+      .set('Authorization', `Bearer ${recruiterToken}`)
+      .expect(200);
+    const pending = await request(app)
+      .get('/api/v1/offers/approvals/pending')
+      .set('Authorization', `Bearer ${approverToken}`)
+      .expect(200);
+    expect(pending.body.offers).toHaveLength(0);
+  });
+});
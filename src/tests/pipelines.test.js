@@ -0,0 +1,290 @@
+require('dotenv').config();
+
+const request = require('supertest');
+const app = require('../server');
+const mongoose = require('mongoose');
+const Pipeline = require('../modules/pipelines/pipeline.model');
+const PipelineService = require('../modules/pipelines/pipeline.service');
+const Application = require('../modules/application/application.model');
+const Job = require('../modules/jobs/job.model');
+const { Admin, Candidate } = require('../modules/auth/auth.model');
+
+// Test database setup
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+});
+
+afterAll(async () => {
+  await Pipeline.deleteMany({});
+  await Application.deleteMany({});
+  await Job.deleteMany({});
+  await Admin.deleteMany({});
+  await Candidate.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Pipeline Endpoints', () => {
+  let adminToken;
+  let admin, testCandidate;
+
+  const pipelineData = {
+    name: 'Engineering Pipeline',
+    stages: [
+      { name: 'Applied', type: 'screening' },
+      { name: 'Phone Screen', type: 'screening' },
+      { name: 'Onsite', type: 'interview', entryRules: { requireNote: true } },
+      { name: 'Offer', type: 'offer' },
+      { name: 'Hired', type: 'terminal', outcome: 'hired' },
+      { name: 'Rejected', type: 'terminal', outcome: 'rejected' }
+    ]
+  };
+
+  const createApplication = (jobId, status) => Application.create({
+    jobId,
+    candidateId: testCandidate._id,
+    resumePath: '/test/path.pdf',
+    resumeFilename: 'test.pdf',
+    status,
+    candidateSnapshot: {
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'pipeline-candidate@test.com'
+    }
+  });
+
+  beforeEach(async () => {
+    admin = await Admin.create({
+      name: 'Pipeline Admin',
+      email: 'pipeline-admin@test.com',
+      password: 'password123',
+      role: 'recruiter'
+    });
+
+    testCandidate = await Candidate.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'pipeline-candidate@test.com',
+      password: 'password123',
+      phone: '+1234567890',
+      totalExperience: 3
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/admin/login')
+      .send({ email: 'pipeline-admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.accessToken;
+  });
+
+  describe('POST /api/v1/pipelines', () => {
+    it('should create a pipeline', async () => {
+      const response = await request(app)
+        .post('/api/v1/pipelines')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(pipelineData)
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.pipeline.stages).toHaveLength(6);
+    });
+
+    it('should reject transitions to unknown stages', async () => {
+      const response = await request(app)
+        .post('/api/v1/pipelines')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'Broken Pipeline',
+          stages: [{ name: 'Applied', allowedTransitions: ['Nowhere'] }]
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('PUT /api/v1/applications/:id/status', () => {
+    let pipeline, job;
+
+    beforeEach(async () => {
+      pipeline = await Pipeline.create({ ...pipelineData, createdBy: admin._id });
+      job = await Job.create({
+        title: 'Backend Engineer',
+        location: { city: 'Berlin', country: 'Germany', remote: false },
+        department: 'Engineering',
+        description: 'We are looking for a backend engineer to build and run our hiring APIs.',
+        createdBy: admin._id,
+        isPublished: true,
+        status: 'published',
+        pipelineId: pipeline._id
+      });
+    });
+
+    it('should allow moving to a later stage', async () => {
+      const application = await createApplication(job._id, 'Applied');
+
+      const response = await request(app)
+        .put(`/api/v1/applications/${application._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'Phone Screen' })
+        .expect(200);
+
+      expect(response.body.application.status).toBe('Phone Screen');
+    });
+
+    it('should reject moving backwards', async () => {
+      const application = await createApplication(job._id, 'Offer');
+
+      const response = await request(app)
+        .put(`/api/v1/applications/${application._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'Applied' })
+        .expect(400);
+
+      expect(response.body.message).toContain('not allowed');
+    });
+
+    it('should enforce stage entry rules', async () => {
+      const application = await createApplication(job._id, 'Phone Screen');
+
+      await request(app)
+        .put(`/api/v1/applications/${application._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'Onsite' })
+        .expect(400);
+
+      await request(app)
+        .put(`/api/v1/applications/${application._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'Onsite', note: 'Strong phone screen' })
+        .expect(200);
+    });
+
+    it('should reject the whole bulk update if any move is illegal', async () => {
+      const first = await createApplication(job._id, 'Applied');
+      const second = await createApplication(job._id, 'Hired');
+
+      await request(app)
+        .put('/api/v1/applications/bulk/status')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ applicationIds: [first._id, second._id], status: 'Offer' })
+        .expect(400);
+
+      const unchanged = await Application.findById(first._id);
+      expect(unchanged.status).toBe('Applied');
+    });
+
+    it('should list allowed transitions', async () => {
+      const application = await createApplication(job._id, 'Offer');
+
+      const response = await request(app)
+        .get(`/api/v1/applications/${application._id}/transitions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const names = response.body.transitions.map(stage => stage.name);
+      expect(names).toEqual(['Hired', 'Rejected']);
+    });
+
+    it('should keep the legacy statuses and moves for jobs without a pipeline', async () => {
+      const legacyJob = await Job.create({
+        title: 'Support Engineer',
+        location: { city: 'Berlin', country: 'Germany', remote: false },
+        department: 'Support',
+        description: 'We are looking for a support engineer to help our customers every day.',
+        createdBy: admin._id,
+        isPublished: true,
+        status: 'published'
+      });
+      const application = await createApplication(legacyJob._id, 'New');
+
+      for (const status of ['Shortlisted', 'Decision Pending', 'Rejected', 'Saved for Future', 'Hired', 'In Review']) {
+        const response = await request(app)
+          .put(`/api/v1/applications/${application._id}/status`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ status })
+          .expect(200);
+        expect(response.body.application.status).toBe(status);
+      }
+    });
+  });
+
+  describe('PUT /api/v1/pipelines/:id', () => {
+    it('should require a mapping for removed stages that hold applications', async () => {
+      const pipeline = await Pipeline.create({ ...pipelineData, createdBy: admin._id });
+      const job = await Job.create({
+        title: 'Frontend Engineer',
+        location: { city: 'Berlin', country: 'Germany', remote: false },
+        department: 'Engineering',
+        description: 'We are looking for a frontend engineer to build our careers pages.',
+        createdBy: admin._id,
+        isPublished: true,
+        status: 'published',
+        pipelineId: pipeline._id
+      });
+      const application = await createApplication(job._id, 'Phone Screen');
+
+      const stages = pipelineData.stages.filter(stage => stage.name !== 'Phone Screen');
+
+      await request(app)
+        .put(`/api/v1/pipelines/${pipeline._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ stages })
+        .expect(400);
+
+      const response = await request(app)
+        .put(`/api/v1/pipelines/${pipeline._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ stages, stageMapping: { 'Phone Screen': 'Applied' } })
+        .expect(200);
+
+      expect(response.body.migratedApplications).toBe(1);
+
+      const migrated = await Application.findById(application._id);
+      expect(migrated.status).toBe('Applied');
+    });
+
+    it('should leave applications alone when the new stages cannot be saved', async () => {
+      const pipeline = await Pipeline.create({ ...pipelineData, createdBy: admin._id });
+      const job = await Job.create({
+        title: 'Data Engineer',
+        location: { city: 'Berlin', country: 'Germany', remote: false },
+        department: 'Engineering',
+        description: 'We are looking for a data engineer to build our reporting pipelines.',
+        createdBy: admin._id,
+        pipelineId: pipeline._id
+      });
+      const application = await createApplication(job._id, 'Phone Screen');
+
+      const stages = pipelineData.stages.map(stage =>
+        stage.name === 'Phone Screen' ? { ...stage, name: 'Phone Screen '.repeat(5) } : stage
+      );
+      await expect(PipelineService.updatePipeline(pipeline._id, {
+        stages,
+        stageMapping: { 'Phone Screen': stages[1].name.trim() }
+      }, admin._id, {})).rejects.toThrow('cannot exceed 50 characters');
+
+      expect((await Application.findById(application._id)).status).toBe('Phone Screen');
+    });
+  });
+
+  describe('PUT /api/v1/jobs/:id', () => {
+    it('should not change the workflow of a job', async () => {
+      const job = await Job.create({
+        title: 'Support Engineer',
+        location: { city: 'Berlin', country: 'Germany', remote: false },
+        department: 'Support',
+        description: 'We are looking for a support engineer to help our customers every day.',
+        createdBy: admin._id
+      });
+
+      await request(app)
+        .put(`/api/v1/jobs/${job._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ workflow: ['Applied', 'Done'] })
+        .expect(200);
+
+      expect((await Job.findById(job._id)).workflow).toEqual(['New', 'In Review', 'Interview', 'Offer', 'Hired', 'Rejected']);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+require('dotenv').config();
+
+const http = require('http');
+const mongoose = require('mongoose');
+const { io: connect } = require('socket.io-client');
+const Job = require('../modules/jobs/job.model');
+const Application = require('../modules/application/application.model');
+const { Candidate } = require('../modules/auth/auth.model');
+const JWTService = require('../services/jwtService');
+const JobLifecycleService = require('../services/jobLifecycleService');
+const {
+  initRealtime,
+  notifyRole,
+  emitToTenant,
+  publishApplicationUpdate,
+  publishNewApplication
+} = require('../services/realtime');
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+describe('Realtime rooms', () => {
+  const acmeTenant = new mongoose.Types.ObjectId().toString();
+  const otherTenant = new mongoose.Types.ObjectId().toString();
+  let httpServer, url;
+  let sockets = [];
+  let acmeJob, otherJob, application;
+
+  const tokenFor = (userType, tenantId, role = userType === 'admin' ? 'recruiter' : null) =>
+    JWTService.generateAccessToken(new mongoose.Types.ObjectId().toString(), userType, role, tenantId);
+
+  const connectAs = (token) => new Promise((resolve, reject) => {
+    const socket = connect(url, { auth: { token }, transports: ['websocket'], reconnection: false });
+    sockets.push(socket);
+    socket.on('connect', () => resolve(socket));
+    socket.on('connect_error', reject);
+  });
+
+  const subscribe = (socket, target) => new Promise(resolve => socket.emit('subscribe', target, resolve));
+
+  // Resolves with the payload, or null when nothing arrives in time
+  const nextEvent = (socket, event, timeout = 300) => new Promise(resolve => {
+    const timer = setTimeout(() => resolve(null), timeout);
+    socket.once(event, payload => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+
+  const createJob = (tenantId, overrides = {}) => Job.create({
+    title: 'Platform Engineer',
+    location: { city: 'Berlin', country: 'Germany', remote: false },
+    department: 'Engineering',
+    description: 'We are looking for a platform engineer to run our hiring infrastructure.',
+    createdBy: new mongoose.Types.ObjectId(),
+    tenantId,
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    httpServer = http.createServer();
+    initRealtime(httpServer, '*');
+    await new Promise(resolve => httpServer.listen(0, resolve));
+    url = `http://localhost:${httpServer.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => httpServer.close(resolve));
+  });
+
+  beforeEach(async () => {
+    acmeJob = await createJob(acmeTenant);
+    otherJob = await createJob(otherTenant);
+    const candidate = await Candidate.create({
+      firstName: 'Rita',
+      lastName: 'Realtime',
+      email: 'realtime-candidate@test.com',
+      password: 'password123',
+      phone: '+1234567890',
+      totalExperience: 2
+    });
+    application = await Application.create({
+      jobId: acmeJob._id,
+      candidateId: candidate._id,
+      resumePath: 'uploads/realtime.pdf',
+      resumeFilename: 'realtime.pdf',
+      status: 'pending'
+    });
+  });
+
+  afterEach(() => {
+    sockets.forEach(socket => socket.disconnect());
+    sockets = [];
+  });
+
+  it('should reject connections without a valid token', async () => {
+    await expect(connectAs(undefined)).rejects.toThrow('Auth token required');
+    await expect(connectAs('not-a-token')).rejects.toThrow('Invalid token');
+  });
+
+  it('should only send tenant events to the tenant\'s staff', async () => {
+    const acmeAdmin = await connectAs(tokenFor('admin', acmeTenant));
+    const otherAdmin = await connectAs(tokenFor('admin', otherTenant));
+    const acmeCandidate = await connectAs(tokenFor('candidate', acmeTenant));
+
+    const received = [
+      nextEvent(acmeAdmin, 'application:created'),
+      nextEvent(otherAdmin, 'application:created'),
+      nextEvent(acmeCandidate, 'application:created')
+    ];
+    publishNewApplication(application, acmeTenant);
+
+    const [acme, other, candidate] = await Promise.all(received);
+    expect(acme.applicationId).toBe(String(application._id));
+    expect(acme.jobId).toBe(String(acmeJob._id));
+    expect(other).toBeNull();
+    expect(candidate).toBeNull();
+  });
+
+  it('should require a tenant for role broadcasts', async () => {
+    const acmeRecruiter = await connectAs(tokenFor('admin', acmeTenant));
+    const otherRecruiter = await connectAs(tokenFor('admin', otherTenant));
+
+    expect(() => notifyRole(undefined, 'admin', { title: 'Everyone' })).toThrow('requires a tenantId');
+
+    const received = [nextEvent(acmeRecruiter, 'notification'), nextEvent(otherRecruiter, 'notification')];
+    notifyRole(acmeTenant, 'admin', { title: 'Acme only' });
+
+    const [acme, other] = await Promise.all(received);
+    expect(acme.title).toBe('Acme only');
+    expect(other).toBeNull();
+  });
+
+  it('should only let admins of the job\'s tenant subscribe', async () => {
+    const acmeAdmin = await connectAs(tokenFor('admin', acmeTenant));
+    const candidate = await connectAs(tokenFor('candidate', acmeTenant));
+
+    expect(await subscribe(acmeAdmin, { jobId: String(acmeJob._id) }))
+      .toEqual({ success: true, room: `job:${acmeJob._id}` });
+    expect(await subscribe(acmeAdmin, { applicationId: String(application._id) }))
+      .toEqual({ success: true, room: `application:${application._id}` });
+
+    expect((await subscribe(acmeAdmin, { jobId: String(otherJob._id) })).success).toBe(false);
+    expect((await subscribe(acmeAdmin, { jobId: String(new mongoose.Types.ObjectId()) })).success).toBe(false);
+    expect((await subscribe(candidate, { jobId: String(acmeJob._id) })).success).toBe(false);
+  });
+
+  it('should push application updates to job and application subscribers', async () => {
+    const boardViewer = await connectAs(tokenFor('admin', acmeTenant));
+    const applicationViewer = await connectAs(tokenFor('admin', acmeTenant));
+    const bystander = await connectAs(tokenFor('admin', acmeTenant));
+    await subscribe(boardViewer, { jobId: String(acmeJob._id) });
+    await subscribe(applicationViewer, { applicationId: String(application._id) });
+
+    const received = [
+      nextEvent(boardViewer, 'application:status'),
+      nextEvent(applicationViewer, 'application:status'),
+      nextEvent(bystander, 'application:status')
+    ];
+    publishApplicationUpdate(application, 'application:status', { status: 'reviewing' });
+
+    const [board, single, other] = await Promise.all(received);
+    expect(board).toMatchObject({ applicationId: String(application._id), status: 'reviewing' });
+    expect(single).toMatchObject({ jobId: String(acmeJob._id), status: 'reviewing' });
+    expect(other).toBeNull();
+
+    await new Promise(resolve => boardViewer.emit('unsubscribe', { jobId: String(acmeJob._id) }, resolve));
+    const afterUnsubscribe = nextEvent(boardViewer, 'application:status');
+    publishApplicationUpdate(application, 'application:status', { status: 'shortlisted' });
+    expect(await afterUnsubscribe).toBeNull();
+  });
+
+  it('should announce lifecycle changes to the job\'s tenant', async () => {
+    const acmeAdmin = await connectAs(tokenFor('admin', acmeTenant));
+    const otherAdmin = await connectAs(tokenFor('admin', otherTenant));
+    await Job.updateOne({ _id: acmeJob._id }, { status: 'published', isPublished: true });
+
+    const received = [nextEvent(acmeAdmin, 'job:status'), nextEvent(otherAdmin, 'job:status')];
+    expect(await JobLifecycleService.closeJob(acmeJob._id, 'deadline')).toBe(true);
+
+    const [acme, other] = await Promise.all(received);
+    expect(acme).toMatchObject({ jobId: String(acmeJob._id), status: 'closed', closeReason: 'deadline' });
+    expect(other).toBeNull();
+  });
+
+  it('should ignore tenant events without a tenant', async () => {
+    const acmeAdmin = await connectAs(tokenFor('admin', acmeTenant));
+    const received = nextEvent(acmeAdmin, 'job:status');
+    emitToTenant(null, 'job:status', { status: 'closed' });
+    expect(await received).toBeNull();
+  });
+});
@@ -0,0 +1,207 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const mongoose = require('mongoose');
+const Application = require('../modules/application/application.model');
+const GuestApplication = require('../modules/guestApplications/guestApplication.model');
+const Job = require('../modules/jobs/job.model');
+const Referral = require('../modules/referrals/referral.model');
+const TrackingLink = require('../modules/tracking/trackingLink.model');
+const { Admin, Candidate } = require('../modules/auth/auth.model');
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+});
+
+afterAll(async () => {
+  await Application.deleteMany({});
+  await GuestApplication.deleteMany({});
+  await Job.deleteMany({});
+  await Referral.deleteMany({});
+  await TrackingLink.deleteMany({});
+  await Admin.deleteMany({});
+  await Candidate.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Employee referrals', () => {
+  const resumePath = path.join(__dirname, '../uploads/referral-test.pdf');
+  let admin, adminToken, employee, employeeToken, job;
+
+  const login = async (type, email) => {
+    const response = await request(app)
+      .post(`/api/v1/auth/${type}/login`)
+      .send({ email, password: 'password123' });
+    return response.body.accessToken;
+  };
+
+  const candidateInfo = (email) => JSON.stringify({
+    firstName: 'Jane',
+    lastName: 'Doe',
+    email,
+    phone: '+4915112345678',
+    totalExperience: 4
+  });
+
+  beforeAll(() => {
+    fs.mkdirSync(path.dirname(resumePath), { recursive: true });
+    fs.writeFileSync(resumePath, Buffer.from('Test PDF content'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(resumePath, { force: true });
+  });
+
+  beforeEach(async () => {
+    admin = await Admin.create({
+      name: 'Referral Admin',
+      email: 'referral-admin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+    employee = await Candidate.create({
+      firstName: 'Erik',
+      lastName: 'Employee',
+      email: 'employee@test.com',
+      password: 'password123',
+      role: 'employee'
+    });
+
+    job = await Job.create({
+      title: 'Backend Engineer',
+      location: { city: 'Berlin', country: 'Germany', remote: false },
+      department: 'Engineering',
+      description: 'We are looking for a backend engineer to build and run our hiring APIs.',
+      createdBy: admin._id,
+      isPublished: true,
+      status: 'published'
+    });
+
+    adminToken = await login('admin', 'referral-admin@test.com');
+    employeeToken = await login('candidate', 'employee@test.com');
+  });
+
+  it('should attribute applications through the personal referral link', async () => {
+    const first = await request(app)
+      .post('/api/v1/referrals/links')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .send({ jobId: job._id })
+      .expect(200);
+    const again = await request(app)
+      .post('/api/v1/referrals/links')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .send({ jobId: job._id })
+      .expect(200);
+    expect(again.body.link.code).toBe(first.body.link.code);
+
+    await request(app)
+      .post(`/api/v1/guest/jobs/${job._id}/apply/guest`)
+      .field('jobId', String(job._id))
+      .field('candidateInfo', candidateInfo('linked-candidate@test.com'))
+      .field('trackingCode', first.body.link.code)
+      .attach('resume', resumePath)
+      .expect(201);
+
+    const referral = await Referral.findOne({ 'referrer.userId': employee._id });
+    expect(referral.channel).toBe('link');
+    expect(referral.candidate.email).toBe('linked-candidate@test.com');
+
+    const application = await Application.findById(referral.applicationId);
+    expect(application.source).toBe('referral');
+    expect(String(application.attribution.referralId)).toBe(String(referral._id));
+  });
+
+  it('should let employees submit a CV and follow the stage without seeing notes', async () => {
+    const submitted = await request(app)
+      .post('/api/v1/referrals')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .field('jobId', String(job._id))
+      .field('candidateInfo', candidateInfo('referred@test.com'))
+      .field('note', 'Worked with Jane for three years')
+      .attach('resume', resumePath)
+      .expect(201);
+
+    const application = await Application.findById(submitted.body.referral.applicationId);
+    expect(String(application.attribution.referralId)).toBe(String(submitted.body.referral._id));
+
+    await request(app)
+      .post(`/api/v1/applications/${application._id}/note`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ note: 'Confidential: salary expectations too high' });
+
+    const mine = await request(app)
+      .get('/api/v1/referrals/mine')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .expect(200);
+
+    expect(mine.body.referrals).toHaveLength(1);
+    expect(mine.body.referrals[0].stage.name).toBe(application.status);
+    expect(JSON.stringify(mine.body)).not.toContain('Confidential');
+    expect(JSON.stringify(mine.body)).not.toContain('Worked with Jane');
+  });
+
+  it('should rank referrers by hires', async () => {
+    const colleague = await Candidate.create({
+      firstName: 'Carla',
+      lastName: 'Colleague',
+      email: 'colleague@test.com',
+      password: 'password123',
+      role: 'employee'
+    });
+
+    const refer = async (referrer, name, status, logs = []) => {
+      const application = await Application.create({
+        jobId: job._id,
+        isGuestApplication: true,
+        guestApplicationId: new mongoose.Types.ObjectId(),
+        resumePath: '/test/path.pdf',
+        resumeFilename: 'test.pdf',
+        source: 'referral',
+        status,
+        logs
+      });
+      return Referral.create({
+        jobId: job._id,
+        referrer: { userId: referrer._id, userType: 'Candidate', name },
+        channel: 'direct',
+        applicationId: application._id
+      });
+    };
+
+    await refer(employee, 'Erik Employee', 'New');
+    await refer(employee, 'Erik Employee', 'In Review');
+    await refer(colleague, 'Carla Colleague', 'Hired', [
+      { action: 'Status changed from New to Hired', userRole: 'Admin', metadata: { oldStatus: 'New', newStatus: 'Hired' } }
+    ]);
+
+    const response = await request(app)
+      .get('/api/v1/referrals/leaderboard')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .expect(200);
+
+    expect(response.body.leaderboard.map(entry => entry.referrer.name)).toEqual(['Carla Colleague', 'Erik Employee']);
+    expect(response.body.leaderboard[0]).toMatchObject({ rank: 1, referrals: 1, hires: 1 });
+    expect(response.body.leaderboard[1]).toMatchObject({ rank: 2, referrals: 2, hires: 0 });
+  });
+
+  it('should only let employees refer', async () => {
+    await Candidate.create({
+      firstName: 'Carl',
+      lastName: 'Candidate',
+      email: 'plain-candidate@test.com',
+      password: 'password123'
+    });
+    const candidateToken = await login('candidate', 'plain-candidate@test.com');
+
+    await request(app)
+      .post('/api/v1/referrals/links')
+      .set('Authorization', `Bearer ${candidateToken}`)
+      .send({ jobId: job._id })
+      .expect(403);
+  });
+});
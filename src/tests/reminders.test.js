@@ -0,0 +1,79 @@
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Event = require('../modules/application/event.model');
+const Notification = require('../modules/notifications/notification.model');
+const ReminderService = require('../services/reminderService');
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+});
+
+afterAll(async () => {
+  await Event.deleteMany({});
+  await Notification.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Interview reminders', () => {
+  const pad = n => String(n).padStart(2, '0');
+
+  // Event fields for a start time, split the way Event stores it
+  const createEventAt = (start) => Event.create({
+    applicationId: new mongoose.Types.ObjectId(),
+    title: 'Technical Interview',
+    attendees: [
+      { userId: new mongoose.Types.ObjectId(), userType: 'Admin', email: 'interviewer@company.com', name: 'Interviewer' }
+    ],
+    date: new Date(`${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`),
+    startTime: `${pad(start.getHours())}:${pad(start.getMinutes())}`,
+    endTime: `${pad(start.getHours())}:59`,
+    createdBy: new mongoose.Types.ObjectId()
+  });
+
+  const HOUR = 60 * 60 * 1000;
+
+  it('should send the closest due reminder once', async () => {
+    const now = Date.now();
+    const start = new Date(Math.ceil((now + 0.5 * HOUR) / 60000) * 60000);
+    const event = await createEventAt(start);
+
+    expect(await ReminderService.runOnce(now)).toBe(1);
+    expect(await ReminderService.runOnce(now)).toBe(0);
+
+    const updated = await Event.findById(event._id);
+    expect(updated.reminderSent).toBe(true);
+    // The missed 24h reminder is claimed together with the 1h one
+    expect(updated.remindersSent.map(reminder => reminder.offset).sort((a, b) => a - b)).toEqual([60, 1440]);
+    expect(await Notification.countDocuments({ 'metadata.eventId': event._id })).toBe(1);
+  });
+
+  it('should send each configured offset as it comes due', async () => {
+    const now = Date.now();
+    const start = new Date(Math.ceil((now + 20 * HOUR) / 60000) * 60000);
+    const event = await createEventAt(start);
+
+    expect(await ReminderService.runOnce(now)).toBe(1);
+    expect((await Event.findById(event._id)).reminderSent).toBe(false);
+
+    expect(await ReminderService.runOnce(start.getTime() - 0.5 * HOUR)).toBe(1);
+    expect((await Event.findById(event._id)).reminderSent).toBe(true);
+  });
+
+  it('should not send duplicates when instances race', async () => {
+    const now = Date.now();
+    const start = new Date(Math.ceil((now + 0.5 * HOUR) / 60000) * 60000);
+    const event = await createEventAt(start);
+
+    // A second instance with its own in-process state
+    const otherInstance = Object.create(ReminderService);
+    otherInstance.running = false;
+
+    const results = await Promise.all([ReminderService.runOnce(now), otherInstance.runOnce(now)]);
+
+    expect(results[0] + results[1]).toBe(1);
+    expect(await Notification.countDocuments({ 'metadata.eventId': event._id })).toBe(1);
+  });
+});
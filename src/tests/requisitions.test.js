@@ -0,0 +1,184 @@
+require('dotenv').config();
+
+const request = require('supertest');
+const app = require('../server');
+const mongoose = require('mongoose');
+const Job = require('../modules/jobs/job.model');
+const RequisitionSettings = require('../modules/requisitions/requisitionSettings.model');
+const { Admin } = require('../modules/auth/auth.model');
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+});
+
+afterAll(async () => {
+  await RequisitionSettings.deleteMany({});
+  await Job.deleteMany({});
+  await Admin.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Job requisition approval', () => {
+  let managerToken, financeToken, hrToken, ownerToken;
+  let finance, hr, job;
+
+  const login = async (email) => {
+    const response = await request(app)
+      .post('/api/v1/auth/admin/login')
+      .send({ email, password: 'password123' });
+    return response.body.accessToken;
+  };
+
+  const createAdmin = (name, email, role) => Admin.create({ name, email, password: 'password123', role });
+
+  beforeEach(async () => {
+    const manager = await createAdmin('Hiring Manager', 'req-manager@test.com', 'recruiter');
+    finance = await createAdmin('Finance Approver', 'req-finance@test.com', 'recruiter');
+    hr = await createAdmin('HR Approver', 'req-hr@test.com', 'recruiter');
+    await createAdmin('Company Owner', 'req-owner@test.com', 'admin');
+
+    managerToken = await login('req-manager@test.com');
+    financeToken = await login('req-finance@test.com');
+    hrToken = await login('req-hr@test.com');
+    ownerToken = await login('req-owner@test.com');
+
+    await request(app)
+      .put('/api/v1/requisitions/settings')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({
+        approvers: [
+          { approverId: String(finance._id), label: 'Finance' },
+          { approverId: String(hr._id), label: 'HR' }
+        ]
+      })
+      .expect(200);
+
+    job = await Job.create({
+      title: 'Data Engineer',
+      location: { city: 'Berlin', country: 'Germany', remote: false },
+      department: 'Engineering',
+      description: 'We are looking for a data engineer to build our analytics platform.',
+      positions: 1,
+      createdBy: manager._id
+    });
+  });
+
+  const publish = () => request(app)
+    .post(`/api/v1/jobs/${job._id}/publish`)
+    .set('Authorization', `Bearer ${managerToken}`)
+    .send({ publishedOn: ['company'] });
+
+  const submit = (comment) => request(app)
+    .post(`/api/v1/requisitions/jobs/${job._id}/submit`)
+    .set('Authorization', `Bearer ${managerToken}`)
+    .send(comment ? { comment } : {});
+
+  const decide = (token, decision, comment) => request(app)
+    .post(`/api/v1/requisitions/jobs/${job._id}/${decision}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(comment ? { comment } : {});
+
+  const updateJob = (data) => request(app)
+    .put(`/api/v1/jobs/${job._id}`)
+    .set('Authorization', `Bearer ${managerToken}`)
+    .send(data);
+
+  const approveRequisition = async () => {
+    await submit().expect(200);
+    await decide(financeToken, 'approve').expect(200);
+    await decide(hrToken, 'approve').expect(200);
+  };
+
+  it('should only let tenant admins change the approvers', async () => {
+    await request(app)
+      .put('/api/v1/requisitions/settings')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ approvers: [] })
+      .expect(403);
+  });
+
+  it('should not publish a job without an approved requisition', async () => {
+    await publish().expect(409);
+  });
+
+  it('should require a comment to reject and reopen after resubmitting', async () => {
+    await submit().expect(200);
+
+    // Locked while the approvers review it
+    await updateJob({ positions: 3 }).expect(409);
+
+    // HR cannot decide before finance
+    await decide(hrToken, 'approve').expect(403);
+
+    await decide(financeToken, 'reject').expect(400);
+    const rejected = await decide(financeToken, 'reject', 'Budget is not signed off yet').expect(200);
+    expect(rejected.body.requisition.status).toBe('rejected');
+
+    const resubmitted = await submit('Budget approved in Q3 planning').expect(200);
+
+    expect(resubmitted.body.requisition.status).toBe('pending_approval');
+    expect(resubmitted.body.requisition.currentApproval.label).toBe('Finance');
+  });
+
+  it('should publish once every approver has approved, keeping the audit trail', async () => {
+    await submit().expect(200);
+    await decide(financeToken, 'reject', 'Budget is not signed off yet').expect(200);
+    await submit('Budget approved in Q3 planning').expect(200);
+
+    const pending = await request(app)
+      .get('/api/v1/requisitions/pending')
+      .set('Authorization', `Bearer ${financeToken}`)
+      .expect(200);
+    expect(pending.body.requisitions).toHaveLength(1);
+
+    await decide(financeToken, 'approve', 'Within budget').expect(200);
+    await publish().expect(409);
+
+    const approved = await decide(hrToken, 'approve').expect(200);
+    expect(approved.body.requisition.status).toBe('approved');
+
+    const published = await publish().expect(200);
+    expect(published.body.job.status).toBe('published');
+
+    const requisition = await request(app)
+      .get(`/api/v1/requisitions/jobs/${job._id}`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(200);
+
+    expect(requisition.body.requisition.history.map(entry => entry.action))
+      .toEqual(['submitted', 'rejected', 'submitted', 'approved', 'approved']);
+    expect(requisition.body.requisition.history[1].comment).toBe('Budget is not signed off yet');
+  });
+
+  it('should require a new approval when approved fields change before publishing', async () => {
+    await approveRequisition();
+
+    // Changes nobody approved cannot be published in the same request
+    await updateJob({ positions: 5, isPublished: true, status: 'published' }).expect(409);
+
+    await updateJob({ positions: 5 }).expect(200);
+
+    const requisition = await request(app)
+      .get(`/api/v1/requisitions/jobs/${job._id}`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(200);
+    expect(requisition.body.requisition.status).toBe('not_submitted');
+    expect(requisition.body.requisition.history.at(-1).action).toBe('revoked');
+    expect(requisition.body.requisition.history.at(-1).comment).toContain('positions');
+
+    await publish().expect(409);
+
+    await approveRequisition();
+    await publish().expect(200);
+  });
+
+  it('should keep the approval for edits outside the approved fields', async () => {
+    await approveRequisition();
+
+    await updateJob({ tags: ['data'] }).expect(200);
+
+    await publish().expect(200);
+  });
+});
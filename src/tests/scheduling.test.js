@@ -0,0 +1,184 @@
+require('dotenv').config();
+
+const request = require('supertest');
+const app = require('../server');
+const mongoose = require('mongoose');
+const SchedulingLink = require('../modules/scheduling/schedulingLink.model');
+const Application = require('../modules/application/application.model');
+const Event = require('../modules/application/event.model');
+const Job = require('../modules/jobs/job.model');
+const { Admin } = require('../modules/auth/auth.model');
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+});
+
+afterAll(async () => {
+  await SchedulingLink.deleteMany({});
+  await Event.deleteMany({});
+  await Application.deleteMany({});
+  await Job.deleteMany({});
+  await Admin.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Candidate self-scheduling', () => {
+  let adminToken;
+  let admin, application;
+
+  const nextYear = new Date().getUTCFullYear() + 1;
+  const linkData = () => ({
+    title: 'Technical Interview',
+    attendeeIds: [String(admin._id)],
+    timezone: 'UTC',
+    slots: [
+      { date: `${nextYear}-03-04`, startTime: '10:00', endTime: '11:00' },
+      { date: `${nextYear}-03-05`, startTime: '14:00', endTime: '15:00' }
+    ],
+    expiresInDays: 60,
+    sendEmail: false
+  });
+
+  const tokenFromUrl = (url) => url.split('/schedule/')[1];
+
+  beforeEach(async () => {
+    admin = await Admin.create({
+      name: 'Scheduling Admin',
+      email: 'scheduling-admin@test.com',
+      password: 'password123',
+      role: 'recruiter'
+    });
+
+    const job = await Job.create({
+      title: 'Backend Engineer',
+      location: { city: 'Berlin', country: 'Germany', remote: false },
+      department: 'Engineering',
+      description: 'We are looking for a backend engineer to build and run our hiring APIs.',
+      createdBy: admin._id,
+      isPublished: true,
+      status: 'published'
+    });
+
+    application = await Application.create({
+      jobId: job._id,
+      isGuestApplication: true,
+      guestApplicationId: new mongoose.Types.ObjectId(),
+      resumePath: '/test/path.pdf',
+      resumeFilename: 'test.pdf',
+      candidateSnapshot: {
+        firstName: 'Jane',
+        lastName: 'Doe',
+        email: 'scheduling-candidate@test.com'
+      }
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/admin/login')
+      .send({ email: 'scheduling-admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.accessToken;
+  });
+
+  const createLink = async () => {
+    const response = await request(app)
+      .post(`/api/v1/scheduling/applications/${application._id}/links`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(linkData())
+      .expect(201);
+
+    return response.body;
+  };
+
+  it('should create a link and show the offered slots publicly', async () => {
+    const { url } = await createLink();
+
+    const response = await request(app)
+      .get(`/api/v1/scheduling/public/${tokenFromUrl(url)}`)
+      .expect(200);
+
+    expect(response.body.link.status).toBe('pending');
+    expect(response.body.link.slots).toHaveLength(2);
+    expect(response.body.link.slots[0].startTime).toBe('10:00');
+    expect(response.body.link.attendees).toBeUndefined();
+  });
+
+  it('should create the event on confirm and reschedule it on a second pick', async () => {
+    const { url, link } = await createLink();
+    const token = tokenFromUrl(url);
+
+    const first = await request(app)
+      .post(`/api/v1/scheduling/public/${token}/confirm`)
+      .send({ slotId: link.slots[0]._id })
+      .expect(200);
+
+    expect(first.body.rescheduled).toBe(false);
+    const event = await Event.findById(first.body.eventId);
+    expect(event.attendees.map(attendee => attendee.email))
+      .toEqual(['scheduling-admin@test.com', 'scheduling-candidate@test.com']);
+
+    const second = await request(app)
+      .post(`/api/v1/scheduling/public/${token}/confirm`)
+      .send({ slotId: link.slots[1]._id })
+      .expect(200);
+
+    expect(second.body.rescheduled).toBe(true);
+    expect(String(second.body.eventId)).toBe(String(event._id));
+    expect((await Event.findById(event._id)).status).toBe('rescheduled');
+  });
+
+  it('should reject links after they are cancelled', async () => {
+    const { url, link } = await createLink();
+
+    await request(app)
+      .delete(`/api/v1/scheduling/links/${link._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    await request(app)
+      .get(`/api/v1/scheduling/public/${tokenFromUrl(url)}`)
+      .expect(410);
+  });
+
+  it('should reject tampered tokens', async () => {
+    await request(app)
+      .get('/api/v1/scheduling/public/not-a-real-token')
+      .expect(410);
+  });
+
+  it('should keep other tenants\' admins out without a subdomain', async () => {
+    const { link } = await createLink();
+    const outsider = await Admin.create({
+      name: 'Other Tenant Admin',
+      email: 'scheduling-outsider@test.com',
+      password: 'password123',
+      role: 'recruiter',
+      tenantId: new mongoose.Types.ObjectId()
+    });
+    const outsiderLogin = await request(app)
+      .post('/api/v1/auth/admin/login')
+      .send({ email: 'scheduling-outsider@test.com', password: 'password123' });
+    const outsiderToken = outsiderLogin.body.accessToken;
+
+    await request(app)
+      .post(`/api/v1/scheduling/applications/${application._id}/links`)
+      .set('Authorization', `Bearer ${outsiderToken}`)
+      .send({ ...linkData(), attendeeIds: [String(outsider._id)] })
+      .expect(403);
+    await request(app)
+      .get(`/api/v1/scheduling/applications/${application._id}/links`)
+      .set('Authorization', `Bearer ${outsiderToken}`)
+      .expect(403);
+    await request(app)
+      .delete(`/api/v1/scheduling/links/${link._id}`)
+      .set('Authorization', `Bearer ${outsiderToken}`)
+      .expect(404);
+
+    // Interviewers must come from the admin's own tenant
+    await request(app)
+      .post(`/api/v1/scheduling/applications/${application._id}/links`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ ...linkData(), attendeeIds: [String(outsider._id)] })
+      .expect(404);
+  });
+});
@@ -0,0 +1,145 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const mongoose = require('mongoose');
+const Application = require('../modules/application/application.model');
+const GuestApplication = require('../modules/guestApplications/guestApplication.model');
+const Job = require('../modules/jobs/job.model');
+const { Admin } = require('../modules/auth/auth.model');
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+});
+
+afterAll(async () => {
+  await Application.deleteMany({});
+  await GuestApplication.deleteMany({});
+  await Job.deleteMany({});
+  await Admin.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Screening question types and conditions', () => {
+  const resumePath = path.join(__dirname, '../uploads/screening-questions-test.pdf');
+  const yearsId = new mongoose.Types.ObjectId();
+  const leadId = new mongoose.Types.ObjectId();
+  const stackId = new mongoose.Types.ObjectId();
+  const startId = new mongoose.Types.ObjectId();
+  const portfolioId = new mongoose.Types.ObjectId();
+  const certificateId = new mongoose.Types.ObjectId();
+  let job;
+
+  const apply = (email, answers, withCertificate = true) => {
+    const req = request(app)
+      .post(`/api/v1/guest/jobs/${job._id}/apply/guest`)
+      .field('jobId', String(job._id))
+      .field('candidateInfo', JSON.stringify({
+        firstName: 'Jane',
+        lastName: 'Doe',
+        email,
+        phone: '+4915112345678',
+        totalExperience: 4
+      }))
+      .field('screeningAnswers', JSON.stringify(answers))
+      .attach('resume', resumePath);
+
+    return withCertificate
+      ? req.attach(`screeningFile_${certificateId}`, resumePath, 'certificate.pdf')
+      : req;
+  };
+
+  beforeAll(() => {
+    fs.mkdirSync(path.dirname(resumePath), { recursive: true });
+    fs.writeFileSync(resumePath, Buffer.from('Test PDF content'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(resumePath, { force: true });
+  });
+
+  beforeEach(async () => {
+    const admin = await Admin.create({
+      name: 'Questions Admin',
+      email: 'questions-admin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    job = await Job.create({
+      title: 'Backend Engineer',
+      location: { city: 'Berlin', country: 'Germany', remote: false },
+      department: 'Engineering',
+      description: 'We are looking for a backend engineer to build and run our hiring APIs.',
+      createdBy: admin._id,
+      isPublished: true,
+      status: 'published',
+      screeningQuestions: [
+        { questionId: yearsId, text: 'Years of Node.js', type: 'number', min: 0, max: 50 },
+        {
+          questionId: leadId,
+          text: 'Have you led a team?',
+          type: 'yes-no',
+          showIf: { questionId: yearsId, operator: 'greaterThan', value: '5' }
+        },
+        { questionId: stackId, text: 'Databases', type: 'multi-select', options: ['MongoDB', 'PostgreSQL', 'Redis'], maxSelections: 2 },
+        { questionId: startId, text: 'Earliest start date', type: 'date' },
+        { questionId: portfolioId, text: 'Portfolio', type: 'url', required: false, maxLength: 100 },
+        { questionId: certificateId, text: 'Certificate', type: 'file', allowedFileTypes: ['pdf'] }
+      ]
+    });
+  });
+
+  afterEach(async () => {
+    await Application.deleteMany({});
+    await GuestApplication.deleteMany({});
+    await Job.deleteMany({});
+    await Admin.deleteMany({});
+  });
+
+  it('should store normalized answers and skip hidden questions', async () => {
+    const response = await apply('valid@test.com', [
+      { questionId: yearsId, answer: '3' },
+      { questionId: stackId, answer: ['mongodb', 'Redis'] },
+      { questionId: startId, answer: '2026-12-01' }
+    ]).expect(201);
+
+    const application = await Application.findById(response.body.application.id);
+    const answers = new Map(application.screeningAnswers.map(entry => [String(entry.questionId), entry]));
+
+    expect(answers.has(String(leadId))).toBe(false);
+    expect(answers.get(String(stackId)).values).toEqual(['MongoDB', 'Redis']);
+    expect(answers.get(String(startId)).answer).toBe('2026-12-01');
+    expect(answers.get(String(certificateId)).file.originalName).toBe('certificate.pdf');
+  });
+
+  it('should require conditional questions once they are shown', async () => {
+    const response = await apply('lead@test.com', [
+      { questionId: yearsId, answer: '8' },
+      { questionId: stackId, answer: ['MongoDB'] },
+      { questionId: startId, answer: '2026-12-01' }
+    ]).expect(400);
+
+    expect(response.body.message).toContain('"Have you led a team?" is required');
+  });
+
+  it('should reject answers that do not fit the question', async () => {
+    const response = await apply('invalid@test.com', [
+      { questionId: yearsId, answer: '60' },
+      { questionId: stackId, answer: ['MongoDB', 'PostgreSQL', 'Redis'] },
+      { questionId: startId, answer: 'soon' },
+      { questionId: portfolioId, answer: 'not a url' }
+    ], false).expect(400);
+
+    expect(response.body.message).toContain('"Years of Node.js" must be at most 50');
+    expect(response.body.message).toContain('"Databases" allows at most 2 selections');
+    expect(response.body.message).toContain('"Earliest start date" must be a valid date');
+    expect(response.body.message).toContain('"Portfolio" must be a valid URL');
+    expect(response.body.message).toContain('"Certificate" is required');
+    expect(await Application.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,151 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const mongoose = require('mongoose');
+const Application = require('../modules/application/application.model');
+const GuestApplication = require('../modules/guestApplications/guestApplication.model');
+const Job = require('../modules/jobs/job.model');
+const OutboundEmail = require('../modules/emails/outboundEmail.model');
+const { Admin } = require('../modules/auth/auth.model');
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+});
+
+afterAll(async () => {
+  await Application.deleteMany({});
+  await GuestApplication.deleteMany({});
+  await Job.deleteMany({});
+  await OutboundEmail.deleteMany({});
+  await Admin.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Screening knockout and weighted scoring', () => {
+  const resumePath = path.join(__dirname, '../uploads/screening-test.pdf');
+  const permitId = new mongoose.Types.ObjectId();
+  const ratingId = new mongoose.Types.ObjectId();
+  let job;
+
+  const apply = (email, answers) => request(app)
+    .post(`/api/v1/guest/jobs/${job._id}/apply/guest`)
+    .field('jobId', String(job._id))
+    .field('candidateInfo', JSON.stringify({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email,
+      phone: '+4915112345678',
+      totalExperience: 4
+    }))
+    .field('screeningAnswers', JSON.stringify(answers))
+    .attach('resume', resumePath)
+    .expect(201);
+
+  beforeAll(() => {
+    fs.mkdirSync(path.dirname(resumePath), { recursive: true });
+    fs.writeFileSync(resumePath, Buffer.from('Test PDF content'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(resumePath, { force: true });
+  });
+
+  beforeEach(async () => {
+    const admin = await Admin.create({
+      name: 'Screening Admin',
+      email: 'screening-admin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    job = await Job.create({
+      title: 'Backend Engineer',
+      location: { city: 'Berlin', country: 'Germany', remote: false },
+      department: 'Engineering',
+      description: 'We are looking for a backend engineer to join our platform team.',
+      createdBy: admin._id,
+      isPublished: true,
+      status: 'published',
+      screeningQuestions: [
+        { questionId: permitId, text: 'Do you have a work permit?', type: 'yes-no', scoringType: 'knockout', correctAnswer: 'yes' },
+        { questionId: ratingId, text: 'Rate your Node.js skills', type: 'rating', scoringType: 'weighted', correctAnswer: '4', weight: 2 }
+      ],
+      screeningSettings: { passingScore: 50, onFail: 'reject', notifyCandidate: true }
+    });
+  });
+
+  afterEach(async () => {
+    await Application.deleteMany({});
+    await GuestApplication.deleteMany({});
+    await Job.deleteMany({});
+    await OutboundEmail.deleteMany({});
+    await Admin.deleteMany({});
+  });
+
+  it('should pass applications with correct answers', async () => {
+    const response = await apply('pass@test.com', [
+      { questionId: permitId, answer: 'Yes' },
+      { questionId: ratingId, answer: '5' }
+    ]);
+
+    const application = await Application.findById(response.body.application.id);
+    expect(application.status).toBe('New');
+    expect(application.screeningResult).toMatchObject({ score: 100, passed: true });
+    expect(await OutboundEmail.countDocuments({ category: 'screening_outcome' })).toBe(0);
+  });
+
+  it('should reject knockouts and notify the candidate', async () => {
+    const response = await apply('knockout@test.com', [
+      { questionId: permitId, answer: 'No' },
+      { questionId: ratingId, answer: '5' }
+    ]);
+
+    const application = await Application.findById(response.body.application.id);
+    expect(application.status).toBe('Rejected');
+    expect(application.screeningResult.passed).toBe(false);
+    expect(application.screeningResult.knockoutFailures.map(failure => String(failure.questionId))).toEqual([String(permitId)]);
+    expect(application.screeningResult.movedTo).toBe('Rejected');
+
+    const email = await OutboundEmail.findOne({ category: 'screening_outcome' });
+    expect(email.to).toBe('knockout@test.com');
+  });
+
+  it('should fail applications below the passing score', async () => {
+    const response = await apply('low@test.com', [
+      { questionId: permitId, answer: 'yes' },
+      { questionId: ratingId, answer: '2' }
+    ]);
+
+    const application = await Application.findById(response.body.application.id);
+    expect(application.screeningResult).toMatchObject({ score: 0, passed: false, belowPassingScore: true });
+    expect(application.status).toBe('Rejected');
+  });
+
+  it('should not show correct answers or scoring on the public job page', async () => {
+    const response = await request(app).get(`/api/v1/jobs/${job._id}`).expect(200);
+
+    expect(response.body.job.screeningSettings).toBeUndefined();
+    expect(response.body.job.screeningQuestions).toHaveLength(2);
+    response.body.job.screeningQuestions.forEach(question => {
+      expect(question.text).toBeDefined();
+      expect(question.correctAnswer).toBeUndefined();
+      expect(question.scoringType).toBeUndefined();
+      expect(question.weight).toBeUndefined();
+    });
+
+    // Admins editing the job still get the scoring
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/admin/login')
+      .send({ email: 'screening-admin@test.com', password: 'password123' });
+    const adminView = await request(app)
+      .get(`/api/v1/jobs/${job._id}`)
+      .set('Authorization', `Bearer ${adminLogin.body.accessToken}`)
+      .expect(200);
+    expect(adminView.body.job.screeningQuestions[0].correctAnswer).toBe('yes');
+  });
+});
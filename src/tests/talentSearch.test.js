@@ -0,0 +1,149 @@
+require('dotenv').config();
+
+const request = require('supertest');
+const app = require('../server');
+const mongoose = require('mongoose');
+const Application = require('../modules/application/application.model');
+const Job = require('../modules/jobs/job.model');
+const Tenant = require('../modules/tenant/tenant.model');
+const { Admin, Candidate } = require('../modules/auth/auth.model');
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+});
+
+afterAll(async () => {
+  await Application.deleteMany({});
+  await Job.deleteMany({});
+  await Tenant.deleteMany({});
+  await Admin.deleteMany({});
+  await Candidate.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Talent pool search', () => {
+  let adminToken, admin, tenant, backendJob, frontendJob;
+
+  const createJob = (title, tenantId) => Job.create({
+    title,
+    location: { city: 'Berlin', country: 'Germany', remote: false },
+    department: 'Engineering',
+    description: `We are looking for a ${title} to join our growing product team.`,
+    createdBy: admin._id,
+    isPublished: true,
+    status: 'published',
+    tenantId
+  });
+
+  const applyAsGuest = (jobId, email, parsedCVData) => Application.create({
+    jobId,
+    isGuestApplication: true,
+    guestApplicationId: new mongoose.Types.ObjectId(),
+    resumePath: '/test/path.pdf',
+    resumeFilename: 'test.pdf',
+    candidateSnapshot: { firstName: 'Guest', lastName: email.split('@')[0], email },
+    parsedCVData
+  });
+
+  beforeEach(async () => {
+    tenant = await Tenant.create({ name: 'Acme', subdomain: 'acme', ownerUserId: new mongoose.Types.ObjectId() });
+
+    admin = await Admin.create({
+      name: 'Talent Admin',
+      email: 'talent-admin@test.com',
+      password: 'password123',
+      role: 'admin',
+      tenantId: tenant._id
+    });
+
+    backendJob = await createJob('Backend Engineer', tenant._id);
+    frontendJob = await createJob('Frontend Engineer', tenant._id);
+
+    // Same person applied twice as a guest, with different CV versions
+    await applyAsGuest(backendJob._id, 'jane@test.com', {
+      totalExperience: 4,
+      skills: ['Node.js', 'MongoDB'],
+      location: 'Berlin, Germany',
+      education: [{ institution: 'TU Berlin', degree: 'Master of Science', field: 'Computer Science' }]
+    });
+    await applyAsGuest(frontendJob._id, 'jane@test.com', { totalExperience: 5, skills: ['React'] });
+
+    await applyAsGuest(frontendJob._id, 'php@test.com', { totalExperience: 1, skills: ['PHP', 'React'] });
+
+    // Registered candidate of the tenant who has not applied yet
+    await Candidate.create({
+      firstName: 'Rita',
+      lastName: 'Registered',
+      email: 'rita@test.com',
+      password: 'password123',
+      totalExperience: 8,
+      tenantId: tenant._id,
+      profile: { skills: ['Python', 'Node.js'] }
+    });
+
+    // Another tenant's applicant must not show up
+    const otherJob = await createJob('Backend Engineer', new mongoose.Types.ObjectId());
+    await applyAsGuest(otherJob._id, 'other@test.com', { totalExperience: 4, skills: ['Node.js'] });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/admin/login')
+      .set('x-tenant-subdomain', 'acme')
+      .send({ email: 'talent-admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.accessToken;
+  });
+
+  afterEach(async () => {
+    await Application.deleteMany({});
+    await Job.deleteMany({});
+    await Tenant.deleteMany({});
+    await Admin.deleteMany({});
+    await Candidate.deleteMany({});
+  });
+
+  const search = (query = '') => request(app)
+    .get(`/api/v1/candidates/admin/talent-search${query}`)
+    .set('x-tenant-subdomain', 'acme')
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  const emails = (response) => response.body.data.map(person => person.email).sort();
+
+  it('should deduplicate people and merge their CV data', async () => {
+    const response = await search().expect(200);
+
+    expect(emails(response)).toEqual(['jane@test.com', 'php@test.com', 'rita@test.com']);
+
+    const jane = response.body.data.find(person => person.email === 'jane@test.com');
+    expect(jane.totalExperience).toBe(5);
+    expect(jane.skills.sort()).toEqual(['MongoDB', 'Node.js', 'React']);
+    expect(jane.applications).toHaveLength(2);
+  });
+
+  it('should support boolean skill queries', async () => {
+    const response = await search(`?skills=${encodeURIComponent('(node.js OR react) NOT php')}`).expect(200);
+    expect(emails(response)).toEqual(['jane@test.com', 'rita@test.com']);
+
+    const both = await search(`?skills=${encodeURIComponent('react mongodb')}`).expect(200);
+    expect(emails(both)).toEqual(['jane@test.com']);
+
+    await search(`?skills=${encodeURIComponent('(react')}`).expect(400);
+  });
+
+  it('should filter by experience, education, location and applied jobs', async () => {
+    expect(emails(await search('?minExperience=5&maxExperience=10'))).toEqual(['jane@test.com', 'rita@test.com']);
+    expect(emails(await search('?degree=master&fieldOfStudy=computer'))).toEqual(['jane@test.com']);
+    expect(emails(await search('?location=berlin'))).toEqual(['jane@test.com']);
+    expect(emails(await search(`?appliedTo=${frontendJob._id}`))).toEqual(['jane@test.com', 'php@test.com']);
+    expect(emails(await search(`?notAppliedTo=${backendJob._id}`))).toEqual(['php@test.com', 'rita@test.com']);
+  });
+
+  it('should search the admin\'s own tenant without a subdomain', async () => {
+    const response = await request(app)
+      .get('/api/v1/candidates/admin/talent-search')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(emails(response)).toEqual(['jane@test.com', 'php@test.com', 'rita@test.com']);
+  });
+});
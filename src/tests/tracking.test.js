@@ -0,0 +1,268 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const mongoose = require('mongoose');
+const Application = require('../modules/application/application.model');
+const Event = require('../modules/application/event.model');
+const Job = require('../modules/jobs/job.model');
+const TrackingLink = require('../modules/tracking/trackingLink.model');
+const { Admin, Candidate } = require('../modules/auth/auth.model');
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState === 0) {
+    await mongoose.connect(process.env.MONGODB_URI);
+  }
+});
+
+afterAll(async () => {
+  await Application.deleteMany({});
+  await Event.deleteMany({});
+  await Job.deleteMany({});
+  await TrackingLink.deleteMany({});
+  await Admin.deleteMany({});
+  await Candidate.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Source-of-hire tracking', () => {
+  let adminToken, admin, job;
+
+  beforeEach(async () => {
+    admin = await Admin.create({
+      name: 'Tracking Admin',
+      email: 'tracking-admin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    job = await Job.create({
+      title: 'Backend Engineer',
+      location: { city: 'Berlin', country: 'Germany', remote: false },
+      department: 'Engineering',
+      description: 'We are looking for a backend engineer to build and run our hiring APIs.',
+      createdBy: admin._id,
+      isPublished: true,
+      status: 'published'
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/admin/login')
+      .send({ email: 'tracking-admin@test.com', password: 'password123' });
+    adminToken = adminLogin.body.accessToken;
+  });
+
+  const createLink = (data) => request(app)
+    .post('/api/v1/tracking/links')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ jobId: job._id, ...data });
+
+  it('should create a link and count clicks on the short URL', async () => {
+    const created = await createLink({ source: 'StepStone', campaign: 'spring-2026', utm: { medium: 'job_board' } }).expect(201);
+    const { link } = created.body;
+
+    expect(link.source).toBe('stepstone');
+    expect(link.shortUrl).toContain(`/api/v1/tracking/r/${link.code}`);
+
+    const redirect = await request(app).get(`/api/v1/tracking/r/${link.code}`).expect(302);
+    expect(redirect.headers.location).toContain(`/jobs/${job._id}?`);
+    expect(redirect.headers.location).toContain('utm_source=stepstone');
+    expect(redirect.headers.location).toContain('utm_campaign=spring-2026');
+    expect(redirect.headers.location).toContain(`tl=${link.code}`);
+
+    expect((await TrackingLink.findById(link._id)).clicks).toBe(1);
+
+    await request(app)
+      .put(`/api/v1/tracking/links/${link._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ isActive: false })
+      .expect(200);
+    await request(app).get(`/api/v1/tracking/r/${link.code}`).expect(404);
+  });
+
+  it('should validate links', async () => {
+    await createLink({ jobId: 'not-an-id', source: 'linkedin' }).expect(400);
+    await createLink({ source: '' }).expect(400);
+  });
+
+  it('should attribute an application to the tracking link', async () => {
+    const { body } = await createLink({ source: 'stepstone', campaign: 'spring-2026' }).expect(201);
+
+    await Candidate.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'tracked-candidate@test.com',
+      password: 'password123'
+    });
+    const candidateLogin = await request(app)
+      .post('/api/v1/auth/candidate/login')
+      .send({ email: 'tracked-candidate@test.com', password: 'password123' });
+
+    const uploadsDir = path.join(__dirname, '../uploads');
+    fs.mkdirSync(uploadsDir, { recursive: true });
+    const resumePath = path.join(uploadsDir, 'tracking-test.pdf');
+    fs.writeFileSync(resumePath, Buffer.from('Test PDF content'));
+
+    await request(app)
+      .post(`/api/v1/applications/jobs/${job._id}/apply`)
+      .set('Authorization', `Bearer ${candidateLogin.body.accessToken}`)
+      .set('Referer', 'https://careers.test/jobs')
+      .field('jobId', String(job._id))
+      .field('trackingCode', body.link.code)
+      .field('utm_medium', 'email')
+      .field('referrer', 'https://www.stepstone.de/')
+      .attach('resume', resumePath)
+      .expect(201);
+
+    fs.unlinkSync(resumePath);
+
+    const application = await Application.findOne({ jobId: job._id });
+    expect(application.source).toBe('stepstone');
+    expect(String(application.attribution.trackingLinkId)).toBe(String(body.link._id));
+    expect(application.attribution).toMatchObject({
+      utmSource: 'stepstone',
+      utmMedium: 'email',
+      campaign: 'spring-2026',
+      referrer: 'https://www.stepstone.de/'
+    });
+  });
+
+  it('should cut over-long referrers and UTM values instead of failing the application', async () => {
+    await Candidate.create({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'long-referrer@test.com',
+      password: 'password123'
+    });
+    const candidateLogin = await request(app)
+      .post('/api/v1/auth/candidate/login')
+      .send({ email: 'long-referrer@test.com', password: 'password123' });
+
+    const uploadsDir = path.join(__dirname, '../uploads');
+    fs.mkdirSync(uploadsDir, { recursive: true });
+    const resumePath = path.join(uploadsDir, 'tracking-long-test.pdf');
+    fs.writeFileSync(resumePath, Buffer.from('Test PDF content'));
+
+    const longReferrer = `https://search.test/?q=${'a'.repeat(3000)}`;
+    await request(app)
+      .post(`/api/v1/applications/jobs/${job._id}/apply`)
+      .set('Authorization', `Bearer ${candidateLogin.body.accessToken}`)
+      .field('jobId', String(job._id))
+      .field('utm_campaign', 'c'.repeat(500))
+      .field('referrer', longReferrer)
+      .attach('resume', resumePath)
+      .expect(201);
+
+    fs.unlinkSync(resumePath);
+
+    const application = await Application.findOne({ jobId: job._id });
+    expect(application.attribution.referrer).toBe(longReferrer.slice(0, 2000));
+    expect(application.attribution.utmCampaign).toHaveLength(200);
+    expect(application.attribution.campaign).toHaveLength(200);
+  });
+
+  it('should report applications, interviews and hires per source and campaign', async () => {
+    const link = await TrackingLink.create({
+      jobId: job._id,
+      source: 'linkedin',
+      campaign: 'spring-2026',
+      code: 'spring-li',
+      clicks: 10
+    });
+
+    const createApplication = (status, source, attribution = {}, logs = []) => Application.create({
+      jobId: job._id,
+      isGuestApplication: true,
+      guestApplicationId: new mongoose.Types.ObjectId(),
+      resumePath: '/test/path.pdf',
+      resumeFilename: 'test.pdf',
+      source,
+      attribution,
+      status,
+      logs
+    });
+    const transition = (oldStatus, newStatus) => ({
+      action: `Status changed from ${oldStatus} to ${newStatus}`,
+      userRole: 'Admin',
+      metadata: { oldStatus, newStatus }
+    });
+
+    await createApplication('Hired', 'linkedin', { trackingLinkId: link._id, campaign: 'spring-2026' }, [
+      transition('New', 'Interview'),
+      transition('Interview', 'Hired')
+    ]);
+    const interviewed = await createApplication('In Review', 'linkedin', { trackingLinkId: link._id, campaign: 'spring-2026' });
+    await createApplication('New', 'linkedin');
+    await createApplication('New', 'company_website');
+
+    // An interview that was scheduled without moving the stage still counts
+    await Event.create({
+      applicationId: interviewed._id,
+      title: 'Intro call',
+      attendees: [{ userId: admin._id, userType: 'Admin', email: 'tracking-admin@test.com', name: 'Tracking Admin' }],
+      date: new Date('2026-03-02'),
+      startTime: '10:00',
+      endTime: '10:30',
+      createdBy: admin._id
+    });
+
+    const response = await request(app)
+      .get('/api/v1/tracking/report')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    const { report } = response.body;
+
+    expect(report.total).toBe(4);
+    expect(report.bySource.find(row => row.source === 'linkedin')).toMatchObject({
+      clicks: 10, applications: 3, interviews: 2, hires: 1
+    });
+    expect(report.byCampaign.find(row => row.campaign === 'spring-2026')).toMatchObject({
+      source: 'linkedin', clicks: 10, applications: 2, interviews: 2, hires: 1, hireRate: 0.5
+    });
+    expect(report.byLink[0]).toMatchObject({ code: 'spring-li', applications: 2, applicationRate: 0.2 });
+  });
+
+  it('should keep other tenants\' admins out of links and reports without a subdomain', async () => {
+    const link = await TrackingLink.create({ jobId: job._id, source: 'linkedin', code: 'own-link' });
+    await Admin.create({
+      name: 'Other Tracking Admin',
+      email: 'other-tracking-admin@test.com',
+      password: 'password123',
+      role: 'admin',
+      tenantId: new mongoose.Types.ObjectId()
+    });
+    const login = await request(app)
+      .post('/api/v1/auth/admin/login')
+      .send({ email: 'other-tracking-admin@test.com', password: 'password123' });
+    const otherToken = login.body.accessToken;
+
+    await request(app)
+      .post('/api/v1/tracking/links')
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ jobId: job._id, source: 'linkedin' })
+      .expect(404);
+    await request(app)
+      .get(`/api/v1/tracking/links/${link._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(404);
+    await request(app)
+      .put(`/api/v1/tracking/links/${link._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ isActive: false })
+      .expect(404);
+
+    const links = await request(app)
+      .get('/api/v1/tracking/links')
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(200);
+    expect(links.body.links).toHaveLength(0);
+
+    const report = await request(app)
+      .get('/api/v1/tracking/report')
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(200);
+    expect(report.body.report.total).toBe(0);
+  });
+});
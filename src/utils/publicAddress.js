@@ -0,0 +1,90 @@
+/**
+ * Public Address Helper
+ *
+ * Outbound connections to hosts that users configure (calendar feeds, tenant
+ * mail servers) must not reach this server, private networks or cloud
+ * metadata services. Check the resolved address, not the hostname: a public
+ * name can resolve to an internal address.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+// This host, private networks, link-local (cloud metadata services) and
+// other non-routable ranges
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is publicly routable (IPv4-mapped IPv6 is checked as IPv4)
+ *
+ * @param {String} address - IP address
+ * @returns {Boolean}
+ */
+function isPublicAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+
+  if (family === 0) return false;
+  return !NON_PUBLIC_ADDRESSES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup replacement for http(s) requests that refuses non-public
+ * addresses. It runs for every connection, so redirects and DNS rebinding
+ * can't reach internal hosts.
+ *
+ * @param {String} label - Start of the error message, e.g. 'ICS feed host'
+ * @returns {Function} lookup(hostname, options, callback)
+ *
+ * @example
+ * https.get(url, { lookup: createPublicLookup('ICS feed host') }, onResponse);
+ */
+function createPublicLookup(label) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+
+      if (addresses.length === 0 || addresses.some(entry => !isPublicAddress(entry.address))) {
+        return callback(new Error(`${label} ${hostname} is not a public address`));
+      }
+
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+/**
+ * Resolve a host and make sure every address it has is public. Connect to the
+ * returned address, not the hostname, so the check can't be raced.
+ *
+ * @param {String} hostname - Hostname or IP address
+ * @param {String} label - Start of the error message, e.g. 'SMTP host'
+ * @returns {Promise<Object>} { address, family }
+ */
+async function resolvePublicAddress(hostname, label = 'Host') {
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname, family: net.isIP(hostname) }]
+    : await dns.promises.lookup(hostname, { all: true }).catch(() => {
+      throw new Error(`${label} ${hostname} could not be resolved`);
+    });
+
+  if (addresses.length === 0 || addresses.some(entry => !isPublicAddress(entry.address))) {
+    throw new Error(`${label} ${hostname} is not a public address`);
+  }
+  return addresses[0];
+}
+
+module.exports = {
+  isPublicAddress,
+  createPublicLookup,
+  resolvePublicAddress
+};
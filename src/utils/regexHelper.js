@@ -0,0 +1,49 @@
+/**
+ * Regex Helper
+ *
+ * User input must never be used as a regular expression directly: characters
+ * like ".*" or "(a+)+" change the meaning of the query and can make MongoDB
+ * scan (or backtrack) for a long time.
+ */
+
+/**
+ * Escape regex special characters so the value matches literally
+ *
+ * @param {String} value - Raw user input
+ * @returns {String}
+ */
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Case-insensitive exact match for a user-supplied value
+ *
+ * @param {String} value - Raw user input
+ * @returns {RegExp}
+ *
+ * @example
+ * filter.department = exactMatch(req.query.department);
+ */
+function exactMatch(value) {
+  return new RegExp(`^${escapeRegex(String(value).trim())}$`, 'i');
+}
+
+/**
+ * Case-insensitive "contains" match for a user-supplied value
+ *
+ * @param {String} value - Raw user input
+ * @returns {RegExp}
+ *
+ * @example
+ * filter['parsedCVData.location'] = containsMatch(req.query.location);
+ */
+function containsMatch(value) {
+  return new RegExp(escapeRegex(String(value).trim()), 'i');
+}
+
+module.exports = {
+  escapeRegex,
+  exactMatch,
+  containsMatch
+};
@@ -70,9 +70,50 @@ function ensureTenantId(data, req) {
   return data;
 }
 
+/**
+ * Tenant an authenticated request is scoped to
+ * 
+ * Uses the detected tenant, otherwise the user's own tenant (null for users
+ * without one, i.e. single-tenant data). Only a superadmin outside a tenant
+ * context is unscoped (undefined).
+ * 
+ * @param {Object} req - Express request object (after auth middleware)
+ * @returns {ObjectId|null|undefined}
+ */
+function getRequestTenantId(req) {
+  if (req && req.tenant && req.tenantId) {
+    return req.tenantId;
+  }
+  if (!req || !req.user || req.user.role === 'superadmin') {
+    return undefined;
+  }
+  return req.user.tenantId || null;
+}
+
+/**
+ * Add tenant filter for an authenticated request
+ * Like addTenantFilter, but falls back to the user's tenant on the bare domain
+ * 
+ * @example
+ * // Tenant admin without subdomain: { status: 'sent', tenantId: req.user.tenantId }
+ * // Superadmin without subdomain: { status: 'sent' }
+ */
+function addScopedTenantFilter(query, req) {
+  const tenantId = getRequestTenantId(req);
+  if (tenantId === undefined) {
+    return query;
+  }
+  return {
+    ...query,
+    tenantId
+  };
+}
+
 module.exports = {
   addTenantFilter,
   addTenantFilters,
-  ensureTenantId
+  ensureTenantId,
+  getRequestTenantId,
+  addScopedTenantFilter
 };
 